@@ -3,15 +3,28 @@ require("@nomicfoundation/hardhat-toolbox");
 require("@nomiclabs/hardhat-truffle5");
 require("solidity-coverage");
 
+// Test accounts, derived by Hardhat from ACCOUNTS_MNEMONIC (defaults to the Hardhat / Anvil mnemonic),
+// or from ACCOUNTS_SEED by utils/makeAccounts.js (which also exports them for Anvil and Foundry)
 function accounts() {
-  const { accountsList } = require("./hardhatAccountsList2k.js");
+  const { parseFixed } = require("./utils/fixedPoint.js");
+  const { DEFAULT_BALANCE, DEFAULT_COUNT, DEFAULT_MNEMONIC, makeAccounts } = require("./utils/makeAccounts.js");
   const balanceStr = process.env.ACCOUNTS_BALANCE?.trim();
-  return balanceStr
-    ? accountsList.map((account) => ({
-      ...account,
-      balance: String(BigInt(balanceStr) * 10n ** 18n),
-    }))
-    : accountsList;
+  const countStr = process.env.ACCOUNTS_COUNT?.trim();
+  const seed = process.env.ACCOUNTS_SEED?.trim() || undefined;
+
+  const count = countStr ? Number(countStr) : DEFAULT_COUNT;
+  const balance = balanceStr ? parseFixed(balanceStr) : DEFAULT_BALANCE;
+
+  if (seed !== undefined) {
+    return makeAccounts({ count, balance, seed });
+  }
+
+  return {
+    mnemonic: process.env.ACCOUNTS_MNEMONIC?.trim() || DEFAULT_MNEMONIC,
+    path: "m/44'/60'/0'/0",
+    count,
+    accountsBalance: String(balance),
+  };
 }
 
 /** @type import('hardhat/config').HardhatUserConfig */
@@ -1,2008 +0,0 @@
-const _1e36Str = String(10n ** 36n);
-
-const accountsList = [
-  { privateKey: "0x60ddFE7f579aB6867cbE7A2Dc03853dC141d7A4aB6DBEFc0Dae2d2B1Bd4e487F", balance: _1e36Str },
-  { privateKey: "0xeaa445c85f7b438dEd6e831d06a4eD0CEBDc2f8527f84Fcda6EBB5fCfAd4C0e9", balance: _1e36Str },
-  { privateKey: "0x8b693607Bd68C4dEB7bcF976a473Cf998BDE9fBeDF08e1D8ADadAcDff4e5D1b6", balance: _1e36Str },
-  { privateKey: "0x519B6e4f493e532a1BEbfeB2a06eA25AAD691A17875cCB38607D4A4C28DFADC2", balance: _1e36Str },
-  { privateKey: "0x09CFF53c181C96B42255ccbCEB2CeE7012A532EcbcEaaBab4d55a47E1874FbFC", balance: _1e36Str },
-  { privateKey: "0x054ce61b1eA12d9Edb667ceFB001FADB07FE0C37b5A74542BB0DaBF5DDeEe5f0", balance: _1e36Str },
-  { privateKey: "0x42F55f0dFFE4e9e2C2BdfdE2FF98f3d1ea6d3F21A8bB0dA644f1c0e0Acd84FA0", balance: _1e36Str },
-  { privateKey: "0x8F3aFFEC01e78ea6925De62d68A5F3f2cFda7D0C1E7ED9b20d31eb88b9Ed6A58", balance: _1e36Str },
-  { privateKey: "0xBeBeF90A7E9A8e018F0F0baBb868Bc432C5e7F1EfaAe7e5B465d74afDD87c7cf", balance: _1e36Str },
-  { privateKey: "0xaD55BABd2FdceD7aa85eB1FEf47C455DBB7a57a46a16aC9ACFFBE66d7Caf83Ee", balance: _1e36Str },
-  { privateKey: "0x24AdB73C45C2EccEDE38B63E5B8F3D3bB396cf0eDFa4BB788231C8fd38d4cdd3", balance: _1e36Str },
-  { privateKey: "0xA7C2caCEACfdE954DebDAC9FE0dB6D587eA1FC66Ffa7B2E802D6021EeF9fACEe", balance: _1e36Str },
-  { privateKey: "0xab6b6fd0bcAc38E3453A751dB3D6eEa804aCfAc6782Acc19ec2ea225673fAC1C", balance: _1e36Str },
-  { privateKey: "0xBCdEd8cdAbf2FecDE7CD4cEb56E81B9eb8DDBA4fFA4d7D9b5daBD70BFfbacfDf", balance: _1e36Str },
-  { privateKey: "0x51B9F9A65ec3f86feDe3ac7cBAe613b6b2DEc64c93b0fb0CddADB6F6Ee3D9866", balance: _1e36Str },
-  { privateKey: "0xead23Cf6c3e1f61a5e390381A39E7c8c79B6d03F51b4823D83AFEEcabBc1A680", balance: _1e36Str },
-  { privateKey: "0xCCCB498D6AC5BB5AC0F963eCC80b8c54bBce8a0AfF3df4a240Dd07AF6529bcAc", balance: _1e36Str },
-  { privateKey: "0xf2F7299ACB815b5002BD2C36cdBccE59F6EfDe6ABDEB8b744E987cEdD5b3E5DF", balance: _1e36Str },
-  { privateKey: "0xbDea513EbCa2683eAE46DDDd6ADF8d8AEf11aE3bb59d4fabA5c01BB53B1caEAd", balance: _1e36Str },
-  { privateKey: "0x218b2BA39Cee417A3cE486CA87e3CA63B360731Ed7CEf15eda6DB88A872Ca4e5", balance: _1e36Str },
-  { privateKey: "0x9ebC3BA711E9C6dfDDBfD82c8aC29dDBFEbE51d4fB2D5773c1c9EE1A0afCc76b", balance: _1e36Str },
-  { privateKey: "0x82Ae62ffBAEA3cF930F3C310Ff8C9ec8AeA8cBcd4ABcD76d43d540EaaEb43Ae2", balance: _1e36Str },
-  { privateKey: "0xADbFcE089F7b0a1aeA10020d0B4EdCDDA8Fd13EB4BdFdd0b6EA3addfa79119f9", balance: _1e36Str },
-  { privateKey: "0x1Aa9d55DADDbd07c0ECf7ecCc8e5AACdeA5707B2F04a727ad60CF0D4D5CF21cF", balance: _1e36Str },
-  { privateKey: "0xBEFF95de2b6aDe8eE0fA6eaBF7c10feE9aFC1da7Ae9cCB2bdDcEEB318dEcA3ce", balance: _1e36Str },
-  { privateKey: "0x8B44f27AdF48A1a5c9bAda13971Ed6EeccDB7a223709c83b96af5cB89BD36F93", balance: _1e36Str },
-  { privateKey: "0xDC6E9936D3F49c26a73A4Ab7E1Ae2965F680adCaDC4DccafF11A48E18Bd63688", balance: _1e36Str },
-  { privateKey: "0xc07dF5fD6c4fF8be980d13ADDA3a86FC7b815BAbc091eCc23bBB27a1bfac22cE", balance: _1e36Str },
-  { privateKey: "0x64fBBd78Cb201a5eE06fDA113C4c91B85d8e0e2a5Dffa38CD541dfdF72A01D52", balance: _1e36Str },
-  { privateKey: "0xC28e7e4ce7BF6b7FDedd9483CDafC3a2cF1fEcdace5e8Ac3F81CCFa83e484f06", balance: _1e36Str },
-  { privateKey: "0xbcbDddCeffd3b395bc4e02ABC4cD464eBd3BA6f756BeEd414fb44E5Bda35b6D1", balance: _1e36Str },
-  { privateKey: "0x1Da12363E1Ea59cAc9f88E4aCebbdCA8cD25Be2C72da22C3dD9D05e193678dE8", balance: _1e36Str },
-  { privateKey: "0xCe3eA4b6aBfB9BaF5DeD76e6F6C67Dce9f18d6bcb8290b76C2DAcC87b2d63E0B", balance: _1e36Str },
-  { privateKey: "0x8bfDDCdb52717A0dcC8daf7bC0fCDf127BA09375CF6CE3DBbEe0c64E5dFCA60D", balance: _1e36Str },
-  { privateKey: "0x77CE7DD53edb5D85d734103af171a7c47140AB474Ae4D05AeaBF5bEaD6EfFFf9", balance: _1e36Str },
-  { privateKey: "0xb45dEE462c21Df583FA1baC536d41AfE4ef7d84a858aEC03F6d6D293f4881a9A", balance: _1e36Str },
-  { privateKey: "0x7b606a0c35deE9E81873F7e4fB1F73fcFfB2A3Cfd45eD12abcc08A3CeECAaFb5", balance: _1e36Str },
-  { privateKey: "0x8De4c0048aAC87fc0e61ceAF1503716cB8f25eDa4BE0DfddfD85568B052c6cC0", balance: _1e36Str },
-  { privateKey: "0xAcfA5C7bAFF9f01BE4cBeA6E399BcE609DECcEAC7e0B411bD9eD38CF177CD2bF", balance: _1e36Str },
-  { privateKey: "0xE8dD8FaaF0bBD00AAF2c5eaE481bfcE668e5aDef445Bb9Bc81fEF995542C3F2D", balance: _1e36Str },
-  { privateKey: "0xc115A7DCeEAf591C8dA3eF4cf9ECFCbcCba77585Bae56b755bAeFA714cDaa9bd", balance: _1e36Str },
-  { privateKey: "0xa302c71EF0D1d479EBBcAFF6BbC86146A26ba05c65Ba97EE915a5F62D30907c1", balance: _1e36Str },
-  { privateKey: "0xd1fEBbFd8D3C980ff369e62F8EBa9eDebccFeff12Ca1eEbe3777908E1c3e7cF8", balance: _1e36Str },
-  { privateKey: "0xc4D67EC0a5cB398E8cdc9F5bEDfF51fF63F6FF505A25C5a99616062131f7b402", balance: _1e36Str },
-  { privateKey: "0x602F39eDfd6c713Ee18aebE55d4e1f838CBA979FB4d0F9DaA6AebCAadAe7E1C9", balance: _1e36Str },
-  { privateKey: "0xCb30CBB18b1d15a6edA00DCF64EcD04f9E64fBcC7E2abBbe2f3AF1D44cBDDC9b", balance: _1e36Str },
-  { privateKey: "0x5dE6f3462cc76e97AbE877aCbFc2eF4CEd68e47DfA7A0255fEa2fBbE28b7F70F", balance: _1e36Str },
-  { privateKey: "0xb92Ff73D27cd9febDA3Ca62Bd3aEC38eA609Cd94b7fabEfA5A0e9BCebeDe9F6a", balance: _1e36Str },
-  { privateKey: "0xcb2b40b1691fFaB7cE472D1D7eD04C4f3AC1d597F01Abc1BeAfeFEA4eA470c4c", balance: _1e36Str },
-  { privateKey: "0x9B4A523E1d91954D31FcFb18Fdc28A0a7af6c45AC73B9CbbCCEebcafe980d510", balance: _1e36Str },
-  { privateKey: "0x8d90b7cAdf1A5EAEc001FEe70632CF151fdCDdA1c590BDd1E61Dfd0cE3219791", balance: _1e36Str },
-  { privateKey: "0xA65C0cbaef18A5A86aaFe44EC6932Ec0EAAB647fbCCE905cff1A125f5Bfe282D", balance: _1e36Str },
-  { privateKey: "0x09F36aeF4f0eFEC0DE56CBaa8aE4Ad71aC820C3f6d649Eb9d8fd3492aC0a83f3", balance: _1e36Str },
-  { privateKey: "0xEEfdcE15FC4add6CCcf53DFa37FBDfCba8f2caE454CB2cA433e26A8D396AE4ab", balance: _1e36Str },
-  { privateKey: "0xC0d9D291fB49F4fe3B2C6Cb44A8210D68Cc727d1ddc8DaC22A26CC9C3f5a5f4a", balance: _1e36Str },
-  { privateKey: "0x7b77defCB1fD1C81e1cBFfF38949852BFE0fb0eb8385c68D26bf9C2c6dECe380", balance: _1e36Str },
-  { privateKey: "0x0F6Fcf8E8A99BD10843445bEBEC6AEA5a8e5976451FBAC1d351c24f9d57Ef96F", balance: _1e36Str },
-  { privateKey: "0xC25ba8FEe461FEF1C5AD85Fef26aCFfddAa7B2aB5C91bD3FA8A4AaDA79dd8bDA", balance: _1e36Str },
-  { privateKey: "0x0aFAEfc59D19eFc6EEBBBFDFBE9d5DB87de7d50f8ce2023850770dD434B567CC", balance: _1e36Str },
-  { privateKey: "0x836Bb03Af64f04d0fAc574fab9a2C7E4a1bfbd2Fb0179e5BfA1198A2d58EcCcb", balance: _1e36Str },
-  { privateKey: "0xdbE59CA8dFCEbc17b899f5CbC4C2abAD9a2DcaA85bbCc2BbF92865a66cBCAcDa", balance: _1e36Str },
-  { privateKey: "0x6ccDfaAEA2bb1ea2F4b376Daec0645c3f3567682aD2f8fBD9BeaC4abB0489Dd3", balance: _1e36Str },
-  { privateKey: "0xD2bD2B8F3eDE84cB8f9B8aF6901f8F0a88cD1D7c41eCFfD8DDE67Dcb9521f15A", balance: _1e36Str },
-  { privateKey: "0x1dF8Ef7ea6Cc90DfC2Fb7F412e7d5A4aE8Dab3e538F8DF9edBbE41CEaC40F8aC", balance: _1e36Str },
-  { privateKey: "0xDfaD57f13d737cfecf50dBbb922eFcf97FB33c51fA4f9f967BEAdc892FE3fA5B", balance: _1e36Str },
-  { privateKey: "0x279AFC0e2B7A24CbAcC4F1ddA9eC763Ae6B5124da293dAB544cfC74E51d6c64E", balance: _1e36Str },
-  { privateKey: "0xDfCcDB4D1365E4b3FB419adf6BadC7b3886BEB2Bad2aB9b60872B2DCCbc3AaB1", balance: _1e36Str },
-  { privateKey: "0xBd3FFbDa8bc036a0D51ABBC8db61EA97812ed7e169ef7efBac1F66f38A45E2fb", balance: _1e36Str },
-  { privateKey: "0x79ED1a5a0b585Ef0e9Ef59439bbc3142e9c524FF95bcAecFa06eBb0FAca3f7Df", balance: _1e36Str },
-  { privateKey: "0x6E40ee4BFcB1be77b18e127d75a815DbFaFB3548857eEca6Dce730dAaA8e4fd1", balance: _1e36Str },
-  { privateKey: "0xbeDff07E874BECB31dFB022Ba6Ed6f626cae74E7F8E9Efb3752d1048edBAEB1f", balance: _1e36Str },
-  { privateKey: "0x744B70a65c6c01a262400fe6a82a5cfbB2E61249DccBC2Cfc8d6E19AC878fD06", balance: _1e36Str },
-  { privateKey: "0xcbb757EdeC8E19Bc2dffdCAeD2BD5ACBcA30CE97de34F6B3cB642edF8E8Afc85", balance: _1e36Str },
-  { privateKey: "0xdc32Ad57beaAAaE782ECC11344a1e2308bcdAd834635dD22FCA0C2Cb3ca2aabe", balance: _1e36Str },
-  { privateKey: "0x60ABF4ef24DC6B4Ec1aE1eCb0A2A8f7913b11f07db0e74ABe4c5a3FAdD35EF3E", balance: _1e36Str },
-  { privateKey: "0xf3F8AEeb4b3EFE42eF6C53403Ece1CC6AFcf7b677cE1cBe8fADf71ABffD00227", balance: _1e36Str },
-  { privateKey: "0xffbfC0fD2585fDFBeFf9CEB72e0Aa48f6bFD1ABBD585DcaB31DCc390b4Fea5Fe", balance: _1e36Str },
-  { privateKey: "0xd2FaE3Cc087239F1ECAd98e955a4E1ef4bfc1DaD7EBB2d78643ECF4351bFcbFC", balance: _1e36Str },
-  { privateKey: "0xF8b749a53cffb6BeB5b6F1Ba7BFd91cf98b3eC7Dd12D4DcFe75f1DE7b04E6CFf", balance: _1e36Str },
-  { privateKey: "0xe25fc5f8d3B25CBe560E6925B670225a8EB4A9d12Ce0345dB4b160d2DaCe3077", balance: _1e36Str },
-  { privateKey: "0xAc2534fcbeF95e4fFC7c83DEFCC85DcDE846aEeb7ef0542ADE15a6E4EdC6A32F", balance: _1e36Str },
-  { privateKey: "0x785eFbe723138c23108BAfd119fC3F99FcDd621C4320FB8c43D82AEdA3EffC59", balance: _1e36Str },
-  { privateKey: "0x5Ab36eFd957af3EEC90A4Cdcf72ba463F10EFC2CEF2CF4170211C26a2aDf5E26", balance: _1e36Str },
-  { privateKey: "0x74e2AebaC39Ec6B27Ca0ef2b238994f49Ee9489df1E0dABe1d69eE9DfD9B1fa0", balance: _1e36Str },
-  { privateKey: "0xcbF5c97E0E2112aF0D13d4F4eaDF0572f15eae16b1F6D1C355b6Db5eAc3Bdc0c", balance: _1e36Str },
-  { privateKey: "0xc9Ab29514391dBadf0bA35a3eEf00FC5D14D3a242d3B9564B2BDBB3b1dBAcd85", balance: _1e36Str },
-  { privateKey: "0x1376febf8Afe5fFeCEFe1902Cb28f8b7Ef7EEaFeEb5F3C5E37B9afd196eAec67", balance: _1e36Str },
-  { privateKey: "0xB90b7C6FaCCFe4b4F0DA0DDAe7cEDCFc5E5d09De2E496Ab4fE7b106F90F1ceAA", balance: _1e36Str },
-  { privateKey: "0xb8DFEE8b8cCaeCb2B0dbDf41E956e98EdD2A05DEffc533e49Df27AfDc5CC7a6c", balance: _1e36Str },
-  { privateKey: "0x2F25d6fC8E8E2AF8dC0BEB1EF3aA28fDb2DB6A9705BDcbdBd01cE7CABfeEACFc", balance: _1e36Str },
-  { privateKey: "0xE46aBCbB580A28CDBF7C01d740AAefBB5aDa79BD80aBDcE7bbe15dE199cfdfE0", balance: _1e36Str },
-  { privateKey: "0xECb78eb074b81Ade820f74a97DA3BaA8B33cbcAfeedc3314FEACC60CC2d65d09", balance: _1e36Str },
-  { privateKey: "0x888AD49fFbC6fdA307f67c5ABc14a1cCeCBaADaAFDE0dcCBe274Bbb3Ebc4Ed34", balance: _1e36Str },
-  { privateKey: "0xE6aee5027f5Abe06FE7A819067CaFf8eE5dbB76c8c6c3C4fdFA11fA7F6EA92d6", balance: _1e36Str },
-  { privateKey: "0xAfafa9f70DeBa03746f3CCcbBc76C1F1dF8E4a220aFadC55AE8BCE4dADfBc05f", balance: _1e36Str },
-  { privateKey: "0xc6f9DA2b1EcEC198B4eeCb97FA453BCCDD4aA1805303Bd9bbad6cAFbf02732Fe", balance: _1e36Str },
-  { privateKey: "0x5E66eaB19703dAC6fc85F07072241fABFa5FE9D161ae8D16EA9A2aDdEe4b8a7C", balance: _1e36Str },
-  { privateKey: "0xAbe72e623a6Baa5f8f0b1aE4bDAc8CdEaFd1Ecc5878B9eDcBC80aC61020F0E83", balance: _1e36Str },
-  { privateKey: "0x271ec8d6eb55A2ED2a5c97CECeEDEF59c2EEE5EA2EcCD3CbfeC455efa45578B3", balance: _1e36Str },
-  { privateKey: "0x2b8aaBcF28334Eed82EA8c6E4f18AcFfeEC9E32cd8Ed7cBd3DECbA271cb9C4c4", balance: _1e36Str },
-  { privateKey: "0xb13c1a6005BC02CCAeEC8E9fFfEb55e1B86A6ffb4f4DB48b5506904dEeCf7aFa", balance: _1e36Str },
-  { privateKey: "0xd37C35aBa93EB24Eb95A7D64C3508f415e864dEC8FfEDAd4BEfD873d192805fE", balance: _1e36Str },
-  { privateKey: "0x7C255436a3785ba78FCBfad4F5D49b9C5aDc96D0a34DA4AE879Fe9D72fcAdc4F", balance: _1e36Str },
-  { privateKey: "0x809325745E84a52BEeCf5920b8BF3Ff98F29B2A9ef5F72B7D3feF1f66fc7ED51", balance: _1e36Str },
-  { privateKey: "0xCED115dBC9d424DEa7fa684bA606DEFdF618eAdC40ff62affeABbc176b49A1FE", balance: _1e36Str },
-  { privateKey: "0xa55850D6ab8844d6D64B5daecb9350899d195107e0DaaBfF470c8BfaaF2cfF3a", balance: _1e36Str },
-  { privateKey: "0xE5B0b7AfA8f0d598EdD7DFa1290c9Ea9683b3DC7103C9AFc37B4BAB0f4D82bfb", balance: _1e36Str },
-  { privateKey: "0xfaBDC65325EB8c9F874bA1E6B9BaEc63a2D0E1ECF6b742AF6484fBEEcBC0922e", balance: _1e36Str },
-  { privateKey: "0xC8dDab45a8a2DC25fbC10Be780275e5fECF142abbDADB5FD1f2C89f80bC3C8B2", balance: _1e36Str },
-  { privateKey: "0xf9588Eb75e37f3D94B6Fe66eEe7AD3bCbe254ca3A802e8a4CeDEaBead7Deef0B", balance: _1e36Str },
-  { privateKey: "0xD5A1CFD2d684cA6F8ffbd95cBEBDbE0f7dF7aFd9b4Adc3Cd89Aa4F884E87766f", balance: _1e36Str },
-  { privateKey: "0xe5baeD62c0B6bcEd4bEd38Ea9ff7da0FdAEF1B96AE8aE1BFDbAff9FAaeaECe59", balance: _1e36Str },
-  { privateKey: "0xB5ADAaA2b8A8CfcDCdAe1a1C9B68fbf7DC59718527F422Ef8a22A47edfdefc0f", balance: _1e36Str },
-  { privateKey: "0xA6d530ECb9BfaB65db8f4eB78cf8dA0Ac85C2E19dD18cf9C3aA4F8dc8deE2A2A", balance: _1e36Str },
-  { privateKey: "0x858fbefDFAF3206BbbAEFF6311a04bC4F00e7a8a1f86A9C29BC4f99B3DfCA47B", balance: _1e36Str },
-  { privateKey: "0x3283CcA8E849AeEBa6D07fbCceF06DBFdD6C280bf6ACFe4EcEf8cD6Fe906AEdb", balance: _1e36Str },
-  { privateKey: "0xF19B146b83fD4dc48A7B5f463dCadE3C7027c99F54f05dcA9aE8cbB9Ff7ACc4b", balance: _1e36Str },
-  { privateKey: "0x1A89bcB5cC568e7Fb20d0ABE1dCD520Ac06FAFec6DFbF37BF2eCE7A042a1C8b1", balance: _1e36Str },
-  { privateKey: "0xb29ffFef1A19A6c20be9fDc524E2E3C4Bfbe91Cd5c8a5d54faB830bec9eDb76E", balance: _1e36Str },
-  { privateKey: "0xe7cBa50C7AF2eC5C23EdF60BaD08D4d7d3eF5cA0D632CFaFC6874F0c95BEDe3C", balance: _1e36Str },
-  { privateKey: "0xbEc3Ea7F6652dd0DDA2bF271F982aBCaBcBcD0cF76deD7B2c8508d515D47C20E", balance: _1e36Str },
-  { privateKey: "0x87d2510c6CA006bc5BfDafc1e11e2212cCd98F9D422A4E85c2bF18cfCEA2c9c3", balance: _1e36Str },
-  { privateKey: "0xFBBe285317dA7bDecdd5B935ce761e71CBe19f8B74fbBE598cD0a056bdac0aff", balance: _1e36Str },
-  { privateKey: "0x411D062e5f17f5Ec3e7317CbAdACcBDf0cD1CE6f62A3bf40596CE4132faFc9D8", balance: _1e36Str },
-  { privateKey: "0x8ec7fD8EedaA8b90eeC27Ddc5BFd6696d8Cff53b470ecC51CC0Dcb465a71B13a", balance: _1e36Str },
-  { privateKey: "0xd823D0AaE55f149FCcD564f506792889BdF8a1AA9f7E9bd3b2Bd0A7e1B1AFb6a", balance: _1e36Str },
-  { privateKey: "0x26d94c8fc2cfBEA48cEF0eBfd3cfcDCc770F1467A4fBa51BCD7e7e61250FDD8B", balance: _1e36Str },
-  { privateKey: "0xEc62792fc72B20b8b93d90A69b0565bceab06E90dDD3dEA23d1E9DE2ac39FF62", balance: _1e36Str },
-  { privateKey: "0xd7ccC3d570C74ae2e4F547D07752DbD6EfeD9c8B65c8cB4A3cFcbe492faE25aD", balance: _1e36Str },
-  { privateKey: "0x83C391713Cd7b0e0852bD84CAaDD1aB0B65CC1CF4CfdF6bd97A3008C2BCf59B3", balance: _1e36Str },
-  { privateKey: "0x8E39Ed10E2eafAbc1Faf548F5F8074Ddc0764Cf855f6ae8dEF115DB5bEB96B61", balance: _1e36Str },
-  { privateKey: "0xAD2E2cb68aB1D75BEedEFC47ECE963D1afbBFebd10C4Adf68AEC58dBfBfBCAFA", balance: _1e36Str },
-  { privateKey: "0x5ED318bF8A5Bb4DBD5BE9a47Fd6ec59E97C949a1DBc31BAcbE645F9Cfe4ea07c", balance: _1e36Str },
-  { privateKey: "0xdC30Dd994B8aCbE9F4374186c11EdcD85eebc4dBf4aFFedBBE9Afea2D9496a0C", balance: _1e36Str },
-  { privateKey: "0xd90e2a275F7e9f54F8bEC3EDFaed1A150fdB330475f6CeCe70EEbEA779dd44bA", balance: _1e36Str },
-  { privateKey: "0xA3d0DA6D5Af0fdaa033E1F885BC3dBf62b203a09Fb66CeCDbDbE0AD0Ad6f6F7d", balance: _1e36Str },
-  { privateKey: "0xeCD0A803DCcfA3AaD2cCdfBDd94318bAEbE3e14BBA4F0e770a447B43bB28FEFB", balance: _1e36Str },
-  { privateKey: "0xeBF2fbc9C6FE3Ecd58d1323Fd7Da610deFc5B10b73B585c432430ceA81c047ea", balance: _1e36Str },
-  { privateKey: "0xDb107Eca6ee69b73B4F0fd25FfbEF4d12671d267CBf6CE39cdAbCa68bB92741f", balance: _1e36Str },
-  { privateKey: "0xDf8DBC03A850D8b188CBEc934ffEEE5773A6F97cbcEc43dd6f45BAE437EFFCCd", balance: _1e36Str },
-  { privateKey: "0x92D958ce5F73F0Eca0A89adaC08C36eBac6547c3865545Ab054b16Eb1C0086cc", balance: _1e36Str },
-  { privateKey: "0xF6075f1BCE23B4fdB383c4051CeFBf8e2f9ACBCDf2FDef8Cbf54ff299Ebc05eA", balance: _1e36Str },
-  { privateKey: "0x2A9279DA5925e3b373C5Dd1addAadC86c318b12CdA3ACDF9D31c82FB4729aeeB", balance: _1e36Str },
-  { privateKey: "0xF6A342721bd931a8AeAeae750Ba5EFAffDFeBE4514AcC224fFeb6eEbe15d7CAE", balance: _1e36Str },
-  { privateKey: "0x29c8bB26ff7fFD3bcB884Ef9Dd77Ffa6Ab5F2C71A9c35e2CED3dEe4dcC5009AD", balance: _1e36Str },
-  { privateKey: "0x48f59c8Bc2D672A3Ffa394f5D9C90c65745aACf7Ceb9E32e1c36ED8Ead4af6b6", balance: _1e36Str },
-  { privateKey: "0xeaD4c3d9cFE4CDDd2ffB3aa647D40Fda9bC6d5aBA2F1b07edC89b47d78E34A8d", balance: _1e36Str },
-  { privateKey: "0x6adAdACCFa1cBD18eC5Defc58B0AFe331337CfCCbE1fDd76c2371697df7E243a", balance: _1e36Str },
-  { privateKey: "0xcFE0eB0aFbE7eF2DdA46B7f2fC127AC87C74E4aE3faAFebdDEEE6cC6cABdc2a7", balance: _1e36Str },
-  { privateKey: "0x8C9fe32563d3ed6B34A2Ab06271Bce4F55d42dA1EaC4db9b16ABF6ce71aACC76", balance: _1e36Str },
-  { privateKey: "0xdfDf9fEa42CF1AB0fbBBF52d5305Af1F6aaAf6AfBBCCA4a319ce1F3A908eb9E5", balance: _1e36Str },
-  { privateKey: "0xB6AfbE0eE5daffcF23facCaCcED35d15b3969fAbcD306eD6fABEd5E8eD6C5FBd", balance: _1e36Str },
-  { privateKey: "0x4FBb2FFDD3C3DB5F74E893577bA339cE5A8edbaf571E91adedEC50fa46c56864", balance: _1e36Str },
-  { privateKey: "0xeB417BE7ddeaeFfcF2fcb4F7bebde4FB23994B9F862C863a358fD37Ba929B2F8", balance: _1e36Str },
-  { privateKey: "0xDBA12Db5b29f01ACB45C0b051aD7cFaEb4BFe38abcCf13BA1F3bf2177dC51CFa", balance: _1e36Str },
-  { privateKey: "0x81D77Bb549aac5DfcD4EFFD5FB3Bb69FB48D7CEACc1fBCBc23Bae1DBbab0fdbC", balance: _1e36Str },
-  { privateKey: "0xb9BDdC1F838Eb3bF6B49b8bF32181Cf89D2D120bEB62CcAea9eAFbF4fdB0479F", balance: _1e36Str },
-  { privateKey: "0x02adf4DdCaAEE05D7A297f16FD5aA8dE9dCCE6d1Ff6cadfe4AB8E8d662BbbFAF", balance: _1e36Str },
-  { privateKey: "0x61231fcABe74Bc2faddeabCcad3CbEE5f7D09d9d0b2bDCfca8F9C190BCf8Ef04", balance: _1e36Str },
-  { privateKey: "0x68AeEF50Bb3dAdEf65DB5cE7ca6C049089Bd0267e8A37DFbcF7A683Bab5aA3Cf", balance: _1e36Str },
-  { privateKey: "0xDb941ec68825Ea73Bb4616F322c996b341c7ea06b1E5BA3D7Bd9Feeb4BE91196", balance: _1e36Str },
-  { privateKey: "0xc95FEaB1EbC4CBB2EBcAF92BDC0cBfa6fD0D9d5CdEDceEA71c9854711E3BEeBE", balance: _1e36Str },
-  { privateKey: "0xC3Fbeec5CB369d625ae086BECd0aEa2dB5Abb3Db2abca4df8fb185c43D272D8B", balance: _1e36Str },
-  { privateKey: "0xdFEfF3cA104bFDdB1a43649DbB469beECBb0efb1cc2E48eDEE41c57AeCB98BEa", balance: _1e36Str },
-  { privateKey: "0xeF28ddAB8a4ECA0a698aFA55bbeCa8Fe5Fc7FD5957d5eECa3A0238182f1Fb4dC", balance: _1e36Str },
-  { privateKey: "0x26B13acfBcACDf666530bB48BDe8AfF879F54cDd430fe435F0AE8C3fDEe4999D", balance: _1e36Str },
-  { privateKey: "0xc9648ccDD198f2caFa04Effb3fFa1A3c79dAb43d81BE301929cEDDF510f905Ee", balance: _1e36Str },
-  { privateKey: "0xfdF2fAaE2eBE07A011BACDcEB89326aEFD0c72AD95321aed4Cf00e017ecDA9d7", balance: _1e36Str },
-  { privateKey: "0xA0d8233a10f4Abf8ea141a3b75c8f6Bd31dcd9b385DD4517AE45a0ACAEE304a7", balance: _1e36Str },
-  { privateKey: "0xe7b9E1AdA2f0fdCd13C3beC11dfe7a2e41CCBd6b03a4448b8c46F53bdF29Eda1", balance: _1e36Str },
-  { privateKey: "0xDe341eFF3cd160cf06BF3c70CF958Face0fcCd5Fe0CeFa56a2AC8Fbc0495A26B", balance: _1e36Str },
-  { privateKey: "0xC7BD3DB19c0B8b8108B0dDF72F764A19F1C832Dd146DdcfBDbcdE0D4eB89811f", balance: _1e36Str },
-  { privateKey: "0x6DcA7C0ABeabADD22DE19Ae5a5F0627DF3e4DADa71aFFF7c7D5b60F76C1c56eA", balance: _1e36Str },
-  { privateKey: "0xA5B5eed86Ce56dDde6CCFAFBe64AD9aEA7cb114D5Cd7dc73f0E594D6A84c427f", balance: _1e36Str },
-  { privateKey: "0xDF023E46AA90213afEdcf4E79440ff80aDfFd5A31202baeCeaFcc0f66f8e9C16", balance: _1e36Str },
-  { privateKey: "0x76f2Df2CEA6Efcfa653Cb8db9A86D62c6F1E7007c6b7D3D0AD58c6B2dAfEC566", balance: _1e36Str },
-  { privateKey: "0x935e5Da5dfB39f3D18c3fBf6b76bafbA1b4EedCF382b27cfC95AafFfDC372222", balance: _1e36Str },
-  { privateKey: "0x2D8cFD5F5Efe89e21eD6B58678FDa53eFee92Ccaca1E4Dc792DbeaA378effD5C", balance: _1e36Str },
-  { privateKey: "0xabc2b1524F5b1Adc9c72D3Bb46bdba1D670c19cd9A57Bd6d3afC3d1F10D2F1Ef", balance: _1e36Str },
-  { privateKey: "0xCB2964Ca8f2fDC3A1CA02dEc3bf2Ae7C7d58b7805Aac4F838d148aefd0CEbeaC", balance: _1e36Str },
-  { privateKey: "0x620f7f5735c6d6bEF7d09120DFc96FD17DDB34c8fF8BC289AC55cBA6E5A4AbfD", balance: _1e36Str },
-  { privateKey: "0xEAeCbb75A2a35aAF9e6CE8ab03d66d9edA6471cB9bDd8Eb0F1Fc2F1C08767C17", balance: _1e36Str },
-  { privateKey: "0xEfc47CBaa0f5072cA756841a0C37D86eDA0cFe899bd67bAAE22c4BB70CfF81bd", balance: _1e36Str },
-  { privateKey: "0xE009dBd7233C4628D88A6E16B52566bcB73eecECBeD0Be18a0D4F42A5ce85c31", balance: _1e36Str },
-  { privateKey: "0xa07c6A0dD46bf1aFaf45fE5240EbbE4454aCEB1cde673dA5F5B35Ee8AECEec4B", balance: _1e36Str },
-  { privateKey: "0x13ca21fE6eE4Ac4e7e57EfdcB3e5E07c0f9A8F1d1Ac13d4beb8f1a4eDcFC75A5", balance: _1e36Str },
-  { privateKey: "0xe46f0aB26b6a79E8Ee0a3ECCFdda2e2bd6a1dc0Abc13BF0f125ADBB99B6ED32A", balance: _1e36Str },
-  { privateKey: "0x87CdA8638e872804D4eced78A0F061B476d5d12Fd2b4AE0498d0a625061fC8C1", balance: _1e36Str },
-  { privateKey: "0x8190a31fB8A00Ab8C8c1ff2E8b4995B131D6B8cdc6bCaEBd1eE8ABc4d988e0bD", balance: _1e36Str },
-  { privateKey: "0x635eD420F5e71aa6c4b2Fb1a7B1C43aAefB6e62C444fBFb85Fa61B146Ac7aDB7", balance: _1e36Str },
-  { privateKey: "0xDB5aD0baAff52ADEa9b0eAffEe2e5E6430266f400abACb8e4Fc4B01BcBB53990", balance: _1e36Str },
-  { privateKey: "0x8c4Bacbb40c2CBC12F5C52ae374ACf9242f9FDdDA74DCc7D9BfF9E435ea4b4b7", balance: _1e36Str },
-  { privateKey: "0xA5667ebaB8913048Fd49CE21450a36dFbBAD4b9fbDC8CDf7219c563aE2C776ED", balance: _1e36Str },
-  { privateKey: "0xd520fB1BcFA43F3b3B89CA3D78fe7effC13Dafaa7B631eEE16645cfbEAcC1a3d", balance: _1e36Str },
-  { privateKey: "0xBADb99bA75acA5B7cE4Ea6E043BCCFDCf12ba7eA682b11be6B8304608482ea9C", balance: _1e36Str },
-  { privateKey: "0x82Fefd7771474C22cCb1eA0A7Af04e9Ab8a3C0Cf94788574D172dc42a2Bde8E7", balance: _1e36Str },
-  { privateKey: "0x52DbF8e6265Fe0acDcc4AEF5f12dB5C6FfFFFAad3aC47CaaE352e9d4e0fd59cB", balance: _1e36Str },
-  { privateKey: "0xFfF2BF6C2BdCb0f1880eB376AcFD8d57c4AB416D69eb018470cB5fD1B5DcEE21", balance: _1e36Str },
-  { privateKey: "0xAFa217A623a8F47B9cbf81f0Dbaa0e938DE334BCE3dBEFBad6D53bAfB3Bc27C1", balance: _1e36Str },
-  { privateKey: "0xb9044CafEabC51eAAa4B6db03DDAF1e1A09dd3ADDcBcBD10C51e01ce03E5B28A", balance: _1e36Str },
-  { privateKey: "0xFCF41115B2E84db6f7adB20FDEF285e05faaFaD4C6E64AD64bb431e94C68d76E", balance: _1e36Str },
-  { privateKey: "0xCAeE2E543bDD9CCa1CCae5Bb371BAd0CaEafBdd3C08eCC2139BeBaA056b8dA2b", balance: _1e36Str },
-  { privateKey: "0x5aB04830e3fD0D84e75Fe0D4bCECEA18d0BEC3fEd3FAdCD89e4d3BE8ca0f1c58", balance: _1e36Str },
-  { privateKey: "0x9b4A28b18DCDA7f49C461eBb9A642CFe4285C4cbBE3dbad87d1Ef46FF991aEA3", balance: _1e36Str },
-  { privateKey: "0x47f924F4ffcbDb76551f4d851b5c22Bc6c5Ff7AEfb19F2f8cFEed3bDa0F8B881", balance: _1e36Str },
-  { privateKey: "0x963Ecea4132D30Aa859b4fa2847b37fdE0aCDbdc341DbDbF3dD2878F97BDEe2a", balance: _1e36Str },
-  { privateKey: "0xDd5d66Ba5eB9ed1D54E9A1aBAD9AD9CE95Ca370FA8c6fD3Eec3481fD09e96513", balance: _1e36Str },
-  { privateKey: "0xC5bEDaAb03101Ac6ea191f8cfEAfd35B0A6EBe6e0dB2bC8eA00ddd5b13EC4784", balance: _1e36Str },
-  { privateKey: "0xff80ABeA6bEF940c203cBA75eF32DAf3a86fBebF57DFAc7cfAACCc29aBa5F03f", balance: _1e36Str },
-  { privateKey: "0x2b48c1bA532D2bcFe5cFCFD04FE71C3cAE556CfA0CB46EcffC9bE72C8dF3E089", balance: _1e36Str },
-  { privateKey: "0xdC05D6BFEc3EDf1D90Af5F3C56CCeAEbcF24A1AcAEdd7F56eEeBAf623c0cBDe8", balance: _1e36Str },
-  { privateKey: "0x8DcAd29a5bEB85DAfb47C2dAF47F6EC467cBd60Fc46c8DC9EfbceE704CdB4b7b", balance: _1e36Str },
-  { privateKey: "0xDfCD2d0a0c958eEb0E037cCfaFCCc1Ac8F4eDb834a1db6312F8E794338ff96c8", balance: _1e36Str },
-  { privateKey: "0xFccb7b5c7A4734BdA79cCAd1ff8F8C5edbCf63B1F847A60aAdF2beaE162D741e", balance: _1e36Str },
-  { privateKey: "0x4A099adedeE538fF7EbBB17DCDEb7aE6E578146BB4eFF91CBe0cCB7eB095b3EB", balance: _1e36Str },
-  { privateKey: "0x5FC7c6f0F5A9fbAaa8F7DeB8cCD67E8FdCb6f6eb63aB5A4D7a954FDF88EDdB2b", balance: _1e36Str },
-  { privateKey: "0xc3cE2c20f7aBEe42a87745EC8fc95be7B2D54589f1C0c19BEa22A0D0A7Ad2504", balance: _1e36Str },
-  { privateKey: "0xed7C97003b0bbaE84Dd3b18cE2767dBbcDC8d01D3ab325f6acE1eC005AEA1CCE", balance: _1e36Str },
-  { privateKey: "0x14Ba7a5a5A55dC27808Bb5e3EbE6D033ef3d46E13e4EFE8cf3fa8ba8971C0EB7", balance: _1e36Str },
-  { privateKey: "0xFbd091bed8a7Fae294a63Ea339f77719bB22aed86B1eF8CbeAf11d35FD254efE", balance: _1e36Str },
-  { privateKey: "0x4AAa57f1fDdFbBdaB85bC49ffbDFb664Cb6F6Aa239A25fb1F3eCe6cDD9fA18Bb", balance: _1e36Str },
-  { privateKey: "0xcDBa7abD7b2Ded9DFFaA432C110654EeA5d85De566Ec6285cEEa156fFd47EFFd", balance: _1e36Str },
-  { privateKey: "0xD7081aa15efd8a6b9040F2B7f347fB9bb5521CD6cD2de3475A4ADD627BDB4E2f", balance: _1e36Str },
-  { privateKey: "0xd6acF81d926f9EFfbEE61C25A3dE28Ff9bb9CCEc6956eA2BFBe12a3C1A7ECe90", balance: _1e36Str },
-  { privateKey: "0x8449fA5BCAB9EE44EdE10b30073AAfb7a46a27c9C99Dc1C4D27b63Eb39e23A72", balance: _1e36Str },
-  { privateKey: "0xFAac3fcfEDfDA7f8ef5012C8d1b99EC5E3b3aB99Bf6E2dE20dbDaca213F08F4c", balance: _1e36Str },
-  { privateKey: "0xFdDD2EA9bfC0AC2aAc30a68680e3F10D3C25F43283B2e1DBcB3cCCa1efE5e5AD", balance: _1e36Str },
-  { privateKey: "0xcAcA0A140194d9a9563918B67c5f5f53cBB90F913ECAebF9Cc1A5ba1659edAa0", balance: _1e36Str },
-  { privateKey: "0x9eb24e1beEdBFF67f8676062aBff6f640C1BBEfD2AB9Ce6Dc508742c5de23dDF", balance: _1e36Str },
-  { privateKey: "0xe3d702eBaF9578B71DfF4d11168626bAbe46a215062eff30dF23bc9CCf841A57", balance: _1e36Str },
-  { privateKey: "0x64a67Fc14B6c40a8f3EdAf3C9B08a9bbd1FFBBd1e393FC0109C4AacFc6c48d2d", balance: _1e36Str },
-  { privateKey: "0xD26a8FBB7cc0AF46c4dCCCc637b1274e98F8B4AF07a7640D5c2bB2EaCFaD3ca9", balance: _1e36Str },
-  { privateKey: "0x9f8eB70DC7bDB7CfEe53cADEAE405CDA3830Ade584f7B079Bd86cacB33dcd493", balance: _1e36Str },
-  { privateKey: "0xfCeF8fFB7bf3f7475c50bCcFDbfb34C50dC9C854e2eAfb886Bd8d6Be2E1B3D70", balance: _1e36Str },
-  { privateKey: "0xB2070bfBb3fcb7778787247a2Ef4cc6e3B8E60d05ad4c0dAB0a7Ef4D770e476f", balance: _1e36Str },
-  { privateKey: "0xC3B58E2D70cD6D2ABbA9fcA671e1E9C1Fac82C7Bc87D264f698D98aEAdCaBeB4", balance: _1e36Str },
-  { privateKey: "0xad428589f9067Bcf33997fa626b2E4eBF1fe6F39cAc1CB77DcC553abdcb3f304", balance: _1e36Str },
-  { privateKey: "0x850eC6b80228Fb19dB5DDA1A5D0bbbc1AeF86AE74FE1D5FeD097CaF1F580FcE9", balance: _1e36Str },
-  { privateKey: "0xF11Aab831B47EadA7e9212d4caB8C4c2403Cbf28C689E0a90ba7F9C7BE00ceEd", balance: _1e36Str },
-  { privateKey: "0x2cF1B7e0BcE571E6ec22eeE45C5087aFa262d2FA18dC74E6f6ecdbB3Af3CB4DC", balance: _1e36Str },
-  { privateKey: "0xe5bBfA78FdB7B55EE4CC7bC9629ceA8Ff2919fd562BaDa69fAA42e8CD6EE04AB", balance: _1e36Str },
-  { privateKey: "0x83DF2cbCfc90dC6293A8c81E05c9d5CAa93F5cEBdEEa1FF026f7cdcaEEB3C2DB", balance: _1e36Str },
-  { privateKey: "0xd6BaA18Ecc09356bdbC66d12CEA18630aA7AcAE7E5CA03f6986240D4a9ea94E8", balance: _1e36Str },
-  { privateKey: "0x611fD2925b5246E2EDaaeD5C8bfea3fAc95CbFc3dEcAeF48BA04ad477609dbAa", balance: _1e36Str },
-  { privateKey: "0xc38A74dc73047221A6Cd5ca6Baa776BEffd02EadEaD0Ce4fFcfcfDBa037fc08b", balance: _1e36Str },
-  { privateKey: "0xA1afFCA7CF953E9baaf82cadCAf4318a3fAB4bcFF78Ab5B53C8970acf2259Ba1", balance: _1e36Str },
-  { privateKey: "0x7ebf90FefdCcEEbceaEa39BcC5bab05283467DE48f2Edcd6777D69712C8525Ae", balance: _1e36Str },
-  { privateKey: "0xf82bad12E793F8EFc5FDaCcEA8Ef76C3Fa2fCB0b493eE4dde43ab101eBC41294", balance: _1e36Str },
-  { privateKey: "0x5Bbb8de04c2f11AaFBFca6bed7b9075d1896C7bF2c17bBA8a0cB192099D33cf4", balance: _1e36Str },
-  { privateKey: "0xb6fe94F20d09AFED3bBad24A99daCcfb7E4D8edfBA1B24ED161Ce8B37a185CCc", balance: _1e36Str },
-  { privateKey: "0xFEdB8adf2b0D6FC96bbD27c1f7d5EDcDaa8BDe8a13BEBda29eA7ad368fe0d876", balance: _1e36Str },
-  { privateKey: "0xCc10FD27Efcad40AAF99a2c2Be7F6cCcAe236dfCbF460E95dFdB6b558A9C76af", balance: _1e36Str },
-  { privateKey: "0x1dBA5Eb675BcCc6DFa31b9F85de06C45Bac6C4d70D6e348b3cA2c1f4F70ab3a3", balance: _1e36Str },
-  { privateKey: "0xCD8604ec8dCb4b7335b7d6bD11f2AaD72E571B22cA9C5e0F411c3fB4098bf5d0", balance: _1e36Str },
-  { privateKey: "0x657E6ddeCc81fe6A799CD4DD8dEf804cAaD2Daddf65fc2AB8ccb8D6D9CADba0A", balance: _1e36Str },
-  { privateKey: "0x5B2A1dC96ad0D07eD9555A8d127D203dB228b0e85ccb0EeeCE059D6D3550A2ff", balance: _1e36Str },
-  { privateKey: "0xf0Cc97904e51F669F798cEf0bAFB6F5f6fe9018aF31Cb4624dC59DEf9DBb35F3", balance: _1e36Str },
-  { privateKey: "0xcB5cCAEC7aEf26f4A7aFD606FacAbB0564F395B1BB5F3D515bF47a4E2BFA340A", balance: _1e36Str },
-  { privateKey: "0x6Cf17C2AFa8466145995Dabd3ACbd4DC3BcDC8EB4Ebb54dfBddA00E1CB43CB97", balance: _1e36Str },
-  { privateKey: "0xD1ba29caA17aE0a3E2dFF5Bad21bBeeCAC5729D72F1cB8ac3a387FDB713d5f4b", balance: _1e36Str },
-  { privateKey: "0x435C5A1b8EEf03AB76153f15BEbC3A4858dD4C9f51F4BE655AAEB872ffbbD5C0", balance: _1e36Str },
-  { privateKey: "0xBBC4AEC42F4fB5775249Fee3C2a964AaBcC54aA61DE01febf8DD2b2Ca11Fa7B5", balance: _1e36Str },
-  { privateKey: "0xEc45f87EAF8F4D86Ea9A1a7D54eeaeb7cEe0cc56110A68FF0fF2f9e09D2e7A87", balance: _1e36Str },
-  { privateKey: "0x64ED2D99b7E3ad5aF62eB9e9eA130020128a1E84EcdFaC8BEb06fFbadE8ded0c", balance: _1e36Str },
-  { privateKey: "0xCad9aE5EaA22592ddbb2e9d1D14f07725Adde4FC4FDCbEd5CAB9C33C0aa5efdb", balance: _1e36Str },
-  { privateKey: "0xdb6A58229C79FcbBD64b0C1c79047d18b93843dEA35Faa402deb6BAFd7A0CBcD", balance: _1e36Str },
-  { privateKey: "0xB10D5E2F08ab9ab1Ef75bD944C8fF356BbbC9A121aCa16a4aBc5f9a3d3D52909", balance: _1e36Str },
-  { privateKey: "0x3c3481A9D16AAC4a1FC9De1c45DCB8fc4B3ee1E2dF731486f0F31c7c23de20fF", balance: _1e36Str },
-  { privateKey: "0xFeCFBed08A8B84B0F7F224CBd9c9B58b7e52395aeAbfFdedD5709B3b3a2619E4", balance: _1e36Str },
-  { privateKey: "0xb592011e9eDe1b7Ca0Ef45A4C2AeBCb365Eb9f0a012Dafa7E7825Aa0fe6e6B5A", balance: _1e36Str },
-  { privateKey: "0x9762dA0CF7399bC503D6DDcbba08fd165ffACEDcD825B64E5D73C970Ac0FAd14", balance: _1e36Str },
-  { privateKey: "0xC5a7D3d0bcAab84D4935CD69Dd30DfcAAA4cE89D17DE3aE83fbd725D1D46F0cf", balance: _1e36Str },
-  { privateKey: "0xD3E7eCE08EaDD3c9eaeB8098A4ed80bEB551C85B1FD6350cDdFEbfBDd71Ffc64", balance: _1e36Str },
-  { privateKey: "0x49bdBfBeD3808A80E0bc608333E24ED90AB63131eEa52aBF31308Cb0789c384d", balance: _1e36Str },
-  { privateKey: "0xEfad8cF9cD30f81B95AB92ffabbEF58cdc8f07cDAA09a1e446acfc22aF1bCD8E", balance: _1e36Str },
-  { privateKey: "0xaF1162EDeDa11eDb8Bd14b4bB084C5cf29B0dE6e5a67ccdC1bF3aab08Cf53d2f", balance: _1e36Str },
-  { privateKey: "0x6ac0FcC65dFc5d52efcEbEBFcDfFbd16A3e805C4aB398Cefc9fFF497D73317fa", balance: _1e36Str },
-  { privateKey: "0x43dbbeF32fcaBfCdE5f01e0E53C478D8BA770AbD199A43f3BE50fD150bFfcE9C", balance: _1e36Str },
-  { privateKey: "0x9A19fbC8BfFdCbe3a36BE081BFdDECd1a29A570F6ca52B98D0A0f1A808ABf583", balance: _1e36Str },
-  { privateKey: "0xD12caCec99Bcc7EEe2f62eCaf69EFfEEa832fb1992A9aC6Af615c3EfBF0e50DF", balance: _1e36Str },
-  { privateKey: "0x49A1DA6BD96Ec139BEED48d7Ba5e7B90eA609DBf0eEe8D72D6b747EB1428A507", balance: _1e36Str },
-  { privateKey: "0x8Abb9B51AeeDd2AEd69aA0Ba679e0d96aF4FD32F1F21F6F5Fd9fEdB1B9382b1E", balance: _1e36Str },
-  { privateKey: "0x2CEBBAf8F2Bd3E8A2bf3eA8AF4bf473aAaf0F6e0Ce7becCeeA93BaEADA7ac3a0", balance: _1e36Str },
-  { privateKey: "0x795EEC06f8aE4D5a55c4Bf6C19caa9D239Df95742732Ce8d9f5B2f6EfEB1F6d1", balance: _1e36Str },
-  { privateKey: "0xefD2986dE8ccDbd9a688fEA655eEEaEACee4be19Fc3DA64A5CbF06BeAFcfFddd", balance: _1e36Str },
-  { privateKey: "0xf95CBDaF9ECd36cf2878B87Ac4a5aF13CCdB33e8EcC98ECD5De1fA3aBc8DB8eF", balance: _1e36Str },
-  { privateKey: "0x3EbfaE1ea115E171df9A3E84BFfA86deC2e39FAcEbDdbaFAaDDED6DC34BB849f", balance: _1e36Str },
-  { privateKey: "0xdAeDf41eBB84ab2850d940FF0A6aeBBcf52a11CC1efb491EA7CE043f0Fb6468e", balance: _1e36Str },
-  { privateKey: "0x2AfE2FCcdA9EEEBF48B92cadbb8Ec190DB0d2D70A4aAe02bC42D02d76F525474", balance: _1e36Str },
-  { privateKey: "0xd5E3baa0d22e848C63026DdE3eF4ef4214A5B8EBDcDeB463aEcEeC8Cd6e1EA6b", balance: _1e36Str },
-  { privateKey: "0x15d5Ae1F55bCaf06Bc92dc88E26b0f3Fd0b62fDf0A966144F9a024EE3744C6Be", balance: _1e36Str },
-  { privateKey: "0x478ff7B3BD12ECCa3b5FadfBC1A88AD63c5cAeC92CcEcc5ADc28CDD258c78a0E", balance: _1e36Str },
-  { privateKey: "0xcB87C8399c122D6EA4a67bDE729bfE8c7Fb3a6EAF56ccFEfbeC51E60736Ae4FE", balance: _1e36Str },
-  { privateKey: "0x83e11dCCA8fC676A1D8Aba5DB1E59CDD5136C59EABF1E91A7AFf9cFd0e4Db1af", balance: _1e36Str },
-  { privateKey: "0xE49eA2Cfb1EF0fab3be76c57EBD21C3b01eE6dfE575d6FdD3acD76fbfEdbCe83", balance: _1e36Str },
-  { privateKey: "0x258f98880CE7fd13cbEAf3BF2f36840Dbb1d6A5ddA9e4C253aFccE1eB45Ff8d1", balance: _1e36Str },
-  { privateKey: "0x47fF1870B6ed45a62bac0FC5cCF8Ad5F7f4eFa6cFdF4b79dc94b91BE8BbaB56c", balance: _1e36Str },
-  { privateKey: "0xFE7496cc29dd0Db3867FF3c19a75bEfc97Ab578Be69F45deE928c3eCeA5f32ff", balance: _1e36Str },
-  { privateKey: "0x05BCa0C18c095cA829986BfAf120bff5C6978dCfCd9B2231cA9ccc4299B54ED5", balance: _1e36Str },
-  { privateKey: "0xeFcB5aA2EfB49368d2Ee95D5Ffb811d15B11C2BbFAEFcdE43bc5816A736F8f70", balance: _1e36Str },
-  { privateKey: "0x32Fd03F3f9870EbFA088fC6A9a14D1d7959Ce42E2c63eCA406C6D2fcA3A5844f", balance: _1e36Str },
-  { privateKey: "0xC5a1713dcDfB199DF2b0D1ECEf7A7E423cC118577d5Acf79B6455436b225E675", balance: _1e36Str },
-  { privateKey: "0xF5423CBDba6C5682Eb6C9d54ba74E7bcaF0fC083a5Dc7CAbAa1ADE1fb35ABC4B", balance: _1e36Str },
-  { privateKey: "0xFC5BEaDAC25fb74Da1BC119307F7F3BD6de38D9964f79Ae2670adD00531A50Bc", balance: _1e36Str },
-  { privateKey: "0x6212Fb393D8ca8eDFcaaeDd7BDeC90eD473eDDCBc7811aB8DB5feeEe05d6A4C4", balance: _1e36Str },
-  { privateKey: "0xFe1EF9ca7f6Ddd0E264AcB5E0aaEaAa7199FCfCdA04a03B40EcAae617aEa35Df", balance: _1e36Str },
-  { privateKey: "0x9A30a36dDDD76bf1ed2A3ab65c0E639c1D0be746AE57f3c3BB566c936240A4f5", balance: _1e36Str },
-  { privateKey: "0x3e4Ca98E9d9DDd2dc1fa1C00fe6A7DB4896dfC38cAFb24AC1Ac9D0f4eacc5DE5", balance: _1e36Str },
-  { privateKey: "0xe472e52e3b8C49ACAA8ADceA94Ddd0EFbf1fB9f34DDe6aFC2D18687a35769AEA", balance: _1e36Str },
-  { privateKey: "0x4F3Ec07DA07531ebC1aEA66c3aB9e3AC93FEFd0dA4aDA24Cf8f5Fa4EA61f0c75", balance: _1e36Str },
-  { privateKey: "0x4cb1BDfEF472aB068b9AeDfF08D4d76DDc163cB844d203EB31800FD8a0a3e1c2", balance: _1e36Str },
-  { privateKey: "0x8EdDe0dB5aCbcC0b16b10d28a537A5f2ae2d2aEc30b377a3e10FdaEF541A2cab", balance: _1e36Str },
-  { privateKey: "0xAe7Ec8A6B02da3123f90Ca1bd5407bdefcd80358003edBDa59f5D4E4C1fab7C1", balance: _1e36Str },
-  { privateKey: "0x65837A9aAF3AABC6ff079EbcB0a4D90C17e2abdbe1e895b6Ec095B3CeCF0aBb2", balance: _1e36Str },
-  { privateKey: "0xaCB3182e9001d05A6D0F9fdf9E886B30Abe5053da7Ee1d1CEAcA45fc1Fcc6a2B", balance: _1e36Str },
-  { privateKey: "0xbD59fac8caEA261b406f0C4E978dCFa8945f5063154F2fFaf785a2b76BDaD7cc", balance: _1e36Str },
-  { privateKey: "0xb5CB81BFCA9524F7aeefE1dB26cF06c75A39eDbbBe77acAbb5a11BCBbAC05bb8", balance: _1e36Str },
-  { privateKey: "0xe9c7218B4c26179e47aB408Cf31DE7265Ad47C9A6157b8cB9E1e6e015C4EfbAC", balance: _1e36Str },
-  { privateKey: "0x3B94B4a82BaF0dCbfedAA5d6Ea1F5c00e3e30F08A3a4FD4405EE31A203F63Cef", balance: _1e36Str },
-  { privateKey: "0x0877570EF12BfCe3e43dE6841156AF603Bc3238085E7AEa27F443aB7793bEa0c", balance: _1e36Str },
-  { privateKey: "0x41a0D98aC57bEa4b4F8d0EF16bd0e5E26AE6BDB4cef6149F332EFFFa6057BD55", balance: _1e36Str },
-  { privateKey: "0x893E406840AcBb079Bd5cbBA973EcecBAC8dfcd9F57B372b908c7a17c441122C", balance: _1e36Str },
-  { privateKey: "0xCb7731B1c0fC8B7d06bF573551b9BaDE1dAb5Cb76A3B7fa8bfDEFA529F40Ec9C", balance: _1e36Str },
-  { privateKey: "0x9C0C42bFd3FD592b962EfffaFaAdC3AEF09556eD44FBAA15224dE3ec15aD9fFb", balance: _1e36Str },
-  { privateKey: "0x986392Dd0e725B8F5bE34921E84Ef8aeB0F7c0791CaFE90AB6d1A0ad7132AC77", balance: _1e36Str },
-  { privateKey: "0xB95534c77C91Ea284eEdDeABD6e7c680d8ac1Ec9fc4CBB1f0b5BFB4aAF49f6EC", balance: _1e36Str },
-  { privateKey: "0xAd5cdA003FDaCafE2D7ADdC28Db2b5EC91b03B408Ca4c45C7aEa7FC997B441Cb", balance: _1e36Str },
-  { privateKey: "0xb07a16C47e76E03cA1E86B8f6aDC7e243493aa0c4dBbe5A4eA8B4DA9BEE3b3Af", balance: _1e36Str },
-  { privateKey: "0xce08FB939816bCc6AB3BdBbC4E6c85AB6BAF5d566C11Eb12e10a4B47F55Cff0C", balance: _1e36Str },
-  { privateKey: "0xbbf6228282958282Dc3Ea6CC9CF13EBA5f7974FF87e9501Bb7d1caDDB2E6FaB7", balance: _1e36Str },
-  { privateKey: "0xBCa581EeDF4b90c92eDcc7676873093A3Ef8b7637b7c8D235Ef6eCEECCbAe36B", balance: _1e36Str },
-  { privateKey: "0xAC4d6169d5e8Bba76A9BDfBB9F7eca5A51e6EfAe73Ac1Cb9Fb8aADd0F5EAFB47", balance: _1e36Str },
-  { privateKey: "0x0Eeb6fbe7f9fEb67869CB9F3f033dACc808FDbF6E3Ffd33d19c19667c0aF624a", balance: _1e36Str },
-  { privateKey: "0x07ce1543A9CcaC3aB71cEe48239aB5B0d21DfD90cBdADb7faF3a5bd9dD95CbB4", balance: _1e36Str },
-  { privateKey: "0x02C285e99FCda44a2D02A5046446df65D7Cf50bf7AA01e248efcBE3F7672Bf3D", balance: _1e36Str },
-  { privateKey: "0x8e831AECB96F17A87C21E9DdbfAed0cF2eb9d45E23aE70721ac9Ed2Ed38AdE62", balance: _1e36Str },
-  { privateKey: "0xdcCDB023Fe26BBcaBbea9980eC04ca1D0A5de539eB6Fd0dCC8cE3ccdc96f3Ea2", balance: _1e36Str },
-  { privateKey: "0xaccB5B6fF0c05FCb2DB1da059b1f44eCE8aaaDa0FB8a42d5F8a1bde8f97A8Cf7", balance: _1e36Str },
-  { privateKey: "0xE5c69bDEDa3dCf2dcf690cAC861D5C136E781cAdF921a6Cd7425f9A2a8FCcDc3", balance: _1e36Str },
-  { privateKey: "0xB00b9f98bE2DaCEC5137e479Be444eFEF6CcDb7788cCe03D0bCB7E1db2dEC5FA", balance: _1e36Str },
-  { privateKey: "0xAAe8DEC8Dd2F95B09aC30ecbCCCe4f9bC14424Ee713Ef2eDA7dADCc8AcBFd8aD", balance: _1e36Str },
-  { privateKey: "0xdaEEDAeADa4cbe12CbD3Fe331aA71EAD1aDA1bF60EB498001A83D9ae40Bbccd1", balance: _1e36Str },
-  { privateKey: "0xD5B92f9062c0941EBdDA48a12a0B78d9De536fCa3EdD06dcD9ADF0dbBc0A7c18", balance: _1e36Str },
-  { privateKey: "0xedfeA04C47f477C3F9Dad3Fe2eB689aDDcDa49CC0fbBCE7c294AECD2D55B2787", balance: _1e36Str },
-  { privateKey: "0xb4adE8deC014C6ca5f2De7D26BAaFDf23F22e12DD181439a481Fdcbe7CB7cED1", balance: _1e36Str },
-  { privateKey: "0x04a3B0ec8Bd5C56dc2eF79fAECcCC7bCf4B099fAd24c3dEd76dca4ADba4C5E7D", balance: _1e36Str },
-  { privateKey: "0x95BBD7e609a2E84D1DaDbEca85eBc2dDf4aD9a5f0F531C0acF73DFf70Cf4Dcaa", balance: _1e36Str },
-  { privateKey: "0x2CCfa05787c5eECf3C0FD38F21B7A705d21FB2b87aE58B0065beE0Aa5d7D7ceC", balance: _1e36Str },
-  { privateKey: "0x8AFeC65cD4fA2EAECf91Ac6942164d82f5D8C0dD4fAe5Ea4f3236C6E8f9fdFFb", balance: _1e36Str },
-  { privateKey: "0xDD72dd73A6Fe4BafcC11baD8D1eeA3f1FE3A5ED28faD1f9aDdD263359E56CdFA", balance: _1e36Str },
-  { privateKey: "0xcF4Ff1793f17A37FCEB5e2A3C01CE1880aAb76d10ED0CBefcFe8C013bba17f0A", balance: _1e36Str },
-  { privateKey: "0xB15F1B0880Cb1D1d0F03dB319CcA5Efa464A75CDF1cD0858de5BA9d5Ae528E65", balance: _1e36Str },
-  { privateKey: "0xdCD5Ff3C4bFBF02a8781eCeaFfabAfbF7d33d53FEa6c94B0A2A058E00E28f1CC", balance: _1e36Str },
-  { privateKey: "0x9aeB8f7D488E4d1DE1c9AdC1BaceCbBd5853aa5fEcBaCfDdb7AbD7b4FaE8e0D8", balance: _1e36Str },
-  { privateKey: "0xB1b1522Ee790AC7dCEEbF06020d07dC9233CBBEbCb5B2cf55Fc4D6cdA15eAFb9", balance: _1e36Str },
-  { privateKey: "0xcadaA8420fefC1cd9409CdcF3F07a1147bc49E1baCc4A114ce7EBdf62dc2b22D", balance: _1e36Str },
-  { privateKey: "0x9D5d734fC5dbea297e952bB52B3dd09a2B9bCec5De7dDEeffF57B18dD14EF9C2", balance: _1e36Str },
-  { privateKey: "0xcc0ABa7Ecc3a3557F80fD71Ad0aba8bd8147ED3a6dF0d8EfA74b818fdb5A1dF3", balance: _1e36Str },
-  { privateKey: "0xF56eeC80cd7aAD2F58FdaEb3ADdcfec9295bCA17cd6d31E162f1A3bfcf0fD8af", balance: _1e36Str },
-  { privateKey: "0xF0abc72a065D7aA67eceF7f6be74B38BFDaEd6dCa2a9F8FCac5Ec4567E0fe8E9", balance: _1e36Str },
-  { privateKey: "0xbaECfa197dfC3Ed3F507BAc6e9B60F2b045bbf94aF61b6C8c0e937F8B20c48b3", balance: _1e36Str },
-  { privateKey: "0xcd3F20e8d55BadB3a38C0dBBA812E87FF18981741B978FA36bB0acd1D36ACdf7", balance: _1e36Str },
-  { privateKey: "0xbfbAAa795EE4DD7cf93095D93AfeA278BcA8FA71196324eae5bC6Dc1B7eca2D7", balance: _1e36Str },
-  { privateKey: "0xDe0bAA1befbcBBB6a7575CCCed1C1dda51021A7e2ad9Cf4a8430eBb8F4A9e2f5", balance: _1e36Str },
-  { privateKey: "0xaDfd1e2bD9Cd1c8a7ff77a251d4BEe9Dd895FcC44dA8Cf5fEC38ad589dDA318F", balance: _1e36Str },
-  { privateKey: "0x4a8C6FAf6d67BDbb8cfE7dc5Faa0B1c55E7beB74ac1dd785AcB2b9e8Ae4C5F4d", balance: _1e36Str },
-  { privateKey: "0x02FF2d674e85Fcdc31eC5CECc6aD50dF954BF80c1b0B9bbC7B5a5FabAD5c837A", balance: _1e36Str },
-  { privateKey: "0x6E8c73bfF20abea2abDaEA799CeB862Cd9eb594b50f7FFc905eDdeceAAB916bA", balance: _1e36Str },
-  { privateKey: "0xa6Da0E05705Dfc0d1EBF8bDf2149d89FfE2fec452dBae23DF1a5CE2Cb5ffBcC2", balance: _1e36Str },
-  { privateKey: "0xf70dDfA9F3FF9Ba1b1BfAa5bEef5CBDDFD05faCFe4EDaD64AFADDeeC0d2Cb13E", balance: _1e36Str },
-  { privateKey: "0xCDCDAeD1Fefb7cbdb1dFbA7375258ae6Ade1cB66AeE7Aab49CAaCbae8eBC1caa", balance: _1e36Str },
-  { privateKey: "0x6d3Ba7d4495dC23852C14941fe2eD15EDebb7B013eE29aF3dAeAf8C10854d67c", balance: _1e36Str },
-  { privateKey: "0x5eD030C7F63b247cC3E7AEeadFB2cd93A434fB4Febb8faCaFAC17d73c6d80Bba", balance: _1e36Str },
-  { privateKey: "0xBE03c9dEC5Dd1D7DcDCdCe02DCc79F4fE2b6BAbea89AE2729bCbEdbE648eC3BE", balance: _1e36Str },
-  { privateKey: "0xdE54EAD54a435e2AEf033343e6D71424E5F1df7c571EA25DfC8E19bdbC363E8B", balance: _1e36Str },
-  { privateKey: "0x9deFf90bdd96f62FCDCF7bef37AF6fB6a7CF8FDa83e2096dDEF49fA9aD2DaF0F", balance: _1e36Str },
-  { privateKey: "0xEfEFfcbd049C5fecE4fdd34DaDdfbbbcFBc1ce0AbeB75a1Bee0a3aa4B5F375B2", balance: _1e36Str },
-  { privateKey: "0xeB2C63C51E32eF0CCEe5d8De127F8BcFfFCC74c7b28b1338e7E3C633dd9E75D4", balance: _1e36Str },
-  { privateKey: "0xeb36CbD33eCdFFE59c88ECED1b05cae5e4a9E2a57bcBC0EEA613C9c1baFA3B57", balance: _1e36Str },
-  { privateKey: "0xb437861fa0135F7498ffEE196d4a17dB7578f123C9349B6F23e7aAce7ADE2B77", balance: _1e36Str },
-  { privateKey: "0x539eAbDBe82Bc3B760C26bEff3EDBFc8e3Ad5c7ee7A0E25d4873DDAbDBcE57CE", balance: _1e36Str },
-  { privateKey: "0x0D5DbCe654fbaBD22A33F6d9D4EEAB7D38AD3a393c5d4466b85FC44bcaad9aFf", balance: _1e36Str },
-  { privateKey: "0x5efAD6CA153953AC6B7A9bD70Bfd64807cada5AF28B1a3ef3c4ae0fb857Cd2A8", balance: _1e36Str },
-  { privateKey: "0x57E34a08A8D8c15e78A0fAA49ee2b64b8EF2cF214d7E4d29cFd1B0AffE15EAB7", balance: _1e36Str },
-  { privateKey: "0xF96A3aBff0D46072F5FF5d7bcE87CB6c5baF6FA918bDFe2c62E0Db63C32E2Fb3", balance: _1e36Str },
-  { privateKey: "0xDc23ca3aD420eC99fb86BFcDbfcCdEDa1Ef5dFaBb3cd916575DA3faD2E9fC941", balance: _1e36Str },
-  { privateKey: "0xfFB7fcac543143FAaDF51459F6CFFC004DFE2eaDAcBBd3BceE9b0D96Bfb3599a", balance: _1e36Str },
-  { privateKey: "0xdEBAD6ee9C62e5b3ACc1804cE1B0c476c9DBFA8fBB5ADAab0BCA53cfD7b3DAf5", balance: _1e36Str },
-  { privateKey: "0xdAdC3E0cf4e1D0c4C7fFf2DFDC1F2EFEFADE72FDd1cBB5bB8DDE910C3Addde7a", balance: _1e36Str },
-  { privateKey: "0x2a1ced6C6eef98E64cA4a6Fb9CBcAB6CD8aCfc3Ff4bAceF7D13cC49bFb0B5291", balance: _1e36Str },
-  { privateKey: "0x11A92Ae865ebb683DedEF8a3F1Dc36E6cCa7ab65c01C14Aa90bAEfb0e44CbCE4", balance: _1e36Str },
-  { privateKey: "0xe93cEac824115De4aa7F296De256B9f59D6387E816cf13AFBEa4fFD3F7DdD4DD", balance: _1e36Str },
-  { privateKey: "0x00c420fABc31AFaffF56AE2D7f61f4c084b4dd82b0b4Ce6C738Fe55AEF2c7cD0", balance: _1e36Str },
-  { privateKey: "0x2eDfD942fd8EabCD4Cb1AD2Af7da6F9A6d0Dc9ECE75e96045e0C80Cca2Afd93C", balance: _1e36Str },
-  { privateKey: "0xad6D8e38f5D7b3672E5ec44d58b2cEfEF892Cf9acfCdbC4Ca5a302aEC9B027E2", balance: _1e36Str },
-  { privateKey: "0x96FEa8BA8c087eebd9EeAdDfaDFd7fA8b9FDe16CafBeE2bf1AcD8b0FfD4aEA0B", balance: _1e36Str },
-  { privateKey: "0xB28c67Bde7B82fb2c2fcB2e7FBbdCa2cDef4F76cf7A3Ac68FDecFCcC40350eaA", balance: _1e36Str },
-  { privateKey: "0x343Fc9C1A8aD6D8b555Ab2bf64B53ccae49e32A6b3c2ef18ed1123C206763e65", balance: _1e36Str },
-  { privateKey: "0xE4DB4E5CDd91a7c867fCa7a6bB8BFc556D50182855a26dEae386AcE1D198eC54", balance: _1e36Str },
-  { privateKey: "0x8F6bB7Bf8d1c4969Ce5cC5Cd9cdeCef276E0dEbCb05FaD2aacD433Dc0BA82faA", balance: _1e36Str },
-  { privateKey: "0xCdEbcB927AA80A7D15FebbE4BE72F4bDEc03Bb99aDfDb01217F4d1bB74EAF1a3", balance: _1e36Str },
-  { privateKey: "0xebfdBee6a8448Ebf99C9DAdb631f1C3ba1AdeE0B225011ae7f1A1FBbc8BfA716", balance: _1e36Str },
-  { privateKey: "0xFEeBC77DDB2b2babB5bf43F5CFECedaBbe8d0ffE63C7346FbF7bd17dbDF1aaC1", balance: _1e36Str },
-  { privateKey: "0x71bca70Fedfe8eDBC2b96Cdc94FBC2FaFFF5Ba576C9B99205e6458b1Ca41F862", balance: _1e36Str },
-  { privateKey: "0xA3ac00EB9ce8854C5FDDf4C8Dc7E28eEfad1e6dEFBe3a6eFA48dc16EE5dD5fb5", balance: _1e36Str },
-  { privateKey: "0xdF4dd17A0495c7bFEadcd9EbA921D8EE9c77e00fbea58d4Bd743D654aAbd8f11", balance: _1e36Str },
-  { privateKey: "0xDdEb8Afd1D22C3C8ef1d23004Ab61DFeF02ca9A1EEa3EBbc7625F80EF1ab800e", balance: _1e36Str },
-  { privateKey: "0xBd88E1185e4e686c784d0964E7df0dcd2cE4CfDcE7c3b851C69bCCdcC64e3FEd", balance: _1e36Str },
-  { privateKey: "0x64bC5Ec226b999f43e18E3BBe2d629A2E57ABf01Fe50Bfd7e21046CFFAeCba7B", balance: _1e36Str },
-  { privateKey: "0xb80167d4E6E38e14FCbE823b5cFfC57ef6Ab22ECa4Af5DA1fecea4EA39c7569e", balance: _1e36Str },
-  { privateKey: "0xaD0Ca081Cf3A78dC3dBbDEf04341aFdE11AbfEdAe8Caa5D2adFde545F0B9ec68", balance: _1e36Str },
-  { privateKey: "0x78aadbFBE6C525Ac0B99F4aa8F06D6bd2f6f0aE93F57eee5b8Af09eae79862fa", balance: _1e36Str },
-  { privateKey: "0x05AEdbaC579afa7C0BDEEBd34bD65eB3640A8BCBDDC97Bd706d2aD42F803cdF9", balance: _1e36Str },
-  { privateKey: "0x88cF1e9c4c619d195b150d86Cdb8752fe4DDC6F8732fAEAA3f4CaE0Bb11c26Ed", balance: _1e36Str },
-  { privateKey: "0x113ADA271d7BcE3D2AaF5A8B4CDc5AA4e0be4B5Ca5Bfd5cf40ebaff12ffe2e0a", balance: _1e36Str },
-  { privateKey: "0x335f1B38C6bb4AC7C4cD0C64C4dcA1808f42AF1aBbf7b86383bfe7C4609DA27f", balance: _1e36Str },
-  { privateKey: "0xD4238FffcccA74e77Bd0Cbf3B9C718db7eEFbE4ce56B6698F9e6b74Da2701AaB", balance: _1e36Str },
-  { privateKey: "0x240f0F7a8Ccf2E1aa4dFA7eFe5eeEEC636bB5d93DCc0278EdDF3f736Ebf8EE13", balance: _1e36Str },
-  { privateKey: "0xc3922E04120951CEE7aA3DFcEF4bad5064AA339ADD8fbC0e0Ff6812Ec10Be177", balance: _1e36Str },
-  { privateKey: "0xC3be7ff5A102F9810D9C56FcdceF5a4a852bAFe2A102462dCa91A0e9554e2E6c", balance: _1e36Str },
-  { privateKey: "0xEcCD90CedFa47a78B40b0D1BcE7eDDEcDAeb0C8b77bB7d6A575d2E5aE5afFEa6", balance: _1e36Str },
-  { privateKey: "0xFb3FaE50f3018B8FFa336fd4D6ab4D5BaEc88Af478f172F05fd3f42B2B8Dc663", balance: _1e36Str },
-  { privateKey: "0x4E7BCbDdABBE87d7DFA4FE6Adf7aafC5F4c1B1deD1Cae0C09eA76cEE280F8859", balance: _1e36Str },
-  { privateKey: "0xB91cE6FD3aC86aaed37810cCBff6e268fD9abAADC03ac75aC8eBD9CF3BEBfFb8", balance: _1e36Str },
-  { privateKey: "0x0bBb2F39F6809Db4abdb90FFA2A8D4DcB3cbadd4368D6f50aC0cBa4dc345cBf0", balance: _1e36Str },
-  { privateKey: "0x1A67B8E0961a9E93a8df461Dafe5EE29AF54ecb3c86442fF25642EF6B2CfC27d", balance: _1e36Str },
-  { privateKey: "0x4a4e011fCD1bfDaA5f4fF3f4c97A21fB2916E0AB76AaBbe78e3f08c31A6EcE25", balance: _1e36Str },
-  { privateKey: "0x300aeD3121CCE58ef47aFd9aD0C83Cbd0cDe99D3cDa6dcAa76ee5fADbba25Cb2", balance: _1e36Str },
-  { privateKey: "0x290F9763C01bBeCbe14F7c96F31e8D0aaD0ee9CeF04Ea3Cc8463eAf6A7c2afF6", balance: _1e36Str },
-  { privateKey: "0x4c2E96D6b4C97a1d9AB3Bc0CaedB1fb025B1Bb86cAef39221DDEFD7CbddD37Ac", balance: _1e36Str },
-  { privateKey: "0x61ccEc2cD7c8F8E4eA1aa98Fe620C623A0175e7da8CA627cF49fCd0f9Cb8fEcE", balance: _1e36Str },
-  { privateKey: "0x0940CbE7feFd431DfFC1A03cDFDc331efDF06DFeDD62A65C1E313eaD39f9e9A0", balance: _1e36Str },
-  { privateKey: "0x2b85eCE8bEDaB2db9a60916eeaB4a0Eb746ee904d01f86cCfAE4FF46e7CBc0CF", balance: _1e36Str },
-  { privateKey: "0xaEe4Ad6Cb3aF6ad600ebf0a4dafED8F7d42E708bA72A3cAAAD144cBeB23bEE41", balance: _1e36Str },
-  { privateKey: "0xe3aCDdbD9E8679F021EfaEc4F9BB83BA7c59fd8cFDf98b5AEbF1cA5DCA7E979a", balance: _1e36Str },
-  { privateKey: "0xedbb75AB5D1346A57C89cbD6eFF2dCA0CBd8E543FA3EaaDB403b2b53ac5bAB86", balance: _1e36Str },
-  { privateKey: "0xCf4b1BaACdae3F64774BA0aa1A1be28FFFe80B5cF1deE8BC0B4264FbaB71B57e", balance: _1e36Str },
-  { privateKey: "0xB01C5fefA5c19aE1B80322B0eD0B9719dB6dbc4E1aC1BdE42CAD0AaD5BEfd236", balance: _1e36Str },
-  { privateKey: "0xbbFa04eD7c73D4a1b4b42Ac3D9AB4e6cC28266b7943821Dfdde394D91a80Def2", balance: _1e36Str },
-  { privateKey: "0xeD031535D10eACb029D5Bf62BACEb52Ca1AB5db3d5bf1142d6Bfa3CeaceB0fDa", balance: _1e36Str },
-  { privateKey: "0xf9eD6f4b6265bFA2aF1b2A557CeA4Ae3e2ABFE92AfE4923Ecc69AaC908d4A1D7", balance: _1e36Str },
-  { privateKey: "0xA0f39D649F8dB00a83cEa6c66bD5FaDEe8e50FD9CaBbEb9BaD62625589Cc1A0A", balance: _1e36Str },
-  { privateKey: "0x5CBcF2be1C86814F3E386c62DA45C0F6B2d130c4F892Af85D68A3Eb09FCD6DD5", balance: _1e36Str },
-  { privateKey: "0xcfE1Ac3366A697eebE154D107FC76cCeE96B1BD09A0F2DaFf6b3afABD9acEd3E", balance: _1e36Str },
-  { privateKey: "0xbae045FAEFa834bD8e4EdAECD9bc4961dff4a79241AFE74c9e821CFD0cCd01ae", balance: _1e36Str },
-  { privateKey: "0xb93d6E2F60155bB9E03a3AcFCABa57FA9AF23D721E3c5E6fef67Aaa116Bdb3E5", balance: _1e36Str },
-  { privateKey: "0x5eeba0f13A9F9bb2de5E50C5edd3ec098793F4de8fEb3D41c5d2D8f9eC25e768", balance: _1e36Str },
-  { privateKey: "0xE2feA8fdD8818249b90b72df047696FbDAA4BC905CDb1fC3d144DE934782Eb0e", balance: _1e36Str },
-  { privateKey: "0x8B2CEEbdfBa5ef62276CC3C263A44cd6bb05B62c75cFf9464AbE41Ef18b0BFcc", balance: _1e36Str },
-  { privateKey: "0xD83EcEe10Cf4fb238C99FAEA6eEbc29E393C2d4F8d0F5D7C4a35eD151b8Cf9f5", balance: _1e36Str },
-  { privateKey: "0xdC96CEedbc4ac50449E7Dc8B83179CcEa1fF430aA7fd1601d5618D245758F5Bf", balance: _1e36Str },
-  { privateKey: "0xefdceb50eee1c83c69609E6Ad24be85498fcdA9dCB5ceb1c3Fe8332C6c7fAa8b", balance: _1e36Str },
-  { privateKey: "0x82E42eFEbcb4681E1A33d0Add0F24c369ecd29172fF1AE07325ceaD426dFCD43", balance: _1e36Str },
-  { privateKey: "0xCEc57Fba2FEff13b6205ACD6dE9C3EFBda4b2Cc92BfedfbDeE305Ac02973Ec1F", balance: _1e36Str },
-  { privateKey: "0x85AAed669aAea256Bd0b0BF1B5132B847dbCf6D65Eb4Ff9817ae1Dcd5F3DCB0A", balance: _1e36Str },
-  { privateKey: "0xDC3BCa1dC2bA0DfDC62df181AfDFCb4955d0c6B4eDA0cAAd9B5c8D9717EFc4C7", balance: _1e36Str },
-  { privateKey: "0xf24d3fC62c631Ec8Da12E23fb1Cb4cA5Ee0eE0ab5c018B062CA7fd969D5d3C29", balance: _1e36Str },
-  { privateKey: "0x0Fa1A21FB93e182CE3E0C1694Fffa1d4fEbf9eB64e6BDcd9Ec61468dfBfBf11F", balance: _1e36Str },
-  { privateKey: "0x75eb6FCaedaA965E142fc58dA7Ba2AeEB70eAB743B68362b889cFEBf8A5Bb402", balance: _1e36Str },
-  { privateKey: "0x58f35CFA953EAd63D7A91f9DC02A9E7B705DD9F7f68E871C77D9ae51aE8E947F", balance: _1e36Str },
-  { privateKey: "0x9Bbb5f01AC9dcD8eebA2Cbbe66D5CC0Cc2440793349d0ABfB29FD045cb3a81B0", balance: _1e36Str },
-  { privateKey: "0x65d25e05CE3b59ed30A32bC6c5d3D3582F4afF9Ed8531BB0497CBe03BbcCed04", balance: _1e36Str },
-  { privateKey: "0xA60fF413dDee59CAc3668CDdF43BA139EbF3ce25D339A708Fd1AbfFFD84b5Fa9", balance: _1e36Str },
-  { privateKey: "0x3Dcb34aDFAfb7264C6eFf0CbD6c7f3dAF9697dE5359e14dB3381ba0B5e16fAFF", balance: _1e36Str },
-  { privateKey: "0xc82C8EC3085abC46B9bb11378169CB601BdFaBD268Ae6Da9a004e8267CefAdA7", balance: _1e36Str },
-  { privateKey: "0x9ded4DC3cae050f2F77Ec0aDEdf42CA3DFce2BCBdb90EaE7D3841a21cB2AebEb", balance: _1e36Str },
-  { privateKey: "0xf9fBfb91Fe3F9B3aeEEdFE67fc6E0cBCCa2Bfd55D673B2925BDfE515AdCc552a", balance: _1e36Str },
-  { privateKey: "0x15d4963dCca3c5Ac7dc40b7a93e374232c6fFF4c8DD0938cc18F037F1CCb9aF2", balance: _1e36Str },
-  { privateKey: "0x316F2fd6269aFC40db5eB9Bf73dEaf6DbA2bfF6B57c0c5c337F16676aB4D16Ed", balance: _1e36Str },
-  { privateKey: "0x7BDef99122d2e331a1d62b3B513f7B99C12496d5d91Feab470fBbbe84aCC8b8b", balance: _1e36Str },
-  { privateKey: "0xc4C0F7D1bf6faFE6751e9A925Dbb285474D8741fa7023Da0e7dCBafc3EB2Fb04", balance: _1e36Str },
-  { privateKey: "0xfaBFee6994F798Eb3De97e4e30A7bD74DA2eef3f4013d2e46b3EcBa1Eb5Ad7dE", balance: _1e36Str },
-  { privateKey: "0xad9c9E2a4AD87BE8b238ACC11C9baA07B77f10E4bA2d7b1d107BB8F7e54CbCc9", balance: _1e36Str },
-  { privateKey: "0x6c177Ee68e8f8EAF8aCfDBAc9C8D1aCF5BAe0572e2Be7F6D1C47e69D09643B8A", balance: _1e36Str },
-  { privateKey: "0x13DD4Bb05deCfE86FcA027bee09b6f7a8D0366eBe09E4eF4d282b9b3377FbF6E", balance: _1e36Str },
-  { privateKey: "0x9d7e0Ec0bEC01Cf8aa2d1EC42a77891B41afEb4C71B9e98305cEF3EEdecCCbe6", balance: _1e36Str },
-  { privateKey: "0xeD30F0421Cc601EBe56869dEa0fDd9fEaCf14f8Dcf3F2CdC8C30F975c02cfF0f", balance: _1e36Str },
-  { privateKey: "0xfc523AEcc24EcB3B2Df032Ffdb310eC772Bb7adeDc03dc40fAFCBA2Aa7E3Ed39", balance: _1e36Str },
-  { privateKey: "0xc5Fa20bd3588FFd6B07211413BCecAd4A10a68b9e0ae0b47E309b8f2ACdbFd55", balance: _1e36Str },
-  { privateKey: "0x5f52aa6F0dEFE4a45F1d77BA643F58ac0755F429cd4eF5a2c4e23a836a4fA637", balance: _1e36Str },
-  { privateKey: "0x51fbb84aE10c8d3df2EbeCcA7187afeaec96C5aB4f7ad0E75EfC3f1C35a282e2", balance: _1e36Str },
-  { privateKey: "0xd8eebDe91D1bdd8e7D1740c20aE76378B87f3eBF50F6aF5b2cEBdaEBAF1A0dce", balance: _1e36Str },
-  { privateKey: "0xEDffFf17eBFeFFAB8567CAac5cebC5a7ebaf7E3fE2adfAacAF14CA08aAa40cd4", balance: _1e36Str },
-  { privateKey: "0xCFCC3E3D3DF0740Ea3BC11befD41Cba5AeCE8d28E544D5a6b3f85eb1ee5BcD66", balance: _1e36Str },
-  { privateKey: "0xEccEeaDcccd9A37480e41805f0a638A670FEDF66cD13fdBC9b5d7be8A95d198e", balance: _1e36Str },
-  { privateKey: "0x5713eaf9D14dc06ceBbfebD2B336Efc70B378A2aB4F9ec4e629A95Fae5dDf333", balance: _1e36Str },
-  { privateKey: "0x0e69dD311a1bb5E0A79bC94Ae2eABad7aa4F00F16CBAc8525d8a0e4EeCFD5821", balance: _1e36Str },
-  { privateKey: "0x7EA1dDbB6C24B2260371cEb4AA6ba3E785BE26983Dde0DdDAB96C1F9449e52F8", balance: _1e36Str },
-  { privateKey: "0xf526cB921D860c25aC3362ACEBcDa9D49acbb8F96938DEC65Fb5a8fdeBfeeb4f", balance: _1e36Str },
-  { privateKey: "0xFeefb2febC5813B14C21FDfE0a6AFf14bD75eD304eAbc0cb8ceAE71e94daAFcD", balance: _1e36Str },
-  { privateKey: "0x67Fd85B2dbf1E7bea8Ad223aEABE1Be9bFA5F683E20FfC55A8D6Cdf6fBc0c32D", balance: _1e36Str },
-  { privateKey: "0xfA46E5e445d98d1811fb274B9Df94e6Da9FB42384cFd99a9e5ec2bfA8eF3B66A", balance: _1e36Str },
-  { privateKey: "0xA53fBD12EfF27CF3066e7c7259045766F0ABF6cEAa51DfFdC0A7aB7644676b6A", balance: _1e36Str },
-  { privateKey: "0x6aFBe0E88470e60C599EDD5b1bF91d9ce8058ce14f6DA66e97F468eeF2e60C75", balance: _1e36Str },
-  { privateKey: "0xc551D35ab17a5Dabbe397DabC226b26ba6B7AB92E7D23c6928Ffb28d9Ca78ddB", balance: _1e36Str },
-  { privateKey: "0xEAa44aaDeb75ecD6c9b9EE565eFe204B76bBfAcb4BB192b0F21e1C6Fee69529D", balance: _1e36Str },
-  { privateKey: "0x5bD5fFF9eccAC7737CAF13AAE53860AD03cB47Dc7DCFD4db9fa82863AFfb98D3", balance: _1e36Str },
-  { privateKey: "0x22cDd3dbf85Dae5De249F0D4e2fe2CdD6dc03fb56a89Ec28bBE4dCd6D3c51B0f", balance: _1e36Str },
-  { privateKey: "0x12B55f6b5E3D84BC1F361E3f1DfdF0c126ba28B351054c8AfbF48430bEF94fbD", balance: _1e36Str },
-  { privateKey: "0xf7FF4bE3509F5aBeA0d764Db343dFDd32ABdFEEDCC471c9D81CE6a62FEe1dfc9", balance: _1e36Str },
-  { privateKey: "0xa3E1701fb68ecCEcB6BC3C721b6fF1dDc756180BbAB4FbF13beD088ebe6ceb9D", balance: _1e36Str },
-  { privateKey: "0x9DacDF8AB4d763bEfFcD7AC0c69bC967B1fc4C2Ecf189829E5911bCbACF95EaD", balance: _1e36Str },
-  { privateKey: "0xfD9aE7da5B1c0Ec85c99fb5c84FA0419F96aD0A04BCd900deA1C67B647081d43", balance: _1e36Str },
-  { privateKey: "0x4FE4BBd6225648e51Ab08A942CDe57AdaB25148A408beb7F64FaCAebd3BE9afd", balance: _1e36Str },
-  { privateKey: "0xdd280EF9deAD4D1FcDe31eFCB4A19D68e578e3DDF53Fe9Fa0E059ffb8a4D885C", balance: _1e36Str },
-  { privateKey: "0xf55b09BFCceF7Ad43DfCc3db77B771bf41A2bDbfaD1EBf7d7dF08B3Ec13ED606", balance: _1e36Str },
-  { privateKey: "0x7Aa1CE00F979a53B99C4a4DfcB3e5424A498A68bEF2fEdBBe77bFD1DFE8ad8e2", balance: _1e36Str },
-  { privateKey: "0x360CFfEAE6b95bAbA2D94058a7CB8e05bC21b4aBb4Dd2Ac0a900cf0bF60C8Aec", balance: _1e36Str },
-  { privateKey: "0xa300C85AcCDa0EbEF0E3e3c3f8b4d47D8ab990c7dbF3bFAB9eBCbFd0098fB79b", balance: _1e36Str },
-  { privateKey: "0xB3dEc4e5DB65a3284BaCAfBDE1b9CedD341A6B1C5DBBbfEe82Ca1ac6dBdAa58b", balance: _1e36Str },
-  { privateKey: "0x71bE0A33eBB0C6F6ff7683bfA817DCb33ECEbf9e9dc27fDE80DcF424AF762a35", balance: _1e36Str },
-  { privateKey: "0x5E453Ac8Aa2E1F68F7B40Db0c99D3Efd1FC8a8f64cD4e92f70C5be3FE71FAFCb", balance: _1e36Str },
-  { privateKey: "0x4cBfCcd198a24fD67f49323CAd01Fa8eb26025854f9c685eEFa38cE34573F01D", balance: _1e36Str },
-  { privateKey: "0x3bBcaC3435A5c4b8cDF220771adADcd4E9001248CffAd38baD48aF7970d5cBc8", balance: _1e36Str },
-  { privateKey: "0x5304D476AfB229abc5B262dBcb0fe2FDA4BdadF4FBfb1d1C5CB914BBD0420C86", balance: _1e36Str },
-  { privateKey: "0x381A1c8EEBaFAa47e9919ED41f6fA1f080e52913C69747f8D14eeD3aAB72b6aB", balance: _1e36Str },
-  { privateKey: "0xa8c78E8CeD4b5B72b4863C0ba77ff5C923C5Cabd75a6A1CE492F25FfB1a0ba2b", balance: _1e36Str },
-  { privateKey: "0x847998Ddc85aFACF68EE3bbEDB72D0FaFe62F00Ffc594b2CC2BE7A35D4149bD2", balance: _1e36Str },
-  { privateKey: "0x5B4a2dc7b4f9A4CDAcA01f5bCA5Cba988fC24fD161bD7efBbBCc7edef5EFFeD3", balance: _1e36Str },
-  { privateKey: "0xBF30C0C35BEFf44f882a05D5B2AB1187A5dff7b87Ac3B153D60C91Ea2b4Cca6A", balance: _1e36Str },
-  { privateKey: "0x4F3BAFEa2d1D1C7dbbdad6fFcabF653A5DaAEDD96BAca4bDB4d00c3b0eC7F4fe", balance: _1e36Str },
-  { privateKey: "0xCF6c0AC1fFDc45e8DBcFfB62FcF34C6CbB1c9c76efBa79669a0A5BB6b8daCBcD", balance: _1e36Str },
-  { privateKey: "0xe5192d3E40Eef9e32CaE43d368fa9f7A904Ff4a9d85C0d21CeA985C0dAacE8B0", balance: _1e36Str },
-  { privateKey: "0x4dEAba8FD79DEAf99bedF55e7DFDBcC4FdfecfbfE2DdFde3ffB358BF66ddf1b2", balance: _1e36Str },
-  { privateKey: "0x5D6Ee9B7c214027f306E154664D686CBbf3Ab5f78fbe4D120E90Ae2aC374Fbfb", balance: _1e36Str },
-  { privateKey: "0xfc1Ff408CbADDF4CcAb7DDD228EB0C8081a0fE4b5dE4482F5ad213d46BFDbf58", balance: _1e36Str },
-  { privateKey: "0x0fbf947Af0BEA2Bde98AfcFE64FABdefA7722AdAf1697AcF809AEe0c10d499DB", balance: _1e36Str },
-  { privateKey: "0xCD7aa5Ed190893DDe987c78c3Aa78585D42d0ee218652075c46E843D4acEb67E", balance: _1e36Str },
-  { privateKey: "0xD851A24Ed21bAAB91BEfc23Da36238c4dE111c04D6cF8c0b936F9815Dc961Eee", balance: _1e36Str },
-  { privateKey: "0xB22aee9dCAA25AeC10D7f7e492A4FeFa57EB8d4b720dEBaFfeBE6ffF451F913C", balance: _1e36Str },
-  { privateKey: "0x07f2aF34fE75eF8a0ac3Aa50be66B9ACbeB8AcEe3C5ddb82bbeab5D4f0aa31D6", balance: _1e36Str },
-  { privateKey: "0x9e2C27dBbcba1E8D013ddEA0E763d07cFba9DCc6dAA9EBBBC1bf4A4Fecf530a5", balance: _1e36Str },
-  { privateKey: "0x8F49172dA65Af38FEAb82E368325d5A2f9ceaA9a307640454fCB5Cd713BC3d8E", balance: _1e36Str },
-  { privateKey: "0x9de75dce14Ffd2e287Ad8aEbfe2c61Ae8c7E05C7eA527B730050eA225e8aEDAE", balance: _1e36Str },
-  { privateKey: "0xBAdC1641AEEeaF5830413D5F6A9e0eEBE77Ad07CF277707cACc4Cf27C1a8DBf0", balance: _1e36Str },
-  { privateKey: "0xdA0A11FACffd9e84b6e6A1749BDF44A9a345AB56746eBb96f949F66b5CAE5dcd", balance: _1e36Str },
-  { privateKey: "0x71C0DD9eFBDD0eCc1ebE9c9eDe0EcAaD9eECaeBDd9C29C76CE5FC4e9BEECDF4D", balance: _1e36Str },
-  { privateKey: "0x5aec16f84f0BC4b2a6D3D17475fB1B4a34A8255CaEF9dAA7cc30dca243429fC3", balance: _1e36Str },
-  { privateKey: "0xF486DB8f6B37bd28deDD326a5d210DAA1B535dcCEdEb17eeB1dd8472ba7f72FD", balance: _1e36Str },
-  { privateKey: "0xEDFB25ee763bD1FeCCaE7e29F7fEF5DBbafF9079FA7eaCba37fc9Ef518dBdC09", balance: _1e36Str },
-  { privateKey: "0xC0d7c8B35fD6fB4d628DbAfDf1bD7Aa4DCF72d2D4C9D9882dD0BcDA65E15D1de", balance: _1e36Str },
-  { privateKey: "0x7e61Dd4dB13E3E5b85DD06d6A9fb9d9eD5FDd41e1E92114eBACA0BeE4CEdfC3D", balance: _1e36Str },
-  { privateKey: "0xE15BC7A4d4CD07C2aC7Bc01b450Bf43dB99de1ef7Ad8ADA100BDC3aA844c8c54", balance: _1e36Str },
-  { privateKey: "0xa50f9d8f87bd4B6A71070FbEBf6660794CC803cBE6CebA8ffA8aBFd3A4779909", balance: _1e36Str },
-  { privateKey: "0xaDb034a6Af4CDCAcDF38431eE9b58AE34F680e5BfA6aA6a4ffDBC0bC6fFFF50D", balance: _1e36Str },
-  { privateKey: "0xdFc6Ed8a53faAE4FedF5723CA2E18eF93AE72Bb76B702dD63E7499bE172E348C", balance: _1e36Str },
-  { privateKey: "0xAC616489cb5E71bf3Ad40FC5CfbEbE9eDAB6C507fcDBe1755890C4310be8dfD9", balance: _1e36Str },
-  { privateKey: "0xCEACF0CFdCCC8FffA2cE2B4a046EE0ce0FF9789aeE959d414afE7321d75c2b3f", balance: _1e36Str },
-  { privateKey: "0x95ccD9BaEadfd1C8fbFC2CCbeB4e28DafcA26b1573fbBC585FA8f1c9faC02B76", balance: _1e36Str },
-  { privateKey: "0xb783CbC5fFdEb3ccbA0bE173652f959E5c6f4569e60E6d67161a8f38C5dF79d0", balance: _1e36Str },
-  { privateKey: "0x9c1F38DE9dCc0f34e60CeA9Cb4D992f176Cf0bDB18dE003df25D0aBbf38887D0", balance: _1e36Str },
-  { privateKey: "0x4AaB2dbE112CEc2Eed109DCe3d6EdCb3Da47Bf9C6E2880e09Cb9430baD5beB0c", balance: _1e36Str },
-  { privateKey: "0xec2FdEe3DFE78E6d9aa8FCBEAF3DBf82cc4C7BaBb1Dfda7b5208FEea6b8F038e", balance: _1e36Str },
-  { privateKey: "0x362fFEC3eEBfFAA78c81523e12c1eaCbF2F2E56B9Bff574f3440f44bb86BF23c", balance: _1e36Str },
-  { privateKey: "0x1c7EEBD1A7B3DBde93dD6E1292a70BB7532e5feE48b48b0E1239b9cEBf1b2f04", balance: _1e36Str },
-  { privateKey: "0xAEEb0b58AF1e4ABddCB08Ee8988baFe5Cc4efD74D1fafCC3F016F127fCcD38f1", balance: _1e36Str },
-  { privateKey: "0xFC45e0a8Ee248eCa2B4B4EF2443E46B5Deb8f42D51eF0f614bc0eD06ffEaf59f", balance: _1e36Str },
-  { privateKey: "0x3FC30Fe223AcF399f875d0a9E5775E81C7660EDAc9F12ce73B4A5B9b59CAa71E", balance: _1e36Str },
-  { privateKey: "0x6cfFE8d0b2B4fC44AB3ac8Bedb0eeCaC7D2c8ab7bC82BeD0E513B5963FaDCfDD", balance: _1e36Str },
-  { privateKey: "0x1141Da15ccB571bfcB1B036feCA1a4Dd8BdCEb488AD0ED41e970bbFBDddA85b7", balance: _1e36Str },
-  { privateKey: "0xF8eA6A0AA6553eEEa0Aa8d5dbC25Fc76ebb89d403EC849DEAAA7C3e8B18F9F3E", balance: _1e36Str },
-  { privateKey: "0xE8ae7fbcD7C4A82Cc99aAcA6D2E8A40a1dDa8Bc24CDfA40d8dA2D497F2afE4ab", balance: _1e36Str },
-  { privateKey: "0xfC5f4561C3FE1AAA57AE3b9fBCaAAEe7ADDEf18Eb91A43fda59a71562c09DDe8", balance: _1e36Str },
-  { privateKey: "0x0DF3aAc9bFf3a00AFe1c42dD14CccdC5b0CCE096C7c3cb1C75df92e521D67bbd", balance: _1e36Str },
-  { privateKey: "0xE52E8Bfff63164e08CCEbC5DBFbeebc53AEF3Abbc68bCbbF3D8F975cBfeb3fFB", balance: _1e36Str },
-  { privateKey: "0x38BeD53eD51c6ACcDA1E7bb29D6C7bFda1b5Ae0Ecd2Cb64049e0cAc4f4e2cCed", balance: _1e36Str },
-  { privateKey: "0xA7042EDD74a1A7B50eFcc0A7E24BdeB3b3f6209ddBE2A8c13E6Fe4Bd3556Fed9", balance: _1e36Str },
-  { privateKey: "0xFCdef0bc0F9FDb3fBaE3eED418cAAC9cf952bC7cf683Ff85C12DDFaBA2909D65", balance: _1e36Str },
-  { privateKey: "0x77e1bB2694BFdcdcFb9b7892E2D8C8d024B36fcbCB8Af3751BBEaf18e586ab57", balance: _1e36Str },
-  { privateKey: "0x0D9f2ef8bEdCfeecEB7B8FaeFCeEc01e4a94aEb4b9a5FacE4B5DC6B33aCbEb66", balance: _1e36Str },
-  { privateKey: "0xa4f76eCd7Cd3FDf80cA38A7E3bAa546842EF3589DFA73c4e7aD0aB3157DACDbF", balance: _1e36Str },
-  { privateKey: "0xb4EfcCf5846EA5d1aDfCb91FE65a16c8AD77eca4D76f156012D628fF663AAdfd", balance: _1e36Str },
-  { privateKey: "0xc51D482aceFA5Bc852004f41eEcF7de8cDF19136DEF8dBaDe254cbaBC5EBfB5e", balance: _1e36Str },
-  { privateKey: "0x0117FD1e4b504AeCDEE8A5E5d067DAEAdD57D9Bd2CF0b9FBfaAAA9AEF56fdc3e", balance: _1e36Str },
-  { privateKey: "0x37632ef7eBf4b853Eae97da9ddDeA5CD314CE7D6f80bf0A6EF6da115e846DC41", balance: _1e36Str },
-  { privateKey: "0xFb1a35e2758Fc3D9Fa5B7B9a7cEc89D2a77c66EaACD159CeAb3Ef9106892b84A", balance: _1e36Str },
-  { privateKey: "0x790787ABF562266ccf766aF01bD2A2dA9d89D45023A9Cccf62bb88a53CBCA6e7", balance: _1e36Str },
-  { privateKey: "0xFDBDfE26a0152FA0ECEA4EddFd5C0b995ca7aBDbE4c4c87ffcAFDB0610a8e361", balance: _1e36Str },
-  { privateKey: "0xc8bcD70c04DBE5d2dBB22ef6afF59b2D39d7cb170f0ff18be6a5cBFdDa1DDB04", balance: _1e36Str },
-  { privateKey: "0x64C9E95E2efdb216C70255b80bb341cAD2b3FaBFF9EC46D3a8BF5b2CDCFd773C", balance: _1e36Str },
-  { privateKey: "0xfDbBE1567F4AC280D7dF328087C50bC25E5A1f6E1B397Da9BcCbF4DFE3aBf7da", balance: _1e36Str },
-  { privateKey: "0xDE72c31ddBd3c4dB2eaAD2E7fC0616d3CB0c4b7F6cBEdE61dfBCAeF9153166Ac", balance: _1e36Str },
-  { privateKey: "0x7cfAD4eDbAC3FE9DFb04F0A3E9a0dD99A3323dbe77E9e22aa2BaceCBF67fbe60", balance: _1e36Str },
-  { privateKey: "0xffC11d3081abDef79F486fbCd6CbECa2cBbc2aA2Ddb765faAEA84A6cbEbc9eDF", balance: _1e36Str },
-  { privateKey: "0xC8dE6fF874D8C9900b4474baAF99b774545cE7Fa55D5cEd5085ff27bbB372cd3", balance: _1e36Str },
-  { privateKey: "0x25Ee75C172d0701bB5a076b8AcfA078A8B0f8fd2cEC3a6298A4eD62c8F8e6e4B", balance: _1e36Str },
-  { privateKey: "0xED80ad9e82Ba12f1b727aec0E1E6Ccd8C917eFC122f78ef682531a6Aa51b84C8", balance: _1e36Str },
-  { privateKey: "0x7fdB92e7eA164F8Ca9f4c5225Fa5F721Ca97DADC6722a4e0Be69F59F72E4406d", balance: _1e36Str },
-  { privateKey: "0xc35328ddB8CaCEcA33435c17931c1e43a0FD3eF9EdcCdf6EDe8e9A644F27b4CA", balance: _1e36Str },
-  { privateKey: "0x0b04baCCD0bd8D68aBDD0fFe86c33ace070A32ceE305D56c68D20B4dDBb97f0b", balance: _1e36Str },
-  { privateKey: "0xa2B90e1DdB40BAeae18cada7CDcAD4a8dCF1FdAb02fB0C7216A3A942b36A86FF", balance: _1e36Str },
-  { privateKey: "0xE4F62eBfbd48Af31Bb2cFfED2f6aDddbCEfE87C1DbC4c63Ded1F3E8a63a04331", balance: _1e36Str },
-  { privateKey: "0x3a9E54733E09a8bFAB3f4ba6bbCba20EE2feC9CC3d9C5e7fCBc87bb9eEFf97Be", balance: _1e36Str },
-  { privateKey: "0x4ef1a8934c1bBf33f7FE4C8cA9ec4aF94aEE14D859E89D5eea74c504D3cF8d8F", balance: _1e36Str },
-  { privateKey: "0x7b93B4EcA077fC5800f687b1fACCA6639c9ACbe7DFbD06a3D1Df8A398d880dAe", balance: _1e36Str },
-  { privateKey: "0x8d670FE6d77b49ACF6891A3FdbB3d5C602CDBbaa2f3dCB8FE22bdDd3beaf4164", balance: _1e36Str },
-  { privateKey: "0x360259E9b1FdFF304c02F737BFC8bfdEACF1D81dc6FFce8cd466FEe1dbb06404", balance: _1e36Str },
-  { privateKey: "0x88e70eBCca012CA3cCb742E64CdEDBDAd4af1f0b4ab74880402a7D9fd3afDf83", balance: _1e36Str },
-  { privateKey: "0x9A346ce2bAe43cDC0adffe850CEfc8b475599feC9308b51D98dDe01dEEdcD6e0", balance: _1e36Str },
-  { privateKey: "0x4B83CFBf5BEEf4c606FaE8159eDD8Ea40B9bFC9AB4c2689b9ABb5AB288C2b914", balance: _1e36Str },
-  { privateKey: "0xbdc41e9A1E6EbAC6E3aa3C308Ee64A8F4BBFe2Ad7CB0dbE2759fD7b07CdD65A2", balance: _1e36Str },
-  { privateKey: "0xcEB70dA0A7E2fd8fF89B0a4fD0ae43DC31dd071A966d56f97dddeb2DEcF2CDa1", balance: _1e36Str },
-  { privateKey: "0xbAc7edc59bFCb445BEd1Da8Fe114e4cbfBC8A4eE0F88EEA3119C77e7df582Ff6", balance: _1e36Str },
-  { privateKey: "0xdda27647F49dCbCB5539EAf062edE7d4336c19bBC7d8CABEE57c608A601B38dB", balance: _1e36Str },
-  { privateKey: "0xa6C7de9Eb7CC24c932e74bD1e60cb73dA4bC1BcBaDb04F1bC994762bBccF79A6", balance: _1e36Str },
-  { privateKey: "0xF983Dea7f9ffbdB56FBB5bE6CcF2F5f78D19F6e06E3DeEa6CBce179dF466B491", balance: _1e36Str },
-  { privateKey: "0x53f3f52Ab93a905133Ff9DEBa5A9bf924FFca4a2dCdcf5A7ccb1dB9565a778bA", balance: _1e36Str },
-  { privateKey: "0x760c6D438B5d8Cf8eF7a1eDEc6495AD1E08c5EE92f5d40beD0DEA1A1a03AC10b", balance: _1e36Str },
-  { privateKey: "0x8134EBec6C55C4ddf2B43E6eEe077b75fA1Cc5f1A8067CacfEc2e5bc9D515FfD", balance: _1e36Str },
-  { privateKey: "0xbaBCDB7eB36Cb45f8Bec0cf3E7CCe17AD93CdACDBb6edd75Bbb1C2cdad40f35f", balance: _1e36Str },
-  { privateKey: "0xC5bbBEB98bF5A71aBCB3acab7Ed3dFe9B7EA6DE3E2BE3235d1040EB0B3123cB9", balance: _1e36Str },
-  { privateKey: "0x9aEB8E9250dcAADc10D2C5b7CEF28bFB35071DceeE7fb188BF1Bab056f63f541", balance: _1e36Str },
-  { privateKey: "0x5055bD0b3104AAB674ecE2b93F9FdDcC784fF8AA2f0A55Ee5Fb9a9Ebcada99fB", balance: _1e36Str },
-  { privateKey: "0xAbFfEC11fac0cFEdEBA51F747FD88Ee62f8A4bFe7bCaA3fD497C9b837e4ad1Aa", balance: _1e36Str },
-  { privateKey: "0xf6cEBb8aCBF3FD9f3667B9aead92Fccbb15BaeE87a72F0FECd0a7C20a06ED11E", balance: _1e36Str },
-  { privateKey: "0x47ae2bDF44Ca0D93f5dF31EA0295d3ea6063f4EEbCD8DEBABbB774AdEF96a6A6", balance: _1e36Str },
-  { privateKey: "0xbEdc94dFFAA93AaEeF6AcC5dF5F4ccA82A7Ec5aE1bAfB1c58aDFb12fc95BDA08", balance: _1e36Str },
-  { privateKey: "0xAacd1B9658f1b0afaD72065c71dAfDfEA79745C8CdD7e26Ef9BeBe6D7dB82E0b", balance: _1e36Str },
-  { privateKey: "0xFCEB8B83D1a93CB8bcc3fDaEfFf3AD0c24e6F94dfe2B1CF78F33BDD3f887C132", balance: _1e36Str },
-  { privateKey: "0xa6BD72DDf5380e4b4953eE4d043CEE3975383E7dF60AE643f9627ce56695e3A1", balance: _1e36Str },
-  { privateKey: "0xB1EbAca4Ba4c4Ca75dEfD2b4aac124071bC4aAC6286AcF4E0A2502BfD1A50e1f", balance: _1e36Str },
-  { privateKey: "0xf713C1Bf9b4a5445e5a9a204cd7d001eF7ACa4821C9E6eDeb9e400E0FDdD28d8", balance: _1e36Str },
-  { privateKey: "0xF332226eD87251B4E2DEd35BF60F7fA2ebFacE23AFBff7F597eA3361CAFeFB50", balance: _1e36Str },
-  { privateKey: "0x7E10DEc7EADe42aB56e71f8ccaF7DEBe61A50C24026B23f20e3D93b5F8D5499e", balance: _1e36Str },
-  { privateKey: "0xB0F71066eDB5ECf26EE668237eC49F4B7A941de5f9bd752F3E91ff4DEDDaDA8a", balance: _1e36Str },
-  { privateKey: "0x4C4B4e674A591e2EAa123Ec9DDbcfB06E48c0CeaC66fAF64E8BbBA78E453C8ba", balance: _1e36Str },
-  { privateKey: "0x7c5C7e8FBb20b5d57182DFD2eAA53dB3591Cad8Db1c8920e353E2D5EACa3c553", balance: _1e36Str },
-  { privateKey: "0xA0F3Bc7fCeABe3a7CCa3ec6EA37bE1a1C368Ab19579B4A071F2c5c82E5abf1aB", balance: _1e36Str },
-  { privateKey: "0x722ddFefFcc5F2FE1403F1DccDe50dfA5F3fE16c7325d79877c6a128cE3E7f87", balance: _1e36Str },
-  { privateKey: "0xEA10Bb5B2Cd8dfEb419bAFD4c79C09DFD99FfE6a9c624FA6FcB6d68cdacfB7Ed", balance: _1e36Str },
-  { privateKey: "0xBbc5ec5a8Efa99FC95b6e221543827FF5dA6ADcF32EF8af1eb2CfD1fd66992dA", balance: _1e36Str },
-  { privateKey: "0xA8dD6690ec20CEA254C1eC1BA6Aea3fbeDfEEFEd6Ecb6a881Ddc37d3ED2EAF8e", balance: _1e36Str },
-  { privateKey: "0xb83a18baBaAD74c1Df4bBA435A75dCcA724De3AcA6DD4a0506FBEafcA91cdbFc", balance: _1e36Str },
-  { privateKey: "0x51656e0CFe8fEfeA8D4AacbF99f7dCCbF4e0FDD2c6BCa9dCce579c0b2fBbcAcC", balance: _1e36Str },
-  { privateKey: "0xe45a46745F2EB9F03D9DF6a13CE8DED8aEdfd6d8Be652BE0cdbD840F19dd6804", balance: _1e36Str },
-  { privateKey: "0x1BCD6E3d0479AAe3dA99e05b74a336add6aC8fcF93567c11AE57aAb392FFE0d3", balance: _1e36Str },
-  { privateKey: "0x41d5F5C0dE5c8ACF5E323AD8cfA2910fd9EA6fFfF7db64cfAc2caed19FECFEFF", balance: _1e36Str },
-  { privateKey: "0xA8aB14D7d3A65fe2b9b8F1F72c08f2D8ecCd6Cdf44bACD0abEeDC1fFeb7B0A3A", balance: _1e36Str },
-  { privateKey: "0x3dFCc3b02c494Ade3b0DA5D93CBbBFC4DCE4A2CBC2EEAe101Bc0e1EAF8baC8f5", balance: _1e36Str },
-  { privateKey: "0x71ebe2FaEE0AFCde26E9A2C5b6936dfD7aF371cf2672BDbeaAfe6079ca5D1F6a", balance: _1e36Str },
-  { privateKey: "0x7F0e9b58Ff6fe6aAeF2Af8aDECDBe3A6EbE0bDacA320cfe223fe812e16b4B4e5", balance: _1e36Str },
-  { privateKey: "0x20F385e9D63d673dDa61aDacd81f180C4F0bCa228cACb5fED81476faAAaafeca", balance: _1e36Str },
-  { privateKey: "0x7a24Cee8a184efD6C0BA5425da629B3ccb25C7CC9fC309A9bDfa7ff1C09F98bc", balance: _1e36Str },
-  { privateKey: "0xC7A100eF0acCfdbca6C7A3fD0A4BBdFEc07A89e060bCB3FDcDAAdDC8dcd808D8", balance: _1e36Str },
-  { privateKey: "0x0daF0e1C5c3CdeF967681AC7F2d5EF2Cc392b8A7b854dbc43180e1C9575FAB5a", balance: _1e36Str },
-  { privateKey: "0x5f8eCaf23e83E2cCeF9e4c4a3fbeF6Fdaf0d93A3C7B8bcFbBFB53643c8e5fcf8", balance: _1e36Str },
-  { privateKey: "0xaa3aCd68e0A1F0D1EDAd4A04dB88dfbAAd9E4813d0b59cA0bdACbfc74A1Ef73c", balance: _1e36Str },
-  { privateKey: "0x579F5eF50E2ffE41c1F2EF8E0D6DaBCC4a11a6B6CCe7cB5c88C37AA3Ad05036f", balance: _1e36Str },
-  { privateKey: "0xd4cAf9f374eED0D383AC52d45DC4dFCf94dfa7ADADab1382883075E45aeACcD3", balance: _1e36Str },
-  { privateKey: "0xAFfdD281e82cDce3cB97C74c36dF7FBe7219BB4d7982B667bdC9CB8Eae7dAbAF", balance: _1e36Str },
-  { privateKey: "0xbc6ff23B20bd7eD4eD3704dCBa96a1b4ECF2Cde3d32d384bB132C3aEEef197ec", balance: _1e36Str },
-  { privateKey: "0x1DD30db5F82Bd05F0Dc42117E1fbDA73965352dfBdfFBCa1Ca9F4CA4ABF09Afe", balance: _1e36Str },
-  { privateKey: "0x2Dc7bfB5f0D24f7abb3C908efb21e60bfd9BBC13bAdeFAAFEB4FbBF8FAb80A3a", balance: _1e36Str },
-  { privateKey: "0x0EAD4bB5f8C9e005dABe5BAa2CCd1DfF25c5D307DecB1F3F1cabeB79eFf77b27", balance: _1e36Str },
-  { privateKey: "0xab8083915ce11D1Fa61e6fe29b3fc8D76Afb88FfCEa4BFCBa3AEb0978cEFfAef", balance: _1e36Str },
-  { privateKey: "0xAdE83c02854bD99B1BA405b32a029Bcd28E932Bc3cDaBdBD97E6667b7DbB771d", balance: _1e36Str },
-  { privateKey: "0x2A7DA2F623A7874971dbA6DAeddEFca9DEc496CBDC38e4D162cD6CEd98d7d4Af", balance: _1e36Str },
-  { privateKey: "0xB179D6Dc4EFeAE071206eb0ea8cEaE1E590E57Dbcb517a1CB30AE81e4f5fBD9e", balance: _1e36Str },
-  { privateKey: "0x165D41E3fed53e016eFEC41cDc0E2AbDf494C3d3d25cf0EFCea9cA2Ef725B10c", balance: _1e36Str },
-  { privateKey: "0xb7ECAb70fd1106eE488DcB4605A8D7CeF0c81b1eBFB4DF1cD0cA92ffEF7Cdb12", balance: _1e36Str },
-  { privateKey: "0xdaAEA38aDD26DDaCBf286c5de2A8F4BA1c8ac9a3Ff3D7c1e4aa7C39Ed5d419b3", balance: _1e36Str },
-  { privateKey: "0xa5F3dfCad0e94dDDd3F85aEdfcCABaa1dcD5EECBEf53810Ebe81ca62D9FEb7a1", balance: _1e36Str },
-  { privateKey: "0xDD3D7EE4b3Ec894FB136a6bDAFAab17aeDfDB831DB402B7aC18Ae75EAb3FD5Cd", balance: _1e36Str },
-  { privateKey: "0x61Bddd6617fd7fB6Ac00bDd53cFF20e4FefE788a0484bfc43b5Bf68CCcbcC1A7", balance: _1e36Str },
-  { privateKey: "0x314cB5df8aFc22dB14fDA523d8CE9DB9Dfbc1F47741550F1CbC93eeDAc51c98b", balance: _1e36Str },
-  { privateKey: "0xefc1c960FDd6b932184aE8e5289dECa8fe4daBdD7a37EFf3Cc7Fc6B325b18C73", balance: _1e36Str },
-  { privateKey: "0x2d32fce95ACaCbd5D828E1ed7d4C8A3972FBe44EdEEFf6543b6Eb4E17F6b707F", balance: _1e36Str },
-  { privateKey: "0xAAC27ef0cFce20eCdEdBF36FC68BcBeFD173a7fCCa2b8bB1f6fCF523E2E4C013", balance: _1e36Str },
-  { privateKey: "0x2C58cED806BebcA8545b5C82D3c83EBc2dbBAC09Bd05Ca2c161bBa23afEFcFD5", balance: _1e36Str },
-  { privateKey: "0x6dFAAc5Ecf7A75dE0cF641ffFBEEcedD0B0Ef1e92aFA0b27EaEaE09ecE6aFfEf", balance: _1e36Str },
-  { privateKey: "0xaE68Db045b0AEA45c479eb5748398E9C9c4caf46E35Be3DbaF7D704e6DaD2de6", balance: _1e36Str },
-  { privateKey: "0xA99E6E06Db7c24870b6Cde3A0e7ae9a549Ff3aA1EFCDa67B8dD10DC2fAefdc4e", balance: _1e36Str },
-  { privateKey: "0xA2d88f9fFbd9F28E40feE9A0495fe7feD1Fc5e94Aef2EC8EFb4EC8fEdff1C9d8", balance: _1e36Str },
-  { privateKey: "0xFbd04C0A1b9e9BcD30DCf3e7EBf8ee069dEC6DDa3B8F53DAa0D20AB7CfdFAaEf", balance: _1e36Str },
-  { privateKey: "0xbeb56d2C10afe6eFd72Ce9DB0Fd3C6cB7Faac7d8bd3A9f5AEBA1ECF5eAB25946", balance: _1e36Str },
-  { privateKey: "0x9d7A1b51d76E7deC1c5B399E24edadf22af8DaCbc979E96b3dB7c2AaBdC6eC97", balance: _1e36Str },
-  { privateKey: "0x4a5De1a09038Eb0FBd2eBBDCAef58C1fd9B75bbFfbDaCC583027Db471B19A4E9", balance: _1e36Str },
-  { privateKey: "0xc118Ab3C4E4A06A42A69cb9bfBaa5B46dc255Ac83EFeED7Ed1A320AB49293D0e", balance: _1e36Str },
-  { privateKey: "0x706AD6CF0c307c7ef4A73b8D7dcA21F25bCcedcb5f4CFAFbCFc3C7C89F02aF34", balance: _1e36Str },
-  { privateKey: "0x3a6830dE5DD77b1CA96bFB22dE6d44B5bfbE328Db7A9e49A972a2FF95FEBEA09", balance: _1e36Str },
-  { privateKey: "0xC90da3CbAc8B72CCE8c93065D2AEcD1adFa36Fa7C19f7D4CDC6adcE3c8EA706D", balance: _1e36Str },
-  { privateKey: "0x40DB6C8B26ABe35153FCaDCd5FdF3eC5b6CA2bfabBcE85C4c7b63F6cea7Cad4C", balance: _1e36Str },
-  { privateKey: "0xcC4BEC1Be799561786bC2dcDCFDbeD1bECdBADbB7dfdFc029E1d9A4DABC0dbEb", balance: _1e36Str },
-  { privateKey: "0xacCaBe2b8b262aED34cD47B8d478eb3aadE3aF0a88C780E22a8Bc1B4CF909FF2", balance: _1e36Str },
-  { privateKey: "0xbfDddd91BE4a2cE3f87B7EF50Eb0F6f404e7A4898d2875dcdFbDFBc4d854Df2E", balance: _1e36Str },
-  { privateKey: "0xcD15CF93A8ABe2A00E7397a2874fb94bfcc2D4e2bdDACAFCbf7D3eC7F2210Cd9", balance: _1e36Str },
-  { privateKey: "0xB30F4eaf5cC0c59AE0f101c5ECF24A5b85BC88Cfb6B8E8fb3Acc9AAa94dAe99C", balance: _1e36Str },
-  { privateKey: "0xE8321F9566EEa282B7f507E96EfD1dC5ca2FfbAacdE3dFa601DFF20E1CF5DfB1", balance: _1e36Str },
-  { privateKey: "0xdB7EFec0D8D5B3Bbb1FB4fb0bFBd0D58b80FbcdFa190ccB1FC7dfb8a94AacDb7", balance: _1e36Str },
-  { privateKey: "0x01DFa03679b446FDD1f28Dc3c7e7EA37D59EaeBC4eeBae91fCd8d6eCaF8FbEec", balance: _1e36Str },
-  { privateKey: "0x67fe2A0c6290783f2F4717fbe0CF72aC7c3005aA8cBfAff0E7468F1D0Fa16D1d", balance: _1e36Str },
-  { privateKey: "0xA3C9292475ae245Baf25Ea8A355CF2DCb0feB787f8c7f9dE0933FD342b9aF2da", balance: _1e36Str },
-  { privateKey: "0xfAcad3cbD1e0c4F08914b2DAec072f1520eda4DcEb1ACdD4177AE40334aE3BCC", balance: _1e36Str },
-  { privateKey: "0x1e8aB5E10Bca132BA82EFFf198F9dc61Fac8bbCEF75a2ED3E1Af4DA3C924D7EA", balance: _1e36Str },
-  { privateKey: "0xDBca79F9ddB0D46A1556645De5685CA58c0aD52462b3AC46aADcAAFa2e4Ef9A9", balance: _1e36Str },
-  { privateKey: "0xB75B389d81E6D389BbDBf9bDffa74CD42D6a792dD1ee7aC85d597c284dc0eA2e", balance: _1e36Str },
-  { privateKey: "0x8bFeba2c1aD9fbEeeB4028d921Ed53Da51f15090Dc9736CC53eb5a05EB081eC6", balance: _1e36Str },
-  { privateKey: "0xB7B6e74adf1575c294b56FeEded6424DfD3fcdA1b0Bb9aff8Cfdaa9e4E350b80", balance: _1e36Str },
-  { privateKey: "0xB2922a2a63c7AC66AcDD8a3CaF0D0c50c1D158E70cFfdAcdEE831fBF9A8F3cB5", balance: _1e36Str },
-  { privateKey: "0x0Bebff8ad570a9fdF7B02F5Ce1bfe8b43DDd63bB85AE24C5dAb2DDccbeeC50A6", balance: _1e36Str },
-  { privateKey: "0x0786B5bAE18cf8Aa6bacBc7C67729E61bAeEaDcddC74BA8fdb4b6BF836B47d25", balance: _1e36Str },
-  { privateKey: "0xf3cbA5A83d53C5AFf3Ffcc799905F8Fffbb6AFD57e41CbDC6682d56E7EC2fEDC", balance: _1e36Str },
-  { privateKey: "0xDf71E23c590c94AFf5E173efD11E7daF4a4AA9a3F4C83cfd47dB117395A9a4dB", balance: _1e36Str },
-  { privateKey: "0x739c3570D0693FB9AdCedb90549FD7bEce1aa1333fc3db56eAFB4e61b8f0Bf8b", balance: _1e36Str },
-  { privateKey: "0xAbbbC5756EfaDCa73bBB4b610349891d110347Ba40cA7DDEcCa2c0f0ce334cbC", balance: _1e36Str },
-  { privateKey: "0x7b61317784B4256AEaA4aDc1490973a2E87CcB3D4D2F7F1Ab5DC6ddECD0e13a9", balance: _1e36Str },
-  { privateKey: "0x046176e33f7ab209C61F5b2D467e1aFB6e7BDECcbeCaeC8f826f7C1cf7C353CA", balance: _1e36Str },
-  { privateKey: "0x2b1CF29d3E6DFeC4Bc1CD3AAA9f5f52b3DAC55AA2eE7990eaEC3f6f658Eaf449", balance: _1e36Str },
-  { privateKey: "0x80cdf2b52aCb8bCc9cB0C9Ea36bC282Fb0721B37e2b81bDb745bA3aD2952cdBb", balance: _1e36Str },
-  { privateKey: "0x6d3eC8CABE7b1D1A2DCD2Eaae87FcFed3eF1E15bE7023e67BBD08c6AaF3B66a1", balance: _1e36Str },
-  { privateKey: "0xbBEA8Ef624E4a05275Ff02AAea6Cafb4dF12eCCAc5dBeCBb7A2896A151B0F662", balance: _1e36Str },
-  { privateKey: "0xA0FBdAc51dC0bAeeDfCa431F64aE55AB6625d7b781019EF9b1E53cA2b296f32B", balance: _1e36Str },
-  { privateKey: "0xf54dCA19D5c05dA0DC1E90e6A080ab8f30bdc0AAf42cc51feC78F5c29aBe774f", balance: _1e36Str },
-  { privateKey: "0xeffB7d1047cAC0CCD461c8bAB8765aB19c2F75EdAdfc51bcd6a2afea3afCBF2c", balance: _1e36Str },
-  { privateKey: "0x83eB7f66F7Db6addFbFe2C6Efc9C28fd7dc80D9F1befd45dEdaEf763EeA7de34", balance: _1e36Str },
-  { privateKey: "0xC2803AA8805FdCF4BDBa5e3fe8B04799D0E2BdbC4f6A9D3c5E0FDB2C1a3c5BEE", balance: _1e36Str },
-  { privateKey: "0x765427a2Ccc081D6bCBab3Aa049eA3EBBD39F8842FfA6bbb42b30372Cc843289", balance: _1e36Str },
-  { privateKey: "0xEeF5cFc1e4F658bFe9d8e4abDFc9203dEEBd363bA7ABc8cd2cee196dc1Dfdccd", balance: _1e36Str },
-  { privateKey: "0xbbb96cFcE91C83eAACcaffcb8eeBAcbEF2ec402D0223bd6a9b4fd2eb7CcA114f", balance: _1e36Str },
-  { privateKey: "0xA59c0C47C3cDbDC2d5BEbb77b388485cEa2ccA11C77De606C4A2EA88cE8Ee40F", balance: _1e36Str },
-  { privateKey: "0xC3Dc3FfBbcD3f3C9a87f05D7cB8e9e2e600eB4c8C074962fE5B04d5AF51a3Ab2", balance: _1e36Str },
-  { privateKey: "0x00acCf8c3A27a0E48bC74AC22B27EDBaC99bE3b6DaE2D5333c5DCdeE9A355bb8", balance: _1e36Str },
-  { privateKey: "0xBc5EEC7aA4Cddb5a5ddbAADEc538F7a30C7DAFE44fBb10aa9366f4FaaaCF3603", balance: _1e36Str },
-  { privateKey: "0x5DA43DA715bD0037F53DC7306ac9B259Dfea9bE88fB7fDbc61ad09e2DAF4faE5", balance: _1e36Str },
-  { privateKey: "0x5CcfD962C800CF256Ca7CBFAFE414dCf0ABDC733648b1bC7b1573a51aaDEeF7A", balance: _1e36Str },
-  { privateKey: "0xAFD5164CF56A03B1Ed5DDD1Eb87faBfecB035Cef3Ef07fFd2Cb87FDa5CdD7ACD", balance: _1e36Str },
-  { privateKey: "0xb4Ea584Dc36cc457983b385Ef5EEC4cD4eD113B8B1f38FBfE5aB702EcbfEDc5F", balance: _1e36Str },
-  { privateKey: "0xf1e0dF7c97eAa0d4d0b3A93ABcf04Feb6db356A54Fd5CFcfdcbe5c1FDf7Ac83a", balance: _1e36Str },
-  { privateKey: "0x19db7d8882Edd5c9AcbAB17FBDcCfC64E9f5Bc18BbdBc5fb5f2D00ECE02ad9E1", balance: _1e36Str },
-  { privateKey: "0xeb624cFcDb9EAa0cacC9BFB542Bfa0d75Abf0dAC1F2Bd7bbEB2daCD0E2DC17f4", balance: _1e36Str },
-  { privateKey: "0xF81bdbFBafE7e3E2C7DA1242E51040Acb85E74a5643A2C37f5EEB64eEB5c0291", balance: _1e36Str },
-  { privateKey: "0xcbE84DdD3feF1dbAa59Ebb3F1a53fC6Ea6Eb744b5faaAcCB606EbbfC92a7eC68", balance: _1e36Str },
-  { privateKey: "0x0ee4f59b9CDfCDf0dB0B1BCAfC2b0B93dA87b3d520AC984DAaFfCa8b7f4Cabf0", balance: _1e36Str },
-  { privateKey: "0x2CCafd718Ba7BFD8Ad9aF69c4acC529a9FCC7dB7ce8FaD91E76dd6eD13dBcEa8", balance: _1e36Str },
-  { privateKey: "0xb9e06CcB5F9DfEAACAC402477bC4cF3eEdaE72b69c9EfCB0f0BecB7FeFE2e615", balance: _1e36Str },
-  { privateKey: "0x83aeccADAb1F87AeF6684dddDd8b4d81dbdd48b951AdD2d9Aa8fC42E36a56434", balance: _1e36Str },
-  { privateKey: "0xB7C2A0b71F4d2D2C65fd17CC655dbB5FdceFE09C3Ba8b9174D546bdB307ECebD", balance: _1e36Str },
-  { privateKey: "0xd6A8E91cae9fE3B6A526ea5F7acBef7fA9915fA2Af1CddB4E85F44e061Af7bEF", balance: _1e36Str },
-  { privateKey: "0xbaB1ba450C3eEE71DB70F44224ffd87adc39EC138fBbAb2e0B193a80BaA7fcd3", balance: _1e36Str },
-  { privateKey: "0x60A56b9d521cAcBDBd619Cc90de09AC5CED4144cf2175802Af0dBA7ca1Caab68", balance: _1e36Str },
-  { privateKey: "0xE5FaF52Ad1141CdE8DC9655d67861fc70c4c7eEcBB3A906Fb37179fdc72c9ADE", balance: _1e36Str },
-  { privateKey: "0xaf5ac1Fea23e18FB7FA2bAfdADcEf70D6a3BBeD88aBDb4D0AbF4dAcbEa9CeaCf", balance: _1e36Str },
-  { privateKey: "0xa171DD68AeAFDa1A3c986DCBDbcF64BeFFBfD1C9CBD8497ED384Ee587BCe7EE6", balance: _1e36Str },
-  { privateKey: "0xF5c2A2A5EcE2CE1aa0ade6161cbAeCA6aE2a701ddf8DCdb52A42acE5EdBAcAd1", balance: _1e36Str },
-  { privateKey: "0x86B2cDf49df7F2CF1C8a9a6FC18eCfF5c7E1F76bE31cE7809945Aed21B32DB33", balance: _1e36Str },
-  { privateKey: "0x44B4A11ea7adca721E6b7ba90ffaa3dDB7d2F68De691Ab3A4A8acFbcDe0A8ceC", balance: _1e36Str },
-  { privateKey: "0xB21e7cD85947BbD0C7FeDbe2EF49E1bB5B72E44Dc03635F3DeCbFa986A43753A", balance: _1e36Str },
-  { privateKey: "0xeC8b0baddf5C218d3dbeF9f0A5D93353d2Fb0436c5DD61BFCbCbADfFCCa22edA", balance: _1e36Str },
-  { privateKey: "0xFD1DA8EB5152a03773eCE05Eee5816F31DeAfbaE938bEa0524C0D76B80683304", balance: _1e36Str },
-  { privateKey: "0x39AbCD617Edb085E4D4cB55bD8Aa6Adb05ACC290826AfdFdb6317d40D7b9dD3E", balance: _1e36Str },
-  { privateKey: "0xeF2c8d7fabCBaf8f02Db7DcEEEFE65cb4e1b5EAd36B83B475F73fBe7ff2CAAe8", balance: _1e36Str },
-  { privateKey: "0x955af80d35C74fdF8caea3BBDbfD9878e155DEf8a3D2817fe40E5fdd6e8781D5", balance: _1e36Str },
-  { privateKey: "0xF2528Cf6c3978c28C5F213B5e2cfbaB043A8Fa3aEfC6Cb090C9249E6ce3E8cae", balance: _1e36Str },
-  { privateKey: "0x3F698969DC0919e2AfdCFFeEE653c41cbAA198bdD5Edd519E6C70B391db2DDBF", balance: _1e36Str },
-  { privateKey: "0xcAAb8AD323CdC9BCAc02D99d6Ef6CBD1edB0B5658A2bCCF4Aad8511118EE46E6", balance: _1e36Str },
-  { privateKey: "0x48C43F2A235FAd0300ABb6B01F545b4D57EEf45102bdA7C127EAbD8d1FEAe4De", balance: _1e36Str },
-  { privateKey: "0xD7BBbc8c0dc1A27f0ad11F28FFF5c607EAD0Cdbd7fdFFf4AaDd7D1BebeFDaD40", balance: _1e36Str },
-  { privateKey: "0xe3aa97fa9Cf9bbBFAeb35B0315dF48f1C70dAD9b70B8d51EFe8f0dB37a975fA6", balance: _1e36Str },
-  { privateKey: "0xFA1bECc8da1d64FEf78d5Fed3CD8fD5Ea38cE396fA2fcf15AEC5a7a9ab883bA8", balance: _1e36Str },
-  { privateKey: "0xfeceEE2Db29E4Fd21298a836B6947c2Bf2aFb1DD2A2fBd647Da5fcfB8c24A3Cd", balance: _1e36Str },
-  { privateKey: "0xe7C1bFb15E70da8E2a66D7dc3dBadD8aDdDdb8cAebCdbB9eF3ECc86e3BE2BD71", balance: _1e36Str },
-  { privateKey: "0xeED40ad248d6BdeD632bCC709d1eedea1fF0783e6c43D5fEa3bdbAa78386eE7a", balance: _1e36Str },
-  { privateKey: "0x76aA17BC5B1e7aB3cB4BD7CCFcD0EEf25423caBdc17Faa8de18d0d788DFEeeF4", balance: _1e36Str },
-  { privateKey: "0x1E278CAdde9E743aB1ACd3e5Bd67e9b3A1E6c5EBA5d652a2125C1A53dc908B6a", balance: _1e36Str },
-  { privateKey: "0x581333F21Badefed148B1BdDbeaaeB432ccBDd15dAdD2d5FDEbBEd4E35397BC0", balance: _1e36Str },
-  { privateKey: "0xBdeC9E385Af6Aa8CBF8ba9f5fFd7Fc3aA2cbb6ceeA2Cb39b6a0B8124701535eC", balance: _1e36Str },
-  { privateKey: "0xdcb5d6e708e54b9B2C6CEEBaa50BE5aEF083bb63BEE8e1Be4d776DE7ED0e6A9B", balance: _1e36Str },
-  { privateKey: "0x0f36b74EB79f7eC92da5d9dAB78bAfBAd3f832930676e06d93267Bf5307B9B82", balance: _1e36Str },
-  { privateKey: "0x1cbEfEAaca37134789CEc3825F830f8545b6Abd4DCAba190DcAdDD214BE4C81f", balance: _1e36Str },
-  { privateKey: "0x1C5e8e9b422dCc516f3e5a7eED08E0aDF26960dde2EeEeECCF9feaCAB2fF2c86", balance: _1e36Str },
-  { privateKey: "0xa8F0BF0dEb341B46De7178eAdc7FbF8CbcE6f2dEdA152deddA6ea8BbdCfe0f32", balance: _1e36Str },
-  { privateKey: "0x39d8DdC1412F50e37a534583e6bbb8AdF5956d15543b30d83E991E0ADE4b56e1", balance: _1e36Str },
-  { privateKey: "0x217d366CEddc6F16cEAf1fED4BD40d99a10E0CAeeFd4dA8cB37D3D7F5AAEf9d3", balance: _1e36Str },
-  { privateKey: "0xCD3ce1a11b4F7BDAD40c2aF9A2B4FF7a25B88B5412bBF062077CE3AE6850fBbe", balance: _1e36Str },
-  { privateKey: "0x5BcBb1eC48DA3eaDCd03fEa74fA10ccc39E05fB64A89B6DA6b7b1aeF8CcA3cAc", balance: _1e36Str },
-  { privateKey: "0x05C03862F4dcD1fadeefc404A710DcEBecb3Dd8C16CAed5D3815e5d2C4530F10", balance: _1e36Str },
-  { privateKey: "0x21cbE7F5B2aA44ef61419EfcbEE2DacDA0599CE266FaebBCdbbB046f3Ed6F96a", balance: _1e36Str },
-  { privateKey: "0x2583FAF40B56ffdB0A08ceEe5D47Bb8CaED24c0ebE16FEF6D1a30AcdEC8A91Cd", balance: _1e36Str },
-  { privateKey: "0x8775Fde2ae0e0E9CFa960aC8F3407B2689eE4C9BCDA0ee4DBfbC77E2A0b21c82", balance: _1e36Str },
-  { privateKey: "0xC79CC10E021A48f220BF72Fe88A16fDFC004D001cB935BFbfE473AaE3BEEbE13", balance: _1e36Str },
-  { privateKey: "0x5e606FC7B5FCcF55182CBF7B0f6ccBbA2fd1d641E9b5e9f015f997B3cA8699D7", balance: _1e36Str },
-  { privateKey: "0xBc7AABD30Af8a160Ee509db8bf97b7951458EfAe22fB7Afe903F325C7Fd8AECE", balance: _1e36Str },
-  { privateKey: "0x478f33Cb5965B82DEd82f4400eC41FbAf718aeCB2900F3fA6E67e4B775AeE053", balance: _1e36Str },
-  { privateKey: "0x5EC972Dc270EFc7D2D38B76B9DAf010Eaa9f463Eda9E8aF8dDA96a74AbCBa2bE", balance: _1e36Str },
-  { privateKey: "0x02fE6A827EdB3E3bBFcA69F676C51e6c2baD47Ceb713B5E1E207bA9b56Bce1AB", balance: _1e36Str },
-  { privateKey: "0xfBF2b6e02E2b2A1bc4A8f748AbefAB67Bf8aDfD5f6cf3C1e7945C2aC7d1bDd86", balance: _1e36Str },
-  { privateKey: "0xfB5ddEBFCf053FDEB51A57361796dCdC62eD635B575Ea9BD9Fdb816610697cB1", balance: _1e36Str },
-  { privateKey: "0xEE28e00DEca7cffADe726d84fAAC894e9AAd3eBEa06CF338B7FEB58166B47Fc1", balance: _1e36Str },
-  { privateKey: "0x4Ea1C5C79bEdAcC1559eB1E3fDc83BC1e6c4964Ed6B9f1CB2bfEE3cE6f9bedeD", balance: _1e36Str },
-  { privateKey: "0xD6Ad0DfaB857f4D5dAcd3e1fb74CcfcCFCfdDE72D534b2f0605FBc8291Fc0f3B", balance: _1e36Str },
-  { privateKey: "0x6aefEaEbC7fFD5c6D6F1dA5cbC595195ef5cF9b459532d3Aaa5a1AcB0CD3c6BF", balance: _1e36Str },
-  { privateKey: "0x7d2a6c0629C80Ca7e513dEcE64f84d9A9E9d25Fe2F0D5F74fd4F0D99d053c9a2", balance: _1e36Str },
-  { privateKey: "0x6B3Ea2C23b7bdA45A14b724D486cbad761F556Cf64CAA2FEeCDdb95Ac3B5CBC2", balance: _1e36Str },
-  { privateKey: "0xF67031c0ECfeA3eEfda9D9A1e4bdc359DBfb077E1008cC3313ef962B39A25d8F", balance: _1e36Str },
-  { privateKey: "0xb29D4ae1AA3A8EDfAcEDFaBD09A95a65f1927C47989e9c4fDfAbD2Fb8d2bc8ea", balance: _1e36Str },
-  { privateKey: "0xE60ba2bF9EceB47DA9D9E23ad025D8c81c4c2FcA4ABF5785Fb27F9DafaAfEFFA", balance: _1e36Str },
-  { privateKey: "0xEC8fCc3Fcf89Aa1D8D26c661B39b5faf7e2D37dB7EC052acBB8Fe965fBDc4940", balance: _1e36Str },
-  { privateKey: "0xFFbCca52ca7e891369b98cEAAec71986a36bafbaBeEAde807eC8b1817f98C325", balance: _1e36Str },
-  { privateKey: "0xd57d2e5e8ee2E96b0187Ba795eA0dbbaE0b737FaBEf77C2AF767ae3fae4efDC5", balance: _1e36Str },
-  { privateKey: "0x4c8c324eE0bacae3BA642bFB75336cFE7e1B7185f4D24b30A1083a9BC10f308f", balance: _1e36Str },
-  { privateKey: "0xdc78AE3aCf5d085539aA83B0CCc7cecFbb73F8bf4795B2199dc58D912AC4C04C", balance: _1e36Str },
-  { privateKey: "0xDB264dE9c7B6188A0Fb1A91ccaa6Bf256294ffEB9E4Ab9B58624A0e45A0a2Eda", balance: _1e36Str },
-  { privateKey: "0xdFb18a34adbe760B9CBc8bc66b40c6EacCeCddaB7A2bc22115CbBF1c3A6C0dbb", balance: _1e36Str },
-  { privateKey: "0xcaB1AaBA163Cb5243b943172A51AdFcAd91EAB220eB89dD0cEC2f0A3c0FCcC97", balance: _1e36Str },
-  { privateKey: "0x07d8469f44C14f27bC6BF67Fe92FbFab3268Ed4824AaC00a4b3bbeEdC8afCaee", balance: _1e36Str },
-  { privateKey: "0xc7eF1eB85Fbb3308dB02a6bB3f37ED60b74DFEdbbfDB1eD5FEb92b6EF0d9eCa5", balance: _1e36Str },
-  { privateKey: "0xBF348cB60361C1FFBBdD1feF2DaeBc661B11Ef1517558fAFe7A1CcBAdeD2004C", balance: _1e36Str },
-  { privateKey: "0x2ce070a6fC4a96cac5A0B51A2FAa67aBdbeb0496DD841C417cB9Ee0E5663799f", balance: _1e36Str },
-  { privateKey: "0xeEe3B8abc45e2CF825FE651bfE9Ef33bAd1f2d78D5cBf7842AAAAA0bf9Efb197", balance: _1e36Str },
-  { privateKey: "0x741534d0300C8D4B3f55D412Bee30fe00A42A5D9dcc3f15C1ad5e5Dae7edd0c5", balance: _1e36Str },
-  { privateKey: "0x13DBe67fD98839DcEd106cB3E9C8cBc1C364B3EefEf3e29425e8D43207F22177", balance: _1e36Str },
-  { privateKey: "0xA85e142eDE2cB5a5cE11Eb9a45a0342B60611FF83c70EDC03fCaeC52Be32beb0", balance: _1e36Str },
-  { privateKey: "0x3cd3ddb1febd1058955cEcD12C0cb40a128Fd59957EbC3FfcaCfcdFaAf38CEE9", balance: _1e36Str },
-  { privateKey: "0xe8E0CBe60AfAc11bA06AC2cF50E103aA4afAFA3BbD6A7891e86aB21C1cA061AE", balance: _1e36Str },
-  { privateKey: "0x99f2F5443e5aCcc77c96C30eE5E9cDE260a1419B7B48e3ced99DFa52dee64dF1", balance: _1e36Str },
-  { privateKey: "0xeDDfAd4A07BB5B3BB6f41D646a81F6ac20EBcEc1E9B4CbEcEbEb106984aAac9B", balance: _1e36Str },
-  { privateKey: "0xFC980c13FFf7E5094BBfe8c1c0c33adadFAe77A2CdC3439D4F1e1F0B6afC14ef", balance: _1e36Str },
-  { privateKey: "0xfB03dFB6BAabd82Fe5B2C24bAe8cc81dF67962ecFa3d2a3f9fa22da3865D940A", balance: _1e36Str },
-  { privateKey: "0xeDd7bDda24D1Daa3E159acaEaB2F956cBECd202cdB6dE29D4c32Ed3C9c7E9dCC", balance: _1e36Str },
-  { privateKey: "0xbA6e256AfbDd0ac5D2FDA5fE34f64CCB1EfaCE6Ca7B43b1BBB8D334bc594aC1E", balance: _1e36Str },
-  { privateKey: "0xB5fAbDd1eEAaBCDaa3DA0d95eAC7749A6b68B8a4DE968CecCdF2144Cb7B0afcf", balance: _1e36Str },
-  { privateKey: "0xdf044c8c00a43ddf50c76c4d87CFDb5E8EdD7B9a224Bd0f67ED32ad643d69Dc2", balance: _1e36Str },
-  { privateKey: "0x8Fc2decC9De50973CE9df8C4Ef7DC28Cddf524beE9f2D64c38A7c50EfbcBA953", balance: _1e36Str },
-  { privateKey: "0x482Dc8b8c13a46fEd9ABf27bd6Cbb2D27cdED0cbde544582362ce7c6ef526FFC", balance: _1e36Str },
-  { privateKey: "0x4DFdc7ABe5D99FB6DeD2dEfab1B840aE4f0317c49FCb4c9b4FFCBBDCDE8f2019", balance: _1e36Str },
-  { privateKey: "0xcDAe7CCad2CFbcDDDb4Df56B6fDACFe677Bcc73BB1e69F79401CB3cDcCacff70", balance: _1e36Str },
-  { privateKey: "0xA56CB8163DA4556f6B549D505ECFDDEEEA8d70aE28EbBbdAdC0C402DB338De54", balance: _1e36Str },
-  { privateKey: "0xC64Bd0D608BA514B6a9dBBeaeceD0Bc7E9ecb5bA4D605A05d0b8fAB30e5bD23c", balance: _1e36Str },
-  { privateKey: "0xFBc3CBb28d9bEa8343Acca6D011fcCa5280DFFDceBa6795aa775Cd5b4Dd1B0A8", balance: _1e36Str },
-  { privateKey: "0x84FAE35ecFc38DC6cd5bE2ECfbF84eC5Df02C26cdcb3000ce6ce5cDa180A96ff", balance: _1e36Str },
-  { privateKey: "0xa3A78FbDf70fbD710E3AaAa9372bbF867bBEAd22C7f65A25A41e00a3Adb3dFFd", balance: _1e36Str },
-  { privateKey: "0x83bE5db4985000BafD5b0ff507B5CBbE41dA6bac7A0CBA4E6EDBA3A9cDDc0D6f", balance: _1e36Str },
-  { privateKey: "0x7DbA3D3f63e5AE576b3aBa9F1aCEa90c203ff6F073baB7E56acf427Ba8714F20", balance: _1e36Str },
-  { privateKey: "0x1cB68ecf092fbBdd79AcDB2E9cCd967689Ca1b8BaC9938dcCf459C2a4C7A5cf9", balance: _1e36Str },
-  { privateKey: "0x667e8E84cdF72241c68Ee15392431E5CC2D8C7ebAA4FEBd93E98D8DffeBBe50a", balance: _1e36Str },
-  { privateKey: "0x4b0a4FEd90A9d4db2Cd9E5e2cEbBD25dA2D54Aa73fEDe3fF2fB5a750E2D326D5", balance: _1e36Str },
-  { privateKey: "0xdF450b7DFefC7BFbBb46bF80A0eA5eE9ecB34A8eD1D113A05D66AbAAaF32AbD3", balance: _1e36Str },
-  { privateKey: "0xfFaddEcFcfC080ccfAfB24Aaf098922C43B601CE652adaEd8bc77Db4a2a2b07e", balance: _1e36Str },
-  { privateKey: "0xa20F4D5bB8FA67CAd6FbEaCa5a87BBcE6eB988D88aeC1e6Af84507Daf7Dbc439", balance: _1e36Str },
-  { privateKey: "0x2F6baa7FC9FdaeBaD346FE0B5d6F4E206BC948DEbcBAE8C195db1b8a6Dc62Ff4", balance: _1e36Str },
-  { privateKey: "0xBea684dfdcdE88eF05D6AF9De4Fce8EABE1e45C52C42A05cc9d1d704bBB201e9", balance: _1e36Str },
-  { privateKey: "0x6dEB631c04455D0EA1ec7EfAed0a69BCEE9C05AaD05ABEFc35aEABcaA699e153", balance: _1e36Str },
-  { privateKey: "0xfCC9b7Ec379c989dB3bAbFF10fa73B406dbe0Ca27bbc17bd8D92Ba5efc83DeBA", balance: _1e36Str },
-  { privateKey: "0x8a5D540001DCFEdc4f8a400B11e9379dC1f5ffbeAF30f66D81193dB5d9f6FB9C", balance: _1e36Str },
-  { privateKey: "0xeE03Eb8dD4adEB51DCdFFD60B71D8CA392CfDAf29D3fbE7270B3843fDe5acbfd", balance: _1e36Str },
-  { privateKey: "0x8fBed0269D9Eed8C0A6dDc1fccDBBbaDDfE61cE3FdB71eE7CA6fBd8755516beC", balance: _1e36Str },
-  { privateKey: "0xcCe27e128Fe331dBb07E34CCe2bF9fdBEB0a7E2Ac4ecBb3DE8Bdfaeea7FFA26e", balance: _1e36Str },
-  { privateKey: "0xF4C05d399cA72CeECbB60bE5cFadc8aceFfeFdeb0E05036AcEa73f1b3bbd7B23", balance: _1e36Str },
-  { privateKey: "0xD5a11C5fa09ffB8BE3d2C792EfD4d2Fc697aC2D6bb6d4Fa1fC8E14af5bE2f94A", balance: _1e36Str },
-  { privateKey: "0xa2F3EcDEcB7d7e770b41bf73e9B6b1EEe4af7646A7E5a2aC9a2ea55FCc808006", balance: _1e36Str },
-  { privateKey: "0xc2f92e25dB8ebbBa92daddEdCE3eDC41F7E8aedeb264724f32b433a742B9Aaf0", balance: _1e36Str },
-  { privateKey: "0xcfd5deFb1Dc02DA057dcEECcBE8D3e9b77b44cBBb17dFc70a4acD78Bb39BD3D4", balance: _1e36Str },
-  { privateKey: "0xef6FfEd3c0AE72B29A9D209e816fB5AA3CEBDBb174dA6bbfE5C801F4fAE61E0f", balance: _1e36Str },
-  { privateKey: "0x11e430C1Bf74ddCBf8fB4981397750fbE4Eb504ead6B9aa3aFc8a2b133C5fB2A", balance: _1e36Str },
-  { privateKey: "0xfEeAA3b0efcFFC42a3f1Ab6B155bfa4d4FB350fAA3ffEDcF9D7fb4dEd3C42f02", balance: _1e36Str },
-  { privateKey: "0xfacB3A1F68fCde53B8Acb2f8b4Cc934D50C7FBFE36Da3deD742b19e74Ed7a93b", balance: _1e36Str },
-  { privateKey: "0xc7aA3BeBAbCc4be5Bcc19bf0b34fb6c53aDf464C3EF572192072aeEBCadDdBDB", balance: _1e36Str },
-  { privateKey: "0xD5a8Bc556cF3EdbeAcc9F92C2E0B31Ecb68f45A79a0F998e9359BaccB20C8600", balance: _1e36Str },
-  { privateKey: "0x6BEeaa9A7D83e0aD79F1494FE254fB78685c11Bca93C3460E72fF6d9fFb8c505", balance: _1e36Str },
-  { privateKey: "0x8D649fBcEc39f21829fc7Cafe9DB7cd2BfdeF4aDDd6355ADeA5a15cab2eE2cff", balance: _1e36Str },
-  { privateKey: "0xba8BAD4B9ef23B43DaEc6777dC8D7Ba5d28Af9D83d3c5E8a6BaCa3A385Ce8b33", balance: _1e36Str },
-  { privateKey: "0xCC98cC2fe7D543C9ec3d55d0a09fbb4625bb905cFb7Ae93bBEC422FAdbeBb1bD", balance: _1e36Str },
-  { privateKey: "0xa95Be2aD481FA3dEECdB2BdB3CEfca7031f277be3C9FbCc6ff9752dc1613daf5", balance: _1e36Str },
-  { privateKey: "0xBCfB5cD7c756EF6b90F4a94cF53De5daA0b6A2dd1ED4b307A938596e06A75C0B", balance: _1e36Str },
-  { privateKey: "0xEfEe98C09a0E7E4F212FcdAa7C7deE072cc0Be3faacCBbc144e301B6f00b9518", balance: _1e36Str },
-  { privateKey: "0x714feCD1Db6cdcb7f1d7edB3A506BfE4f0b53aF84fde85D35eCdDe07aDF99575", balance: _1e36Str },
-  { privateKey: "0x438b8eAdA0fcfaf4EF21DFF136DE2CB7fBBeed9A9Bb5D6B6D4B8ddef025fBDD2", balance: _1e36Str },
-  { privateKey: "0x59Ae7adb4D90cEd4dB9E7CeeE7cEBCb3f5ED90cDeB32bF5AEef1C37647CDbbeB", balance: _1e36Str },
-  { privateKey: "0xBAFCFdEFFb3A78B39c0dfDef3860e1bCADD3DC87B4c8CCdf0b2DE8cDcbfa6Abe", balance: _1e36Str },
-  { privateKey: "0xcCF872dF3d7c80C1Afa2d150CF31D99d680acafFb3E4dF5b0aa1fBd9FFFabce9", balance: _1e36Str },
-  { privateKey: "0x707dbDc0b28E78004C7d47feE6F429eA9fa7fFd207c4B8A76A89cA276Ffb6E86", balance: _1e36Str },
-  { privateKey: "0x3Abf8eD21bd8dEF543d5C043D7a3EEdECdb46690eEF3E1A45A9F8048aAbF378F", balance: _1e36Str },
-  { privateKey: "0x163a0F9FA0e9e836D41ff0be900e3DAAC0e4CAb3A1817d7dAB0f9BBe5aAbD562", balance: _1e36Str },
-  { privateKey: "0x6cE372AC8f90d7D0BEb2Cc28F0d622C784e0a3cec6268dBB340B215BcedabE6A", balance: _1e36Str },
-  { privateKey: "0x40BFD3157bDB44af2a40099fEb896Fe68F8edCccE5f21a8C5c6C5B21e6C5dAdc", balance: _1e36Str },
-  { privateKey: "0x89aB4aBc8b3F26bf83Dac8bec001b6B8F65a7300f08aBAda73bC59cac4e4a43F", balance: _1e36Str },
-  { privateKey: "0xe5F066c5aA057CfdF1eE1e6D38c5A81C0c9b2Db1eEfd568d112f1bdf7AAe1944", balance: _1e36Str },
-  { privateKey: "0x6147D55BAE900ad6Fbeddf4c467bbd5af2703D95d7fAFeAb40113068761CC3Dd", balance: _1e36Str },
-  { privateKey: "0xD0ffE15EdD8D58653EfDcD4e88B27D880D40CFdF4c1836F67EBeBE6E31Bb6ef7", balance: _1e36Str },
-  { privateKey: "0xA3AF8c89e2b19dEa7eF201928D0Ff92061e4b76cdf1671b14F41Cbdd05FE1A0c", balance: _1e36Str },
-  { privateKey: "0x0dCd6eAF84147CFaa37FF5Dea20d4d95eEcAAdEa1F68CC2aFF8eeDfffCfba280", balance: _1e36Str },
-  { privateKey: "0x68CA0c1BdfD992Df69d2895CAc1Ec4Eb0eA6Ab5Ba62dEfFF13A0879Cb2c1Fcf3", balance: _1e36Str },
-  { privateKey: "0x30033ec8B92abceEa9B2Dcc5a27Ac2ddfaBe4765e3212A29DB8fff6B3b2Eca87", balance: _1e36Str },
-  { privateKey: "0xd4Cad344fb9598aA99790c0205FEE36c34a897AFb252DB12df42E0Fa0EC6abCd", balance: _1e36Str },
-  { privateKey: "0x0E385cC566BfB01fFF3C8FDE1F6AA96A9Df5f4AE925ac9FBfBFfbaE3c28C3e95", balance: _1e36Str },
-  { privateKey: "0xEaBE51DB88D85DB9e7ecBf2A22CBf5c1ff67e12fDfbf1F4fEF816EA0d4B91a00", balance: _1e36Str },
-  { privateKey: "0xCe9Fdb9bcb0C3B214580d5D4DBBf4D64f09C5c31AFc146B7FfaDa1f9Ba8Ec3Ba", balance: _1e36Str },
-  { privateKey: "0x108E5a56C8B3BE5887CCf2a3bFd7aF69C881FE45DbdF3aCD9CFde3189eEcE9Ab", balance: _1e36Str },
-  { privateKey: "0xBaC513AdE5b6c7cD4B8F4a010fa3bE71B8BFEA44d54ff0a6a5b6Fe96c3EB1F92", balance: _1e36Str },
-  { privateKey: "0x1ef1E7D95D1E2bdE4ad770A425A2Af8d9B2aa8BD2dFAbFa20C2872Fac35ddc7A", balance: _1e36Str },
-  { privateKey: "0x1cF35e42FC10FADFd0bC3E4A0C7ca60fbf9c4Fff34cAb91D8f3bfB36a4bD5853", balance: _1e36Str },
-  { privateKey: "0xADE6b8b2a9FBb8a12F3F6D5036F1d24fAD06EE72d8A94dDa9dCfbA492FCdbb83", balance: _1e36Str },
-  { privateKey: "0xE125Ac0eFBE41A6564D5840CCfc3F4F157fbeC0eCF117bdbfADEE63AED07EaC2", balance: _1e36Str },
-  { privateKey: "0x2BADfDBADf32fC384Ac1d8Ec76C3b7dfeE0c9Fe65e86e2eD9AF926Eaaf316D4D", balance: _1e36Str },
-  { privateKey: "0x63ADbE25a57726EDE7edD8A167C90005Ab887E644Ed153FC373d9D0E5b037AEf", balance: _1e36Str },
-  { privateKey: "0xEa9E947187bB7a746DADEd402EBba4DD79B2dc99e34109771Fd834bd74801e21", balance: _1e36Str },
-  { privateKey: "0x4cEfB3A9BC8046930dAca53FDEe4aDA68062569Ca7d9FfEE1CC0324481D64f9c", balance: _1e36Str },
-  { privateKey: "0xCB4C4c7b1e7D1CabbF9cAD7E158D007b8bEfcE16754DCBeD1c7Fe4DaDCfa3E9D", balance: _1e36Str },
-  { privateKey: "0x30dB9e898f60867761C95f8de8a36fDbaeB9e8C84EE6Ea584CaB8ceEcb264B54", balance: _1e36Str },
-  { privateKey: "0x81aBC14D2be047c44b2Bb3Bd9c15daD627EB1D22143Ca3fEae6E69ae1022eaF4", balance: _1e36Str },
-  { privateKey: "0xa26Ec0bFDbaBBDDCec564D8cB62fE5490aB35B8CAC7AdAEACae321dB78Cfaaa3", balance: _1e36Str },
-  { privateKey: "0xC9C8a8D5c8B54b93A2aE1be9fC3Ac84eBDBC2b5fB063cDBEf1E8cAc6c93B1a65", balance: _1e36Str },
-  { privateKey: "0x59D8bFaAFa292FBcb9f6BD86eF8E9e815bccB2eda7C0e938ABeC04CA0ecF0bdD", balance: _1e36Str },
-  { privateKey: "0xe94f6EFeA674AE551E5bbbe17C4dd9fAa8aB856dF11Da3FFcaB5fa1d5Ac82a60", balance: _1e36Str },
-  { privateKey: "0x3da8E7c26a0d5C01ABDE56aEaa5385D6ABdd968014C7daCe1FaF6946b408CD29", balance: _1e36Str },
-  { privateKey: "0x8bdcC823a4BBe8CCeC87db74B5Dbda1f7Fd7C65DAE441cE0fA02BbD878dBCE3C", balance: _1e36Str },
-  { privateKey: "0xDfCedDFfaEa1aD6C4F6Bc4c6DF5909cf14dD8d0a538D6a3A2c5Fd652BeD3D5aA", balance: _1e36Str },
-  { privateKey: "0xac0edA10193EECf3DaBE6a3FEEa65EdbA7717aAF20Da85B5D87BA1fFD1EE3397", balance: _1e36Str },
-  { privateKey: "0x0B9C8EeC93DAb3faaEcfBebad5beD8FbF3A7cF8dDAbc27308c30D9AE7Ea9F59B", balance: _1e36Str },
-  { privateKey: "0xF9D2BAFA0eFfF3dCBd91c2B0d72e9cFbD3a775CA2FaC0DeCcA1D8EcAc6030A6a", balance: _1e36Str },
-  { privateKey: "0xBC4F980Fcbe2C3A2350a9D0DBBC46A9ceCBCBa2fEB9FbcB4032bB3b49b48A7aD", balance: _1e36Str },
-  { privateKey: "0x1E3DbFEb6D6e9b9eafbb301AB8DE2A7f6BEC85F87fC1F84791dfCc0F4001f5c4", balance: _1e36Str },
-  { privateKey: "0x8a28fcd2B993BCe53af4aba4b7B82D575d3eEcBaB24ba5BE284D34ae772b1876", balance: _1e36Str },
-  { privateKey: "0x81CCa0cfAd64CD74DADdfc5e22EfDe58e995C7A2dF3AF7CAAa7FabF1aC35a0D0", balance: _1e36Str },
-  { privateKey: "0xfc94baF112AbA5e7bAcd557Fbd1BEAbdC19251Eb67808C5e0d7AAf3deaAD6C5b", balance: _1e36Str },
-  { privateKey: "0xAeb13248De4B28015c2F9f9AbABF95B9d5e0a7b7cB6eCffE35d4fcdfece1D4d8", balance: _1e36Str },
-  { privateKey: "0x8d1E2ea844eA4693A83A9e537CF024ffF2c6C4B1EFaEEd3f93d6FF39Ed52cE98", balance: _1e36Str },
-  { privateKey: "0x36cC5DcbE98FfFDf004bfd67ACC6FA0c66e159a42deC26a41c3aEe7EE45C3EF2", balance: _1e36Str },
-  { privateKey: "0x3094A1A521cd728D344EcDbffDBeF471fb3bE3eCCD10ccad528e1EAfDC5Ef9Dc", balance: _1e36Str },
-  { privateKey: "0x4AABdBBC0C1FD66dE45f75f1b4EaaeaBa1dFCf4FB15D6B04A4FC9eeb654BE736", balance: _1e36Str },
-  { privateKey: "0xE6d78BcC9Decc5c5fFA806eEf8d82B7ADf0CD3E498e5EBbb7d5Be5F845eb1AFC", balance: _1e36Str },
-  { privateKey: "0xdC5A99AAc3be7E854B1db468eFB4648ea842CA23FFDfaEDf7af0CABCAD2060f5", balance: _1e36Str },
-  { privateKey: "0xcAE5F28DBcd7B5c9f6ADEFC382D4C41bA8349B4b64ba1C8CaA0c80dA23b1A490", balance: _1e36Str },
-  { privateKey: "0xDC8985bFBBE4bCD6205Fb0AABE0cbBc77ECab3efBdA496C65724bed9CFbaC02c", balance: _1e36Str },
-  { privateKey: "0xDf1113e1B0FB2d60BFeaE72Cc9C891dEA47B1164fd88d0063E583FC5feEB45B1", balance: _1e36Str },
-  { privateKey: "0xD1f6bb4785A9e5bAce3cd950F4B179DF1B5FE26D0bf793FAC3c2F38A9D132bdB", balance: _1e36Str },
-  { privateKey: "0xBbc7fe8aDBA08Ea373E8f5e1fC0BFcFBDcd2919D2326060EF0ccBEDdc00ce3F1", balance: _1e36Str },
-  { privateKey: "0xfC6633fe0e0a3bbC8DF6b989CdEaF93ACF02ac7c7BF4f36cD9A9e3aFe4d605bD", balance: _1e36Str },
-  { privateKey: "0xAe02ae68Cf7f6DcCefAb4C5E37cd4F74dbFfa9f57da20E8b4a8aE1b5A9261AfC", balance: _1e36Str },
-  { privateKey: "0xAbe503E3daFcb8F51D5Ed329aCf868b737EC5a8Ad2cCF4eeAF42BeB1b61383c4", balance: _1e36Str },
-  { privateKey: "0x36aDb5f2fA4EaEeFb653cef8B69CEED7E0FcA9b29bb5B28186aa1b3bcc65Ff62", balance: _1e36Str },
-  { privateKey: "0xfcDC39E65FF1cAdDB4AaE5EA1f6ae4e0d0bA6aDC81BdAf1d80dbb75b8EA4d3E4", balance: _1e36Str },
-  { privateKey: "0xBbAab8EADbA1A5bebb62bfCf56f92F2ED375ae62E08E1dAE0Eea8ABEAE9B5DBD", balance: _1e36Str },
-  { privateKey: "0xD7CBBABC5E8815B2DfcD7bF47BF44cA30ebd3ce43BBcDcE732fC1BD0A5E84D0D", balance: _1e36Str },
-  { privateKey: "0x4E3a6818bDC3F6469cf01DeDBa0Bf380eD0874bC6b04D98C7BF3b8BAe6DCC51f", balance: _1e36Str },
-  { privateKey: "0x6dbe07DADDDbc10bA4eDFEe1BC825cBbbf796F92d0ECDBEcCAAc3E2e383a9d11", balance: _1e36Str },
-  { privateKey: "0xEf121cF484bdE3E42cdAFa125de30e19FF0C4b1cD03D83Aa33bAAbAfEA74B038", balance: _1e36Str },
-  { privateKey: "0x6AB6D5aa6a71ea5ccfeD170CD11b6C0ab976e738a0Cc048ba283EDd55cDBbaa8", balance: _1e36Str },
-  { privateKey: "0x32a82f4E3FFF6Ff896ae0ffd46D51bDD80FcaEebB3ced7e1fCdd2e5A89dBC28b", balance: _1e36Str },
-  { privateKey: "0xCbdc56AAAd7CF95fc02E30B14c3Aa8Dc9d2E078B824E94beCAf3843B1F57d51B", balance: _1e36Str },
-  { privateKey: "0x44A60ee9b417C401Da4fD5De70789DEA95F37af2bdFc9dAD6F8de134fED6A1A6", balance: _1e36Str },
-  { privateKey: "0xAC8cbDb16DcEe88Abea749eDA89AabEFCD2814d6d2A48f9bE89beE4dFdCe0Bd6", balance: _1e36Str },
-  { privateKey: "0x2e68EaC96BE8AEd9A03fc09a0E6c2f0FbBcF357407ddffb8B08f4FFebC7B31f0", balance: _1e36Str },
-  { privateKey: "0x85D8fcbAd8af4BFAe3B59c6E9fD66Ac7cE2CAA8d5CCBF5dcbd65BA80B6B0ecb9", balance: _1e36Str },
-  { privateKey: "0x9795cC55aFbFB6DACC555CEA9388C62c7efF6fB1E7CB2126bd8e28Ce3fdbD65F", balance: _1e36Str },
-  { privateKey: "0xaCCDdd03fE00938451D3Eda3E5AaCAee8e5c2760bFdC0F4401c550EE152A70BD", balance: _1e36Str },
-  { privateKey: "0xdE27885A3FfDDd579A1f2fC49CA2AdCb8FA9A2bf17f8Bb5C3bE206d3CEE2fA4F", balance: _1e36Str },
-  { privateKey: "0x16fddAC6f0c53A2f55deCb2DE1cb6a5dd5f163608cdFEcC2EDCeaf272df5C3E8", balance: _1e36Str },
-  { privateKey: "0xDDfa5Ca7834a41BD9B0CF9FD8b097bfB0E24BCF6369d5fBd1F4Ad8E2EDC91f0f", balance: _1e36Str },
-  { privateKey: "0xC5FbeA4fCe33DEFc62dA8aEbCeCaF0badCF0eA5c3a01bC7BEE4AC49dcaE2b6cf", balance: _1e36Str },
-  { privateKey: "0xf7375ADA2eE20Eb1AEaBD040fdEaF5746ec3c9fB63e1FC652DeC79ADBEc9dBeC", balance: _1e36Str },
-  { privateKey: "0xE4C4E3A179F9D7B43A20592edfff7cbEbFD5a37DA2cA7E43e3281dc3f5Faa53a", balance: _1e36Str },
-  { privateKey: "0xA91Fc6BFB5E71ec65b76bfddad77Eed99CBBEac0762C0A0DBeB5aaa7B9fdEA6a", balance: _1e36Str },
-  { privateKey: "0x9Af5Ce21D3F9FDff4D5564EFe53dAEeC8a3D49B29aB6A1DF0f59b2cf84EB047C", balance: _1e36Str },
-  { privateKey: "0xad882e65Fe7eD77587ADBFd69C3415C4CB7451cb48F0bFAEBbdc4cdAfaad9733", balance: _1e36Str },
-  { privateKey: "0xC7EE373ebEFEE7c50F88efd12EeAEda1C12A00CddA4dC5b3cBa0aE43cD7030ad", balance: _1e36Str },
-  { privateKey: "0xDd3faAb358f878AE18CfDbFaE341dFE5Ae5A258f7c414Aa49cE671840F3a36aD", balance: _1e36Str },
-  { privateKey: "0x6246D3aaeBE3D3b7EbeE7AaC17521AEA757E2dB5ac8fEfadb7CdA125758B0892", balance: _1e36Str },
-  { privateKey: "0xe7e7B752Fc1196BB1eFac88Ce4F52E4884bf64B72B626Bc0ED81d3dd86b75dAF", balance: _1e36Str },
-  { privateKey: "0xBEE65fF2ccfadC89C6E4632FB941fbb2F61D8207b6eFbc3ce0bb25E8d6ba0Bc9", balance: _1e36Str },
-  { privateKey: "0xb197Aa9Dc884ad7C337ACaD5bacdcBB561d382bDbe89cBBDaD01Dd27B8eedF32", balance: _1e36Str },
-  { privateKey: "0x9b7dEF7a3ed1edEa805391Eb26CBAFe2584F1cFCafcb4E1F5b9bE60Eda772B48", balance: _1e36Str },
-  { privateKey: "0x17caa6eF31F545E92513Ef94c298a44Dd92aDb43B3F9d72eED11AC5AdE6b4da8", balance: _1e36Str },
-  { privateKey: "0x51FadA00cDACfb9DD05f296abfE0EaFc626bB6ea7EB6211d643Bc7aA69cd1eFD", balance: _1e36Str },
-  { privateKey: "0xFaA73f397c75EA5A1f355fBDb2EE2A09FfEa65fdeC91D53aE3b2ED3fa00AF47d", balance: _1e36Str },
-  { privateKey: "0xAb84Ca0D5E4AAbE67F6d01F6bddA29aE4e7eBCd6c9cEff42FFc97929d7Fa6Fd5", balance: _1e36Str },
-  { privateKey: "0x7D9F8e884e55d0ddaBfAbd027C8b5aaCeD18d8992dB5AC40eFCF2Cada5a97Fe9", balance: _1e36Str },
-  { privateKey: "0xf7Db27Ebc50Bb1cDFFB36Bcc36Ef4fCe578CFd4249d6DCbF33D99cbFdb54D4b8", balance: _1e36Str },
-  { privateKey: "0xE91FC3FD5BecEBd1284bbe04b2e4C6bdC13B161623748D1ed8CABA358C9bAf3F", balance: _1e36Str },
-  { privateKey: "0x87FecbfAafCab372bd1cA2e2E2A2b96EE5f16B00D02dDDA1Fbb854D211dc5BeF", balance: _1e36Str },
-  { privateKey: "0x0e2eC3BbcE6eeeF0742d705053E16ad212A5798ccADc8FEEF5EFB3Dbd94dfb7E", balance: _1e36Str },
-  { privateKey: "0x8EAbBf1624c4cbEC1Af6cA2E2CCf0FcDeB3E0683D1f0D03FffDfae44BAfe220c", balance: _1e36Str },
-  { privateKey: "0xDFf624AA4B131BEd5E8A0dfBDEF7EF7ab0FfBAAF0fF6D2dd491fFF1eba9EBBD6", balance: _1e36Str },
-  { privateKey: "0x0Fc76fEFf2c59d55F47fD2B1ca5FeF7AbD0ab62dF8ee2BafE61178F0bea480Ca", balance: _1e36Str },
-  { privateKey: "0xD122150Ff0bdE00Fef37D3fac1BA923600C5e43A5DBC9CFB94D6c0eC31d61fDA", balance: _1e36Str },
-  { privateKey: "0x9DC8bB17BFDBab85EAa3C490c3Cb34ACf70566baBF4E8EC8c7B2C496EB0Bd026", balance: _1e36Str },
-  { privateKey: "0xee5d3bEfAcfBcD2DE7b4DB3D0eb5D3D5cd59aeC3ccC1a9AC7EBbBF16a3Dadd2B", balance: _1e36Str },
-  { privateKey: "0x2ddC7FcBD743C0bde774A984caf7C5f7F1bBD7F89EB2Bdcf8cACdde9eBeEFB43", balance: _1e36Str },
-  { privateKey: "0xB8DbfF5dd53E5db22Eb3FE52A4E9cD166FCfDFD5188d6AF9eb380c23eBc7dBb5", balance: _1e36Str },
-  { privateKey: "0xF7eAC55d10F1F1A4985cDcac40CD6997a8EAc06c30fA36a9Cec9BF5E08d807Fb", balance: _1e36Str },
-  { privateKey: "0x4FCB7674f9dCF4cF43dB8bf0fb576DffeAe0FB5Acd5C6cd9fC09E9dCF49ADB75", balance: _1e36Str },
-  { privateKey: "0xED0270A3a48Df5748EdAe6248e1bcEF19eFFeC9bc06B296DEEBfD5eACbdB232A", balance: _1e36Str },
-  { privateKey: "0xF11Bb3Bd5DE647A5ecEAff38fba477Bb628be67De259aC4604CBA9cEEa8DECEd", balance: _1e36Str },
-  { privateKey: "0xaf4FBaAEdF31F081Bb87423e9377a16eB9ad3cF2EE83613EAd3A45a9Ca6cD3bF", balance: _1e36Str },
-  { privateKey: "0xD4EEeBcD2Afe45Ec3bE688e75613Ad157EDcb639BEae0f50C3EF4a39Cf1Ae38c", balance: _1e36Str },
-  { privateKey: "0xF3Cb7434fEfEB2cb8F405fFFfDeD8cC9CBdAFa3f91EFab9fB0Ff3CAdC9dE7c8e", balance: _1e36Str },
-  { privateKey: "0x13B0C00CE33fF846a85e3BcCe2cE1af8Bf6F0aA970108D8428104bd9aAB37eeE", balance: _1e36Str },
-  { privateKey: "0x1A791413E030E3cf5cBAFb66F38be30f5cac2beAffaAC2e1b5ad90bac3dfd2a4", balance: _1e36Str },
-  { privateKey: "0xD1b9b1eD434f34d6d6AFAcF0F9F0d89bd393a312217fecDeeDbDb1816A3bAbD5", balance: _1e36Str },
-  { privateKey: "0x1A9B1DFF6b2f7D50a2f3cde98832Cb0afE104f0E3f5B3Eb13b3eE1a15aEdd351", balance: _1e36Str },
-  { privateKey: "0x119263fD5A3aFcD6045b342d6B8DDd550A5D5C434d9fE3f710AFC873cE1B8A65", balance: _1e36Str },
-  { privateKey: "0x4B58477C9A99abFB76b1534BF9A0E2B361fb7Bb24A012aebfCa9c04EAe0adb6f", balance: _1e36Str },
-  { privateKey: "0xc0E6805251EB7cAFFfd8142cEfDcB0A1ecc51e19Bfdda641FED9Cd4013aDA684", balance: _1e36Str },
-  { privateKey: "0xFfaa2e042bd5abfE8A9ADE87585c8fdF06B23e6D7cBb33dcfa54AcDeA232d6bE", balance: _1e36Str },
-  { privateKey: "0x6d9DE1d8DfFAB66920D681a29eDCbAfAb241Effba02D5D5E578E776C0baF2aFB", balance: _1e36Str },
-  { privateKey: "0xD54C84B9E06a7dfFF4D2a9B935E4388E431Ce2fEa129353FaFE7E1D1f60CdCcE", balance: _1e36Str },
-  { privateKey: "0xFC1EdC6EEFeBe9Bd2C1bd85Bd2b0dEe8CC1a3F244CB06EaDBfDa3374beC2009A", balance: _1e36Str },
-  { privateKey: "0x3cEBaAF9Eeb4D1e1Ae9DbF718C357f17181dDdEfFFC227012FA6848B37cF30FD", balance: _1e36Str },
-  { privateKey: "0x3A4CA9cc6cac7eFA8BEFD2b7B6cA4eD10deFb20EeE3FAA5B5fe75c2d28b9BB16", balance: _1e36Str },
-  { privateKey: "0xB1682AEFfa797bffedE3E04a7f0fbdfBbBBa68eD3F06b40B3bdD6Ee6a1b23AAd", balance: _1e36Str },
-  { privateKey: "0xacf0DacC07571dedeAED8Df7Aa2Ff4a3E55FaA4D5B7A6efC719bC5E6a2D2B8a8", balance: _1e36Str },
-  { privateKey: "0xB2004e04AD5Fddb4E42D6C7336eb631dE66faA7DAe26Fdf2933cB0DFF5081010", balance: _1e36Str },
-  { privateKey: "0xC0AEC7A3dB5De6d058D7AfAE9e3Fa27beb03E7C4013F30785EE5B4B3eb5Aa7e1", balance: _1e36Str },
-  { privateKey: "0x4e742f922E2e6D08382A92CD6b8C1DEC790C1491C2e8DfaC6aD4d8d8897BA4af", balance: _1e36Str },
-  { privateKey: "0x1CF97ac25A0FAffe1fCcA48cf8f3568C3efBD7cbA14bd31f6Ed12dd144cFE2Fc", balance: _1e36Str },
-  { privateKey: "0x4952D74Bad3Aad3af7dD72Be1eF4f2AfaA30Bf39dc2A9B385EE4bEFAc2C05ABE", balance: _1e36Str },
-  { privateKey: "0x569e4A45B022B6cFc6adfeC4C5fde36A6c02B016e6a6f5ea5FAeB5ABFC3B2b73", balance: _1e36Str },
-  { privateKey: "0x6Cb0f1b7f1306F1C8ffE4104bD8cCB7d58AFcf6ADBC4EDD952d2A0F1AD6fE3C2", balance: _1e36Str },
-  { privateKey: "0x75cA12bcFe6CdBe8eAdbCF5e06E3495fb07B4BcdDFE9A1C1CcF7114ae81B64FA", balance: _1e36Str },
-  { privateKey: "0x2A5DfFAAD6E68a1DDDC70AbD071B8e532Be99190cBA1E6A81C6A9C8a953E6f5D", balance: _1e36Str },
-  { privateKey: "0xE28eFDfcb5D7Fb1EB9f3BD3BE4398b6e104E83fed8717a12a5DD073fF9cFA445", balance: _1e36Str },
-  { privateKey: "0xdE1aaC5De2466Ff0d394b2CbEccaeaA18573e1BcbAb6B3D811e7ba49a2d44Fef", balance: _1e36Str },
-  { privateKey: "0x14DAB09e2e0E3aF98Dcf620A2Ee9bEE3b3EE20ABBA1023066965DAe04cFd89D3", balance: _1e36Str },
-  { privateKey: "0xedbfeaDCd77B0F227dC5d68FEce8fA37e7A5D21FdbAE052ACF57cb6FedC8eed1", balance: _1e36Str },
-  { privateKey: "0xbFAfe0DeBf83D6beAfc13DDeC6498b831BCD1E6AA6A8Bc693a9D31BD1AbC85aa", balance: _1e36Str },
-  { privateKey: "0xE640ee1a12DA75Ca5825Ae8aC6B6Edb0fC5DBa20AFf35aF03eac0179Ae5e2AAE", balance: _1e36Str },
-  { privateKey: "0xF64562e905E8FAE2a6447AFd0FAC02a3ff7e61147D388EaCFC48b0Bd9dA3094e", balance: _1e36Str },
-  { privateKey: "0x6cbaE40CDABd6Db182fD43FFadB7DEcA9bDCb1aa3FcC95bcfA899f26ACE23F32", balance: _1e36Str },
-  { privateKey: "0xe5eA053EAda1f6CdFFdC0A5f5Fe3c794e1Fc832288AA0Ee8Cc2b6C994FFAc27C", balance: _1e36Str },
-  { privateKey: "0xED17FaA5c1AF1EF2Ca7EfebE6C6cC6e7EE6277bbE07Daa9fBe9C3de50b4F6b5E", balance: _1e36Str },
-  { privateKey: "0x6c85fcbd6568c50b9Bbbd1ac670a090DEEb9354c7A55CD6DcFb9457015EB5aeE", balance: _1e36Str },
-  { privateKey: "0xdfc4F15EA695C3Fbce4DCc68a5fa1FAdA3e2Dd3Dd6efCa635b43Cb78bAb7e8DB", balance: _1e36Str },
-  { privateKey: "0x9CA9A803a72BDE625e88B4eE76417d76EEEBA06cc4D6A34eE21CcB8dE8355cAB", balance: _1e36Str },
-  { privateKey: "0x3aE0FCFe2D4dCEAef36ba8dd77d9FBaCdb0ABBb319Ab5E35bE5d066fa7F1A0bE", balance: _1e36Str },
-  { privateKey: "0xC9fb278eF294a4E76Ac6eAD7e07B5356aA1cFFa0398ca8917Ae50046AACA2d3c", balance: _1e36Str },
-  { privateKey: "0x5aBd85AdfEA6F6C0105A95bAe64245df89E3Dcb981A215DFB1cc8feBDbE51309", balance: _1e36Str },
-  { privateKey: "0x34eADBbEcaF8AcB847Ecb88C1FDc7DF7AAff7d29dA6056E7ff46ec6c2ddA1c83", balance: _1e36Str },
-  { privateKey: "0xcEA9CE18c75de3C9de8fEBECF7a4083B3682dAbB015cFa24ddb48403aBabbF44", balance: _1e36Str },
-  { privateKey: "0xd0D92cf7F48a1bAA7a191cbd14551DdC2298DC01Df41E00FEdDd4e332C0BcCc3", balance: _1e36Str },
-  { privateKey: "0x8C06fCDdcC8910Ffd0cF2BCbEAFadE311e07E41c6d1529ae8A9286708fbb419b", balance: _1e36Str },
-  { privateKey: "0xeAcc09aBF39adA7787ccBc0ce7614d4BF7B3fdebba62cA5fcA54bC6B8beBCDcd", balance: _1e36Str },
-  { privateKey: "0x43843a03FED086124E9E9412eD4c239cDC3c0f0d6a082Ee11Bcf619Fe7fc20C7", balance: _1e36Str },
-  { privateKey: "0xfE9afcc2b94aA9f36C7B5BbE2E38DEBB6fB2f1cdeEfed73cfEE7CBebA2dD75be", balance: _1e36Str },
-  { privateKey: "0x86dE879706AF8CEab8FF52e7B2f868aeC684CBD090DEF0c31Aef6ee883B6376D", balance: _1e36Str },
-  { privateKey: "0xfB3bdaB2695F8A83EDf72Ba8aCaE5C2B39Eee8E2E9d537DB096C6CbBeEE06eA3", balance: _1e36Str },
-  { privateKey: "0xEEe76B8a06dE1A1eb06caFe7Cc7BBeA3B6988a8c7F7A68F8FA15acb0e93d08cb", balance: _1e36Str },
-  { privateKey: "0x7c3B1b28cFbcdCEaFF3AB6571ddB6AE7F2b5a8dCDd662B3cF8B3A776DFD7F98D", balance: _1e36Str },
-  { privateKey: "0xB34a3a5D78f971EEb981fa80FB0e6A58Ce05A1Ba114aA5AEBea2eb9ffea11e31", balance: _1e36Str },
-  { privateKey: "0xaEecbf1997bFb16AABd10deDEC3e8E35607a9318EA674fd02AdCaEf2ADd6C5dE", balance: _1e36Str },
-  { privateKey: "0x5fA879ecacFc908Be85f4Cd86c9E7BabECCc1D370E15Eb43DE1c189EB1007D5b", balance: _1e36Str },
-  { privateKey: "0xDFcF7F9D2bA7a827Ab9a9C9efADE033DaE278F29D83C63F2ffFEEC0cAbEB53a5", balance: _1e36Str },
-  { privateKey: "0x2ea09ffbe13F7Ec873bbD2CabbbE03E03D890f7F1e945a5F5bbf3CEE1eEad2BD", balance: _1e36Str },
-  { privateKey: "0xdeE5D3565B304EcA2e6AFf98ef43D70Ecc6F8891f6E5439e587d2b6Aaa6eeAda", balance: _1e36Str },
-  { privateKey: "0xf5aC589Bc0F8f34EFD9040401CcAAB15E6A02bE705F9c4584e9edE95b9F1DEeC", balance: _1e36Str },
-  { privateKey: "0xEC37cdAceFAad773f471cDEf86B5ffeF71EBBcCA4A0fF216ec7145a6d3DA8cdF", balance: _1e36Str },
-  { privateKey: "0x9aCCDFBDEdf12FA7613cFa96C9Fd4BE2B5eE6C3880CCEAdD7A356a720ceE9b9B", balance: _1e36Str },
-  { privateKey: "0xaD5F5A875AB4DEE5aD3F93059ee23c9D2BB9d23A1ce2E5Add6Dc4F2CA3B5Bbb7", balance: _1e36Str },
-  { privateKey: "0x4215B8c7f0eCAdacaBD7d5Da87B8CcECFf74C4EB3E91BD27dcF7feb8fBD1dE3f", balance: _1e36Str },
-  { privateKey: "0x4c051E68E2B5b056379f500E95e312132C44DE84dd637ca4150EEfae41aCfBdc", balance: _1e36Str },
-  { privateKey: "0x3aa945266cDD97b4c19045562AFFb2D3bf0d4F63ACD5E15a0EeAcA65C2eD85fE", balance: _1e36Str },
-  { privateKey: "0xAC57f268eaBBA0e13ECeeea1780818c3cFac17623d287c5ad5Fcc4590fe82AcD", balance: _1e36Str },
-  { privateKey: "0x453a0dD29016dCFfd21C7BDaaF7783488FF6cC1FDa3fccEAA832F284fA9Be83f", balance: _1e36Str },
-  { privateKey: "0xAcA21387826da43e4aDaf540247D00bfd2cFd3323BDfebDE830449fb99FbC47F", balance: _1e36Str },
-  { privateKey: "0xFDeb8788BCE849c169ffb03880a88Dae1242aABDcAf4E4C87Bb7e1cfEC669D44", balance: _1e36Str },
-  { privateKey: "0xE82d0c7A0ACa07c38368f4Eaf5B84fFFFCA008de4FefA6a29DBA41ABeFaB33Ae", balance: _1e36Str },
-  { privateKey: "0xAb0C7f0Ec2b80fA1a9f24B33BB0E0DeFe6Ca9E59C73F4aDed9158Dd90c8c1d5f", balance: _1e36Str },
-  { privateKey: "0x83253fa82C8d1CE59AacE5A8bEAE8CeECcD67fFAEBacF5afcD852AFddcF6fEAe", balance: _1e36Str },
-  { privateKey: "0x333cF338D9B19B7F8fFEeD6e1b1DcFaEB3CA0ebF2B88E204cf94B8Caf1BfAf9c", balance: _1e36Str },
-  { privateKey: "0x8BA02c034fBDdE7AFa0bbb8B987a76CE64deBB9AC41F7ABFDEEE2B2Ed931F8F7", balance: _1e36Str },
-  { privateKey: "0xAd286026FBeA1Fc9Ea7BF3ea6ad8e9DcfCa906aBcdBee44652c6C7df8014dbfB", balance: _1e36Str },
-  { privateKey: "0xeB40c44Cea0AbAbD14ac3EC65ddc6A4E505D87cDa732932074a1Df3F960ED9Df", balance: _1e36Str },
-  { privateKey: "0xACDC321B9Aef943b39De3bEF9fb605515Fdf3ecD2C32aeEee164fCF2b2efBBee", balance: _1e36Str },
-  { privateKey: "0x8890f0F13CEaf7fB73F49C5b0aADD3875A3A7Db2aFdd5c265DF0B3DB95FeC8B0", balance: _1e36Str },
-  { privateKey: "0xE73A396E2e59b0c67AEac6aFbEb3317cf66e7b5Fcb01afCb7881c3D2Ac8FBb7d", balance: _1e36Str },
-  { privateKey: "0xAcFFEAD041586AAdBbc469FbF3f3ab3BBfC4c1fB9cD5EEb913Ef45CcBeb1c93f", balance: _1e36Str },
-  { privateKey: "0xABbBbBe029BFFB939ad609a964EA219fEB512B243EED4894f7BDBCE1EdCD22BA", balance: _1e36Str },
-  { privateKey: "0x9E65dBbeeA0Fdc8aD43de722a4c85f69Ec9Ea863BdaeBdf76A821cC1B8Fa6bEa", balance: _1e36Str },
-  { privateKey: "0xD6FbEe0391305458fbE2fAaba3db11Ad9B6Bf81ed82DFA8F41fb5662F178f35B", balance: _1e36Str },
-  { privateKey: "0x3b5a174AbC1E1a8191A9D325Eb867Bd97Ea790B9f4DA3a12EEb7E21dD76B328c", balance: _1e36Str },
-  { privateKey: "0x075EdAAfc15f218502Ab2561Dc8A89a374586bdB96d1d7bdBDdD0b281Fc715EE", balance: _1e36Str },
-  { privateKey: "0x52d92ea5Fd62aafe0fE96Ceaf8Acd5c6AcEa8Ecb9fD02148Ff23DA0AC8b9f21E", balance: _1e36Str },
-  { privateKey: "0xF2F0b801f0B4e939bc7DA32c95C84EBC5BBe59F4D0Fc7Bdd5E0EFbFbF8a64967", balance: _1e36Str },
-  { privateKey: "0xDc239FDA9a0859D0057CcC5F433EADCc49FA9Ee5503EbeFaCDeF4633CD14AB2F", balance: _1e36Str },
-  { privateKey: "0x6eA7F30feaf205c1868524a1ACc328B3Ce5f6f23d305A6b05aA28DB26BDa6EB2", balance: _1e36Str },
-  { privateKey: "0xFAba7a4845A9fEb3C79dA1F0EcaA2be7A4086289E3DDee49C7dDb72B1EA92dfd", balance: _1e36Str },
-  { privateKey: "0x9adE34b5469fC3eE9Da029eECbD06BA53cbad5FE4B0Ad8a03c9E0CEB7564faC6", balance: _1e36Str },
-  { privateKey: "0x3EC655DaC1e67FAd1833cBAA3A6BBA132837Cf1DB219Fd9CE91CA1742BF6a01a", balance: _1e36Str },
-  { privateKey: "0xB7BEA97eC2900C1a4F8e97A4c4FBFaf52Da3B0dEf9d82bDfa8Eaf4a56a7efdf7", balance: _1e36Str },
-  { privateKey: "0x1B63D8AA4Eb2EF8cFADE8E75917BeDFB6DcD62B9dcC5cDC562B7312d6E7BBeE2", balance: _1e36Str },
-  { privateKey: "0xae3E26D059aeE78FbbA2EA50FEBBaf8223069Ba0E2fCCb6AF91dCfEd0e3Ac160", balance: _1e36Str },
-  { privateKey: "0xf0Bc670B9d5ee77E4dB8Be87113fE2B838bc9BA5EC6AFcEA0B7b9E5E7c4BcAA3", balance: _1e36Str },
-  { privateKey: "0x834A781a2fdECbb5fdA18FAEEeBc2b8661C8C9528cA25fecEc2F8Dafa526c9AD", balance: _1e36Str },
-  { privateKey: "0x5dD92fdc8bBd655FDfF9C0D487f6153dB35EdDA66c0a99a3edefDFcd263b672b", balance: _1e36Str },
-  { privateKey: "0x5A3867C3D9cF4EeBcdAdCFc3B8ad620C2Ba1685ED1831C7E3Aa46a3a5edC81Aa", balance: _1e36Str },
-  { privateKey: "0x5Fc84BC3594C78b18fEfAcAe400d5bd8f92B9781c04F38f7f68b8Fa1e2Ba0F1a", balance: _1e36Str },
-  { privateKey: "0xBCF2af3BD42fDD11Bd6a7A1cBaA4C7eff1CDF0C7eeF772cca24Da8251C39EBfc", balance: _1e36Str },
-  { privateKey: "0x0CDC9ba2491f4a12BfDfbc88Fc3A5828DDd6CA0ed0c24192A4855aEAEd73feEf", balance: _1e36Str },
-  { privateKey: "0xbBa7af45Cf2ed5d0DDBca87eBaFf5c0FBD768c54ECcDb430F1bD86B66D253323", balance: _1e36Str },
-  { privateKey: "0xD73EF609380f56b17e51A58556155FAF1Ee459e0cf72Aa436fD6EEEaa8a2f9Ff", balance: _1e36Str },
-  { privateKey: "0x253Cc5febb863bB580fD5aeDC8CE7CB879F8aEBF1C2A503Bd909bA9B57D92136", balance: _1e36Str },
-  { privateKey: "0xB783db55DCfBc45dbdFFb60E612D04492eb7EE3e0B898a5a1e43D78e0eeea522", balance: _1e36Str },
-  { privateKey: "0x69c7Ea51aeaEFaf96212b2d28B1daEdA9Cb4fA21aDcdE06412afa12AfED45306", balance: _1e36Str },
-  { privateKey: "0xEc568dCFA000F1Cd0db8f17cD185AbBcFAdB88dDE8a64ad8dEc261913C6DBba8", balance: _1e36Str },
-  { privateKey: "0x9e631FCB88A2B593818DDA6cf81fEc447a5Af9deb77f3A986A0c7c74E7D3EF8a", balance: _1e36Str },
-  { privateKey: "0x5f0E9ab4B5CeFF6CDdD4F78C13E86cBaF4E4df5b729F1E16B9DFE2Ec5e46A1cF", balance: _1e36Str },
-  { privateKey: "0xDBaCC98111ba14Ee31e9ED8777660DCB97Ce40dc5cF5DE69F165c63adDC28Cb4", balance: _1e36Str },
-  { privateKey: "0xE87C91Bd989D5a9eb7d120ca25da7A25bf8ebE86d4a3B9cC1B3E09c1C58db3d7", balance: _1e36Str },
-  { privateKey: "0xDE4aD389dcF8DF1b1caE8cF4DdA4CfF7cDAdc5B5a23BBFca2ECCcF4AbD461FE8", balance: _1e36Str },
-  { privateKey: "0xfdE6633f3aBd558e28ADdd3d1aD3839E8713735cBdd85fAff7A3aBAb8cA691B8", balance: _1e36Str },
-  { privateKey: "0x3c96e806cEc3f4cCf876CfA37dcd53AeE1c1A5aE7CE39035B2bEf82362A1E830", balance: _1e36Str },
-  { privateKey: "0x40e68C840815FcaF97BdCeaf3beaDe6e03348c7BC3fD9bA8deD178aBc5233896", balance: _1e36Str },
-  { privateKey: "0xBdf2cdb7c0CbCF395eF6BAB2bFd1679eC5a82Bed061Ae52AbAee00AEc60C1CB2", balance: _1e36Str },
-  { privateKey: "0xDf1A11ccD21EdBe679d06f34efDe03068F171B6f47c71fa2E04fAcE00fCe43aA", balance: _1e36Str },
-  { privateKey: "0xAf69cc6B32E02B4Cf66Dea192AD06973E45ACadef2c9fA179adbD1CF02bc04C6", balance: _1e36Str },
-  { privateKey: "0x3dEF97AeB6FbE3495feE1F5925d8f3bE60aEB463E6dC39B8A586C1Fcc7603eba", balance: _1e36Str },
-  { privateKey: "0xCE8b10D29FB25EbDB566aFB6AbdaFF0C27E02c6A5F43E9625860638317F00dA0", balance: _1e36Str },
-  { privateKey: "0xBFCB6351C9bDEf5E1C6E4DF51EEBeD33edCFaca35cBf7B3B97c25cce7edAb380", balance: _1e36Str },
-  { privateKey: "0xF4A7591de59b833Aa4FDcaFe0ABA2C7eDF9DfA43DbcC6f7F568Af7ddDBDFF50d", balance: _1e36Str },
-  { privateKey: "0x6AB2d35FfEAFBC1BB2f13B5A6A308f97fFe11FE2e76F825A27794325DB2Ec1ca", balance: _1e36Str },
-  { privateKey: "0x4f32bdB88ADD636fEAdbd999b1c6a5EF378ae941fb6C0b77B3bD84E2EC0E875e", balance: _1e36Str },
-  { privateKey: "0x7cB5cee3f0653379F9AAFFCE0C7af0F454bC2299932DD2421ebcBc2EBAcbAAda", balance: _1e36Str },
-  { privateKey: "0x7448AAc0503965eFfbBCC446F6EeC7c1563B74c3FC9B62a95E011dac6A5a63E7", balance: _1e36Str },
-  { privateKey: "0x153E8F5C1DD71EDAF5B0B433f65bF19D36455Bf8185d6aFf59Dc62261852f7Ca", balance: _1e36Str },
-  { privateKey: "0xAf47350Bb5ddA5A2Fd36CbEfb32deCC587ceAcb4b4eF6fAeadf4e3Caa5A5cc90", balance: _1e36Str },
-  { privateKey: "0x251ffd49DEAAbABbFE4bCd027c0B2aa33B6f12Fe6E6b5afac4D4347D70831ca8", balance: _1e36Str },
-  { privateKey: "0x84CC45bF6dd0aE47D78F63b7BBEBBFE6d02c9eB1D69ec26Bd9c09c2fF7F3f8F1", balance: _1e36Str },
-  { privateKey: "0xd552e3E0B7aCfbB3876972Cd83E74eF5F4Fb30578d5DD959e4450EeaFDddeDfF", balance: _1e36Str },
-  { privateKey: "0xDd42AfaB5eDaA95ac60fbcF775dF9b6d9c4aabEFEBaA68420ECe4Aed056Bcef8", balance: _1e36Str },
-  { privateKey: "0xFb4CBEdD311b5AaF4D2e37800b6dB32DEb9394d03Bff0dDAfC1Cce59DaC1FFEa", balance: _1e36Str },
-  { privateKey: "0xe6CF9C7c5d3DD2cDcedAAB0CAc4dE85aF3e9347ddAdcBCFee3CA4Fe6D28cB88E", balance: _1e36Str },
-  { privateKey: "0xd3A4DeaFcFe539dfE8f1A6e8dc3a8dDaEb4516bC44d9bD6a9243DcBb30FB75A3", balance: _1e36Str },
-  { privateKey: "0x11EDAc3bC10EfecD0CD375A0BF13d89A983344bf9B22EbE2d9FC6EFfb80Bb2Bb", balance: _1e36Str },
-  { privateKey: "0x8E782d3EaeCdA8c54DA8ABAE38Cbfb2bfd602FF7215CEce826Af5Fbdf1fb467D", balance: _1e36Str },
-  { privateKey: "0x71f6eceF5AADB7Fab94bCf7D2A08F4B16ef68Eb0372a535442Ff83ca2b9B77A2", balance: _1e36Str },
-  { privateKey: "0xAFF096e96B9a7Bdfd6ccdc39AbF651fBe0eeD4E205Be3339A2Fb7fBf49e89E4a", balance: _1e36Str },
-  { privateKey: "0xc3Ff65464AeBCCD1a16Dab59fAaaFb19aBbd3a9125262e5fa9AfdBAF784cA0E6", balance: _1e36Str },
-  { privateKey: "0x5764DCeF70FD8D6d7B6f55c7eA5Ee62ea6bA43e930dDdF1E9DD9CCa85e8174Bb", balance: _1e36Str },
-  { privateKey: "0xD79BBBAAb8c3355C42b7c9FFb4F81EcAac4eC921fA0a05D91aee2f6EA00b61bd", balance: _1e36Str },
-  { privateKey: "0x63345BF93540bEDB80aBA3d19B51F5ffbc15A603C3a0EDC5E3a59b04fA991bd4", balance: _1e36Str },
-  { privateKey: "0x385dF5caB7d7bBbb9FbC92D1EDEf78588cBbD46719470f9f32Aa5cDD5A0c29Fb", balance: _1e36Str },
-  { privateKey: "0xfE7e1bA71e0F2Cb1c9dad07c9DDB980EF3Cdaf13cC57fE6CaBbecD8DF19ea99A", balance: _1e36Str },
-  { privateKey: "0xCce7F23c1d5DDF28fc6F2CEEf6C0d21042df9baCF769Cc20a218966e57006C4b", balance: _1e36Str },
-  { privateKey: "0xdCAd70Ff4468Ab5edFebfDedee5Bb10B27eee2Fb3eEbDfD5B8dedD6bB84AD9Ce", balance: _1e36Str },
-  { privateKey: "0x3BFB1b46E3CdF64469c8fF5A2C8A067eBEAa014fC8ae14B8A2BD6734be29d02D", balance: _1e36Str },
-  { privateKey: "0x3E82af9a9DC1EFFebFCA6DAA8Bb63EEC129D0eEDBC14D2ACcDfebfff11DBfbef", balance: _1e36Str },
-  { privateKey: "0xF4CB2d0A9a508BADDfCDa402CfE5dFB4AdE520BEa3daf1D6Ff5dEC4c35b7317d", balance: _1e36Str },
-  { privateKey: "0xd99d7eA3B33ddA5735A17b3B5eDeb11eA5c1Ee1F93dA9Ad3DA1f4ffC3a822Fb8", balance: _1e36Str },
-  { privateKey: "0x6cAd93AadE1442A94cDfFE0b7dA02e0C8dEB6eCEd501f2BD433F6852ECbC3bfa", balance: _1e36Str },
-  { privateKey: "0xb03f948e1731F97567BaffADEc55aBf3AAdee2dAD50bb10BC1b2b1abFABdEaeA", balance: _1e36Str },
-  { privateKey: "0xB39Fba81c809499dC8E4a343A0F0cdF7c5Bbed3cD2cbA693d1057Df9E7d0CE55", balance: _1e36Str },
-  { privateKey: "0x07A4E933B6aEbC27ccb0E8E2E099aFa0E5bAEf4f2Dd6dca97cE30293ebD424e5", balance: _1e36Str },
-  { privateKey: "0xEf03De1d11adCBfB8C5dFe5Bae858917b64B8CA3ce2EB66Bd838A4089a28FdDf", balance: _1e36Str },
-  { privateKey: "0xA3cCB3ECDb856eb1FEF7D254Ec3BB4B54eD5fF47deCB994630bBEC6bCba0DFB4", balance: _1e36Str },
-  { privateKey: "0xFdC9deAB83e6eF5c81fB93BBBc1dBC6b4Ccd4c70062729325D3BE4e38F3dDDea", balance: _1e36Str },
-  { privateKey: "0x5D0afC0b07AD3DB744FFe075FC8895BA2Fb65fBFa09e246B73b5ef1bDD1cA70d", balance: _1e36Str },
-  { privateKey: "0x6Eae1dE8A416E69Fa4EC1EBECC5f571C0DfeF491a4fd02FCCa42BDE0026Ccaee", balance: _1e36Str },
-  { privateKey: "0x9C2bf2fCBEAFAaCA4cB9403bfB3c8dd2C8b0840a498BBfa729CfFbFd3d8aE5FF", balance: _1e36Str },
-  { privateKey: "0xE23d7aA7e018ABD14Bf41E8aFcbd7CAed2D67e9b00e9402ADcdd156AbEeb8A9f", balance: _1e36Str },
-  { privateKey: "0x9F1aAccb4CFc39Ebf3F42E7dB0710ef526d869572Eb3dC22bbFACcbd252ae6C0", balance: _1e36Str },
-  { privateKey: "0xB8bcEc5ff2d4BA1f91e8Ed92D90D4CBb50e968dedb5a79acF4a3aa7A5fCcDa1c", balance: _1e36Str },
-  { privateKey: "0xD3aaee5ACcfB2DdCffA259065Bc184F4e7DEC1aE8DCABDf18C4b4fc2abA1c218", balance: _1e36Str },
-  { privateKey: "0x8A4948Bf12EdA92dEEa3Ec9338ce2Defc58af2bAaC99d5E50fA3fcEBBA542FAc", balance: _1e36Str },
-  { privateKey: "0xAc0bB26d9cD75969c31A2A2f8F6e4DFc6510B43A86d1679d04aba8cF8F225711", balance: _1e36Str },
-  { privateKey: "0xACbB5b5E6e1A61CaA2E53Ee1cFeb3A9458fae0C53EF764608aB0ed27305F5eFd", balance: _1e36Str },
-  { privateKey: "0xeBbaC1dbBba6a56A9FdaBD5FE9Af262c3C85B6467a364fbEc6E34d0FED1378B9", balance: _1e36Str },
-  { privateKey: "0xba802E4CE2EEE1EDBEb9a03Bc5d1fb6E99f1EcD5a107d2DDB5FDC3ADdFB7a6B5", balance: _1e36Str },
-  { privateKey: "0xaBbB7bA0e420F514FdbdBDc47fDB90C717eC0E6CB1c7E22e04feFf0DbB59B82b", balance: _1e36Str },
-  { privateKey: "0x0aDea8abf38abb72E1cd3352053eCcaE11FeddCbFC16Eee3EBf72FbCcf1cfb27", balance: _1e36Str },
-  { privateKey: "0xfC925DbA92ECd1ECfA8C25b85Bab5cdb790097e8Fba1F3bf49EB099Db5eFdEbc", balance: _1e36Str },
-  { privateKey: "0x1EE9b224DE0F846e03E51EBDF8fDf57E0D34E32bEAb9EFd5Ff8E57C1D90BCa8c", balance: _1e36Str },
-  { privateKey: "0x0eEA4Bdf42CAAB8CdacFA6cE3DCDc187F2E4F224b1cc156F337e7F819a213613", balance: _1e36Str },
-  { privateKey: "0x80E925DDBE74f1D9F7a9D2AB8Dd43EbeF3Bcf30DaCab99239C9d0bbB1FfdaCca", balance: _1e36Str },
-  { privateKey: "0xa2909a0CB5B868d46AeD0AB97fFaeEfE7B8A6778AebAf2c18bf0CfbCe2B22d99", balance: _1e36Str },
-  { privateKey: "0x52a8b153f9B7C8D6acF3Ce87DBb41f5f9B298EeedD788e23AF0a1B1ABEfCD42B", balance: _1e36Str },
-  { privateKey: "0xf0e36A9EDBc1E25376da9aDcdfBdF8aBA437BFaA96B4d8c08dFdc2abE036B9eA", balance: _1e36Str },
-  { privateKey: "0x94F1Cb0D4A2Cc8087fC4F3bEDf51bb6A0E2e3aD4aA8bCbF80eACb8e04ddA00eA", balance: _1e36Str },
-  { privateKey: "0xcCB0Cd6F2a01bF27fC92aCbCa927D14FC3c3f74E48Fb4FE0fcA8f2fDEEAcEDC0", balance: _1e36Str },
-  { privateKey: "0xaDa14CF43Dd2721D8Cffc0F1bE94e4256D282D3c6aC866f7a2Ed9cc9f10bdDDF", balance: _1e36Str },
-  { privateKey: "0xBEDd67fBeF5E0e11DAB1273023FEF56adaff0E5CeB1ba46beDa76AADDDffaF45", balance: _1e36Str },
-  { privateKey: "0x32e67E8A77ED16AC4aDbA35f86bCDeAc12A6eB1b4dF7FbBcDCE999fAb44Ed5F9", balance: _1e36Str },
-  { privateKey: "0xD483A0DcDB0B3a38e80AD9EfC5D581003Bea2FDDF6b6AC5bbf6baAfA4cA5C4Ab", balance: _1e36Str },
-  { privateKey: "0x9808eDBE3a4E167D5Ae7aE231D6968a02dBfFDbA0D43A625eb3d1BfBAfBa31E4", balance: _1e36Str },
-  { privateKey: "0x1D2ac2bFDAA05C0AbEa6E1Fd02acCaE2bEfb625749D8cde7762395e9CFdAeD93", balance: _1e36Str },
-  { privateKey: "0x719b0aA9aFa4fA4BF0DEbB5fC06AaD3C4F14199EF25a6D9Ba2E5e8dD24E07cF1", balance: _1e36Str },
-  { privateKey: "0x6be44Cf5f014dBf3Da3857dfbdAFBC1C9Fc53CBC8BB92b41c05ebD9fD418eeaB", balance: _1e36Str },
-  { privateKey: "0x9fd0135A35CdEfcDBaa2ACEEFaA13A3b27cc9E281e0b2BadadEbD039c2cC4aeE", balance: _1e36Str },
-  { privateKey: "0x7bDaeBcAAF701Acda8012E28BF6b75717fcc1CABbeE5aE4eecB7d440cAcbCe76", balance: _1e36Str },
-  { privateKey: "0xe92cEa5501d4F89f1DcC90FbbC41c3FddB62F3a8Eaf5b5cBEA0f311eb24Dd450", balance: _1e36Str },
-  { privateKey: "0xE79bF44Ea2eeBFce2FA0DeafE4aEB7da7deb7254E6686CB8C7Be4BA239CE4D8E", balance: _1e36Str },
-  { privateKey: "0x254ff08e9eaDAAFEC23B7AC60CDDEcd2E2b4d9a7fF0Caa8Bcbcb116a1A9b0e7c", balance: _1e36Str },
-  { privateKey: "0xACEB5dbf9E23BCaAE5C181BbeAE9e62E3cbD8CD0C64DaCDd0DFBcBeBFf0d5B61", balance: _1e36Str },
-  { privateKey: "0xEC2fB180f03d6f2Acb429E7BE539eD6CcAF9Df9b3D470265cbD13dfa35d87a80", balance: _1e36Str },
-  { privateKey: "0x3fcAb28FfC9bBbFf6De7bbf07aE5cD4de4cdB56F377adaBD5B16655C7151f8C6", balance: _1e36Str },
-  { privateKey: "0xe08efdca582B4eeB3A9bb0decc5630CFEAc0F4CEeFD7f0e29A7B8CB81EfEe344", balance: _1e36Str },
-  { privateKey: "0xfAC7ABC31b79E6FFeacf6917Ceda2ffa174A2fBD46d029a765BBabfEBc3d8Ee0", balance: _1e36Str },
-  { privateKey: "0xb3f3Af8a0919CcdC870DCa3B22510BAa798082dfa5f81E82af9CA9C78f107fa3", balance: _1e36Str },
-  { privateKey: "0x7BFBF12619BBFd18efb88e4c6a3eAD5Bd2EFf3902b3f4Bc7FAdc8ada3eB74939", balance: _1e36Str },
-  { privateKey: "0xDdeA634E20e9cdd148F43c1CbAAB0E3f690F2D188B9CaCa8f48A0c2268F70e7f", balance: _1e36Str },
-  { privateKey: "0xb2D834D50adEdF57ccbB1e94bE9BDDCF8daEd6Aab19b76a59E1c52eA26E13bF3", balance: _1e36Str },
-  { privateKey: "0x0BFcb562ADdFcEaa616F4FE11C911EdD7F2Ee274198260cBF7de55CB7bb0FeC4", balance: _1e36Str },
-  { privateKey: "0x33eeD6CE9F78220Fd4ECA8c25492C8e3A96d6c3ad2Ec11fAe8a7fBEdbC3a120D", balance: _1e36Str },
-  { privateKey: "0xDB28B7adaED1df7daAB8Bd5DaBBf42E0da2EE53bCFDaEdc2f2e49522DA003333", balance: _1e36Str },
-  { privateKey: "0xDcc25ce4dcff179c5487EBCdfF0ced69aC960cAbfFa3b9aDEEd870eebED6a48f", balance: _1e36Str },
-  { privateKey: "0xD053efcdE1E4d9deBAA0BaeC3c16B70f319Dc55C142C6fB92C53EDbe6be6cB11", balance: _1e36Str },
-  { privateKey: "0xB3f97862464ee31Edcc2dec54b52C30d00dDbc2bBbacdc14dF3cfEA4cEF8BEB2", balance: _1e36Str },
-  { privateKey: "0xC2b8C2f23159Ee3AEF1d295be9Dfed4CBbB89A4cB0764B9FaDb54C4FDDDd3a1e", balance: _1e36Str },
-  { privateKey: "0xA33037cF3b1fc82DE8a0063d9e9FcA3EdBcEAF2D4FB2D15c8ae05965De7b95fA", balance: _1e36Str },
-  { privateKey: "0x1dEF3B3f0C8E3AAC250b5b5A394036b5dA1BF4acA74D66A2d00A671503ACCcfD", balance: _1e36Str },
-  { privateKey: "0xCC4857E4F9E76c3DC9A714583831DFE83951e3ccf9F9fa4AcfCa57Cdae0aE841", balance: _1e36Str },
-  { privateKey: "0x451DFaBe73E615De55ecf7c0338d820c8dc3Cc92FFb565d0feCDcBFEa89AfacE", balance: _1e36Str },
-  { privateKey: "0xbbD7296EdAaEdc63bf6ea0bdd8EE3b59Aca28fa8A5bBab7c4bcFaFbe77ec60F7", balance: _1e36Str },
-  { privateKey: "0x47Efc980AaE4954A13Ce3b4cB6b6BB867cB9feA9ffB0a26e3BFC5799b3bace7b", balance: _1e36Str },
-  { privateKey: "0xf3E4753b1b4ea2F4BddBBBE74d6899780cAc522d9610CE9DCd246cdA63Aa53FC", balance: _1e36Str },
-  { privateKey: "0xD4bD7ad31cf23ed95d4be3bD46a61Ef1fa296f0b5c17c0FeCCF3077E5ecadb2F", balance: _1e36Str },
-  { privateKey: "0x4B1acCE143c98dC1CC130aCED1aCE9dd2624E93BeeFe99dcd40281fDb5B96E9A", balance: _1e36Str },
-  { privateKey: "0x0b7afB042f5c7D9FF25Cb9f68E34E019A5EBDcB6aF3f5fd9fDCd3AfDe095A8E2", balance: _1e36Str },
-  { privateKey: "0x0A52eec4DAA3ae0EA9919b791E0d29ffA1A8a3ABD1B9562e4a4AaA1B3BD8a59C", balance: _1e36Str },
-  { privateKey: "0xd1CdeAB1Cee995Cd6Ed7adBfd15E6b47Dee2E3ad8fEB5CaFBF58fAcF7bab3cE6", balance: _1e36Str },
-  { privateKey: "0x23aFd6F3Cf94C0bA770Acd3D089e4eEC1c59BbecB5f3e8155ac7AfE2bbc08FaD", balance: _1e36Str },
-  { privateKey: "0xd4f13a491beDE02FDbadd4EEef3C21A1D9b3a2adD92CD5Ab243EDdC6bb18D58F", balance: _1e36Str },
-  { privateKey: "0xEb8fcBD3b21D9D20cB4dc259F7FcD692CD7d83fa8f08D1AA40Edc9D05C13cE6e", balance: _1e36Str },
-  { privateKey: "0xFD0e23CaB82cfdA8Def215a53c764fEc45a15eEFf81CdFd39AD3da17EB8faBb6", balance: _1e36Str },
-  { privateKey: "0xbe92efb5a0022d8eb3Efb65cAEE4C3Dd5dBB8A997BEBec9FfDbAB7ec8B3Bfdf4", balance: _1e36Str },
-  { privateKey: "0x3EeA2daaE910BEbF6cAfe5FA37Db32aF680BdBc0A5f022d6746cDA456A1bad7C", balance: _1e36Str },
-  { privateKey: "0x66aE6623749693fF47732b5dD89A8F3f8C54C2FC6AA7546E7f8825D1de665fe2", balance: _1e36Str },
-  { privateKey: "0xc1b4c0D62dD7Dfc7aF4C2F67eFeBe6A986d3c9fcDc1D61d87E3ee27A40a7dD62", balance: _1e36Str },
-  { privateKey: "0x98b3e0AF5e8457Cd91CCB98a573cB5349E34A9B1B79f5cC70ebafCb0EC2D6eEa", balance: _1e36Str },
-  { privateKey: "0x2AaA360bB28FfaB6Dfb07DF6d749CcAB33f456feE8c48CA0C0aBabE505E1fcaE", balance: _1e36Str },
-  { privateKey: "0xF87Bf212BaB4cF22919E87CEe7314714d4DE04EDE0C6248bA20f9a3aeCd92A5E", balance: _1e36Str },
-  { privateKey: "0x7CAb6eD36E5ae319cA36a920AB40C4ACbaCBA11D6a2CD9A0463a2dd0ad0BAFff", balance: _1e36Str },
-  { privateKey: "0x8eBDDfB589EAb34B1dBef5401ceDEEb5A5356Ee99D397204C290dcdFE3bE0b1e", balance: _1e36Str },
-  { privateKey: "0x0c33C6c04431bde14BC2ED53Be3Dda82E46Bcc38E4C67DfCd7BDfcD0efDA0c1E", balance: _1e36Str },
-  { privateKey: "0x33E4cDc6E44DfEc4f3C61cEd7B619348Bdc4b7393A5BaFA0e6beF6a31D762187", balance: _1e36Str },
-  { privateKey: "0xB36C6Dc9d37eFC0dB35C82a4a6A2c1cFaFa1F8e22b5DdfE5eeF2Afabc1aF4F3F", balance: _1e36Str },
-  { privateKey: "0x81C0029779E4883CBbe3DdD1F0C7f70F1B8ECDd3ca6b1885F90aCec02dA57aa6", balance: _1e36Str },
-  { privateKey: "0xe0eE2Fb1AF4c7c0dfEc3cC74ed54f9fD5D19FDCb84e0E3B3dF98a6Db699f2FEd", balance: _1e36Str },
-  { privateKey: "0x59D1EB337E1b4F1fF7d00EAD7D535C0bEb7C537D2a57C50CABF8fBE7fbB13971", balance: _1e36Str },
-  { privateKey: "0xf4F7CabaAe9dB2B966C36F6CdF944ED105Dcd3c84bECca44EfbEcF3B3162e68a", balance: _1e36Str },
-  { privateKey: "0x5f0CC6F6B15aBb9E5caCeFeB5E94Db4d4600EFec15884e46Dacfca22bE7E1e4e", balance: _1e36Str },
-  { privateKey: "0x974b202d2210b72CE9Ed7d659dfF39459fB7567E6a0be03328f1d61E4392a8bb", balance: _1e36Str },
-  { privateKey: "0xf56f422f7da15e585b40Bcd03FDFD6F2B0B4bF75BcDdB332422AfCBce6dEbCeA", balance: _1e36Str },
-  { privateKey: "0x449dc1Fbda2aaE045B75cc8a1E1E3fdF2Fb0cEA8C8ae1FcC1e7240A89b7BE87c", balance: _1e36Str },
-  { privateKey: "0xDFAe5AbafAA1fD4DbA7bAe9C2B9B8Df6f8DEcD76e2e3D3FB452eFC074Adbc484", balance: _1e36Str },
-  { privateKey: "0x8edDbba6C5a25AD9f8b8f6538c5EC5b94cf4A8296AAe12D6ecC80e9B410451B0", balance: _1e36Str },
-  { privateKey: "0x4CFE4c147BEbbE59fBEEd822D42FDA8184a9Aa7bd1CFcaefcfC168F1CFDCcC87", balance: _1e36Str },
-  { privateKey: "0xEfCF38B4BE5dF38fC25B21fCdCa3Fb0DBCECa9d7F2b90Daaac2BDf3A927C3d2D", balance: _1e36Str },
-  { privateKey: "0x96Fb11d89fac2d81e199FC8bdEed8faedDEe940D69EBE9eed11cf59b09bf485f", balance: _1e36Str },
-  { privateKey: "0x0dEBBc5d2fEC31A9E6aeBF45eeA37f4d62ddff40C21Beb2fA91dFdCc5a74EdDB", balance: _1e36Str },
-  { privateKey: "0xe595009D54A442C3B8bab0aAa29Fc32f0a69c913e3CAE99Ed7cab8b30a767d30", balance: _1e36Str },
-  { privateKey: "0x8c131eFeC4aAf3767cedaC6aC9f397bD1cA75e401B6986F8Dc2c5A8A75a42C1e", balance: _1e36Str },
-  { privateKey: "0x9fEC48A5668Ae4a4FbE00B99f0A1916F312Ca67BCDcd982FB4cAB18A33fEBc8e", balance: _1e36Str },
-  { privateKey: "0x7afC439E54ABd363E8A16De0fdb0813DaDb00B7f478Df986Ecca78eBD8bABd99", balance: _1e36Str },
-  { privateKey: "0x2bFbE5B65F6fb237D0fCc3934E97baBbd762D6bf0019cdbFf61eA035cF698bb2", balance: _1e36Str },
-  { privateKey: "0xf1698BB19bcb2DD40C66d748e7d7e51BaA48e89A65FdDA83d0A412ffCe8ffbA7", balance: _1e36Str },
-  { privateKey: "0x7f13D5Ccb1CbBBCaDBfacaa9Cc75877A8c7cbAcCA678dBCfCE8bCAD0AAeefaBE", balance: _1e36Str },
-  { privateKey: "0xEb501dCb45243CbcccAcD9d5c4AFBEc6D674b3d8db1CcF6E2AA7eC8341DfacA2", balance: _1e36Str },
-  { privateKey: "0x5968a48B4459E42c153Cd0cF9dAfeaa3dEE7b345C1eC6eeeE3dB35d0eaE8525A", balance: _1e36Str },
-  { privateKey: "0xe1B04C5b3d81CD0d7a824f2AeDABdF3CaEB815EfDdbDb70Ef8a4aefA8AfAFe0D", balance: _1e36Str },
-  { privateKey: "0xEa3C3E1B971AF1A38acA8890c80f0988D46D476A7ebfEc8e4e4444d3BF220d5F", balance: _1e36Str },
-  { privateKey: "0xDfAB60bca7fCcadDf9CCa29b46acc55fBF47628Af7D9FF68AE4c3eaBf2773eCd", balance: _1e36Str },
-  { privateKey: "0x1d469c1c05FE7158F87F9AfA59C159dd1F35Fb842c4D75ceC3866Bd8E20B38cd", balance: _1e36Str },
-  { privateKey: "0xF6E9F70CDBEF23BD0f44C29cf3D46dBBCa41bC8E34243e8A8c6cB4a0b89d6faB", balance: _1e36Str },
-  { privateKey: "0xf9EBcF5CA7E7f4efFbb1B5b5908519BAD9dc881f3ce10F78D4A76cEb3bca7dd6", balance: _1e36Str },
-  { privateKey: "0x9Be1341Bd47BbeCD4DaaCFBFC6521Da3ca99cEBa2c015bDc5396D21f93fb083e", balance: _1e36Str },
-  { privateKey: "0xCF6cfA3bAFfdCbBBD21CcC26d8AdCdc7e73DCdeB3DbFc593aDe6eF7e0dCCd6b5", balance: _1e36Str },
-  { privateKey: "0xFCAAb2f51b7AdBFC85965E04FC7bCE43abdA62e9a550Eb03Ae3DeC9B3E9a6A3E", balance: _1e36Str },
-  { privateKey: "0x5373595F795F0bcA6C8DFb8059BdceCfeb0e1AC41bfadfe2ff30c44BFe028CFf", balance: _1e36Str },
-  { privateKey: "0xEFd1A59B43DA61b94F97f55e46b34fFd4B1Cd6aD5B13bfCbb0aB73cbE4b64648", balance: _1e36Str },
-  { privateKey: "0x0882d8FcBEc800CbbC274d05A4E80aFd03C48FbbdbbB82C0e393e3a1fd6bb3FE", balance: _1e36Str },
-  { privateKey: "0xb31bdF240e1AEfe9B38E6ce748Cff6Bd9a2caEdAD4Db6ff2ABBcb4BA0afc83Ff", balance: _1e36Str },
-  { privateKey: "0x48014eB47439A9B4D0BB9F674dcad87Cc2Db83C0DeBEecBf7891C46cEc7dCD2E", balance: _1e36Str },
-  { privateKey: "0x04CB5cEF0C97f3b1AFd402a57BDcefB9FD88D434eB3Ff682f214981fffd96ebC", balance: _1e36Str },
-  { privateKey: "0xbcE7f35a120b78876a96C9cb1DD00b60A43546c71e44337f25adcBd3FadfADaA", balance: _1e36Str },
-  { privateKey: "0xA375bB4751B5F4eDD7CB124dceF9501C8860bAa1Dcc56A4812DEeb9D2fEd483B", balance: _1e36Str },
-  { privateKey: "0x2DD6e6a53Ae0fA1d002F3b6aD2DCccc5cCBEd0829DEcED94e5D561AFCAc9ecFf", balance: _1e36Str },
-  { privateKey: "0xAA3beB7109c486ac7C65dce2f99F01dF380856159390922ed3fbf6A6AC0fBD32", balance: _1e36Str },
-  { privateKey: "0x6CCE77A62f6B35E44a1cEbCF4ADECaC9Fa6C5EBeaf552C6b2404D111F3AAC3EF", balance: _1e36Str },
-  { privateKey: "0xbb44B0CAf55be6FAADc841cCcA88eA227Dd096e65d1Bcb2e4c6c4edA2dfE90Cb", balance: _1e36Str },
-  { privateKey: "0xbF1498f7C2c8eb21Bb6b8f2B9dd4BDa92824569FBA9E2E1931dB82DDC33d67b4", balance: _1e36Str },
-  { privateKey: "0x8b6c6c6AC7EB3fb5de441d2a47EF9E22D42dEFea2ba5425A863cf76dcDCE7D88", balance: _1e36Str },
-  { privateKey: "0xA700f2aF7c094daae3D4FB3d4D571168e656eB5d2231A2522F13De953148f3EB", balance: _1e36Str },
-  { privateKey: "0x22BE4f11f0a663aFedd22E83746b171a02D9BD1A437DA212B9eF410A01EDEf7c", balance: _1e36Str },
-  { privateKey: "0x1d7cF08983fDD91A7ca0014dBB746483D0AE4Ed8167e8Ac226fceeFb9DC3dbC7", balance: _1e36Str },
-  { privateKey: "0x0dd0DBD1Ae6BA54384DB4Eb9C60DAa4de0a4Aa4dacfd3bA37cec9c67039CF66c", balance: _1e36Str },
-  { privateKey: "0x0ACB6aF4EFFdCF094Dcbc1Fc0F0AFF30AE0f24ff7b7D10BcfC7A92F30d19A78F", balance: _1e36Str },
-  { privateKey: "0xbCef26d02F68d1Bb0aA8f865fbD0Ed5bdc9b70AF4BdEf259C22fEdBBc14B4d88", balance: _1e36Str },
-  { privateKey: "0xdCec192ab72d80Cc6B1bAE5aFfad26C6Fbe65d65C20029DB4EdA4FE57dfF1fC4", balance: _1e36Str },
-  { privateKey: "0x7B37e5acA4d8DD3B5B24EF2443aDfEC9A10b849CA3AacB88eae2B210D3a91b9c", balance: _1e36Str },
-  { privateKey: "0xb58D6d00fFfEea1E97330E9cE375BF0EBEEeAABFc2C5fCAABEe92d9D98B993b8", balance: _1e36Str },
-  { privateKey: "0x74FB3B605CDDCefc0DCC289DBB6dad6FC5fd52C7bd71eBeBf563Da5CBDAfB7A3", balance: _1e36Str },
-  { privateKey: "0x37eaC4Bb1163f67cBE81bd55755E73ffFC0dC633EE44FD24Bb0B6cFD2fFab09e", balance: _1e36Str },
-  { privateKey: "0xbF2AFE9218BEC1B98f8A1b0780C7cFa0561dB06287fbDF6F842BCbFD0c85dc8c", balance: _1e36Str },
-  { privateKey: "0xdDFF5A7A11cd4ea21d8E0B8F70A8df2BBF54E6FbC44967D92BdCD4a054447bfF", balance: _1e36Str },
-  { privateKey: "0x351c54E13C5FddEA43268781A35E3AD5b8bB9bfEE423da7e9Eb72d9b0eeD0AFc", balance: _1e36Str },
-  { privateKey: "0x77c1984fF57afCaB30Efc287fB9ABfcFfDE46b3E3d63B6aaA1a8FAabcceCF5BA", balance: _1e36Str },
-  { privateKey: "0xb061aEEDdc5efFfBa3ceB16cd9e3d708eA81A8f692dbbAf9C5a0B4acb0eF2895", balance: _1e36Str },
-  { privateKey: "0xf46675572ECa0aEacBCE749E8B3fEb4A4434bF8fc4a17E99f93D3cAF4De08aac", balance: _1e36Str },
-  { privateKey: "0xe6FA5fA76AEA8F90db9Ab5Bba1BF25A2F98Af28aAcFE7eD3df7d2D657678Cd28", balance: _1e36Str },
-  { privateKey: "0xA1F35bBEBddadF8dD4FFbFF3FC1d1C9dF4C4CdCf07f3BDc554687Fb21b8EB7ee", balance: _1e36Str },
-  { privateKey: "0xfdFdE3c49dFbAf022b56dFC4d35660DB7fE5F89F5BCD3c1b3e7caab20DA30567", balance: _1e36Str },
-  { privateKey: "0x4c02AE2F7e7EaE3eb7fEeB80f377473c3E0C2B6FCBCF43E303a2CAE8EE0CB068", balance: _1e36Str },
-  { privateKey: "0xece75AF56E55bd379aEF2CbDaa632d1bE3C8f7D5e8dAE7047c1D3c6e37aec8d1", balance: _1e36Str },
-  { privateKey: "0xbECaCc33BAFFbCbadF6d8C41B3eb3CF760C39699BCf872C230BeD4cE89552D8C", balance: _1e36Str },
-  { privateKey: "0x9cfce0dEe4BcCD4ae742ec8B041f47aC0da8AEd59c3615BFBb7feDAef0E1FE99", balance: _1e36Str },
-  { privateKey: "0x6ecBA94ffd23aEeCF30Aa7ccf28D77b0Eb9Ed1Afbf5c9abD3E5b50CacB8c0BfA", balance: _1e36Str },
-  { privateKey: "0xe5d9dBF0284bF49a313c9f8cfC0453AFc087d88Ed69EEc8ab3CC8d1fBceeB689", balance: _1e36Str },
-  { privateKey: "0xADcF872FA85ECEedFEA3BdcC51A00AEF3CEAAF3610d9693Aa3B23Ba3FcBAFCeB", balance: _1e36Str },
-  { privateKey: "0xabDa7702CACa69A367aBfD0adddd45efFa4Df4D9eaCcbd75F89470c9cBDDa3EA", balance: _1e36Str },
-  { privateKey: "0xF0404Ea46c32D9c10c936dA2bcb42bB9AC6D6FF91eB57EFFc5bfECeCeEBf2fE7", balance: _1e36Str },
-  { privateKey: "0xA63633DeECC4A815c2575C1d42a2feFC153a667C566F429e1E9c54d13b4c0D50", balance: _1e36Str },
-  { privateKey: "0x58Ab12c9d92d2BDf674bEfCdc2bdd5305Dae2aaAa5fDf34C422BbAC80Df8d1DC", balance: _1e36Str },
-  { privateKey: "0xdE99Ef975619feF1Bcceed01CDABaeb4BefEebbBF5758DE3CaBf172ED917a99A", balance: _1e36Str },
-  { privateKey: "0xFDeB03179DA2CbaF223BB381eAaBcDE1aCd0BC3f8783Af8dD672408d83e5795d", balance: _1e36Str },
-  { privateKey: "0xD1be21f70434b2CdBE742cD1e6275c85c5d45dd6Eb288da346AEeB2C55cFfDdd", balance: _1e36Str },
-  { privateKey: "0xFBDc2B603C39E155c5F4FbA09ac9dBeABfc6cA0Ba567CAb9B5c4FAdCdC4E2e47", balance: _1e36Str },
-  { privateKey: "0xF13cA746556b11e1CfBEF3b816dDa8fb5A2f2FdA1cDD1CDFDdfC8957C9ABeEC4", balance: _1e36Str },
-  { privateKey: "0xC4FdFFaef0C0f5892c3C1bFD65b1C3A2dEb74f54eCe2A6bcaeBF48537FEDdad3", balance: _1e36Str },
-  { privateKey: "0x7F8Caa4bEa69B4CAaAC6BF44Ba9cfB4f0FA28e2e420f1E70dCAfFbe6E8B946ef", balance: _1e36Str },
-  { privateKey: "0xd988572CEa7e14685FDF5DC42Cd7c4aDfcFBa9A6bdb2Aa7DBDE410c26c5Aa9Dd", balance: _1e36Str },
-  { privateKey: "0xd2fC3E60e9dcd019eFdFC7B7b02aFDc4cC4BAdD1DD9bb3bCf7FbDE1EDCEcbaa5", balance: _1e36Str },
-  { privateKey: "0xC742bf81FFA5f41bD3Ff697aaF489cC9A29FAe9ad2c2744724bcD81e4DAeF9E1", balance: _1e36Str },
-  { privateKey: "0xE9c8B558B7d3CcEE64818cEE425218D53fC623dadaE1e5d17D0A87aDDCdB6B75", balance: _1e36Str },
-  { privateKey: "0xde09b86236EE80CEC1E1d4d4cdBAE9A6E5c1F7afAABD7ef0B7398F3Bac97f965", balance: _1e36Str },
-  { privateKey: "0xb5623027bb4bd4FFABB0AD9E5fBdF57b56D035ba357cC6e6BBbe682Cb1AEBA00", balance: _1e36Str },
-  { privateKey: "0xe04047CEe2Ccf64730A3Abcae3D4c65dfbceEfFfEa8f3cfE8D01EFa9D0b836A9", balance: _1e36Str },
-  { privateKey: "0xA9Cf7cD230FC2b35749248F8bCff88db7Fdaa8f6B057DD74dEcdC6246808FB71", balance: _1e36Str },
-  { privateKey: "0xECEB4B2ae4b710FD2dB276cEa350D7B8eCB5334eef26dDe43Adc8fDFf3DBe75B", balance: _1e36Str },
-  { privateKey: "0x5144DF6cfB7382cEA2E1a77dBE0a3f875EB1F6035dBAb72E6B50fAfb618dEDf4", balance: _1e36Str },
-  { privateKey: "0xE79BE252eF4bC59dF48c4fDC24ba816186ED33e8Ba5A0cADCF51ED76B7390cD2", balance: _1e36Str },
-  { privateKey: "0x8aa363A58bFfcdEbF64db5aA6cdBAa8D7e7CEaF41106abFE5Ca78edFaBA87696", balance: _1e36Str },
-  { privateKey: "0xd996AdC0fe328A103C909f9bCE1CedeC5dEbebFEaDBfa3F99B182dE3558Ed664", balance: _1e36Str },
-  { privateKey: "0xcAa4ABa7c2FC81D3fAE89B528fd45cBc9687E32bc0ddeBDefdE5eBA965e0cAEA", balance: _1e36Str },
-  { privateKey: "0x41b675527cD2AA6dCaAdf6E1BEF9ea356C1cCDBC61712Cf7C184ab9954a3BB4e", balance: _1e36Str },
-  { privateKey: "0xEFADCEF12AD0a8D8FDf5d4f91c023Df7d7daCfF6FebcDfc2fDC315C3d4C510cD", balance: _1e36Str },
-  { privateKey: "0xd04fDB5dfDB3B85afF09dAa5f6cFCEEA79d98cE9E6DCCFE98f8a4ee6Ea9dFF22", balance: _1e36Str },
-  { privateKey: "0xEf5a02Ad3c182ab2d36dC8daDea3ac81fEFBf869aEaCaF0cDbbB1EfacD18C103", balance: _1e36Str },
-  { privateKey: "0xFAd56f20E09D8eeA24b55d8Cec8e2eBA7409cA8EAA0FCf2e1c3Ec215e42a5D2D", balance: _1e36Str },
-  { privateKey: "0xC521B59cEaE40CC92C076fb05D3fFa61Bf3Fc88Ef58dDF60ae6Ef05fcB85aBC5", balance: _1e36Str },
-  { privateKey: "0x080BA7ce0c7Ce6EF9A3B0530CDeC20c5B3FAB022CF805A5bf0EB8120dC8CfBBb", balance: _1e36Str },
-  { privateKey: "0xC2d1FcCCb77aE4c830F6ebc9Cc59CCE59ceF03Bf025F18e34C2dFFA23d4DeEEF", balance: _1e36Str },
-  { privateKey: "0xc976dcC1Cc98F1eEBCBDf2BD068BAC9Fb7dB0eBB8487B2d0efe22b8FeC8b7d6F", balance: _1e36Str },
-  { privateKey: "0x3522eebD5fFbAD9913C2ead1De69a57EeeaCA6A1bF6583Fda3A8C7fdb6FaD2bd", balance: _1e36Str },
-  { privateKey: "0xFBEaEE4bEac56daf889FEeeFD62621470E5F8802193a572AAcdedEE237afdE81", balance: _1e36Str },
-  { privateKey: "0x46e1C0aE3fCB814bd1CcC59dBcdaed4BAB1EEe75b8ecF8f5bB12845da5C625A0", balance: _1e36Str },
-  { privateKey: "0x58eEec67F3dBc150a1dE3F8c6f35e5FFB3E0FB4023a58eEa0bF6023bCfECA589", balance: _1e36Str },
-  { privateKey: "0x4Fbde0CB188DbEaBB8dcb73407B9aFeD8cfE1CBDac971afDEcCe5e788AEfABFA", balance: _1e36Str },
-  { privateKey: "0xa0fE02FF8ca3Aa0096Cb6ec2DB67Ed0DF800147D925aFd8E8aC2BA0bbC37C4e6", balance: _1e36Str },
-  { privateKey: "0x79C6F4a42a4beC4bEf8DE257e60bee4b6BbDd7BfE8bF41b463b5Bc5aa43486cE", balance: _1e36Str },
-  { privateKey: "0x3d0352b4603fc5b7bB59C8a67f491b0CF3e1e09CFc7c8567e8083f32E5E63aCA", balance: _1e36Str },
-  { privateKey: "0xe2e998F3711fBE06287c81900BB93bDb2DafFEB9470513bfF991a72BB7BbfebF", balance: _1e36Str },
-  { privateKey: "0x9c9F5E71eba954d6004E86E25520C51Fe0736F473adC4dE9348Ae3EeCbAdeC62", balance: _1e36Str },
-  { privateKey: "0xcc1fBcd93d668e2cEC8b4f9E15fACC3013a182Ca779eDace4eF9aBDeaDdeB9BB", balance: _1e36Str },
-  { privateKey: "0xe03657CD9AaF72fF52c63339eBcBe85bFEde4d04a33D5Cbbbe9ffA7E8B3b4d2E", balance: _1e36Str },
-  { privateKey: "0x0CA1DD1aBfdBc0e5406E993e59b7C2d3A1433fD6a3cCeA8D0e68dA7B1a0Ba47b", balance: _1e36Str },
-  { privateKey: "0x9384AAeee8cba7Ab2463adB74e0d91Ae14613A496f53eB2EDfe82eD5a4Ab4a62", balance: _1e36Str },
-  { privateKey: "0x77B2f77Da640C7A983050B3fc0b1ed7D4d4d7aBbf8baFEBfea22AABCebBEEb45", balance: _1e36Str },
-  { privateKey: "0x59eeaf658A0de6c065ab80DDAB14e52f32bf7892e8515d5dAb1a6f1AcFB863ab", balance: _1e36Str },
-  { privateKey: "0x4eED08e85d9ab7Cf33aeECE4F21bb8ff45E6bE335afA8eBE3Edca2dC82786EC5", balance: _1e36Str },
-  { privateKey: "0xFcADfFdD4EEE8AAD5d596bF75f9753CDb2D1EF80CE3Faf8eaC8F8a8cB0ff8333", balance: _1e36Str },
-  { privateKey: "0x4aAc06Ce4B31AcaF9929784Cc5DbEBF0BD3C6f942dB0eDde8B895A04bC61f2bE", balance: _1e36Str },
-  { privateKey: "0xaeE2bCAcfa4B87B4cE4a5f2E1eA393310545FaC8B3C0AbDAa9f38ab7e94bF0eF", balance: _1e36Str },
-  { privateKey: "0x78e86D2A7edb3fC5dF7fDC702cAf80cEFd6DE9EcfeDaF175d685b29afA7EfAfe", balance: _1e36Str },
-  { privateKey: "0x2BCD6ca3B5dc74E47D31a6923aafa7e0210B5f9C26fD975a95Aa0Ca617861C06", balance: _1e36Str },
-  { privateKey: "0x10618f48F2b32CA4F092fbB46eeA2a687D158f4C8f74B4Bb8a5Bd3AA9eA9E72D", balance: _1e36Str },
-  { privateKey: "0xc75e53Eb4eB6D0FCb73Cc3B15A5518d585Ebd88D1aC5B1399ceeCCEed33d3c1e", balance: _1e36Str },
-  { privateKey: "0xd74ceF6af1AfA32C1Ac4CCb1D76DdC48156c8BDAbc6ADb5Cf24f9f92e764672C", balance: _1e36Str },
-  { privateKey: "0x451cfe2DaE14EDe9f2abD145745fa1fCe8CE9aa7eDE8dBe0EA31F6aE3390b61b", balance: _1e36Str },
-  { privateKey: "0xCdABCCcf69EB53fd3Ea0D7B4046a2C8E810f3e1F15CAb4BB3f83dAFd7769f2F4", balance: _1e36Str },
-  { privateKey: "0x63e5a9b960dcfBAfA1a2d3C7D7cBaBAF2f2Bca8eAeA9eb8FF21Bd5C9A3bfcD42", balance: _1e36Str },
-  { privateKey: "0xe39BEAF370353C03EA07EF86d903ABFec6eD1AC38F4b1D303D5E15AD4FC4Ea0c", balance: _1e36Str },
-  { privateKey: "0xBdff0efed98486239Ef209cDD6be6B73cDbBEC28848AFdF2564e7c0a9B4b2a74", balance: _1e36Str },
-  { privateKey: "0x4Ed3cc63C2B3De1C9c7BD6dAce69EBE20A4D7e4d8a76885Da5ffF90F4dDEcec5", balance: _1e36Str },
-  { privateKey: "0xD78BBd0Cc68E15BaB5D2CdeEe08a7AD18F8fbFC94A74A9ff271dcB3fCdcCDC29", balance: _1e36Str },
-  { privateKey: "0xCB4f539CfaBfbDCC06D4C9AdAECe862aE069CF3a4796dda93Fc89915A13cf85D", balance: _1e36Str },
-  { privateKey: "0x57abBc52e8A86024eA5A78553FAdd33cDe450C7a2B67De3CdaCCBc9e67FbdBCB", balance: _1e36Str },
-  { privateKey: "0x5D55DDdb69D2DA8eC74e3EC8aedAC69997dDf7a11DF11a8cdF9DDd1fF099CFbB", balance: _1e36Str },
-  { privateKey: "0xB65dfe2eb25ce5974cea6Acdaf6c36D9e1d78C0Dcec3f7bB6F7bE09CD3739E3B", balance: _1e36Str },
-  { privateKey: "0x86cf13C11061b5F3ddCBa6bC644EC633fCD7cC60A588f8A372B79990fdC5aF9F", balance: _1e36Str },
-  { privateKey: "0xa70a9769E14DeC9529093e6d5A8eFEbF2fCFc14a4d9eF8cE8F87554f3ac5ADC6", balance: _1e36Str },
-  { privateKey: "0xf2EEAF143ADbB899c56bD3f0a7Ae8FC1d0720fdfFFbbC1f9AD1227D34aA49d8A", balance: _1e36Str },
-  { privateKey: "0x8Bb38FDf9cC6F1f2B5F4f20Cdbd3Ca41a78cc3eDAfaeb9eeFF8a5e2dA8B4CB26", balance: _1e36Str },
-  { privateKey: "0xDEf80a9ac2FeBbdEcbA795B61Ee03ddad39aDaAb8A5a46e55dBF9FD7EDceE5b9", balance: _1e36Str },
-  { privateKey: "0x0AFE94263fBa9Eb0F8eCb783d0bCFdD3e0651Bdf4Ed8ECDE9d2CC629C0db4777", balance: _1e36Str },
-  { privateKey: "0x0F1c0cBFa21bB894e7597FaAEeB6cA26f782deae5eF65DD07c3DeF9b9f8E9f43", balance: _1e36Str },
-  { privateKey: "0xAAEd5A8aCdace7fd1ddDb3e82c328c65262ebDde518FE5baa2B9bd2c92cDA2E0", balance: _1e36Str },
-  { privateKey: "0xafba5BA3cf80ff4D7f20cDA1dD877fFe0A2aBa6cbb789Ee6f4efDEDc932eA5aB", balance: _1e36Str },
-  { privateKey: "0x5F667CBaE7eaDa4ca0c7aac1a7D3df90a0D34D1e6d964712F8ee757A0d841218", balance: _1e36Str },
-  { privateKey: "0xA912AceABfD7990BBf8f261ECD6755Ba4e0A20eD8BDB153dba990C7b3BD43cfe", balance: _1e36Str },
-  { privateKey: "0x06D1fa28eCBd31BF3E0d5b64F49E5Db5ca92Db926C39B90cC4197cEf5edf8Dfd", balance: _1e36Str },
-  { privateKey: "0xF784cFB68A3F28EC5C1401feB7ecc6AD1D16A00DF3aDAdF647fA72D5Dc4a0aA5", balance: _1e36Str },
-  { privateKey: "0x94a9c75dbdC7865E0Dbb7CA86Feff8baEecD693a307abBABFeFAec70fCAcacbb", balance: _1e36Str },
-  { privateKey: "0x01D9cec2d11FD73FEb7febF2adC3cABa7FFfa6860C4bF7FcB02C9CAEB512EdeA", balance: _1e36Str },
-  { privateKey: "0xC5A68DE449Accfac650b6a3C12D7895aEdFE9Dca4CD2df176AAA74D9055dA3e2", balance: _1e36Str },
-  { privateKey: "0x04c8d87fD5ABf56982f9af5C8EfFDB11Bf7BD2bcc29caC8fdfA99a73a8c3cE34", balance: _1e36Str },
-  { privateKey: "0x64C0618bB7d1868dEaB31FeA8DDee59EdEa9DC020Ee04a5A385DC06c7cef6DCA", balance: _1e36Str },
-  { privateKey: "0xB6646d2Fcd6EBB0BeBeeB06E30A6ecFE9B6dcA6Ba9005bfff6f4c7eDf0B23Fb3", balance: _1e36Str },
-  { privateKey: "0xdBbBdC9d7AFea4Ead5cFE21bEC7F1Abdc02AB61D54D1DF7394C823d38Fbe40dC", balance: _1e36Str },
-  { privateKey: "0xa03A3a0Fe1af1aaeec6882c9deFCab8C5ABCadE3F988F895EBfBA3EC13ffEC2a", balance: _1e36Str },
-  { privateKey: "0xDDbeDB0B062cf06EBECD0cc280C5Da78d3Eda7a24Aa13498D0B48FB6Fdd364c9", balance: _1e36Str },
-  { privateKey: "0xF99F24C7f56C1b01ABB0a14CBDf5eC1fB9DbfFE27c0e91EA98A5f1F5dEA6047E", balance: _1e36Str },
-  { privateKey: "0x5aF0e55A84318c5Fb8ABC6fBCAe4c4bEE12bc9F5dD8CBD9aDF07A3bd0De1ECf4", balance: _1e36Str },
-  { privateKey: "0xa2c4c38bbDe6aF5fd25bAD4f20f1fA12A2532A11967Cd0AfCEaaAaccFecaf9cc", balance: _1e36Str },
-  { privateKey: "0x14faceD70eB8b64d4f1509c1ACeDf87a9c09f9bC97C2D8A50d8cDbf6812c83D2", balance: _1e36Str },
-  { privateKey: "0x3033ED5Bae5bBD7bE1BdbDD3AAAF2A9a6C1EBEf1AcA18aB1Dc06423b40b3e5Be", balance: _1e36Str },
-  { privateKey: "0x051C0E1d9ea7FEcb8EeD7E6A2d47Aa72cF4de4EEeB725cE97FC4F9acA146067e", balance: _1e36Str },
-  { privateKey: "0x2bC84AbdecA9DF4EcFec4D65EE474DB9635d7E6d5B4F5Bb65D77d9dcE21b040C", balance: _1e36Str },
-  { privateKey: "0x8747d4E73c8Ba2dCe4Ea26b1B7efCD328cE04aCEEc4db9ceF037bA67ba5c47E8", balance: _1e36Str },
-  { privateKey: "0x7B937A9aa64B5135a1CCD49dD6D861C9962a6FCA45dfcD5D78E9DA3AdDEBCf3c", balance: _1e36Str },
-  { privateKey: "0x0A3FADB008dD80d9dDc31B5DdB82c71c9Cbe8CbA7a85A70acdb3a2BB5907ffcE", balance: _1e36Str },
-  { privateKey: "0xAADa8A68eFBCAa06C6CbAA6Baf5a07Ab4ee544DADC42f94Ac8A5dC836aaEFff3", balance: _1e36Str },
-  { privateKey: "0xDa03FeDb38b0CeF6d390b1CB7203Ef8dE77007Fb1aD9bF66feb418FFB5bD46dC", balance: _1e36Str },
-  { privateKey: "0x8c0C381A96A22fFab19FcC5DA9cd8F5aB4aDaFC2f3dEcbCf513C87E4dFEA08fF", balance: _1e36Str },
-  { privateKey: "0xDA6fad6d12defCE32BB28Cad7FBD54eAf06bA6756eFed03D9FFfaD779a98EaBC", balance: _1e36Str },
-  { privateKey: "0xcF93eF1F7d8a73C4eC1cB9E0AE1fFFFa6bA47C5FEfBBa89bF1EAFe669c9fCdca", balance: _1e36Str },
-  { privateKey: "0xbEA9A85A6F7aD3dA842f062FbC7Ae0eb8A57A7ca46fcbBd7e0ff411C1872AcD6", balance: _1e36Str },
-  { privateKey: "0xF7EE1f863A979A97d62dDBE72D025BCcaBC096Dc5FF325b1DAdaf0F9Fc4dbbE5", balance: _1e36Str },
-  { privateKey: "0xf63038937CD85A21EF5Ff643dAF85C6A1ed2fb74a7676C9d8F47C02fFeceDB82", balance: _1e36Str },
-  { privateKey: "0x69d7bBD48fa7aa9FfD4E3f5dCb3030ed8c76Be675aC2813Db82Bf5dc7b53f5AC", balance: _1e36Str },
-  { privateKey: "0xFceDddCe2B4BA5D1e5A194D56c56f3dB90926D1D1F8e8Cf4Aae1B21B0bdbfba2", balance: _1e36Str },
-  { privateKey: "0xbcbdD9a8462ae69FcCdeEDd838A25Ead9c65EEbc9ebC2CeAb7D5ad1c4AEfA0B6", balance: _1e36Str },
-  { privateKey: "0x480aAa813f77D5a76FF8D0Dd59678Ee30ffcBB9AACbBa1Cfe6846cCdAdDA40d2", balance: _1e36Str },
-  { privateKey: "0xd1836f0e438514127E3a7ecFd849F6Af2BEA1Ba60A6509160F6581bCeae08166", balance: _1e36Str },
-  { privateKey: "0x4C3EFe7D74D88aD180cEb0cFA8FbCE4DbdCFCFb1d2a7ab57860a99eD318Dd62c", balance: _1e36Str },
-  { privateKey: "0x98325e169f87cAA934F7477cDDEF08Ad0a5ddBD02a288B6C9Bd1793Aa1DAe548", balance: _1e36Str },
-  { privateKey: "0xAe6723fcFf9FE1Ea5ABd7Da31c85BdC3a64Ef04c1EaB0882210bB8467baAF6eC", balance: _1e36Str },
-  { privateKey: "0xE9f48fB2DF1fb5eFA3CBa1FaBef0DFe9A9bdAbdECc28bd52a7FaaeC6cDCdb702", balance: _1e36Str },
-  { privateKey: "0xe7fF762eEFE330c3b7001eBCAecD4576d283bdc6e7eEFbEC1F9e9b4015BBdcca", balance: _1e36Str },
-  { privateKey: "0xC3132EaaC185B46Bc24d6eebd0b9cd8db01121Feb6E00e08d1Ed9dA7d8565f1a", balance: _1e36Str },
-  { privateKey: "0x84eAcaDe988efD602aC0e1Df7895A61cBb2Cf353bEA0a730DE6DA6BDF6F666C6", balance: _1e36Str },
-  { privateKey: "0xd78FC7E7DB45f9E019fB990fE8f1Dbc7Fae98b015EE8DD223bC7a833F5cBeB1d", balance: _1e36Str },
-  { privateKey: "0x5aA68076bAa8fEAA1F93Bb47d1Ee4ebf92D8DF5BAC3FBB0CdFe251fEeC1bDfcc", balance: _1e36Str },
-  { privateKey: "0xCA99CdC2AAb75E58C262131d27E08BCB2115cB41daB2498EfaaCe32Dc1045134", balance: _1e36Str },
-  { privateKey: "0x6C7bcefF450caC1f5Eccc0e9eD627e154065D3BB756e0bA2488E894AEEae0Fa8", balance: _1e36Str },
-  { privateKey: "0x10882dfa6DdEddb0df651C8fE2eCfca788fcd1abF65a47bB71f21f9aad1BFDaf", balance: _1e36Str },
-  { privateKey: "0xF2eBA4cCc2D8cdDD9D51bD8eA4defAfB15a0Bc021a9707c7DDFf8ddFB1Bdc10D", balance: _1e36Str },
-  { privateKey: "0xaF58ce73775454dC1656727BE1BFe96ADC9d3aFf2D70AEedcE82bCa585fF3FCa", balance: _1e36Str },
-  { privateKey: "0x755b05779ce55c474dE78eaAE12B6BBA82714dD988B1dddBEfb21Dbcddb35fbA", balance: _1e36Str },
-  { privateKey: "0xb3aFcB5Cb47b2ca38a13e1aE835921DddfBdd40127bbF4Bc55cdb859FC7CA49C", balance: _1e36Str },
-  { privateKey: "0xb393Ce1CdEF6Cc0B0e90ea1B6d2eDC4d28Bf0Cd2c1BC4cD6cFF0A5D4f5ca1DdE", balance: _1e36Str },
-  { privateKey: "0xaeaA6BcEC770ED3FEB9f4e8FFcD6a6e4b8dBaE96f4b3ddade4abdaeef31bE1db", balance: _1e36Str },
-  { privateKey: "0x1B2d1a2F6eEc52FebaC6e57EaA390BCaf49A9ff75De4e2CFabD1c06fD42d36DD", balance: _1e36Str },
-  { privateKey: "0xec4A94847E0a62C6cCfd27eFe8bC4DBcFF2bA318AbCa23b79b41Eac296fe85Fc", balance: _1e36Str },
-  { privateKey: "0xd41654F3D2eb3dC6DE40b7a4EB25D2bEdB4CEC0Cc6FE6cf429ae67BbAdD56257", balance: _1e36Str },
-  { privateKey: "0xf5E26c8A50bBA4AeaDE9d10acF00FBb0e8E6eCB3abB8Ba9a70972D406007FCa5", balance: _1e36Str },
-  { privateKey: "0x8bA41A49dDABA343BC8a7Ca2182CE0DABA7e6bf90BcdDf9afe610c80B5ce3e7f", balance: _1e36Str },
-  { privateKey: "0xA8C7A18fd324aEdf046bbA28dC165bC16FA89C7af1FC9A65512Be5Ff7E9315ad", balance: _1e36Str },
-  { privateKey: "0xDBD3Ab09D4e56Cc6F2Ad3beB3fbfed3FB2d4C4a76d404fDb194FfF46c58C8878", balance: _1e36Str },
-  { privateKey: "0x8Bf9aC663ec64f3FDe669A389ec35F8fEFF288b8EA4C9A71F5a3f737D93f5D8f", balance: _1e36Str },
-  { privateKey: "0x64db9679e67DdF4E0EDdc276Da87EEB3fECdB2E4a4bfAF4A85e43d65c05afD00", balance: _1e36Str },
-  { privateKey: "0x3AD4Ea30bb27F09Fe4bbd3ec5A3Dce0C0a2CAF1A1a9EcE5d9e4e4B6DE2Bab7E2", balance: _1e36Str },
-  { privateKey: "0x80D1eacCB72Da4e372Ef8f1a35BEC9134b93c4A3fFe867eda21aE656dB80AFBa", balance: _1e36Str },
-  { privateKey: "0xaceCfd38eEfD48b1e7038AE7449aFB4Ff3EAf0cD14C3e86c48eF0F165715085c", balance: _1e36Str },
-  { privateKey: "0x4f56Dd0CA3FEBCCe05247c50749D2c10A2ECEEa5a66Dd4ec3e9C04ebeb13A34A", balance: _1e36Str },
-  { privateKey: "0x84EeeBC76B5978E08aAcEf16C2B6BF3A5EC450F96cff9Edbeed3dDcaad33CF2A", balance: _1e36Str },
-  { privateKey: "0x4f447EfB685ee6A0fD1ECf926EAcFABF60fdAfF836CC5995Dc3b8bD311ddED41", balance: _1e36Str },
-  { privateKey: "0x2aee12ca147cE6Fd16e1FDfBd6EB4Efd7b49d40cBCdCEEaDdC42a825Fb7B80AF", balance: _1e36Str },
-  { privateKey: "0x58d9254d3c3a93663feD5CaaF9e3D0CCd9ea0fea19EbC9e5df42dB1CBbAbD5bA", balance: _1e36Str },
-  { privateKey: "0x3d984A82d66dA7aCC63fc3cb2D99B2c37c1ecfeE55dF0Ba1A95C1100e7d5e249", balance: _1e36Str },
-  { privateKey: "0xBD09F7e89f45eF6cce4b40E0e78cEb3aDc1A27F9Ed9223A34aDfd0ff7d8EE6ED", balance: _1e36Str },
-  { privateKey: "0x2311cca4a594B6FAC5e26EDE725c842F9b94C52bCf0d684f6b8aFFE3dE0ADE78", balance: _1e36Str },
-  { privateKey: "0xe2E57F9ecf136bFc9C7bE4edF3d6B1F6CF86768353AB2C42BaE8cAB0b2F7e3df", balance: _1e36Str },
-  { privateKey: "0x69Df6ad9CC5A0b7D0F6DFf2c94ad7Ac386FC82EAbdAeDcEe4FEcC4df5Dd9F79a", balance: _1e36Str },
-  { privateKey: "0xC9EC6aDDeD2Aaee8f9965cb36515bb6aF9Aff19EAA55dcf528b6Aec2A4fD0eAF", balance: _1e36Str },
-  { privateKey: "0x4f18892E8e1FBC01ACAE6add931DDEFEd7D6cFd905dD0De02Fa58FFC53E1feF0", balance: _1e36Str },
-  { privateKey: "0xDe930aa8Cd6FAb91E2d539A3D1aca1c89f0C1E08BddDEE837fA8Cf2BdD434b41", balance: _1e36Str },
-  { privateKey: "0x95A98Ff8BfdA2ac3C1baA1FfAbF3b3928A0df36DeA7550DB3d8Ee2d3Fc8dF1Ee", balance: _1e36Str },
-  { privateKey: "0xf4DD8EE213FA29f28dCDfaBEcCc0695dCDa18eF19faE501d9D43aCDe0dA04C55", balance: _1e36Str },
-  { privateKey: "0x1ee1ef445fFd36F1cA6DcBa50DE1A3CC478c65FaCC471eAfBEbdc02F2b0eE3DB", balance: _1e36Str },
-  { privateKey: "0x9FEd7cA7f195757F62C1ed9D8A601B96A2F3b7Fe604088ECF3FD1bc5F5cc1Bf1", balance: _1e36Str },
-  { privateKey: "0xB49078f3364CCA5dc4DeE83dfA7bd5FF38FE89D6C58e5B08DC2c1FcDd91CeF5f", balance: _1e36Str },
-  { privateKey: "0x734fDCCAf02Db436964A9eFD597E8707292BF8bEEe8da9CCFff9953EdEFc5f6f", balance: _1e36Str },
-  { privateKey: "0x6Bd842Ba1Df4fB9A6d117969A518bce56c8d3dDA4abbedf3ca3ab0BdD2D3AeFb", balance: _1e36Str },
-  { privateKey: "0xcbA7EFB3acfa7Ae75A0d58a310D8AA9F14ceFe4CD9F72F0dbd2ddeBA5bcDAB39", balance: _1e36Str },
-  { privateKey: "0xDaaa1Af4Fd56C8C6e4B48D4177a66EEDa8cCecab491A3B3ecbC70A2Ef7C0EbB0", balance: _1e36Str },
-  { privateKey: "0x6EDbb899a11AcD370bcd56fCb0a3EE12dd5a41c4E5B2BC69efbd5d08B77CaBd6", balance: _1e36Str },
-  { privateKey: "0xc40EDe5891Dd94Dee1D61dAaF1eb2C13b7E7E2F28FeDd4F9cdFBFe923e6902AA", balance: _1e36Str },
-  { privateKey: "0xa25FcBf74B6bEff262E30b735BDD68cecCA02F63e04ee14dc4BB7f9DB8f42f9d", balance: _1e36Str },
-  { privateKey: "0xCFDAeE25Af4f61bee7B93DE2EAcabaec8C886D2ba0ECB2Daa3CdB8B247272CDf", balance: _1e36Str },
-  { privateKey: "0xbfaCf6aE590A98d8eaCEDF4280Fa6FAAEEc5a4Bb709026f457e9F47CA3165aE0", balance: _1e36Str },
-  { privateKey: "0x0bcBFBDaa02B377e9c4Be8dEfcd4dd1Ea644676D1fE0e11f3FcbbbEfF459Dba2", balance: _1e36Str },
-  { privateKey: "0xaF45d38fEd4b68911958590dC36EbfEA8e4E3A126Be2bf200dd0afaF41C2ec71", balance: _1e36Str },
-  { privateKey: "0x97d7cCF22d42b1FC4Cf7Fd1fcdDBBbedDccbC4BDa8e4A6C084cFbbE40951c5dc", balance: _1e36Str },
-  { privateKey: "0xBaFb273781f8e63e8d94aaA4BB43e401c7eF8936e3b32216c8442F67a1B69231", balance: _1e36Str },
-  { privateKey: "0x79f28732647dF2C3A7ff774e7FF4CD3C2f3DFdD6c5a8cAbaA9Dd8Da3bF51BAd9", balance: _1e36Str },
-  { privateKey: "0xeEB5EDCfB5b943E3758CF76Ea55aDf2FBda7625CD30feafF5fFeB0fAefCafa3e", balance: _1e36Str },
-  { privateKey: "0x5D4391a3Fb62BFCaf04021d41a5797Cbdd1EBCcDc16Bf0cbDe9d21Cfa18E996b", balance: _1e36Str },
-  { privateKey: "0xbde9185B23dC7Ebdb1Ca5CdA543CE2b21F1DF9ba667Bb16Df0EAEADaD6A5E91c", balance: _1e36Str },
-  { privateKey: "0xD18732F7A3DFec86d4dfAe75ED1f42cD9C8Bd9f5EE8a0FDaBECDB1D004AF6A1e", balance: _1e36Str },
-  { privateKey: "0xd852e02ACAaf5BEDd163585C46Af085125c3a3A9832Fa1Cd8BB7D5cE6B7Cba2B", balance: _1e36Str },
-  { privateKey: "0x6DcD73a0502616D619C1135A76B7FD7cBceCE81F01949EDf11DAd80AEBFBc960", balance: _1e36Str },
-  { privateKey: "0xC34f65a1a1F6D1247EdF15c115920DADEA3e4cB3CFF0C4d66DBacbbe4Fe2bd5c", balance: _1e36Str },
-  { privateKey: "0xc12FDc0D6e68675AF4CeE2eEA2dEC7b19Dcb3ADaFA1CE09bab4b4aDC37f075AE", balance: _1e36Str },
-  { privateKey: "0xeAec4D5B4Fdf63beC6BD54aBC9cB3Fe02B48fe94C69BFcf6b9BDFDcDaebe3ADa", balance: _1e36Str },
-  { privateKey: "0x9aaCcBDC0DcCEbBF2d3Cbd78dcEA590B07eDD66bC40EE4C268900B2e5dB5Dd81", balance: _1e36Str },
-  { privateKey: "0xffa84ABf279c1872Be58BDF23536AEB9C54d183D194DB1f62Ba2f876D1BaF4BC", balance: _1e36Str },
-  { privateKey: "0xFCECeC7E39EbA1dFcaBbeF933c2eAfD075BFeF6f6F2052019A90b73EFfC05b0c", balance: _1e36Str },
-  { privateKey: "0xB047aC9C80ff22BDb6ebEfd4eB5ac1d7b8f3cD2c91DEb240f99bb0cfeEACCB0f", balance: _1e36Str },
-  { privateKey: "0xE7FA65CfCb1DA7E1042D162De7675d027af9D5Ed74A5d4B97d89010cBF0Fba03", balance: _1e36Str },
-  { privateKey: "0xc45dD5acbD5Efcf3D0f04c5cAB54ea5caCFDAFFa5BA3F5470eAeDC8DcF7aedaf", balance: _1e36Str },
-  { privateKey: "0x3Fc11660Fb3DCB4F1E0085f9b6eBD9EF7D8f48FdBD93eBC1693D6d8FDf7aDCBd", balance: _1e36Str },
-  { privateKey: "0x3FeC76BA1E7dd231d95bCcecf12aeD4bF7793c9e5CD5a9dCC184DCF50EaaeCdd", balance: _1e36Str },
-  { privateKey: "0x11dC5Aa88cC54eCeBcE724dDFF3eAf212bf0B018A8C0E53dB54006fb930e5CFf", balance: _1e36Str },
-  { privateKey: "0xfafFFf9a68Ea5eDF4Db4dA32880Ce8e71DBbf95495b2379A028339A0c6B1d0aE", balance: _1e36Str },
-  { privateKey: "0x1e96a7A6A8262f377b98e381265Cb1Ab3dD5a0bA5A8aDFd29d2D53FaAbA36e4d", balance: _1e36Str },
-  { privateKey: "0x2E38D9e40185964f36B6E85eb7D2a6Bb3305F0E1EF69c77Da372e738D4E13EA1", balance: _1e36Str },
-  { privateKey: "0xF1E1dF380c20CdDAFABEF1F4e732cbDDA17E2933E1Dbe9f6aD20568a23A38F1b", balance: _1e36Str },
-  { privateKey: "0x1fd7D1DFcB08c1B364c1eCB3497A3d8fc4Cd7fC88904649F995Eed9ACC1FF42B", balance: _1e36Str },
-  { privateKey: "0xfAEc1beF7Fb49Ca0bdf55B205a49D1d3406Fafb4F3DeBf0c1a54c27Db5b26999", balance: _1e36Str },
-  { privateKey: "0x1D7D0cFAD91DE154B0df10dD11965c5C2851f066B68e3eFe707E69edBF6Fa4c1", balance: _1e36Str },
-  { privateKey: "0xa499cAFd8c3fFbD270fC8D310BaFd1b2cE9Bf8D4aba3e36dDAc4a176acd4FDD8", balance: _1e36Str },
-  { privateKey: "0xb7d5B4EEcAB5CC1C2eDF888e4Ba885F65A9DEBe7ECbc51Ad6ed133A59FF01c0F", balance: _1e36Str },
-  { privateKey: "0x5CE5dAbeAF26c7C3df6DCF8AEa8919B9bf2E0AC94739BA7C637deDB214874C63", balance: _1e36Str },
-  { privateKey: "0xD0E74eCEfDc0Ffc39ffF6D180dcdfEe350BD9220B8a6AEc3De5cb0fF9e6EF548", balance: _1e36Str },
-  { privateKey: "0xf9b91e2C3028b6F97CAaAE9E0e991Ad854Fa2ce0CbbCE829D5C545F8d001BD0e", balance: _1e36Str },
-  { privateKey: "0xDFd1C5cCF079B3e4BCd4Ddb1Ee6D1e14e2c6CDA05a6D0dbf02B221637701370b", balance: _1e36Str },
-  { privateKey: "0x1dC552efbD0d0f95A7C61DFE80407513fd2752e0De714dBe1Fe6dfBDB45a71Af", balance: _1e36Str },
-  { privateKey: "0x57f0043CDe7Fbd87592F45C8720d3cE4a6A2BcAabab6fc13a0E2F21b64806E2b", balance: _1e36Str },
-  { privateKey: "0xBBED1BdAC93D1DfB7fACea1CDdfD8eeaeBf7F01dEfedcdCcB8081aCFBDf5E093", balance: _1e36Str },
-  { privateKey: "0xB00140d90CA0C19B8dBE7ac383c3e48e091a569fA0BcDddD8DB7fBA3326829b9", balance: _1e36Str },
-  { privateKey: "0x43aF2b33cfCE8b700C20a039fb1dbFCeE46296c8a86F357D810BCfd84a5abACe", balance: _1e36Str },
-  { privateKey: "0x18BA2EEFBee115Eb1E9842018F5eD31ffC1D9cE0EfE5BEF7b9Cf2cd3AFCDEb37", balance: _1e36Str },
-  { privateKey: "0x8848fE0D7cd24D44FE93Eb07eEDbcBAFBe48468E192ed3ADD8CBDAF091FDDc6A", balance: _1e36Str },
-  { privateKey: "0x5CcFCd98DD6b00BC24FFC6bb68C323f9d0cdCfdC1e433e7073B0ceA4ff9E37A7", balance: _1e36Str },
-  { privateKey: "0xd1b9Cc572Ed2CD4B3a71a5d3D609f7fb714e7c9c8b48E00C5F4C9f163a7FA125", balance: _1e36Str },
-  { privateKey: "0x560FB81dBDFb2Ab9507fCC6ACCbB123cf6cA4fD03Db925f0dE588EdEF13b4778", balance: _1e36Str },
-  { privateKey: "0x011fd4e372Dca408eE865CDddEf808bbEefAe22F10BA98c7ddf5Da2DA7Ae69A5", balance: _1e36Str },
-  { privateKey: "0xd6706CefB83ee1dA3E6BBB7BD620fc4CcFF0cF048A7fA94f9bf41b5eEb1Ca1c8", balance: _1e36Str },
-  { privateKey: "0xdBE90BcdcE1fe2BfAdBD6A4B3deD84a39cBCa9F3DBCaB5Dccb800Df0a2cab072", balance: _1e36Str },
-  { privateKey: "0x25AD5ae641b2Fa4dcFCE2A707C5fCEBCfc1C13106E9751a17F62a6a40f94b3AA", balance: _1e36Str },
-  { privateKey: "0x8fe8296edC53Fa84aE72E3CD0AB3dcD1c0fC2eEb5993c4e46f66AedC0cea5bd3", balance: _1e36Str },
-  { privateKey: "0x24c57A6363DB4ae8aAC98457f2D686bCfbCC931fb4dAccE71daf9dAE8eeD9910", balance: _1e36Str },
-  { privateKey: "0x17304F39f8cF50aE3737fbbBdf5B479f60b4904203CBBfbF7d7e0aeeeBE5eA1a", balance: _1e36Str },
-  { privateKey: "0xD0Ec8D0Cb7E81c87c64841aACb4cd70eCf4acb0E3Eb5ccabb1B6dbF69b96aaA8", balance: _1e36Str },
-  { privateKey: "0xbFafa833cc9Ff4F303aA092B702bD8Cb187FFDed1bdE1F4993fDd54CC63d4fb3", balance: _1e36Str },
-  { privateKey: "0x8639e88A16F66F849bDEe7c4ECd3CF3e12f3D2edE621e6ED9C6DAD47Ba0Cb6BD", balance: _1e36Str },
-  { privateKey: "0xbeB0CF5F46bA2CeD21da8E0Ef9597895E6f2FaB93aabFC23f0Aa784391B2cf49", balance: _1e36Str },
-  { privateKey: "0xE85fbE9465ac30ECBaCda7d9Aac35aAA3191eaB7A88197733fFcA7cA93EDdE0A", balance: _1e36Str },
-  { privateKey: "0xa85a994534a5eC049bfE71Ff749EE021C80E727b8D8Aac00a3fEA873546BFFEa", balance: _1e36Str },
-  { privateKey: "0x3c84Ec6bff9feA5CDd20aecDBe72B64e20D59Fc66C8eBFcA3CE1df43522bb7DC", balance: _1e36Str },
-  { privateKey: "0xBeAdCF1f1650e26A903570D05b6504f30909988DE7d939726AAaE01FDf9c9dEF", balance: _1e36Str },
-  { privateKey: "0xdc1B7Fc7AA40df0cBffC278Bd73f74a8E7dC436C7a3FdbFbe0fdc733a87249C9", balance: _1e36Str },
-  { privateKey: "0xa19BAd9E47DE1AF2Ef6ebFaA5FF0BbDE14E1BDCAB6c121a5f30Eae2Afe713eC9", balance: _1e36Str },
-  { privateKey: "0x004493BE3AdcADA4688dd99102F40aeDea099fC438a9aB0d47DE6Cf9dC9aDaCF", balance: _1e36Str },
-  { privateKey: "0x6Aa7eBbCFaDc84DCE7EdFAAebf4EE1DCa6b5D3bC2a4aa2Ae60011C16c95F043b", balance: _1e36Str },
-  { privateKey: "0xfB1e593Aa1F596Cc425C7B5F1EdFFdBa8f246EBDE496470b9f6DeCc6aFE11f28", balance: _1e36Str },
-  { privateKey: "0x626CF73E7efBb7AEA721f60cd7AC92d70cd2B3880Bf9ef50AF8A25a162De1FB8", balance: _1e36Str },
-  { privateKey: "0xDB18BedFC7097Fbcf4fbeBFD19c9C2D42e2AaCEa9EF0f0dB7cDedb5fb7642Fab", balance: _1e36Str },
-  { privateKey: "0xf3b73FeDaDd064a4D8A6afCD44ec367364bFb7c92CDeA21e3020c4951318eDca", balance: _1e36Str },
-  { privateKey: "0xBF2Ebb19a3BD5d7A7d4c9f985bcB4DBA99B1F4ABc1C0F19c7FED11C2eB30f952", balance: _1e36Str },
-  { privateKey: "0x88Ccfe1b065Ae8CE69180977c64E97Aa6C7abBEaBaDA32d5c6B70FaAdf79B3A0", balance: _1e36Str },
-  { privateKey: "0xb94F8bBb5Aa4dC7681AC48262Cbe3875Ae7bbbc6EeDD0A680E2b4b48ffb7Df19", balance: _1e36Str },
-  { privateKey: "0xcd8CAe0CfcD892cFEd45DC80Bddafe2289CEa7BDe0FEC8CBbA1CB282Aad2CcC5", balance: _1e36Str },
-  { privateKey: "0x22EfBb2CEdb6Ad5aA9b7f9A2dC8bC5e457b223d50B0BCFe0Eea8A6AFAbAea9b7", balance: _1e36Str },
-  { privateKey: "0xa8e012cbEcAB6d157E4ad082dD5f99cCc02F0b5EABF04FD7dFa3a1ECc631E4bE", balance: _1e36Str },
-  { privateKey: "0xe5EC9FEB9205805d7b26Be4a00beF48FBBe56CcBaD7F0C8d0098Cf2A3e7EaDDb", balance: _1e36Str },
-  { privateKey: "0xA4E19934B3afAFED681d999Ca1d8eB681DfB05e9DEcdf53700aa7DC2E46c9b18", balance: _1e36Str },
-  { privateKey: "0x1C80Ac7e73D58A3fcA48Bf2aec5a8D136a7fF5Ce08BAEED5ffF352AeD63a35cC", balance: _1e36Str },
-  { privateKey: "0xCDD25b8ED4bff2Bb7e30be417Cea90dEBa69FAcf9e6C3ED33D96eca2C026ceeE", balance: _1e36Str },
-  { privateKey: "0xfAa21F300d9d39E5Af4D2b2ce11632ddeDacAba2C9BBed63A61f49DD0cbDD0Bd", balance: _1e36Str },
-  { privateKey: "0xaA2cE6Dc554BEC463DDE2123C9C31DDEFd8Ebfe5eaE88eC1dBC73101a074AB08", balance: _1e36Str },
-  { privateKey: "0xD7Cf1caE9b18dDd0D123cd5d73FC03CFF74CdAaF9F5BAeAA5Bc9CEd9C3a23bDd", balance: _1e36Str },
-  { privateKey: "0x0DF37FEd09aa15a93e8DEBdF8BBDDFa8b4d48BC2BbE1B87D4FC93DC9db6Dac3E", balance: _1e36Str },
-  { privateKey: "0xD0AcB70cA38a85EA5fCCE279C9E92cA46eB233df7ffEC0A5bA1C97d4Ec3a6cEe", balance: _1e36Str },
-  { privateKey: "0xEDf109A5f068C7f6a3827Af367c3d79FF78a467EFfaEAea3d50AF8CbFB0Fa01F", balance: _1e36Str },
-  { privateKey: "0x2FCFd3Ac43219d7E0CCfeDA9F822eDBB2b1fdc8bAd30958Eb7e67BBa8D9cdaED", balance: _1e36Str },
-  { privateKey: "0x18b7EfF47073CAe4Ded58b13aD87BdcfB8Ac5Ba829F8315573CEacA197C05DbF", balance: _1e36Str },
-  { privateKey: "0x5dB84dD1EC7Dfd875F1eeEACd338cA70cD7dF7DEecB4Ad90AEbCE172e1067db7", balance: _1e36Str },
-  { privateKey: "0x1c4EBDaa2Dda607C8b15eCeDff3765046BDfF74679aBc3a4bbFd34Dd0cE49deE", balance: _1e36Str },
-  { privateKey: "0x4ae4ac2dD45cAf96AB5Bb06ED3D6ed9693f54b0702dEe0b6f57Be446dAa0155e", balance: _1e36Str },
-  { privateKey: "0xde6D95DC5fB42d65c8a46A94e86C43cC57fA9DCA6Efa38F90BfB2c5c4F0eAb33", balance: _1e36Str },
-  { privateKey: "0xcfEA1C2bcBbF2fEAB3599a323Cd827f169759F0D02B9EE257415028f8F6dA0d5", balance: _1e36Str },
-  { privateKey: "0x54eF8FB2463DD13b79A27C156cca3b5be4b01FE8389FAfD2f997cD1B82ecfCFF", balance: _1e36Str },
-  { privateKey: "0x75A8AB521AAEeaf0E42e77cDaD4a4AfEAf7a2f8a150C9d1Ba62d13FbbFDcfD81", balance: _1e36Str },
-  { privateKey: "0xD60667da5feB3E0D8dcDF76D02fEFF6aCDa9e25BC5E77d97aafE4e8F2eD75eBe", balance: _1e36Str },
-  { privateKey: "0xf383a7EB9D9DB8e5efee7476afFBC04a7EFD509a34ddeb4558FcefAbDb212ea1", balance: _1e36Str },
-  { privateKey: "0xC9D0bda6b7782F6E3bE8b2Dfe2c6a980ce9295Ea5Ee4bf7aE639CB627FcEaB09", balance: _1e36Str },
-  { privateKey: "0xfeE3A4D514e4fECeD69ed8Da9f4AB5f5C1dcA48D6dc9cF2acB19787fe3BC79DB", balance: _1e36Str },
-  { privateKey: "0xAFCF716fbc2DD744bDc701FDB8fabD07B47BF8ef7Dca8303E951A39A4a9f9cE7", balance: _1e36Str },
-  { privateKey: "0xC97AebAF9C6bE1B0739BebFb46cEfaAE9b62A298A77DCfc19CD8fB1B9D0C3259", balance: _1e36Str },
-  { privateKey: "0x22ee2eAC806b1Ba3cCAf5f7DDb0F8CBc3Ba3D5315cEF878FD0f3dA6b2aD3E64b", balance: _1e36Str },
-  { privateKey: "0xeA10409ad8924df6fdCDD543327E823D7A62B6DDCdf44AbfA8fFa5581d816b2e", balance: _1e36Str },
-  { privateKey: "0x1A2BEBB1E3ed72B4ceD24b645Afbea43AeeD9fB64cec8Cac641BcD4dD4A1d7Fc", balance: _1e36Str },
-  { privateKey: "0xBA1E1C4Fb4BfBCe16cbbCd2A1307FfE3C3cc75AA6f7c9568e210E54761b043B2", balance: _1e36Str },
-  { privateKey: "0x0EDaD22FBa7F93b4BAC019e57eF6bB9839d9c347c01E865EEAdD2D35fcc8f13B", balance: _1e36Str },
-  { privateKey: "0xcb11eDE2faDca37ea4C20f3e3D75D61DcdcFeFFAEB28C82a38Ad789B3b3b23de", balance: _1e36Str },
-  { privateKey: "0xabe2B8EaedE6a50A21c8Eb7FFFcdd563d3e6AbaEBCF667D2168dFCcd0cc72d7E", balance: _1e36Str },
-  { privateKey: "0xcbE612CddeC30eF0f24FBb5CaDaBC731cFE11bE65eD66037fe2F410cDEFF3E0a", balance: _1e36Str },
-  { privateKey: "0xdCeACc56f3Cf9Adb2b0ebE28CCF40265DbAc01995b2A85679dc73C397b3C53AC", balance: _1e36Str },
-  { privateKey: "0x81ECa333Dd6Bb51eE5DD8eB863E0dfC60D7EaBE8f53E1998aF52FC2b331007aA", balance: _1e36Str },
-  { privateKey: "0xe84e0F0A1e5c21F298f07eDFBdBEbecE22A5c133Aeb9Dc32cccf6D0AFE3BFFAB", balance: _1e36Str },
-  { privateKey: "0xF60f98ce3DDCC98A3aa8EDDB68af5cb8aAAe29B1Af9d9C29cBcD6600C4dCB3f4", balance: _1e36Str },
-  { privateKey: "0xCf65fF4BF0cb9Ebd4a58bEb6355d6E15d3D4c94f2e2b5C830aF7dBEaCdB32bDf", balance: _1e36Str },
-  { privateKey: "0xAC0Ad3d4CCdEbbc0b8831Ea9D3D39e6f9c5161eb1ebB6CcdE7F03cc3A4De0DCb", balance: _1e36Str },
-  { privateKey: "0xA529bFDD67A161bf31010CB0C91744d8D51F37Ceecac742aEFc4CC94cFB14A7F", balance: _1e36Str },
-  { privateKey: "0xAB2471c4e05db5B1b7bd7595deC4BCBC4Ff2a21f975e8FF8b258BFBd90bAE9C2", balance: _1e36Str },
-  { privateKey: "0xf52753e7CA0FFFcEdb9f8bCFAC09ABDc4160aff7bF0cA8D9Aa970B892ea8E49b", balance: _1e36Str },
-  { privateKey: "0xdEbecAE057Ebc1E05783eCe8fc4f71a506880e55Ae15C1aEf5F40E5E8608d594", balance: _1e36Str },
-  { privateKey: "0x8a0b2C7E6ef8A478D9A8B0bB148e2BBba0d2cFee76Bf0860BB68f7C0F1d789ba", balance: _1e36Str },
-  { privateKey: "0x7EF23Eb49F7BA9C332b5c1ccFdADe4C4df55Da959fac3AB4BD8999BCdA027Ac5", balance: _1e36Str },
-  { privateKey: "0x5b8c99342De51EcaE5aeBE77fdafBFab3af4FeE6caDaf0fBFf9d968BDA9Ace3e", balance: _1e36Str },
-  { privateKey: "0xffAEd61eE70641dBFfECBAfdBb969752A9AEF3CB710DAbCCCCcdDDBDfDDCC2AB", balance: _1e36Str },
-  { privateKey: "0x6c8eB2AcF8800CBedbAfBE15a599c0ada55e5E3cdeE0Fd8cFd8CcC5A530FBCC2", balance: _1e36Str },
-  { privateKey: "0xdF99a988D79b4fA0835D53cFB35e48baB7b37990655E828aD8FA14Da763fdb17", balance: _1e36Str },
-  { privateKey: "0xFDAEC48AFAf55933dD0bc2Af9aaAdC157Cf192C936C5CCbAb37d5C860Ac7fC43", balance: _1e36Str },
-  { privateKey: "0x13624Efab7fE888abb7CD390043df2eee40Ddad2BAEf829Da7f29E8fE3AcEF43", balance: _1e36Str },
-  { privateKey: "0x4C1FD68F5dC6284AC1B63A933EaC2AcA182381aAF767ffBDc6D5eFAfEA70eec7", balance: _1e36Str },
-  { privateKey: "0xDdfe82EdDcA6b5be7E57Fa8a4a1eDAcFBF57E1fCC2D2f21F56E9F8F843b2e0a6", balance: _1e36Str },
-  { privateKey: "0x342aC2DeEEccbeb95dab2dE01ddabB6Fb8f82D5D1Cab4ea4B76212EC7D8d71b9", balance: _1e36Str },
-  { privateKey: "0xC002fE67B307403dfA95dB342F782d624CCCEa404B5DfCA2aed2a7d3A924dB42", balance: _1e36Str },
-  { privateKey: "0xa03e9eA52eB91Ec3e86bB4F738ae91Af94aB73Ce35F61e4D8f8Bbea6b0add32B", balance: _1e36Str },
-  { privateKey: "0xe45B47DbafdaF2E6bACC1D5Be61a25C8D0CfbF37eceED8Ece3Da51A397EF0d8D", balance: _1e36Str },
-  { privateKey: "0xd32EbDD5d0E087CC6b9dDCd22A1FBD133e413Ff05f8c1bAE9AB14D518FBdAF8a", balance: _1e36Str },
-  { privateKey: "0x3AAd6e9ADDdA9e1ca82AAa1cfEBbc7f4D7389df8Aa61bE5EA4D7aF12F3Cb20AD", balance: _1e36Str },
-  { privateKey: "0xF8A7794C011dA19ac8E96E591ECF6fbacd42AD857440deddA29bC9DdE0b74dc5", balance: _1e36Str },
-  { privateKey: "0xC2c5Bf5eCF3fDdAC33cEf257fb947BD83a5A84aaC2A5C55d71C9A542ce107Cdb", balance: _1e36Str },
-  { privateKey: "0xcd7c4fCDC448F8036AD952aFbD2E23aA5e4ffA2D9Fca58846dbbaab245bFbEFc", balance: _1e36Str },
-  { privateKey: "0xCCEa8a4FdA23ced29Cfb31DA636CaF39AF3eb0a4043a6D4b6B3fcFF1DAEcAF9c", balance: _1e36Str },
-  { privateKey: "0xbAdaB8aC29734aa6947CDcdEEAfe96563624eD9D4e59B6cd5D6043C71c8E74CA", balance: _1e36Str },
-  { privateKey: "0x1af40aa3d7510d1aA399c8aAaacfa5CefA2AA4d0eE9E7C398BC21baf66842C92", balance: _1e36Str },
-  { privateKey: "0xCDE3155F3f60538fAaE857Ae2EdEf6C3eB2C5AdEc4fF6dFfbBB874E1ECE3ffb3", balance: _1e36Str },
-  { privateKey: "0x86fbFCbBE7D15C66dE0d38fE05bFeD9D76442DAca1712dBDf3CEdBE8bE6B376e", balance: _1e36Str },
-  { privateKey: "0xF5f5E0EA43ac3A20390c6AC96BDCadA0cAcC151beDd8151F8A6446f0C9E44c9f", balance: _1e36Str },
-  { privateKey: "0x3cc7DdcADF43AFa8Aa90d1b1DC50c96B357Fb61A7C9f0A1d5C9B3bB64A0DfF1c", balance: _1e36Str },
-  { privateKey: "0x4aF1248a92D4c1bFBdbE17fa14fE8eC4FCf19Cf9CBfAE9281eeffb5b5F6192E7", balance: _1e36Str },
-  { privateKey: "0x883a24F9A39F3cdE5FF3E8Ea8D077E02D275ABf3Dcb4Fc47B8c1c4A10E637cbe", balance: _1e36Str },
-  { privateKey: "0xB69525b2B1FA9F2acBCafce11BcaEF34e04Ab2e9F6B0aafb5d1Ebe5cB829B8eb", balance: _1e36Str },
-  { privateKey: "0x9f9d2Ac96eDc59b2B0abD009BFccDE0Ec73c25bE9F3Dd19eBf58DED76aaB6CeD", balance: _1e36Str },
-  { privateKey: "0x3Fa5c25EdDdEBF3ef85Bc18D16Cffc00c82AbF5AfEDfdbD32950B7FC9D6bdB7B", balance: _1e36Str },
-  { privateKey: "0xde68FE37083dA72A5Cff769FED4bcACfefEdb30035BEac2e4F7A1bC8CAfe55bc", balance: _1e36Str },
-  { privateKey: "0xbe9f07De2B6A3a6Bf440e1392aBB9a757C1Fc96D0FA5D37FAde4E497792E6ACc", balance: _1e36Str },
-  { privateKey: "0xAEdEa91E82Ace1b58718CC4BAebF12c9b3Db2B7D0cD1cA4F95A2fd1cFa0Feabd", balance: _1e36Str },
-  { privateKey: "0xAA230ccD7e3CD6bE51cFCAAedeb3eb0e756BD54bC1b31E96A6baB17D4c52df4C", balance: _1e36Str },
-  { privateKey: "0xb234ffafAa1ECF70A49D5ef2A0c8697E1c8D9c51B2F9b0EED733CAd5fFDD1e5E", balance: _1e36Str },
-  { privateKey: "0xaEFbE7EFbedFE6d4D01e5dA9Fd1807AfF066BeADF853B3F27Db42dFfd357BfA0", balance: _1e36Str },
-  { privateKey: "0xbEF03d032BB1D40A980C4ad18B3Cbf0351aBfd2D82ffa0e3E0FFe67E8B4bCAb7", balance: _1e36Str },
-  { privateKey: "0x0470b2CE45A056FfcB30abCC1ef4D50Fced6b1E4EF70DC71f2D236840E9a4cC5", balance: _1e36Str },
-  { privateKey: "0x6EfAb05F9990dEFAeA019ED14e3deF0A1dF91EBcD96bC5Aa3A3AEac2e3fb51AF", balance: _1e36Str },
-  { privateKey: "0x3BedD06595d0fFc7955aEcCed8f5F8Cfb2feaAa1B2E1f67F2e3393Ac19DD4512", balance: _1e36Str },
-  { privateKey: "0xa50AAEaaBB4AD83B9cCdd5EAECc66bCac0ce3A3Ad5dEE4D45517BfdFa9c88F7F", balance: _1e36Str },
-  { privateKey: "0x6fc5Ee99c79beec4DCB3caEB86910c2BcDf71A5234c757A63ddbd7846a9d907A", balance: _1e36Str },
-  { privateKey: "0xBCc4fDDF957BC7c03cFcdaCa9E022597ecb37B3F0Fb13D86F2A8f7aC243b019B", balance: _1e36Str },
-  { privateKey: "0x1a7Bd2AcB4063c94dc71DcA24c90ba2610cCcd3A0CF01fD643255f95ACA2480c", balance: _1e36Str },
-  { privateKey: "0x1DEa423f0A9Be91A996ccdAb9640aaf69Db4C4eA92FAcF23DaDadA6a561273D3", balance: _1e36Str },
-  { privateKey: "0x9fd3D25E5581a083f7aED75c293415CDfb0C5e1AcB50A9eFcbE007bC9DF68edc", balance: _1e36Str },
-  { privateKey: "0xfC055ED6ADDD5a66FD34dE4B0248AA4Fb8Bd5eacAfecDCc9d885EB276AaE8EbC", balance: _1e36Str },
-  { privateKey: "0xCdc28dFD70Ea5C3F8DD2e501e280F6a8E7cAbAecE5a5d43751732CfEE2aCEE7e", balance: _1e36Str },
-  { privateKey: "0x9CA314D91caF6f676ab6b2B9AEB4F6CeAcBfe8eC4df23505AC0FaFBaC8CF7ef5", balance: _1e36Str },
-  { privateKey: "0xf29be03E90c3f0bFEAfACFb38668C6153e3BBaF47C916c059fE3287C2fC1925f", balance: _1e36Str },
-  { privateKey: "0xECB29908AdB1bAFb5fbeD1d10fcB896f4Fb3c3D26aFe2b1aaE24e02b0198E4d3", balance: _1e36Str },
-  { privateKey: "0xbBCF3d85d9bc8ec9ecdf7AB6DDb03634e79c94f9ff3d81fbCe7DB12f9663EA85", balance: _1e36Str },
-  { privateKey: "0xfe11FcFaaA3dcF9235572a3b956FE9bDddA631890fcc1BC70B5Aea6459ac05DD", balance: _1e36Str },
-  { privateKey: "0xBb7fef9f8bFec37cAFf5A8BD03dDb8bE1dA13ad22E42b0f76fc78D9E2E9d2932", balance: _1e36Str },
-  { privateKey: "0xcafCe7348aC1aeAdFfeb9faabF5944f4AB3ce6859DDcB5aa1b95BEc6a127fAeA", balance: _1e36Str },
-  { privateKey: "0xA58D4Dbf273c8FCDBAC765A5C03846060D21d599F95055ABF1bDBd3D5bCd478c", balance: _1e36Str },
-  { privateKey: "0x9446C99AF1fd38C5b76DfCAe1a7E87b98Cf627dc48Cc91dF4ddEa8f4Edc34FE2", balance: _1e36Str },
-  { privateKey: "0xba8986dDCAea2ca81fA3BfcC7A66C34Fd4ac67cFCb7aA89E19FCFE55ca82BeD1", balance: _1e36Str },
-  { privateKey: "0x5eE33FEa64dCc77C799A48065348BB956a79A0CffAAABdeE7edd2AE912E262c6", balance: _1e36Str },
-  { privateKey: "0x4d6cDBBC4c1dfe97E0383f47ab33C08fc47eEd7f448e9EA8e918ad0FC00aba36", balance: _1e36Str },
-  { privateKey: "0x2DBE32C1C5FEF03eb40Ab4ced59ca8DEef43a8e214802D4DDf6bD73c95f92ED0", balance: _1e36Str },
-  { privateKey: "0x2e929cEEfDaDF29AaEbF7142A9B34c68Bf3cfFcC8C0afa30927fd1E37d62B88B", balance: _1e36Str },
-  { privateKey: "0x859DFf9e0C84fD41820297B60448b074aABc7aae0AC69DDA287AdB53aB413Fc8", balance: _1e36Str },
-  { privateKey: "0x3eb17Eef6AF285e40d6D510dAc28de17a1B8665D5BCA78B765e8Bda4Dd0cEf3E", balance: _1e36Str },
-  { privateKey: "0x1c6caaD90EbDd5caEcCF3aDeBDA4F84DD8d097c8802dFDFaE187BD8EDeFEAC6C", balance: _1e36Str },
-  { privateKey: "0x9cE9CfaD02eBae4f35E7EdceDF675Be4511fc96BBfeecC5e60f00959217C8Bec", balance: _1e36Str },
-  { privateKey: "0xdc31f576C3F2EaF8a1cdC2Eaf927Db64377D8dbcE15ADc832C3C14a36BAfaF8b", balance: _1e36Str },
-  { privateKey: "0xf8EaDADBBEbDfc110Bc65E2c1F4B9Ded6f1AEB40B80Bf39C47DF4BcB75e0b956", balance: _1e36Str },
-  { privateKey: "0xbC5EF4a10aC7dC6BdFdE498CCd1FbE4BeE6a3EaE5997dacd4f9196BaB6c7bF33", balance: _1e36Str },
-  { privateKey: "0xcc61117Fe1Db61BdF74708Acc0ba6eD9C7DCDDd6FDD73D6847f4fdfAD955FDb3", balance: _1e36Str },
-  { privateKey: "0xCcbcFE001eab3CBB1bA87BCE8cE2E6645E1edcB46D91D67eAA0ffAd3a6C61cad", balance: _1e36Str },
-  { privateKey: "0xecdBec45f14F1Bbd4Cbec2AdccE87b9de2B9Eb2Be9a5E650bbE9F4846cda9451", balance: _1e36Str },
-  { privateKey: "0xc3aba0F13baBa70d7EddA7bA64a6656eD67D566E95B0BD57Dc6113cBF96Ba28C", balance: _1e36Str },
-  { privateKey: "0xf2Dc784baACc11b0E746d3fE7Bb102819a64d57B99Dd67be9DBcDe2D9Cb09BEf", balance: _1e36Str },
-  { privateKey: "0x4eF8935EFD03EFcf57ad026cdf7989BaBC3ECd50DD11aefBaAECb1256f600F68", balance: _1e36Str },
-  { privateKey: "0xcc08d111Bcec006D79987cAa3C48D0de1605D587B9CED3FA932CAea3dc632167", balance: _1e36Str },
-  { privateKey: "0xBF5E9dC5AF59FcFDa205D04310a1c66C847AD1fDfbd36C0dA080B182C1ebcf5D", balance: _1e36Str },
-  { privateKey: "0xFB86a7666F3fB8Bec6Ebc0fFd2b063bc4655e2FB38cD4582E32dDbC9e94FAAAC", balance: _1e36Str },
-  { privateKey: "0xD76CE6b726b4b50Dcbf864fde5EBBB7CFF212fB6A98F5bbB53D742AaDF24D838", balance: _1e36Str },
-  { privateKey: "0xE1DCc9952eC00aB57Dc9d63cFfa5befFec53e9eCd311EC4A9bE92a1ea6112fa5", balance: _1e36Str },
-  { privateKey: "0xF3b7cFADCf2Ca68CcfcF380abE18C7E69DeC01Ba48BAD783DffBfdfdaFEE6cDD", balance: _1e36Str },
-  { privateKey: "0xEf3A859bB1Ceee47a3f5D8ab57ff2CC6Efd3B1BDDF4b30c64A2A639b4bb926fD", balance: _1e36Str },
-  { privateKey: "0x4da5bDD86b0EeAA0F2A820Fe2AD1d7fFDf96Bfe4AcAbc1B23Bb0ACAEd8decf9D", balance: _1e36Str },
-  { privateKey: "0x95E5ae73033E9aB2CD56C3CeAE9E47Ac32Fe4244306c4dEebFfBc3da809dE1b3", balance: _1e36Str },
-  { privateKey: "0x249DFd85B8CBdcDceEAaD2Ad9Cebb92B1fF8D4bEb42f2262db1Eb18bdce081FE", balance: _1e36Str },
-  { privateKey: "0xbf24bD2A8732b0ff34aC466Ac8bDDFC79C2f2C5ED5acdfABEbDD71bb5fB8C230", balance: _1e36Str },
-  { privateKey: "0xe4cA41d0B9bEEAA6C1B5dC974421D02cC4f454D60dcAe06bfAC24A62edd1dDD5", balance: _1e36Str },
-  { privateKey: "0x47fcCC94c315e0B40acdB92B2660391fCF09E77C5cCf5fbdc54CC4DD1276C3ee", balance: _1e36Str },
-  { privateKey: "0x4AFc577d869ae8dDcAc01CCd10f4d006eBAe35c6809CD6eb8cB36f5dcB10E4df", balance: _1e36Str },
-  { privateKey: "0x24ced26ee55ee964D3Aa239db36606C0bf5fa2683E25D7C913923eF40c7C6C3e", balance: _1e36Str },
-  { privateKey: "0x3EAEaBd428D442b8Eb94f63824bDB7dBa3FB6BBCE02AC716EDE9a5c4ADb3aa8a", balance: _1e36Str },
-  { privateKey: "0x1058AfC84410FEEa779D797ac9712EB384AA32e1DAeDC05E9E1B5B6faB312D48", balance: _1e36Str },
-  { privateKey: "0xeF2D273f9113dE26fE9EE58e5cDD3b647D649713FcB510ddE583660dad902dcA", balance: _1e36Str },
-  { privateKey: "0x97111bFbeB4ec008601C8c49Eb00b877d3Ed94DcdfbE1bFF440b41De6Fe1C1bA", balance: _1e36Str },
-  { privateKey: "0xD44A809FCfD7ABBf0B1fb58926C6aFb8db0795AF1EC74335c0aE3cBc59bf7388", balance: _1e36Str },
-  { privateKey: "0xf7AC785aFEe8C7C4CDE8a483DFfB9F04C7c2deCd40F1Ad6f7279b23eaeBDBceB", balance: _1e36Str },
-  { privateKey: "0xAe3D5FC926ceBa3D8438fe04Cc67fCd3FAadBeAabD3daEB1F3B07981Ae8Bb8d2", balance: _1e36Str },
-  { privateKey: "0xb97f6405A4AdE29fedf162382E24F072e3E44971c57b0270f57D3eD9D0bBC691", balance: _1e36Str },
-  { privateKey: "0x5016cbe6af3F5eAffDeA93689BAB559cd62864be4D1f95f3433E80f85eEdd14B", balance: _1e36Str },
-  { privateKey: "0x89Bb39638275e8FfEb9E3E1c288D8Bd9de9B03aDE02755AA35F5c2CaFd1Aca26", balance: _1e36Str },
-  { privateKey: "0xEdEc58aa9b6FF626B39BA1A550AeDCF3f09DabdCE67f23a1d8dDd8e0B5D9ece2", balance: _1e36Str },
-  { privateKey: "0x44E1F326d0F73CA83BfC5F4eFC6d38d923a7b7a5F50B2a5F2fb8f1A5Bfc6Ce37", balance: _1e36Str },
-  { privateKey: "0x7002adf36a3aBE927CeC9Fd9E7D1A270E9Eb30Ad6E9A95c64c2bCF0DDa595579", balance: _1e36Str },
-  { privateKey: "0xe49AafA75EAE2fcD27BCe40D95dFC1CA00dc6d8aD34E85070a2B209E02Aa8bBF", balance: _1e36Str },
-  { privateKey: "0x93Ee5ddcEAbfEfae36f19bBEA9db08ce13AbF0eEA4366461CADE4B1a5F5F2Ffc", balance: _1e36Str },
-  { privateKey: "0x7eEE1B08BBfc152fBFEe24bF1Ef24D74D7a99f53f505f94bF854bCAaC6fDD5AF", balance: _1e36Str },
-  { privateKey: "0xfD7691E1C4e6eeE93dbFA56e471dD8Bf6d96d5B4c5772De222Cd3d743FDA4bbb", balance: _1e36Str },
-  { privateKey: "0xC5bAa47DA0aDce4da81f415B7Fa1A2d265e6fbD2eEa9627eC627d13514551fb1", balance: _1e36Str },
-  { privateKey: "0xC5dC2E62bE2Ac6Fde7c8bCfc8eeDBF1dA2023D1ebAF15c99445dADc8afA54aBD", balance: _1e36Str },
-  { privateKey: "0xDA69F8cd86e65D9aa0bCc3Cc0770DFe8a92DA8c3c204DFBC59c8DF1bC7E8cfeE", balance: _1e36Str },
-  { privateKey: "0xCfd8ad1dfc46Bbbec5acbB78a99dDD539CfDDF10dF33809EA2Fa14e829CFadc9", balance: _1e36Str },
-  { privateKey: "0xFE2AdBd2Cd4aCf2A5420ccaa2Cc57488BbDafeFCc276CD260Ce57232B0fe8D9f", balance: _1e36Str },
-  { privateKey: "0xfc5aAcf203DdA20d9ED026b021C38FA30f79dBd11c910B8cADCc22736Ac999aC", balance: _1e36Str },
-  { privateKey: "0x8fF400ABf0EFFcEeDa96E1E9FEFF630b41fdc5dcC73385FE21BcAf4A6d13FCC0", balance: _1e36Str },
-  { privateKey: "0x8FeEaa20716F2d9Cb4F24da2b946B73aDDa9CF0dC46D50fcCa3D9A8ed7A5B629", balance: _1e36Str },
-  { privateKey: "0x39BFCfdc6336c3AED93e5E1fcDF6dC5aD5FfDFDd73DFDDF92EfC9a7ECd4F2B66", balance: _1e36Str },
-  { privateKey: "0x89aF49cBBA73EC2cEDFaEe83E04fcd84CdD54bEaEd2DB5Dea004a4bD9b5f6D38", balance: _1e36Str },
-  { privateKey: "0x97Bd585a8711Ff2b6dcefcF4DEa7a892dEbAd6cddB7A80E0FFbd77C735cf26Ed", balance: _1e36Str },
-  { privateKey: "0xF3D378c1C1C16E4488DBA42CDC5EAEcCd6e91B527bDFFEe0cEce0C0731C1dCE8", balance: _1e36Str },
-  { privateKey: "0xbDCfBc27af3dF84Ddb0C5c8C1eeA66EC4C4E71AbcEcF944488Aeb8ac0eBa6CFC", balance: _1e36Str },
-  { privateKey: "0x8Ca7a2453F1228EE42A9bCfBe69D0ae77d160Ac6F3ccbedAE57bccD3697b5Ada", balance: _1e36Str },
-  { privateKey: "0x2DDbc7BFb4CaF0eC15CA2CCEED167Ccf0871fDC0db7370840aBd731AaAEDc4b9", balance: _1e36Str },
-  { privateKey: "0xFD74E4d721D5C19dFAbCFFC106EBeC0c68E07A0f96DaaCC25AD692Cfb49a5BE2", balance: _1e36Str },
-  { privateKey: "0x2b60Af3b24957A2B647f862471F0f83C72b3DEba9487d55D3EAcEFd155b45F8f", balance: _1e36Str },
-  { privateKey: "0x8F8b464533E34f5f682D8b5EdBb3da5D2dF0a00FeC80aFbFf6Dc96CFEae49bAA", balance: _1e36Str },
-  { privateKey: "0x53faaD69Cd72AE36188fA114Ba0dBb5AeFca1bf433e6ACa7BD12adBC7C5F3d23", balance: _1e36Str },
-  { privateKey: "0x154FB1bA5F534Afcad6c98dCCaF8E665cff789CEcC94b85eFb9BDA3AD0eF35F4", balance: _1e36Str },
-  { privateKey: "0x3AAA215cC6E8feb99963Aad7afE59eb26deDfBF5f6B7daC368F6553Ff63Ad5a7", balance: _1e36Str },
-  { privateKey: "0x32f2F965aDC3CA8e3aeC77A943bBAf7a4FbD2e6CAF263b0dec3522Eff5F82b81", balance: _1e36Str },
-  { privateKey: "0x607964b9E9F2da42b9ef6f19Ab58916fbFad9f298f2C4dAa8D630AE0fEF49D57", balance: _1e36Str },
-  { privateKey: "0xb1B538E586CEdDFe53Ba4E3BBb5c8c5Dfa2d6CFFe703363e3EA9AEB5b22A19bd", balance: _1e36Str },
-  { privateKey: "0x1d541Bae5F4eaf7a8979dec6deb9e8d8B6A9ba83EeDa541dF4097BBdaDF029D3", balance: _1e36Str },
-  { privateKey: "0xE9E1eFB646B66baA7EBa42C6BAe8C946f98c8a104d3Fc673Ae6Cb3Bf194bD65c", balance: _1e36Str },
-  { privateKey: "0xcFFab4a6BC9d14b50dBFc07EcCD679751b796Cc49d68FBB94c97dEae4510d9E3", balance: _1e36Str },
-  { privateKey: "0xE2d224d242CBa5b90F58086dda66FbE21F02Df0960aCDcbD4c06906dcddEC033", balance: _1e36Str },
-  { privateKey: "0xF57D160bcDBcFAd1DC2c70Bdcd9cAAc45ef6f5161FAE09dCAA6e207421c1896C", balance: _1e36Str },
-  { privateKey: "0xc3EED2E9f6F14f264ef4Ba78D50E672E99CDE6F8FA997FD7BdCFB413D5A67d66", balance: _1e36Str },
-  { privateKey: "0x15Bf5A7aF7dAaa4505eC3DbBb28ec8F7E90023B2b5AC6f280efD3DE2dbAd473d", balance: _1e36Str },
-  { privateKey: "0x042C399a9D186e615487Eb02D2fa362FD752Bb4dA5FDD9bbcBB45bD47C676b4C", balance: _1e36Str },
-  { privateKey: "0xe8aDeCDaFDaefF5eEfAcDaA4Ed69fbfBd3eB9ca5ECAE7d0bB2d1ad8fE1595BD7", balance: _1e36Str },
-  { privateKey: "0xBfa03fD857FbdE0EDAF4bFdbEcF24928A6F52B8233bCb8b2210fb1C7DC7Ee092", balance: _1e36Str },
-  { privateKey: "0xbDd235E8e1F752804aCEBd95eF17beE4Ca6CA78cfFaE38df7fd4Ada7D258469c", balance: _1e36Str },
-  { privateKey: "0x9Fe6D3ba6FF436Fe5b90aAaD9338aa3Ba10E0A1C8579b2dA4D7bF615ED61d3d2", balance: _1e36Str },
-  { privateKey: "0xC58c288D955b6B5CDDb8f1D8a7c57AddB17CE9b44D0eBBa94De2EFe6DCF6e92e", balance: _1e36Str },
-  { privateKey: "0x4aDedeecDc94fFaEA8BBe6Ce1f1DB97bACb54cbCa5dfCDcE7FFaaD940c603E93", balance: _1e36Str },
-  { privateKey: "0x46c6dff2D4F9fBA00e995d0b1F3029a231ca9d2c6cfE2b92d085fF4deA627a88", balance: _1e36Str },
-  { privateKey: "0x0AEF054C7FFB5b667BDf65F6a1C2d6FDFE4ee78Bc5B5Bbc0f290dCe5d70ccFa0", balance: _1e36Str },
-  { privateKey: "0xF9B08fdeaF3E0FDae047009A4Ff8cfDecDdDCfc02aD9bdDf87DB1fd4CCf372Df", balance: _1e36Str },
-  { privateKey: "0xC5cED5Aedbb1dfB3a0cA0e513c4Eeb2FaaFd69121eEFC98A975DeBbeb1fdd753", balance: _1e36Str },
-  { privateKey: "0x9834b4e845Eae985b6A2c945F512bbBb0e5add70ecbd1cBBaFb5f0EEAEC1fef3", balance: _1e36Str },
-  { privateKey: "0xA7dB2C1D8314eE670786aF1f9c7D95EfAB63a4cDFDa1CC24ad8f3F1E06D9bBaE", balance: _1e36Str },
-  { privateKey: "0x2B57529bB2fC4bE6640bE2aFcAB9ED46A81DCfd37aFBaEAe38EbFccAfc4FC00b", balance: _1e36Str },
-  { privateKey: "0xf5BE9e3EAeEcAD49Ffa90f9e14C9bfa03f1ac2D374E0fDe3F0EF02a6E889ACfE", balance: _1e36Str },
-  { privateKey: "0xb6dFAEDFFB18bda3F3c9133ED658E857c5fdcD70241b5552cc3fb14DEC1c1D50", balance: _1e36Str },
-  { privateKey: "0xeaa56dAf4Bb7d6cb1Ff91088C76bd1C0FCfDAD6cEd7A390E40aDfCe2dB4E0B4F", balance: _1e36Str },
-  { privateKey: "0x9e3Ba740d7ca6dF7cfFDBd4ea1d5fe65a58789C40E4D55d1AB46628eEFad7c2B", balance: _1e36Str },
-  { privateKey: "0xE650eC3FeAbf8ee1f33C7dfB0e76Fa5c4C9FE296B05A35dcbE37371EB475D5eD", balance: _1e36Str },
-  { privateKey: "0xf011FAC998596eC1ae9BF4EcFdd9e978CdA2d5e0b8637a5cB45ba25FEe24cD38", balance: _1e36Str },
-  { privateKey: "0xF02Ee58E87783b8c9BDa19cDB4faED322E207e3ca31C7ebC1Cc1eCeFed9c0Ea3", balance: _1e36Str },
-  { privateKey: "0xE6366CfAa6adB597Cb5cA65d1aA4041Ae5683e699DDA5DB1277BecBc539e2A4e", balance: _1e36Str },
-  { privateKey: "0xC5399FcEEDDDdd9BDf7D2e2cE9C155AC1FAB8edE90DfAE2D11b06c64508F6241", balance: _1e36Str },
-  { privateKey: "0xDc3dc38fEaCe74b32AFb310C06B2FF8A41A05BCa0D6B9B6c26Ad08CAf2aD4F66", balance: _1e36Str },
-  { privateKey: "0x81F59946bBa20D99baCbefA3FcBBEcEB72FF9d6D0d8EbDE58b4E07eB1BFcCeBA", balance: _1e36Str },
-  { privateKey: "0xf10Ac9eeCdD02FF9A4E7fAC5Ecf7B3a22ca1DB38aca5d314CaeFe9ebFCedfd0e", balance: _1e36Str },
-  { privateKey: "0xd5aA7D3CA7eB6Aa0eC9E1FeE8F1Fa199c1729fF6fcdAb28e0aC75fdb9eaBEBdb", balance: _1e36Str },
-  { privateKey: "0x5c96f974E30FC75E6A75AbEAF46494cbad5B44Fc0A5E44EAcB72C8CeC8646220", balance: _1e36Str },
-  { privateKey: "0x1B1f0a704d4aB06B759E5a3C62bA5afdfda53f83B3d01b03a73Ee8A24d4A71d7", balance: _1e36Str },
-  { privateKey: "0xCbBDdc04bF5fFBF96a4e51a63076da86aDAB9BecCdd76ddF6085D38d8bE86eef", balance: _1e36Str },
-  { privateKey: "0xfEd3CB1fdf95D164beFc0FeEe50346f58FC699A8Ef8527b37AdBCbd31f647ebB", balance: _1e36Str },
-  { privateKey: "0xFDEbd46f370c9055Ebc7eee50d5B84b6CDb95C77A41fbDEbbEfdEdac2f981571", balance: _1e36Str },
-  { privateKey: "0x6cf1ADcd3726ADC3cFD7C84cD5aAc5FAc82D646729C98aC6cfBf1Ae177F7695F", balance: _1e36Str },
-  { privateKey: "0x4315bbD51b16006aBc5bB567fF405Fb12B61E88F5a726B2910E9ec4F7B150bbf", balance: _1e36Str },
-  { privateKey: "0x24EECada5b7dEA79DcfAbDD3ACE64c3B87D501c3efD729A2CE8D2B5dFf749eb0", balance: _1e36Str },
-  { privateKey: "0xfb8b4A9Ba3bBea70eaBe4BB1e2eF68F84E52Ad43C6A32eF6E2f4eaF5EAdaB4cB", balance: _1e36Str },
-  { privateKey: "0x9d46Ab1aaDF99733F9BEDDbc5cdcBb7dfC2b7CA5dB44938a62853A550Ef2bFb6", balance: _1e36Str },
-  { privateKey: "0xb671b3405c1b26f7dd8F4B6C1Ec89c53f2b738D3ADa063Ca47ABd58D874af384", balance: _1e36Str },
-  { privateKey: "0xF281B870aF0b3db2AAA0BD6AcBd4Fb9EDb7c0B2B85dCe6fB06793e77fa061FA7", balance: _1e36Str },
-  { privateKey: "0xEac5f06bf2e5A2Cab9122C0EcdEbDaBc37baB98b16dC5911953EB7F1e33CF2BE", balance: _1e36Str },
-  { privateKey: "0xd5FBF5c421D0B6DFa2AcD0B4c9e5a6ed112Ae1F7d5AcfD93dd5D7c76C7eef59d", balance: _1e36Str },
-  { privateKey: "0xC4935995C1Ba68ADAa646895fC4E1d94DcC4Cd7C1E54EBBE8606cC97e13b78Ef", balance: _1e36Str },
-  { privateKey: "0x1acfd63F11ebAb6Ac1E55affF882c6C3B1ac2afc8BaAFdEDbF4768BAfeB714a4", balance: _1e36Str },
-  { privateKey: "0xA5CD11077d5e2D16FC87D5eB8008BE72B9BDe45Cd22cc01eB45E216370F2bCff", balance: _1e36Str },
-  { privateKey: "0x0AA0eD007652ee415413BaF5AddfE683EF6D0F4E7f24647FEBfA12D81EE2F4Fd", balance: _1e36Str },
-  { privateKey: "0x8d245bDEE5919436aeE1426B8FDacED23dDe01bC5C06F6edC67bF4FcfF7E96Cf", balance: _1e36Str },
-  { privateKey: "0x7cB44D888Db151dD249527b2ffCE0cF3d48B32157b2aa397f1d9D15E957F67A4", balance: _1e36Str },
-  { privateKey: "0x286Ec624EDB1e0FAec5eE1dACbfdb44eEdEa4cEDFeED4DFF7a890329aac4A369", balance: _1e36Str },
-  { privateKey: "0xcb62C6E9ada245c7866Fb1E6fA75Fb814111aaE0f9EB26a15ea63edD9fCFb385", balance: _1e36Str },
-  { privateKey: "0xF41fEE133d02A47984F21Ee3857CA1bAc88EC18c17F9E3Bec43A68bbbAFffa8B", balance: _1e36Str },
-  { privateKey: "0x8dA1FEBC1CbDBeE1CB2aca7A7D5c9DE8CFf087ca46577Db7DAaBf1bdfCEcbbED", balance: _1e36Str },
-  { privateKey: "0x5d3e68BebDD3FC0bbf7eE339BeDA961Eae0b3D8944FA1bFF3081adA3Ab45E479", balance: _1e36Str },
-  { privateKey: "0x4A63bC6b7DC1Ecb7262A599Bb76668ACd750600BdF37dcBB62f7D9aFA019B2B5", balance: _1e36Str },
-  { privateKey: "0xB7B760c019AeB02c471DbcC21Eb3CeFdF251c9A47Cda9bdD1Ecd0Fd97ec9FD2c", balance: _1e36Str },
-  { privateKey: "0xd3553a2Dd2Aae2248c7DB7CF1E4eEAE5dC6DE4164F4f62c336e88D0c487bF37b", balance: _1e36Str },
-  { privateKey: "0xd1BcCBdD5444CF31BEBB6DaFAbfE281D8e221Ad6B7a1FCEa67e7E0125EfC8BFB", balance: _1e36Str },
-  { privateKey: "0x2d78f860c5D1bE4544fCa5F1401bEcc39D37B7B5bBB6412Bc31dFe35DA5bC0BD", balance: _1e36Str },
-  { privateKey: "0xD01A7Af0aa54C3d7c708C4Cc5caC7a24d1dbbfd7f689d596BD5DEFc4b76bcefB", balance: _1e36Str },
-  { privateKey: "0xf72Cd9A5a7ede7db40bcaAB979c714BCBf86C654608AdD356b5035Ff2a2a05Fd", balance: _1e36Str },
-  { privateKey: "0x6abB81eb8241547E49beEDcF16D24Ca9a6Ee7FaBcE460d1d12bfdAEc42a2F090", balance: _1e36Str },
-  { privateKey: "0xa4bebf7AbFcBfa35922F5F9eb68554Ace294CeaB496072A0C885Bb40E3CB40A9", balance: _1e36Str },
-  { privateKey: "0xdc2bCCAccF024fEEfB97CEf1aF59CFF4B5FDa68bA7BFCB588dC7d231F2797cb1", balance: _1e36Str },
-  { privateKey: "0xDDd7fE15d1BeCfc036a9Cde7A8d6DC40fA5cb4766c9cFDbCAc2bfA49fFc448e5", balance: _1e36Str },
-  { privateKey: "0xBFFb0fdb4a591bEDc109fbaaD48ca1F5cd2bcA945c4E8C3b9a9C1CAf3e9c518d", balance: _1e36Str },
-  { privateKey: "0x70AeB6acdbcEE9bDfdaFadf43ebF1f45ED33bB8Ea746fA51bDFEaC1ac5ba991D", balance: _1e36Str },
-  { privateKey: "0x9B6f2A0De81Ba07feFEeDBE7FF90Ff0f5Bb20CfbE3Df2edCBbfFc80CD1a528D2", balance: _1e36Str },
-  { privateKey: "0xCdF04AF2814b4783ccE14FDbDe5e34E21DE511D3d3be9cAABcB3eCC1C612b2BA", balance: _1e36Str },
-  { privateKey: "0xDe678D190EE8Da91eaDcfF72bF39f59bd6ecCBe2De5A06D706B1eFFC0F81faED", balance: _1e36Str },
-  { privateKey: "0xeEf4E3efa4f8fE1F7B5811450Bab3dBA5CbEC3e853a9266f3D5f33799bA57f58", balance: _1e36Str },
-  { privateKey: "0xE12FB1593a7C3DF3d2d1ee01a594b304bD4bB28Cbf0C224Dd024EfAF2ADc7BDD", balance: _1e36Str },
-  { privateKey: "0x9ad0cfcc52f929cEC96faf1FfE16dBc3a0aA24c6C95Ec3cca3De26b0E012Df2B", balance: _1e36Str },
-  { privateKey: "0x3bFdcCE82594eDf13A0D2B8dd8EA8A52e85bCc37c1A4cD80e604F6B566F78F9a", balance: _1e36Str },
-  { privateKey: "0xBAebFbb2cc3Bb7b9aBCe0b03Ec6cCC0b011eD65FdEfac20dD39EDDF5f3C28Ebc", balance: _1e36Str },
-  { privateKey: "0x84EBBF0D9d0159c6cE3F849da318b9a5e6A24553A8DC74b4fccC6AfcBFCad1be", balance: _1e36Str },
-  { privateKey: "0x8b4cDFc2F87aEFea2d4aAb4eDdB575b30b73f2ccb06ECD7dCfe9C717C946fAFc", balance: _1e36Str },
-  { privateKey: "0x4212FeaA6fE853aa6B51F464FC5b221dC9f658B2DfBABDE3CF8a5dFEB4c0615c", balance: _1e36Str },
-  { privateKey: "0x8e08f6C0cEe2Db254bdA1e0DABF0a2f50A1575b6dfaB59253ACb49E5B2EC80d6", balance: _1e36Str },
-  { privateKey: "0x4b95243CE2a7E8DE3dC70B34FD53F11BA6Fc9c08d0eCE1485af21011BC285df4", balance: _1e36Str },
-  { privateKey: "0xc62Eb165FA73A038DA5BBaEFcE0dB83AFe4155248D23bAf9dad554ebF9E31Cd4", balance: _1e36Str },
-  { privateKey: "0xe2c65919faBf8C3FEEdb632A706d4EEbEaAF4bFBf20caf6Af8AE7D1E8ED5e443", balance: _1e36Str },
-  { privateKey: "0xB54AAA7c2C3DCFB665C8dfb2cBd5c5dc3c767ffbb1F1ccCb05b6D3C8ECe874f0", balance: _1e36Str },
-  { privateKey: "0x93CBDaEC0A18E9e0B246D5A8D6bB0Ceb48FEf3fd76e5AeF80CF26B8E05b1989c", balance: _1e36Str },
-  { privateKey: "0x08C0ACEdFCe20fFCae0Be436BFC3B5FcBcAedb921179BfeB8466A92BfF25f709", balance: _1e36Str },
-  { privateKey: "0x799bbF4AD3fa5f733D7dcffaD1c4Ac1398E0C4BfA2a5Fe8bDc3c0F1cEFFB646B", balance: _1e36Str },
-  { privateKey: "0xaF337ACffcD35BC135c0912aCAC2C3cdD7bda8D21BADCD90b0Da0d4d1610a625", balance: _1e36Str },
-  { privateKey: "0x8bC8CE78c3AaEef8aFAAa0b5CAAaDd0c8Fc5fb9960be5FA720cBe70eBFa92FEe", balance: _1e36Str },
-  { privateKey: "0x19348a82efC7ab72EF69AE65bb2f479762c73FBbed301dEd8976bD14AcdE0811", balance: _1e36Str },
-  { privateKey: "0x9ACD0D449c9b9cb84c10dEa2bEeCEA0BcCD789CEeB6DbF60D22a064499b93d9d", balance: _1e36Str },
-  { privateKey: "0xdf7C9F563eedceFf3Ebb447f01f5FdfCCe7bE2c32BBd481b75AFA9980EcAbE31", balance: _1e36Str },
-  { privateKey: "0x7Bcd6Db2Df3d9ccFD8AC44ED594C0d756E96B6df4ec3F5Ba76d8B7a4b9aEAAfE", balance: _1e36Str },
-  { privateKey: "0x7052Bb6CfC1bec1DD5aCC9adFb242F1AecD931CfE2f76E763e7938eb2508CFe5", balance: _1e36Str },
-  { privateKey: "0xD6DBd46424AbabbBeE228ae2BA1ec46BdA7aDD5fB05ed1Db79228966Df8A2417", balance: _1e36Str },
-  { privateKey: "0xeF220f3F165EeAA5eFAd93C7b06fc11ddE9efa7b17CEaabc3DFc21F3b89bdCBE", balance: _1e36Str },
-  { privateKey: "0x48Ad0CBfe4B93ffd80c608B7ffb67C340a623158179b5F25882a969A5Bfe3eC6", balance: _1e36Str },
-  { privateKey: "0xEADf05147fAB6EdADDCf57b347eA424cc6F05daE048Ddf8BCfd7B5DD8Fa33d69", balance: _1e36Str },
-  { privateKey: "0x8429CeBE1DaF6fdb3f1cCf415f7Fbf86eDF4F81fCfAE8F4650BAc2CE6Ac4bcEB", balance: _1e36Str },
-  { privateKey: "0xcBd6AfA18dBF4a4Fab4035Ea7acd94B0E157daEbdF6108bCe6afCC23ddD05EAD", balance: _1e36Str },
-  { privateKey: "0x27cEBFf3ab89E5EfBe3Be377EdaCBA61D91d3E3A6a55aBDdAeABdE8155c1F3DC", balance: _1e36Str },
-  { privateKey: "0x32bA9c7fFf4CBAD1BE29C18a6A4cc61EF9C58f253cf38cEf689F99AE73490D6a", balance: _1e36Str },
-  { privateKey: "0x7BeD2ceC78a5f6Bdb3Cb3Da1CA564d8ccFD0E5915A8ea88a09AEAa38f7dcEfEA", balance: _1e36Str },
-  { privateKey: "0x4cA474E60B6e76f2BA0C99eaBcFb2d8B3F51BCd1AAE7BbF723cff06dCCAbABfA", balance: _1e36Str },
-  { privateKey: "0xA39A8Def4CEdCdb3d4064Cae8CeAb70dB1A80ccffE4909F77A8Eabe7A0B8Fd77", balance: _1e36Str },
-  { privateKey: "0xDaFe6a2bDd8Eb330114EaCbFdEb7f5dA0dAF418d7c54919EedaacddECedcD9BE", balance: _1e36Str },
-  { privateKey: "0x4D63df85AcC8Cceb275eC4DA2adBeE7d4eD211B4F77BfcedD4deCA1B7cea3cD4", balance: _1e36Str },
-  { privateKey: "0xE3CCceaA12aA8cE6Ca83f6ce7dCEB81d7BF5e856458Febdcdfc203A50EA301aB", balance: _1e36Str },
-  { privateKey: "0x3f71ACa0e91fe0acbfAad66d64AfeD2925C7eF69dc649f4da85AD99bbf93aDBE", balance: _1e36Str },
-  { privateKey: "0x0fBfe96f189b3b6Efa9fd66aa5F93C6d3020D3C9d1fe28a2F74E13db1cBc7C5E", balance: _1e36Str },
-  { privateKey: "0xFc0cA27f2F1Cc29C937ff4Fb175e34b496AC01728fDAcB28C94fED5C05BAb0e4", balance: _1e36Str },
-  { privateKey: "0x0Db84beEa5bAb0DfafF155bDd0B1B00eCbdD3DC06fBA0dC84C51c0D3acCcB5d9", balance: _1e36Str },
-  { privateKey: "0x4FFFEa9eC2D9CC1279fecFa2b85e32dA2CC9bCc3f9ae9Ec2dF8Bcd3Cb5CF3DEF", balance: _1e36Str },
-  { privateKey: "0xCF45aD24Bc60833EfC83CEa0c2fB3EceaFfF364EDbcfc5Ed54fe1b27FC9Eb2dd", balance: _1e36Str },
-  { privateKey: "0x341C87dfe6c55eDA97c089cCefFe25BaBf879DD979BD86D60BeFE0EE2cce7A2B", balance: _1e36Str },
-  { privateKey: "0x72A3CB97891Cd21ecBfE493103E2ef3F553E7Bea45BDc8F8C69DF40d86B9c95b", balance: _1e36Str },
-  { privateKey: "0x0BC05a1dB9730AaAABD63C83aae8c7ad7BD6caafAF5b1bDD7Cf2BDAE2AcE5B0d", balance: _1e36Str },
-  { privateKey: "0xB1E43dc2fC4be2196Fbc2D1f598d8f8B3D48b0f4802d6a5752E8966F9E499baf", balance: _1e36Str },
-  { privateKey: "0x6DfFAebEb0c92A74F180F03BDef5a58ceFee8C6C13df3F935BaE0942D84c91BE", balance: _1e36Str },
-  { privateKey: "0x74D3eDdeFB3adAb9D80CD50FdBF96952bB9aBfD54C0B23aEbaCBdbB0aAa3222d", balance: _1e36Str },
-  { privateKey: "0xABdc4CAb1dCA5B1F8dafab4EDDc8CA68A6Ccddc1Af3Ae81F7B877c4CeE1e2105", balance: _1e36Str },
-  { privateKey: "0xAEE19407edbA64FCfaaCC787fe3BcDAf32c8d9FC26f818FeD4b134bCc769C798", balance: _1e36Str },
-  { privateKey: "0xB1B36EbDec7bF057AA4EACf8f0fcA86Dea50dfCac52d000cD14504A7D7e5E6Dd", balance: _1e36Str },
-  { privateKey: "0x073B112784Af33eB0c7CAbEbdE699EFcdcc88D0cCBCEa8Bad5f2060a1dCc9Efc", balance: _1e36Str },
-  { privateKey: "0x4a9ef46CF1A4c1B0DCF590091EE4eeECF90365EBEf1BBd46CCf9bAE99802A72a", balance: _1e36Str },
-  { privateKey: "0x31EeC3C6f0a09fb3c1cBdb97bee421b93af62505973eDC73B45efFDF2f5C1bfe", balance: _1e36Str },
-  { privateKey: "0xCc85cbe0Dd6E20ef4b8EEBd1c5cBE1656A438ee0f95B0a92dA6BD4aCEA68633D", balance: _1e36Str },
-  { privateKey: "0xbbfA2A317F66c5Ae8a1F4c3cd1df826aF868E6706CbFc53E8FFe186084d9BEd5", balance: _1e36Str },
-  { privateKey: "0x5937F3Eb612DAF87D58b0dBBeAAfeaA0Bc3FeCdeD4D793EcaF64EaF0bEe662b7", balance: _1e36Str },
-  { privateKey: "0xf5eb6EA30B43FC1ea1a1FfaC7b3Dc092cbDcb20ffC2ff7CAF7E9E136C0F9f8c4", balance: _1e36Str },
-  { privateKey: "0x83f11ea15ADbE304d7b5acBbdAF56f65499b9ed2Eeaf705661FEAFC86EB79E4c", balance: _1e36Str },
-  { privateKey: "0x5c0dD1bedA721b6f83EDcBb8bC977FbbeAa8affFFBbbBefdcE9dDbDddbc880fd", balance: _1e36Str },
-  { privateKey: "0xF48B48F531C3c4F7C6Acbc0e8438862e48ABf954a6Dc38d1864aDeaCEfd546B6", balance: _1e36Str },
-  { privateKey: "0x64EF5b40582DC0Ab3a088D26fECcF01EB72aD21facE5C59cDdD6E2ceF6AC4fdC", balance: _1e36Str },
-  { privateKey: "0x47c8b737FDb3C90C3AAbb3aD14DDf4CFff8b5B493fABABA8af19e1F6e2d53883", balance: _1e36Str },
-  { privateKey: "0x8e8A1eC2Fa5eFD739d97660FCA4d038fBde1bCFf7dbBef10b4cc66F84A25C1Ac", balance: _1e36Str },
-  { privateKey: "0x984214f0F5834c25FDAd611fB217a14dD3f447A38dbBd1d6CfcC85A2ec01f73E", balance: _1e36Str },
-  { privateKey: "0x58286d4C7aBfDAfba1Dea11EdcEC8B9b5d7D620F6AE7B6faDaA807F680D0b8c2", balance: _1e36Str },
-  { privateKey: "0xD2dfdC0Aeb7aEE84AFcf8bAaA0ADfBBBf78A7cf2CfaC5AE91Fa3901D1eD4Db5C", balance: _1e36Str },
-  { privateKey: "0xA4dDFc64d5Db52C59A3AAf1fF3Fdde718C84727344f73d17758845e3e28e3DDD", balance: _1e36Str },
-  { privateKey: "0xdF252058bC5C6B869E870fE0b5eADEB3DfaA87ceb05C858001dab6BbFccCbF2E", balance: _1e36Str },
-  { privateKey: "0x06E174ccBdc12cA9a178Bb77629c904cEFB648ceF6a7ADDDEFAc8C9C2bbEB8B7", balance: _1e36Str },
-  { privateKey: "0x40F8Bede980cFCAFfAD95bbabBD07057ae3cd64B13a6F8B74BBFad7e225766E7", balance: _1e36Str },
-  { privateKey: "0x4De250f8fc0edb17Bf9EF7acfd32ec4474a5Ac2E650C1FAbd0B2FE762e5D7da4", balance: _1e36Str },
-  { privateKey: "0x8F5Df54A8Ceb0bCED8e1Ffd4dc7AdeAF278ddB9037bf9D757d4E4DaAe47f279d", balance: _1e36Str },
-  { privateKey: "0xFaD0345fd1DE72bF3EC5aa6C54Af3E5Da3f92bffbAd8C4da57aaeCB41F2b1ACB", balance: _1e36Str },
-  { privateKey: "0xcB7261aE8B8ACbc54c0a0be47fDd8Ff06f39eAE5F4B08eeeE0FbABFd624CD7cB", balance: _1e36Str },
-  { privateKey: "0xe7d6E0f805a62De4eFEEc80Edacfb11dadFffB44Db5dfdcd1AbC13012d3cbaa7", balance: _1e36Str },
-  { privateKey: "0x7ACcB0561bdae4305de1168C5a49bDACC5Ac546553c9b08CDCD4baedEABA7929", balance: _1e36Str },
-  { privateKey: "0x8fA25cfCE5CeAeC559DC1a58D3d09C2Fe7E75B7146c0B67e9B21Fc8a5F844Dcd", balance: _1e36Str },
-  { privateKey: "0xfD532Acd7c73d011F7bFe7aBF5c162159273eAEd1F5216eAAFfd142644C3DfcD", balance: _1e36Str },
-  { privateKey: "0xbf8A88eCC0787db3e3424029CD9dCee3Db463Cdc09d1fB5546bc288DB2314AeF", balance: _1e36Str },
-  { privateKey: "0x1A51dEBb170bc0C97CcdE4275DcC28DD5dc644Dcbe53F9Af3af802B260bcA51c", balance: _1e36Str },
-  { privateKey: "0xAd4fe5Eda497ca6baAdE514cFD99E326A2a93A05CcbACB0f93CBbdf49efFceA1", balance: _1e36Str },
-  { privateKey: "0x4b1BfCddBCaA2fbE0176aF72f6F124EBAc2dD4DF8c84796a0e482af9eBc1CAf0", balance: _1e36Str },
-  { privateKey: "0xCDE5452CEE8AfBD44cb6EC160F751D8fBBf205Bc46dF6f22AaB47E4E60C7B8c1", balance: _1e36Str },
-  { privateKey: "0xfB367Ae6DD221ce254dBABc4bEdff5F68253A8Bc0f9a92F738a1aAEfb0bB94dc", balance: _1e36Str },
-  { privateKey: "0x2EDE8C08069aD642dE00Df66FC1c2Ac0A07Cdc277B2CF87A14e71E1b8f888D7A", balance: _1e36Str },
-  { privateKey: "0xaF6Cea2f6faef4d5a143A7A55CdC6fF1384eE06b00a102c3BD3BedeAdeEA464C", balance: _1e36Str },
-  { privateKey: "0xb14ed71bFc20EF511ef2f36739c57dae6AacB390FBafbDEdE8BC4930faF679c9", balance: _1e36Str },
-  { privateKey: "0x41bDd2CafDeB7fF8b4a4A4D9BbeF75292E8860EAA2a814B0c67FaAa8a19935e1", balance: _1e36Str },
-  { privateKey: "0xd0D8Ee7BD9C8982a6fA481Bee0faadEBcB8F01A373c6fbbb4eB0Eb9c9ADcc81C", balance: _1e36Str },
-  { privateKey: "0xe9A8A904bE19e2dbf3707727Bba835BF553AaC2f873Ac0ab5d0fFFBc228e142D", balance: _1e36Str },
-  { privateKey: "0x7D52E80b40Fd2f3AC874C734eb5b139aaeb66e7dE3F24dBC1Ff29Cec183E51a8", balance: _1e36Str },
-  { privateKey: "0x19a4fFEac8cAEbb1eE1Af9C1DaEee2055efBC770B0a59cFc5cDdCAAEcbb4cDE6", balance: _1e36Str },
-  { privateKey: "0xCA230f50B3abdaCae9E3fafcdE9d64abDF4e2DD4c7fed6CCEfB4e67d7eDE3B09", balance: _1e36Str },
-  { privateKey: "0x3EdC018E9F11fEddECE9FBb6Aac9D5DDc1FCA0B3FA5717130f6CE91ce1eFd1E3", balance: _1e36Str },
-  { privateKey: "0x9Ff6194cF7FAf32C3c1fCd9BCe54FE38388472C1E9bEc2c69B77169cd2A9A5E6", balance: _1e36Str },
-  { privateKey: "0x4E827C860CC5Dea9b1fe0eaCaCB2c3B3ccB578bd3bb0531E9ebBA02517f6aAcA", balance: _1e36Str },
-  { privateKey: "0xfDDDAeAfDEC458a2bA2787AceAAe4C7EbfdA08cc92Bd139F06e4Edbb650F73eF", balance: _1e36Str },
-  { privateKey: "0xeBb1c685530027dEb3BcfF85EBc23fCffb07DF6dBc68136bc72C9fC42e7A76f3", balance: _1e36Str },
-  { privateKey: "0x2Bd5dAC44b3ffD2Fa672feb9A766E0F82cDBdeFDce08dE6e254CAB19eED77F73", balance: _1e36Str },
-  { privateKey: "0xaBF3eFEE7072A2EfC7b9ded386aBADB55bad5e08423fD1e8AAEF7DcEF1DBcFAE", balance: _1e36Str },
-  { privateKey: "0x7D885F65ec6CBFcA7AcF4F5E88dc2e3ECcE6F075eBECCe37A7EDE1Cd40bC48EE", balance: _1e36Str },
-  { privateKey: "0xd05Af8bcdcCf3baafD4B52880f5F91CcCA8F90DEA31a666EeDD87D2ED8ac92f5", balance: _1e36Str },
-  { privateKey: "0xcDC74ee4A0d1b5f15bFC0cA41Acfa1E0833B3B3F0ddEb57bc40EadF8fA8384D6", balance: _1e36Str },
-  { privateKey: "0x32A0EAEF8daf92eC02F8F4242Bb3cCbcca8bbC6dc7F2ae1D3bc4B9f06cAc6b03", balance: _1e36Str },
-  { privateKey: "0x62983d7CC2f90eA7CBAaaADEB8d617FdE0f4E7DcEc738F1aC8F5c1261BF0abdD", balance: _1e36Str },
-  { privateKey: "0xb20BD7d5594e824F0ab4Ec5A7FB9ab72DF6Fe52A4a4fb2d98cedD1bA5Ea125b9", balance: _1e36Str },
-  { privateKey: "0xCb456dC2af0cb566Db66C6bceeF0E0eBd61deE09A4ED5dFD776aae97292DE4B4", balance: _1e36Str },
-  { privateKey: "0xe7665B3bFB7E1a2cf34edFBfa0ebA7b30cf3AFBEFdCba19A955AB49e7C9ffbAF", balance: _1e36Str },
-  { privateKey: "0x7d1cF82F776cA3cAFca53dC2AAA02f9bF0cf08c8b6E9DcaADa5325dE72d6fFBf", balance: _1e36Str },
-  { privateKey: "0x21EBCbb4e0B2181aC733ACbc45fFAfE4DFEb8CfcAe7fC8Dd221F3aF3eBe2289d", balance: _1e36Str },
-  { privateKey: "0x77fFDeAaf3FD0b3BaE033386b03279Cdf3Ef689Ce5C311fCFDbeBfDC4c1E49F8", balance: _1e36Str },
-  { privateKey: "0xcfAb3C6Ed94e4E14FD27B8B9aCd864F75Fa49Eb9d38137e2DFACdcF389Fd96FE", balance: _1e36Str },
-  { privateKey: "0xaeEd9f852DDd737A30DeABe895b2cc1f8aAb6dcEb30B95CC6bDCa26DFbB0dddF", balance: _1e36Str },
-  { privateKey: "0x8E2dcD9ef26032bcaCCEd3b54eea37cB525B92Ac6dD6120bDFae15DBDA2Fa9dC", balance: _1e36Str },
-  { privateKey: "0x1C2a5ad3861774EECCec2ea51D7C2EFd8add35E3dEDeb3edfAaE7068d17D8DAC", balance: _1e36Str },
-  { privateKey: "0x151E3509bFFCB372A3CEA9cFC49a46ffEE7e0842c2Cf221cB7396De0E9aCefC7", balance: _1e36Str },
-  { privateKey: "0xf5F129CbbD0B15FEbf5Dbe1e3eF1acB9E79d9fddA21c18E35fd3a3FBce4c631F", balance: _1e36Str },
-  { privateKey: "0x1CC7AEe00DFf2548409dCe970DCA0BF4904F146e6A9C4daCd83edABadd18CA49", balance: _1e36Str },
-  { privateKey: "0xeea28AdE7d17EA1DBc8f44d1D9BDFD1aEFeb8Ab8f14Ef89FaabD4667e6A7E8E6", balance: _1e36Str },
-  { privateKey: "0xDaAa027C1D4dFD2AdDB697AcBF9456fCfFe7db1BbC442a86fa53F8DA6f686eC7", balance: _1e36Str },
-  { privateKey: "0xf6fDFeE30bBFEFCBA8C2E88cC95CEC4BED0609A99BF54452dB5ce85d0cF40ea6", balance: _1e36Str },
-  { privateKey: "0x6cafECCAB9399d4B9e14Bcb6Ceb28541a9D8eBBF9b4e50CFed8eaA64faB9BADb", balance: _1e36Str },
-  { privateKey: "0x3f76dddEBCd9Db466DE7BEeC9ABAB7cFE45691bd8a2F0971D0A3eBD25C761A4e", balance: _1e36Str },
-  { privateKey: "0x8FAFf3832Ea4e633ae1A41400ad93f90036eb562aF519dc3ECaFcb168e2DE09F", balance: _1e36Str },
-  { privateKey: "0x8b6bDF8be23aedAAE1b3a16367C21713e781fEE4F4240F4effb3114b91AB1805", balance: _1e36Str },
-  { privateKey: "0x84AC0F4d7eb6bBE867fF1B3CdE0feD6e9bc00Bb92DFA1c08f78E7BD25a389AE6", balance: _1e36Str },
-  { privateKey: "0x9BCD0d5509E3A2e2E2dba094AC8eA3cD5cad438cAdDc8c3bFc6CD4bfaB252EAD", balance: _1e36Str },
-  { privateKey: "0xB9eC9F24b8B3A51E8D7A2560678c59befE1beaD7d647aA46452c4Bc6c3cBC2FF", balance: _1e36Str },
-  { privateKey: "0xFf3DbF3Eed63C32C59a2Cfd1bBDaDCAF3B444B396a5Be2CEF4efA65735eC53Cb", balance: _1e36Str },
-  { privateKey: "0xb10252A7E9ca5cd1E9BCaA2233AC6Ff71fE09Fc7e4ACcDE5278Ed439d14F53cd", balance: _1e36Str },
-  { privateKey: "0xaaFeFccE64d0ef75173b7fcb53DB34E7B4acfF6016b0D30BB605Ab751b4CfC78", balance: _1e36Str },
-  { privateKey: "0x6C4f69B90c6fCEEebaE5BAe68DfD1535CD390acd9e02D4cB96d2F8af37032FbC", balance: _1e36Str },
-  { privateKey: "0x81Ba7d23f7B4d1Ad3f645f31eb5abABAcA7AB54e1eAdCE67239FB32a10b2De3d", balance: _1e36Str },
-  { privateKey: "0xe461ACB3c7CEd3aFF34d8b6fADED5cA6ce8361A8D73db9FcE4e4F03A03b8Be87", balance: _1e36Str },
-  { privateKey: "0xB6DCb0f5Ce7a2dbA36E2eb924423Fb51D19D5c8e5CAaB35F42eCc770226bC27f", balance: _1e36Str },
-  { privateKey: "0xDAa645f35c12feca2C7De49e40c8BeD2c201da5Dc9B9d95440A84502dc4eDea3", balance: _1e36Str },
-  { privateKey: "0xfB2ACCFB24e50E39722dD32fAbb4d52AadA0a3BdE1B4D9dfD6bd034801D262ed", balance: _1e36Str },
-  { privateKey: "0xEeEAe6bA3AD49D0a5EfaE4EC1ebDa40ec2B02ad344eF02D9aa3Dcc8B50AaCe5f", balance: _1e36Str },
-  { privateKey: "0x4fDd5b085cC62175aAF5eDdCAEaa8B8e19e4d8FfAacA247B8Cf8BbCdB61f5d8E", balance: _1e36Str },
-  { privateKey: "0xd69667eC0AeA62AD07BF92aA79DfaFC4D3B92EC7e96BEE2ab79c2eCAADdc87f6", balance: _1e36Str },
-  { privateKey: "0x5AecD5c739D1Bf1d7bbf0d7baDcEdDcbCf254054a1fbc5f8628AD73fA85c9135", balance: _1e36Str },
-  { privateKey: "0xDAAD7760d4CB227Ce91b29e507a6F19fFee1fEE531A6c01cE52Bd167DcAbE89c", balance: _1e36Str },
-  { privateKey: "0x5DdCb703BeFd9EFeA7204dC3fd88262a0Eaed6bed541E32fcF9Ea88Eb433aFd2", balance: _1e36Str },
-  { privateKey: "0x81438eFF3BFaBacE3aceCd8dECbF32FD8937f5DbeC8741F34e2AbCF9E4E32CE4", balance: _1e36Str },
-  { privateKey: "0xaCA76E77F44f52e7ceC896c76cdaf9FB4490253F04f30d3E7EE4B1e48Ef56Dab", balance: _1e36Str },
-  { privateKey: "0xCE0e5aA349CeF541b5BB0eD3AA04a1d5C9c2F299cc9E63fB9DdB9f1AcC5fe59A", balance: _1e36Str },
-  { privateKey: "0x31ca9C9ED9eabFCAce8e6aBe34B1277Ccb9d743f1cbfeEeFa82E3FA07Bc8bfad", balance: _1e36Str },
-  { privateKey: "0xBC75FbE1ea28eB4827e9b9baf9DCadB1381AadBF4a55E3ACA4180bBE7DDbddEF", balance: _1e36Str },
-  { privateKey: "0x47Aedf783aD9f86ed2c7E2783caCACB3CF1f5c9baDBbdE43B8Dee9d81bE86A6b", balance: _1e36Str },
-  { privateKey: "0xC93de2aE78fAfAc941a64602b7B256D2Ec01d9f8f9Bf0b83b861b5C0a7A731dd", balance: _1e36Str },
-  { privateKey: "0xDeeF4C0cdDF5aEc8E78212bF0B3b8aAfa5cF4c97BF67f8A6D4cF37A88AF7Fa46", balance: _1e36Str },
-  { privateKey: "0xc9D0A1272adBB544596D5FAaeFBb4816AF41F822b7C76fEf9AD7B6cBD0CF9B1B", balance: _1e36Str },
-  { privateKey: "0xffEefbcb49b3B6177C6bF9e003322e6Bc20C363CF3E0DAF72137d35168f3501C", balance: _1e36Str },
-  { privateKey: "0x82F54Ce8a7Fad3552fd33bA3fCe2add9aFb0B794BC65dFb7bE13372c57d93CeA", balance: _1e36Str },
-  { privateKey: "0x98acfE2afc89b27f9c1B1Ff5a869B19F1fc21fEeFcddC7f3bCD938D16Cd2e95b", balance: _1e36Str },
-  { privateKey: "0xBe06dcf785b0BA41eed9DE71AecB86927d9C236A71fC18fA2bCfc7121C3f3D77", balance: _1e36Str },
-  { privateKey: "0x2eCfecffb9FbD34f54f1f20A1678cDaC2A2DFB598a8dfF0C96A9b4bf2f9c6cB6", balance: _1e36Str },
-  { privateKey: "0x5ACdA4A2a8Ab9Ecb0AcBECcD57DCF2FbD54795F5bcffB8E461f52cdC7A1dA155", balance: _1e36Str },
-  { privateKey: "0x64B70A2112F282d02CE53DC3DEEe2A5cA69F047bdDBF1Cb2bbfCbcE12efaCCbd", balance: _1e36Str },
-  { privateKey: "0x1fECAEb9fFc0270eDdD2612aC6e2F540FE0C0eD07f62DDF5DF86Bc048Cce80dc", balance: _1e36Str },
-  { privateKey: "0x69D5a3d4fFBFb6BdeCc9bDFFDCad6e8F8Db59092ddf4bfEcCbFa4E4Da1CdceC0", balance: _1e36Str },
-  { privateKey: "0xDcD57d1DbdD088e9Ef87C8A21aD77331F6aCb50bBBCcb3cdeaeCBEEd581B8A8f", balance: _1e36Str },
-  { privateKey: "0xeD844ab3E156fd4e8658723766EBdBa7C97bB6E8Da658Bc5EfCa1bbebF833d4d", balance: _1e36Str },
-  { privateKey: "0x8f6CFEEd8d635faf9f0c13Bcf1EE6fE8fa2D71EE23d9Ce16b122b5BCA88Eaa0B", balance: _1e36Str },
-  { privateKey: "0xe17081f3A374a51ceB0ADcb8D3bEdfc11e6dbF7e0e2f65bf1FBdb366C5Bdfd13", balance: _1e36Str },
-  { privateKey: "0xcFAFa574Ca94fdD8c9aC45DDC76d167D8d0b6dA89f7FBdd315AF109F87d7fd40", balance: _1e36Str },
-  { privateKey: "0xAa9CFf5FDB5C518D5bAaa64b02A6C9c4e12d20CB6b2dF8B84A1C56bbA8C3c8Fd", balance: _1e36Str },
-  { privateKey: "0x817C6aCfAaf68Ad1fEadEadD5A5795A05bBDFc26BeeDbDbe69D4153E7A6fF16A", balance: _1e36Str },
-  { privateKey: "0x050b9FF102EAe35d12E25DbaD5C12d4bC2e280C73D4AE0B7C9a6a5d99C2C2Add", balance: _1e36Str },
-  { privateKey: "0x28c9e1ad7b6B314e8bd6ABB2E5dEe5fB7169bf2dA9D251bEdC60E9b4A571B6bf", balance: _1e36Str },
-  { privateKey: "0x68e27B0dC1ada4fFbE55fDba88CaCb983Eba34dD40108aAdeb8eAE97884ff56A", balance: _1e36Str },
-  { privateKey: "0x80ccE4C8d0f476C48bE18C3C0776676E0B5fBAAF0faafBfc8F1afB5bb86Ae21e", balance: _1e36Str },
-  { privateKey: "0x34bbFC5495db569a94Ed5DE5747eE6ACCc7e7ba8C946791AA1ccF3e33a30Dc16", balance: _1e36Str },
-  { privateKey: "0xBB8C5eeedDDb7aA142f1fFa6465e9da9FdEe97A1B73fbd7A8bC2BDdECa86CdC4", balance: _1e36Str },
-  { privateKey: "0xEf82c09f5B1b96e6DDca8dcF4dBDAFfE8725b8566eC68A30dbdA2cD280edfff5", balance: _1e36Str },
-  { privateKey: "0xBE512B2179Eaa64d5beb168A6DF2e05454ACE275a4DF4ed8Ce7c9edD4cBACCDB", balance: _1e36Str },
-  { privateKey: "0x9bfC1d24Ce15BF4EDBAdA78A6e5Dfdd9aaBdbaB3c05Eeb86Ea1b771300e25F3c", balance: _1e36Str },
-  { privateKey: "0xa0Ddb0Eac7ED144d2f88Cb9FaaD9aACDf74f4fAAc8C550F824dFb3ED5d7DF7C9", balance: _1e36Str },
-  { privateKey: "0xdA41e0E1efBaCCB4ebA469372cF20B82aBDBf1a97C90f33c2B7d1e29F06FC25A", balance: _1e36Str },
-  { privateKey: "0xCC807D5aDD9daCDAD981d9D4838493df59E304e2E2b8D6F23fc78Eca552D4679", balance: _1e36Str },
-  { privateKey: "0xf8F18DdDc15eE16Ade324930E5b2941cfE6f857aEd7B3d0E912946d7681a0DeD", balance: _1e36Str },
-  { privateKey: "0xCE3a8E365ef9DEb61D8D95cbEF92Bd7f93C4bEeBF50fCCCbC6a4ceBd6beFf5D5", balance: _1e36Str },
-  { privateKey: "0xEd8C8bD61eDc84fe50D268aAf98ECD2c5EAae1931B49deaB5A7D13FF60c19558", balance: _1e36Str },
-  { privateKey: "0xe7857579f93baF6813A5E23aDD34dd6eBb58B4b7902f77Fd87D0AF652cD7A898", balance: _1e36Str },
-  { privateKey: "0x65dc072dcca87e1A79c008ce2eaff2270Bf049e0463796E1B3aEEe8Cf489Da99", balance: _1e36Str },
-  { privateKey: "0xAEaCFcb0ca60cd81A28C860e84c0C531D42CAfd20B92F8b83cFd92bD0eC99AF5", balance: _1e36Str },
-  { privateKey: "0xCBEae8B321DEb6BD2B4CbB6E1b6eFCbffaDFDde7751400ACCd0eC17bd36244Aa", balance: _1e36Str },
-  { privateKey: "0xe72eABb7ce28ffcFe62b5D830C5051f1Ba3CffBE9caE9eB1F5EAeaf331A1b1cb", balance: _1e36Str },
-  { privateKey: "0x577F6CE1fbB8a05F89aEBDe9964fB1ffAA2246FacC0Bbf853ddCDCD22D381a7E", balance: _1e36Str },
-  { privateKey: "0xf9b099e16ecC12df5c2AAF2BFEB2CCdc09Ff7A22c791eA1420774B958ea043C9", balance: _1e36Str },
-  { privateKey: "0x0bddacE2b0b08C0cAc3CCE46BF4bA7ec2BCC6eb3AA2DFc6C8F0fE1aeC9728b39", balance: _1e36Str },
-  { privateKey: "0x84Ef4B5350f5DDc4aD8Ad3f1B8c1D6879eBC0b278e7721C251E0fa19177a9eAc", balance: _1e36Str },
-  { privateKey: "0x1E0AEABDed46AcEEce6AFDd0Ec0f61d4CAaCfBE444DCFFd0f60F4Cbb13f85731", balance: _1e36Str },
-  { privateKey: "0xF343894B68aE4dE6Afc91FEBeccc93388Fe97b052C232FcEa1CD5B7DcDbC3BEb", balance: _1e36Str },
-  { privateKey: "0x60a402CECbBbC64De165d3c64fEFed7c0DBddFADAfFf948db17Ce4eF7a692F33", balance: _1e36Str },
-  { privateKey: "0xd801b8CDcFec3c9E9F9cd6E034aDf5b78D9bb2be2060D87C9e85E8eEC4D2b968", balance: _1e36Str },
-  { privateKey: "0xb7BCF6bAf7b4DCf376B6FC1f8ed0Ef4edc01d7B7Ae2c1B85E8AEee7bca6D53fb", balance: _1e36Str },
-  { privateKey: "0xf9474f95B5Ebb1dE6A82F7dD2d0bbee7ABc29BDDd9FdAE3ECed9c152d6F1FCeE", balance: _1e36Str },
-  { privateKey: "0xE93c61CA6EE13ede2bDb277E578C1FEdC5df77B20bd38bBefbCB3b150dc96DC9", balance: _1e36Str },
-  { privateKey: "0xDACEEDd355a4FADCAfF83889ff47DfbA80Aa8B08620cC995e3bcb49AcEf68fAA", balance: _1e36Str },
-  { privateKey: "0x3ec7CeDbaFD0Cb9Ec05bF9F7ccfA1E8b42b3E3A02c75AddFccbfeB328D1B383b", balance: _1e36Str },
-  { privateKey: "0x72a88DafE5e4Bd140F730da7a8bAC3F15fEB006Fc1FBC37e1C1A82EFBEC80875", balance: _1e36Str },
-  { privateKey: "0x91DEC3CB17104f6fD6eaAFbbD47Da6A2a9EcD57fcdCaeD07aB9Bf6Ad61F1EcfC", balance: _1e36Str },
-  { privateKey: "0xB9253e5a74f3E2c9eAACd396fA367d2d999BB2DC1bbEFCF1AbD62d1f350b9Db8", balance: _1e36Str },
-];
-
-module.exports = {
-  accountsList: accountsList,
-};
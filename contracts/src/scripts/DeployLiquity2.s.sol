@@ -25,6 +25,9 @@ import "../test/TestContracts/TroveManagerTester.t.sol";
 import "../CollateralRegistry.sol";
 import "../test/TestContracts/PriceFeedTestnet.sol";
 import "../test/TestContracts/MetadataDeployment.sol";
+import "../PriceFeeds/WETHPriceFeed.sol";
+import "../PriceFeeds/WSTETHPriceFeed.sol";
+import "../PriceFeeds/RETHPriceFeed.sol";
 import "../Zappers/WETHZapper.sol";
 import "../Zappers/GasCompZapper.sol";
 import "../Zappers/LeverageLSTZapper.sol";
@@ -51,16 +54,18 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
     using Strings for *;
     using StringFormatting for *;
 
-    ICurveStableswapNGFactory constant curveStableswapFactory =
-        ICurveStableswapNGFactory(0xfb37b8D939FFa77114005e61CFc2e543d6F49A81);
     uint128 constant BOLD_TOKEN_INDEX = 0;
     uint128 constant USDC_INDEX = 1;
 
     uint24 constant UNIV3_FEE = 0.3e4;
-    uint24 constant UNIV3_FEE_USDC_WETH = 500; // 0.05%
-    uint24 constant UNIV3_FEE_WETH_COLL = 100; // 0.01%
-    ISwapRouter constant uniV3RouterSepolia = ISwapRouter(0x65669fE35312947050C450Bd5d36e6361F85eC12);
-    IQuoterV2 constant uniV3QuoterSepolia = IQuoterV2(0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3);
+
+    // Zapper & exchange setup, read from the deployment config (see _readDeploymentConfig())
+    bool deployZappers;
+    ICurveStableswapNGFactory curveStableswapFactory;
+    uint24 uniV3FeeUsdcWeth;
+    uint24 uniV3FeeWethColl;
+    ISwapRouter uniV3Router;
+    IQuoterV2 uniV3Quoter;
     IUniswapV3Factory constant uniswapV3FactorySepolia = IUniswapV3Factory(0x0227628f3F023bb0B980b67D528571c95c6DaC1c);
     INonfungiblePositionManager constant uniV3PositionManagerSepolia =
         INonfungiblePositionManager(0x1238536071E1c677A632429e3655c799b22cDA52);
@@ -83,7 +88,7 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         ISortedTroves sortedTroves;
         IStabilityPool stabilityPool;
         ITroveManager troveManager;
-        IPriceFeedTestnet priceFeed; // Tester
+        IPriceFeedTestnet priceFeed; // Tester, unless the deployment config sets up oracles
         GasPool gasPool;
         IInterestRouter interestRouter;
         ERC20Faucet collToken;
@@ -118,6 +123,20 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         uint256 LIQUIDATION_PENALTY_REDISTRIBUTION;
     }
 
+    // See toScriptConfig() in utils/deployment-config.ts
+    struct BranchConfig {
+        bool isWETH; // use the WETH of the deployment as collateral
+        address collToken; // existing collateral token, or zero to deploy an ERC20Faucet
+        string collName;
+        string collSymbol;
+        string priceFeedType; // "testnet", "WETH", "wstETH" or "rETH"
+        address ethUsdOracle;
+        uint256 ethUsdStalenessThreshold;
+        address lstOracle; // STETH-USD for wstETH, RETH-ETH for rETH
+        uint256 lstStalenessThreshold;
+        TroveManagerParams troveManagerParams;
+    }
+
     struct DeploymentVarsTestnet {
         uint256 numCollaterals;
         ERC20Faucet[] collaterals;
@@ -170,26 +189,21 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         lqty = new ERC20Faucet("Liquity", "LQTY", 100 ether, 1 days);
         stakingV1 = address(new MockStakingV1(address(lqty)));
 
-        TroveManagerParams[] memory troveManagerParamsArray = new TroveManagerParams[](3);
-        troveManagerParamsArray[0] = TroveManagerParams(150e16, 110e16, 110e16, 5e16, 10e16); // WETH
-        troveManagerParamsArray[1] = TroveManagerParams(150e16, 120e16, 110e16, 5e16, 10e16); // wstETH
-        troveManagerParamsArray[2] = TroveManagerParams(150e16, 120e16, 110e16, 5e16, 10e16); // rETH
+        // Set by deploy-cli.ts, from --config or DEFAULT_DEPLOYMENT_CONFIG (see utils/deployment-config.ts)
+        (address wethAddress, BranchConfig[] memory branches) =
+            _readDeploymentConfig(vm.envString("DEPLOYMENT_CONFIG_JSON"));
 
-        // used for gas compensation and as collateral of the first branch
+        // used for gas compensation and as collateral of the WETH branch
         // tapping disallowed
-        WETHTester WETH = new WETHTester({_tapAmount: 0, _tapPeriod: type(uint256).max});
-
-        string[] memory collNames = new string[](2);
-        string[] memory collSymbols = new string[](2);
-        collNames[0] = "Wrapped liquid staked Ether 2.0";
-        collSymbols[0] = "wstETH";
-        collNames[1] = "Rocket Pool ETH";
-        collSymbols[1] = "rETH";
+        WETHTester WETH = wethAddress != address(0)
+            ? WETHTester(payable(wethAddress))
+            : new WETHTester({_tapAmount: 0, _tapPeriod: type(uint256).max});
 
-        DeploymentResult memory deployed =
-            _deployAndConnectContracts(troveManagerParamsArray, WETH, collNames, collSymbols);
+        DeploymentResult memory deployed = _deployAndConnectContracts(branches, WETH);
 
-        if (block.chainid == 11155111) {
+        if (block.chainid == 11155111 && !_canProvideSepoliaLiquidity(wethAddress, branches)) {
+            console2.log("Skipping the Sepolia liquidity setup (it needs zappers and mock collaterals, WETH first)");
+        } else if (block.chainid == 11155111) {
             // Provide liquidity for zaps if we're on Sepolia
             ERC20Faucet monkeyBalls = new ERC20Faucet("MonkeyBalls", "MB", 0, type(uint256).max);
             for (uint256 i = 0; i < deployed.contractsArray.length; ++i) {
@@ -199,12 +213,12 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
                     // WETH, we do USDC-WETH
                     (uint256 price,) = deployed.contractsArray[0].priceFeed.fetchPrice();
                     uint256 token1Amount = 1_000_000 ether;
-                    _provideUniV3Liquidity(deployed.usdc, WETH, token1Amount, price, UNIV3_FEE_USDC_WETH);
+                    _provideUniV3Liquidity(deployed.usdc, WETH, token1Amount, price, uniV3FeeUsdcWeth);
                 } else {
                     // LSTs, we do WETH-LST
                     uint256 token1Amount = 1_000 ether;
                     _provideUniV3Liquidity(
-                        WETH, deployed.contractsArray[i].collToken, token1Amount, 1 ether, UNIV3_FEE_WETH_COLL
+                        WETH, deployed.contractsArray[i].collToken, token1Amount, 1 ether, uniV3FeeWethColl
                     );
                 }
             }
@@ -356,17 +370,116 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         }
     }
 
-    function _deployAndConnectContracts(
-        TroveManagerParams[] memory troveManagerParamsArray,
-        WETHTester _WETH,
-        string[] memory _collNames,
-        string[] memory _collSymbols
-    ) internal returns (DeploymentResult memory r) {
-        assert(_collNames.length == troveManagerParamsArray.length - 1);
-        assert(_collSymbols.length == troveManagerParamsArray.length - 1);
+    // _json has already been validated by deploy-cli.ts
+    function _readDeploymentConfig(string memory _json)
+        internal
+        returns (address wethAddress, BranchConfig[] memory branches)
+    {
+        wethAddress = vm.parseJsonAddress(_json, ".WETH");
+        branches = new BranchConfig[](vm.parseJsonUint(_json, ".branchCount"));
+
+        for (uint256 i = 0; i < branches.length; ++i) {
+            string memory key = string.concat(".branches[", i.toString(), "]");
+            branches[i].isWETH = vm.parseJsonBool(_json, string.concat(key, ".isWETH"));
+            branches[i].collToken = vm.parseJsonAddress(_json, string.concat(key, ".collToken"));
+            branches[i].collName = vm.parseJsonString(_json, string.concat(key, ".collName"));
+            branches[i].collSymbol = vm.parseJsonString(_json, string.concat(key, ".collSymbol"));
+            branches[i].priceFeedType = vm.parseJsonString(_json, string.concat(key, ".priceFeedType"));
+            branches[i].ethUsdOracle = vm.parseJsonAddress(_json, string.concat(key, ".ethUsdOracle"));
+            branches[i].ethUsdStalenessThreshold =
+                vm.parseJsonUint(_json, string.concat(key, ".ethUsdStalenessThreshold"));
+            branches[i].lstOracle = vm.parseJsonAddress(_json, string.concat(key, ".lstOracle"));
+            branches[i].lstStalenessThreshold =
+                vm.parseJsonUint(_json, string.concat(key, ".lstStalenessThreshold"));
+            branches[i].troveManagerParams = TroveManagerParams(
+                vm.parseJsonUint(_json, string.concat(key, ".CCR")),
+                vm.parseJsonUint(_json, string.concat(key, ".MCR")),
+                vm.parseJsonUint(_json, string.concat(key, ".SCR")),
+                vm.parseJsonUint(_json, string.concat(key, ".LIQUIDATION_PENALTY_SP")),
+                vm.parseJsonUint(_json, string.concat(key, ".LIQUIDATION_PENALTY_REDISTRIBUTION"))
+            );
+        }
+
+        deployZappers = vm.parseJsonBool(_json, ".deployZappers");
+        curveStableswapFactory = ICurveStableswapNGFactory(vm.parseJsonAddress(_json, ".curveStableswapFactory"));
+        uniV3Router = ISwapRouter(vm.parseJsonAddress(_json, ".uniV3Router"));
+        uniV3Quoter = IQuoterV2(vm.parseJsonAddress(_json, ".uniV3Quoter"));
+        uniV3FeeUsdcWeth = uint24(vm.parseJsonUint(_json, ".uniV3FeeUsdcWeth"));
+        uniV3FeeWethColl = uint24(vm.parseJsonUint(_json, ".uniV3FeeWethColl"));
+    }
+
+    // The Sepolia liquidity setup sets the prices of the branches, taps their collaterals, pairs WETH
+    // (the collateral of the first branch) with USDC and the other collaterals, and seeds the Curve pool
+    // through the leverage zapper of the first branch.
+    function _canProvideSepoliaLiquidity(address _wethAddress, BranchConfig[] memory _branches)
+        internal
+        view
+        returns (bool)
+    {
+        if (!deployZappers || _wethAddress != address(0) || !_branches[0].isWETH) return false;
+
+        for (uint256 i = 0; i < _branches.length; ++i) {
+            bool isMockCollateral = _branches[i].isWETH || _branches[i].collToken == address(0);
+            if (!isMockCollateral || !_isPriceFeedType(_branches[i], "testnet")) return false;
+        }
+
+        return true;
+    }
+
+    function _isPriceFeedType(BranchConfig memory _branch, string memory _type) internal pure returns (bool) {
+        return keccak256(bytes(_branch.priceFeedType)) == keccak256(bytes(_type));
+    }
+
+    function _deployPriceFeed(BranchConfig memory _branch, address _collToken)
+        internal
+        returns (IPriceFeedTestnet priceFeed)
+    {
+        if (_isPriceFeedType(_branch, "testnet")) {
+            return new PriceFeedTestnet();
+        }
 
+        // The other feeds don't implement setPrice(), but share the rest of the interface
+        if (_isPriceFeedType(_branch, "WETH")) {
+            priceFeed = IPriceFeedTestnet(
+                address(new WETHPriceFeed(deployer, _branch.ethUsdOracle, _branch.ethUsdStalenessThreshold))
+            );
+        } else if (_isPriceFeedType(_branch, "wstETH")) {
+            priceFeed = IPriceFeedTestnet(
+                address(
+                    new WSTETHPriceFeed(
+                        deployer,
+                        _branch.ethUsdOracle,
+                        _branch.lstOracle,
+                        _collToken,
+                        _branch.ethUsdStalenessThreshold,
+                        _branch.lstStalenessThreshold
+                    )
+                )
+            );
+        } else if (_isPriceFeedType(_branch, "rETH")) {
+            priceFeed = IPriceFeedTestnet(
+                address(
+                    new RETHPriceFeed(
+                        deployer,
+                        _branch.ethUsdOracle,
+                        _branch.lstOracle,
+                        _collToken,
+                        _branch.ethUsdStalenessThreshold,
+                        _branch.lstStalenessThreshold
+                    )
+                )
+            );
+        } else {
+            revert(string.concat("Unknown price feed type: ", _branch.priceFeedType));
+        }
+    }
+
+    function _deployAndConnectContracts(BranchConfig[] memory _branches, WETHTester _WETH)
+        internal
+        returns (DeploymentResult memory r)
+    {
         DeploymentVarsTestnet memory vars;
-        vars.numCollaterals = troveManagerParamsArray.length;
+        vars.numCollaterals = _branches.length;
         // Deploy Bold
         vars.bytecode = abi.encodePacked(type(BoldToken).creationCode, abi.encode(deployer));
         vars.boldTokenAddress = vm.computeCreate2Address(SALT, keccak256(vars.bytecode));
@@ -382,23 +495,26 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         vars.addressesRegistries = new IAddressesRegistry[](vars.numCollaterals);
         vars.troveManagers = new ITroveManager[](vars.numCollaterals);
 
-        // Use WETH as collateral for the first branch
-        vars.collaterals[0] = _WETH;
-
-        // Deploy plain ERC20Faucets for the rest of the branches
-        for (vars.i = 1; vars.i < vars.numCollaterals; vars.i++) {
-            vars.collaterals[vars.i] = new ERC20Faucet(
-                _collNames[vars.i - 1], //   _name
-                _collSymbols[vars.i - 1], // _symbol
-                100 ether, //     _tapAmount
-                1 days //         _tapPeriod
-            );
+        for (vars.i = 0; vars.i < vars.numCollaterals; vars.i++) {
+            if (_branches[vars.i].isWETH) {
+                vars.collaterals[vars.i] = _WETH;
+            } else if (_branches[vars.i].collToken != address(0)) {
+                // Existing token, only treated as an ERC20Faucet by the testnet helpers (demo troves, liquidity)
+                vars.collaterals[vars.i] = ERC20Faucet(_branches[vars.i].collToken);
+            } else {
+                vars.collaterals[vars.i] = new ERC20Faucet(
+                    _branches[vars.i].collName, //   _name
+                    _branches[vars.i].collSymbol, // _symbol
+                    100 ether, //     _tapAmount
+                    1 days //         _tapPeriod
+                );
+            }
         }
 
         // Deploy AddressesRegistries and get TroveManager addresses
         for (vars.i = 0; vars.i < vars.numCollaterals; vars.i++) {
             (IAddressesRegistry addressesRegistry, address troveManagerAddress) =
-                _deployAddressesRegistry(troveManagerParamsArray[vars.i]);
+                _deployAddressesRegistry(_branches[vars.i].troveManagerParams);
             vars.addressesRegistries[vars.i] = addressesRegistry;
             vars.troveManagers[vars.i] = ITroveManager(troveManagerAddress);
         }
@@ -409,19 +525,29 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
 
         // Deploy per-branch contracts for each branch
         for (vars.i = 0; vars.i < vars.numCollaterals; vars.i++) {
+            LiquityContractsTestnet memory contracts;
+            contracts.collToken = vars.collaterals[vars.i];
+            contracts.addressesRegistry = vars.addressesRegistries[vars.i];
+            contracts.priceFeed = _deployPriceFeed(_branches[vars.i], address(vars.collaterals[vars.i]));
+
             vars.contracts = _deployAndConnectCollateralContractsTestnet(
-                vars.collaterals[vars.i],
+                contracts,
                 r.boldToken,
                 r.collateralRegistry,
                 _WETH,
                 r.usdc,
                 r.usdcCurvePool,
-                vars.addressesRegistries[vars.i],
                 address(vars.troveManagers[vars.i]),
                 r.hintHelpers,
                 r.multiTroveGetter
             );
             r.contractsArray[vars.i] = vars.contracts;
+
+            if (!_isPriceFeedType(_branches[vars.i], "testnet")) {
+                MainnetPriceFeedBase(address(vars.contracts.priceFeed)).setAddresses(
+                    address(vars.contracts.borrowerOperations)
+                );
+            }
         }
 
         r.boldToken.setCollateralRegistry(address(r.collateralRegistry));
@@ -433,9 +559,9 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
             r.usdcCurvePool,
             USDC_INDEX, // USDC Curve pool index
             BOLD_TOKEN_INDEX, // BOLD Curve pool index
-            UNIV3_FEE_USDC_WETH,
-            UNIV3_FEE_WETH_COLL,
-            uniV3QuoterSepolia
+            uniV3FeeUsdcWeth,
+            uniV3FeeWethColl,
+            uniV3Quoter
         );
     }
 
@@ -458,23 +584,19 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         return (addressesRegistry, troveManagerAddress);
     }
 
+    // `contracts` must come with its collToken, addressesRegistry and priceFeed
     function _deployAndConnectCollateralContractsTestnet(
-        ERC20Faucet _collToken,
+        LiquityContractsTestnet memory contracts,
         IBoldToken _boldToken,
         ICollateralRegistry _collateralRegistry,
         IWETH _weth,
         IERC20 _usdc,
         ICurveStableswapNGPool _usdcCurvePool,
-        IAddressesRegistry _addressesRegistry,
         address _troveManagerAddress,
         IHintHelpers _hintHelpers,
         IMultiTroveGetter _multiTroveGetter
-    ) internal returns (LiquityContractsTestnet memory contracts) {
+    ) internal returns (LiquityContractsTestnet memory) {
         LiquityContractAddresses memory addresses;
-        contracts.collToken = _collToken;
-
-        // Deploy all contracts, using testers for TM and PriceFeed
-        contracts.addressesRegistry = _addressesRegistry;
 
         // Deploy Metadata
         contracts.metadataNFT = deployMetadata(SALT);
@@ -483,7 +605,6 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         );
         assert(address(contracts.metadataNFT) == addresses.metadataNFT);
 
-        contracts.priceFeed = new PriceFeedTestnet();
         //console2.log(computeGovernanceAddress(deployer, SALT, _boldToken, new address[](0)), "computeGovernanceAddress");
         contracts.interestRouter =
             IInterestRouter(computeGovernanceAddress(deployer, SALT, _boldToken, new address[](0)));
@@ -514,7 +635,7 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         );
 
         IAddressesRegistry.AddressVars memory addressVars = IAddressesRegistry.AddressVars({
-            collToken: _collToken,
+            collToken: contracts.collToken,
             borrowerOperations: IBorrowerOperations(addresses.borrowerOperations),
             troveManager: ITroveManager(addresses.troveManager),
             troveNFT: ITroveNFT(addresses.troveNFT),
@@ -564,8 +685,13 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         );
 
         // deploy zappers
-        (contracts.gasCompZapper, contracts.wethZapper, contracts.leverageZapper) =
-            _deployZappers(contracts.addressesRegistry, contracts.collToken, _boldToken, _weth, _usdc, _usdcCurvePool);
+        if (deployZappers) {
+            (contracts.gasCompZapper, contracts.wethZapper, contracts.leverageZapper) = _deployZappers(
+                contracts.addressesRegistry, contracts.collToken, _boldToken, _weth, _usdc, _usdcCurvePool
+            );
+        }
+
+        return contracts;
     }
 
     function _deployZappers(
@@ -586,9 +712,9 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
             _usdcCurvePool,
             USDC_INDEX, // USDC Curve pool index
             BOLD_TOKEN_INDEX, // BOLD Curve pool index
-            UNIV3_FEE_USDC_WETH,
-            UNIV3_FEE_WETH_COLL,
-            uniV3RouterSepolia
+            uniV3FeeUsdcWeth,
+            uniV3FeeWethColl,
+            uniV3Router
         );
 
         bool lst = _collToken != _weth;
@@ -852,7 +978,7 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
         return string.concat(whole, ".", fractional);
     }
 
-    function _getBranchContractsJson(LiquityContractsTestnet memory c) internal pure returns (string memory) {
+    function _getBranchContractsJson(LiquityContractsTestnet memory c) internal view returns (string memory) {
         return string.concat(
             "{",
             string.concat(
@@ -878,7 +1004,8 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
                     string.concat('"leverageZapper":"', address(c.leverageZapper).toHexString(), '",')
                 ),
                 string.concat(
-                    string.concat('"collToken":"', address(c.collToken).toHexString(), '"') // no comma
+                    string.concat('"collToken":"', address(c.collToken).toHexString(), '",'),
+                    string.concat('"collSymbol":"', c.collToken.symbol(), '"') // no comma
                 )
             ),
             "}"
@@ -903,7 +1030,7 @@ contract DeployLiquity2Script is DeployGovernance, UniPriceConverter, StdCheats,
 
     function _getManifestJson(DeploymentResult memory deployed, string memory _governanceManifest)
         internal
-        pure
+        view
         returns (string memory)
     {
         string[] memory branches = new string[](deployed.contractsArray.length);
@@ -4,7 +4,8 @@ pragma solidity 0.8.24;
 import "forge-std/Test.sol";
 
 contract Accounts {
-    // Private keys for first 10 Hardhat test accounts
+    // Private keys of 10 test accounts. They were generated randomly and don't derive from a mnemonic:
+    // utils/makeAccounts.js --format foundry --count 10 generates a list of the same shape that does.
     uint256[10] public accountsPks = [
         0x60ddFE7f579aB6867cbE7A2Dc03853dC141d7A4aB6DBEFc0Dae2d2B1Bd4e487F,
         0xeaa445c85f7b438dEd6e831d06a4eD0CEBDc2f8527f84Fcda6EBB5fCfAd4C0e9,
@@ -1,5 +1,7 @@
-const { TestHelper: th } = require("../utils/testHelpers.js");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelper: th, TimeValues: timeValues } = require("../utils/testHelpers.js");
 const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
+const { predictTroveDebt } = require("../utils/interestAccrual.js");
 
 const BorrowerOperationsTester = artifacts.require(
   "./BorrowerOperationsTester.sol",
@@ -196,6 +198,36 @@ contract("BorrowerOperations", async (accounts) => {
         assert.equal(status_After, 1);
       });
 
+      it("addColl(), active Trove: applies the interest accrued since the last debt update", async () => {
+        const annualInterestRate = toBN(dec(5, 16));
+        if (withBatchDelegation) {
+          await borrowerOperations.setBatchManagerAnnualInterestRate(annualInterestRate, 0, 0, th.MAX_UINT256, {
+            from: dennis,
+          });
+        }
+        const { troveId: aliceTroveId } = await openTrove({
+          ICR: toBN(dec(2, 18)),
+          extraParams: { from: alice, annualInterestRate, batchManager: getBatchManager(withBatchDelegation, dennis) },
+        });
+        assert.isTrue((await troveManager.getTroveAnnualInterestRate(aliceTroveId)).eq(annualInterestRate));
+
+        await th.fastForwardTime(timeValues.SECONDS_IN_ONE_MONTH);
+        await contracts.WETH.approve(borrowerOperations.address, dec(1, "ether"), { from: alice });
+
+        const { accruedInterest: accruedInterestBefore } = await troveManager.getLatestTroveData(aliceTroveId);
+        assert.isTrue(accruedInterestBefore.gt(toBN(0)));
+
+        // predict the debt at the timestamp of the block where addColl() gets mined
+        const now = await th.getLatestBlockTimestamp(web3);
+        const { entireDebt } = await predictTroveDebt(contracts, aliceTroveId, { at: now + 10 });
+        await time.setNextBlockTimestamp(now + 10);
+        await borrowerOperations.addColl(aliceTroveId, dec(1, "ether"), { from: alice });
+
+        const { recordedDebt, accruedInterest } = await troveManager.getLatestTroveData(aliceTroveId);
+        th.assertIsApproximatelyEqual(recordedDebt, entireDebt.toString(), 10);
+        assert.equal(accruedInterest.toString(), "0");
+      });
+
       it("addColl(), active Trove: Trove is in sortedList before and after", async () => {
         // alice creates a Trove and adds first collateral
         const { troveId: aliceTroveId } = await openTrove({ ICR: toBN(dec(2, 18)), extraParams: { from: alice, batchManager: getBatchManager(withBatchDelegation, dennis) } });
@@ -0,0 +1,177 @@
+const {
+  decodeEvents,
+  expectBatchUpdated,
+  expectDepositUpdated,
+  expectNoEvent,
+  expectSUpdated,
+  expectTroveOperation,
+  getTroveOperations,
+} = require("../utils/events.js");
+const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
+const { TestHelper: th } = require("../utils/testHelpers.js");
+const TroveManagerTester = artifacts.require("./TroveManagerTester.sol");
+
+const { dec, toBN } = th;
+
+contract("events.js", async (accounts) => {
+  const [whale, alice, batchManager] = accounts;
+
+  let contracts;
+  let borrowerOperations;
+  let priceFeed;
+  let stabilityPool;
+  let troveManager;
+
+  const deployFixture = createDeployAndFundFixture({
+    accounts: [whale, alice, batchManager],
+    mocks: { TroveManager: TroveManagerTester },
+    callback: async (contracts) => {
+      await th.openTrove(contracts, {
+        extraBoldAmount: toBN(dec(20000, 18)),
+        ICR: toBN(dec(4, 18)),
+        extraParams: { from: whale, annualInterestRate: toBN(dec(5, 16)) },
+      });
+    },
+  });
+
+  beforeEach(async () => {
+    const result = await deployFixture();
+    contracts = result.contracts;
+    borrowerOperations = contracts.borrowerOperations;
+    priceFeed = contracts.priceFeedTestnet;
+    stabilityPool = contracts.stabilityPool;
+    troveManager = contracts.troveManager;
+  });
+
+  it("expectTroveOperation(): matches the openTrove operation", async () => {
+    const annualInterestRate = toBN(dec(7, 16));
+    const { troveId, tx } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, annualInterestRate },
+    });
+
+    const event = expectTroveOperation(tx, {
+      troveId,
+      operation: "openTrove",
+      annualInterestRate,
+      address: troveManager.address,
+    });
+
+    assert.equal(typeof event.debtChangeFromOperation, "bigint");
+    assert.isTrue(event.debtChangeFromOperation > 0n);
+    assert.isTrue(event.collChangeFromOperation > 0n);
+    assert.equal(event.debtIncreaseFromRedist, 0n);
+  });
+
+  it("expectTroveOperation(): accepts predicates as expected values", async () => {
+    const { troveId, tx } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, annualInterestRate: toBN(dec(7, 16)) },
+    });
+
+    expectTroveOperation(tx, { troveId, debtIncreaseFromUpfrontFee: (fee) => fee > 0n });
+  });
+
+  it("expectTroveOperation(): throws when no event matches", async () => {
+    const { troveId, tx } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, annualInterestRate: toBN(dec(7, 16)) },
+    });
+
+    assert.throws(() => expectTroveOperation(tx, { troveId, operation: "closeTrove" }), /Expected a TroveOperation/);
+    assert.throws(() => expectTroveOperation(tx, { troveId, operation: "open" }), /Unknown TroveOperation operation/);
+  });
+
+  it("expectTroveOperation(): matches the adjustTroveInterestRate operation", async () => {
+    const { troveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, annualInterestRate: toBN(dec(7, 16)) },
+    });
+
+    const newAnnualInterestRate = toBN(dec(9, 16));
+    const tx = await borrowerOperations.adjustTroveInterestRate(
+      troveId,
+      newAnnualInterestRate,
+      0,
+      0,
+      th.MAX_UINT256,
+      { from: alice },
+    );
+
+    expectTroveOperation(tx, {
+      troveId,
+      operation: "adjustTroveInterestRate",
+      annualInterestRate: newAnnualInterestRate,
+      debtChangeFromOperation: 0,
+      collChangeFromOperation: 0,
+    });
+  });
+
+  it("expectTroveOperation(): matches the liquidate operation, with the SP offset events", async () => {
+    await th.provideToSPAndClaim(contracts, toBN(dec(10000, 18)), { from: whale });
+
+    const { troveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(111, 16)),
+      extraParams: { from: alice, annualInterestRate: toBN(dec(7, 16)) },
+    });
+    const debt = await troveManager.getTroveEntireDebt(troveId);
+    const coll = await troveManager.getTroveEntireColl(troveId);
+
+    await priceFeed.setPrice(toBN(dec(100, 18)));
+    const tx = await troveManager.liquidate(troveId);
+
+    expectTroveOperation(tx, {
+      troveId,
+      operation: "liquidate",
+      annualInterestRate: 0,
+      debtChangeFromOperation: -BigInt(debt.toString()),
+      collChangeFromOperation: -BigInt(coll.toString()),
+    });
+    expectSUpdated(tx, { S: (S) => S > 0n });
+    expectNoEvent(tx, "TroveOperation", { operation: "openTrove" });
+  });
+
+  it("expectDepositUpdated(): matches the new deposit of the depositor", async () => {
+    const amount = toBN(dec(1000, 18));
+    const tx = await th.provideToSPAndClaim(contracts, amount, { from: whale });
+
+    const event = expectDepositUpdated(tx, { depositor: whale, newDeposit: amount });
+    assert.equal(event.address, stabilityPool.address);
+  });
+
+  it("expectBatchUpdated(): matches the registration of a batch manager", async () => {
+    const annualInterestRate = toBN(dec(6, 16));
+    const tx = await borrowerOperations.registerBatchManager(
+      dec(1, 16),
+      dec(20, 16),
+      annualInterestRate,
+      dec(25, 14),
+      0,
+      { from: batchManager },
+    );
+
+    expectBatchUpdated(tx, {
+      interestBatchManager: batchManager,
+      operation: "registerBatchManager",
+      annualInterestRate,
+      debt: 0,
+      coll: 0,
+    });
+  });
+
+  it("decodeEvents(): returns the known events in log order", async () => {
+    const { troveId, tx } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, annualInterestRate: toBN(dec(7, 16)) },
+    });
+
+    const decoded = decodeEvents(tx);
+    assert.isAbove(decoded.length, 0);
+    for (let i = 1; i < decoded.length; i++) {
+      assert.isAbove(decoded[i].logIndex, decoded[i - 1].logIndex);
+    }
+
+    const [operation] = getTroveOperations(tx, { troveId });
+    assert.equal(operation.operation, "openTrove");
+  });
+});
@@ -1,6 +1,6 @@
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const Decimal = require("decimal.js");
-const { BNConverter } = require("../utils/BNConverter.js");
+const { abs, formatFixed, parseFixed, toBigInt } = require("../utils/fixedPoint.js");
 const testHelpers = require("../utils/testHelpers.js");
 const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
 const CollateralRegistryTester = artifacts.require("./CollateralRegistryTester.sol");
@@ -545,20 +545,20 @@ contract("Fee arithmetic tests", async (accounts) => {
 
         // Use a high base to fully test high exponent, without prematurely decaying to 0
         const base = th.randDecayFactor(0.999999, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const res = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(res).abs();
+        const error = abs(expected - toBigInt(res));
 
         // console.log(`run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`)
 
         try {
-          assert.isAtMost(getDifference(expected, res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
+          assert.isAtMost(getDifference(expected.toString(), res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
         } catch (error) {
           console.log(
             `run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`,
@@ -573,20 +573,20 @@ contract("Fee arithmetic tests", async (accounts) => {
 
         // Use a high base to fully test high exponent, without prematurely decaying to 0
         const base = th.randDecayFactor(0.999995, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const res = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(res).abs();
+        const error = abs(expected - toBigInt(res));
 
         // console.log(`run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`)
 
         try {
-          assert.isAtMost(getDifference(expected, res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
+          assert.isAtMost(getDifference(expected.toString(), res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
         } catch (error) {
           console.log(
             `run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`,
@@ -601,20 +601,20 @@ contract("Fee arithmetic tests", async (accounts) => {
 
         // Use a high base to fully test high exponent, without prematurely decaying to 0
         const base = th.randDecayFactor(0.9997, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const res = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(res).abs();
+        const error = abs(expected - toBigInt(res));
 
         // console.log(`run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`)
 
         try {
-          assert.isAtMost(getDifference(expected, res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
+          assert.isAtMost(getDifference(expected.toString(), res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
         } catch (error) {
           console.log(
             `run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`,
@@ -629,20 +629,20 @@ contract("Fee arithmetic tests", async (accounts) => {
 
         // Use a high base to fully test high exponent, without prematurely decaying to 0
         const base = th.randDecayFactor(0.99999, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const res = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(res).abs();
+        const error = abs(expected - toBigInt(res));
 
         // console.log(`run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`)
 
         try {
-          assert.isAtMost(getDifference(expected, res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
+          assert.isAtMost(getDifference(expected.toString(), res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
         } catch (error) {
           console.log(
             `run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`,
@@ -657,20 +657,20 @@ contract("Fee arithmetic tests", async (accounts) => {
 
         // Use a high base to fully test high exponent, without prematurely decaying to 0
         const base = th.randDecayFactor(0.99999, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const res = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(res).abs();
+        const error = abs(expected - toBigInt(res));
 
         // console.log(`run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`)
 
         try {
-          assert.isAtMost(getDifference(expected, res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
+          assert.isAtMost(getDifference(expected.toString(), res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
         } catch (error) {
           console.log(
             `run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`,
@@ -685,20 +685,20 @@ contract("Fee arithmetic tests", async (accounts) => {
 
         // Use a high base to fully test high exponent, without prematurely decaying to 0
         const base = th.randDecayFactor(0.99999, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const res = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(res).abs();
+        const error = abs(expected - toBigInt(res));
 
         // console.log(`run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`)
 
         try {
-          assert.isAtMost(getDifference(expected, res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
+          assert.isAtMost(getDifference(expected.toString(), res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
         } catch (error) {
           console.log(
             `run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`,
@@ -713,20 +713,20 @@ contract("Fee arithmetic tests", async (accounts) => {
 
         // Use a high base to fully test high exponent, without prematurely decaying to 0
         const base = th.randDecayFactor(0.999999, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const res = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(res).abs();
+        const error = abs(expected - toBigInt(res));
 
         // console.log(`run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`)
 
         try {
-          assert.isAtMost(getDifference(expected, res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
+          assert.isAtMost(getDifference(expected.toString(), res.toString()), 1000000000); // allow absolute error tolerance of 1e-9
         } catch (error) {
           console.log(
             `run: ${i}. base: ${base}, exp: ${exponent}, expected: ${expected}, res: ${res}, error: ${error}`,
@@ -751,18 +751,18 @@ contract("Fee arithmetic tests", async (accounts) => {
       // test full range
       for (let i = 1; i <= 1000; i++) {
         const base = th.randDecayFactor(0.000000000000000001, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const response = await mathTester.callDecPowTx(base, exponent); // non-view call, to check reversion
         assert.isTrue(response.receipt.status);
 
         const result = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(result).abs();
+        const error = abs(expected - toBigInt(result));
 
         //console.log(`run: ${i}. base: ${base}, exp: ${exponent}, res: ${result}, error: ${error}`);
       }
@@ -770,18 +770,18 @@ contract("Fee arithmetic tests", async (accounts) => {
       // Use a high base to fully test high exponent, without prematurely decaying to 0
       for (let i = 1; i <= 1000; i++) {
         const base = th.randDecayFactor(0.9999999999999, 0.999999999999999999);
-        const baseAsDecimal = BNConverter.makeDecimal(base, 18);
+        const baseAsDecimal = new Decimal(formatFixed(base));
 
         // Calculate actual expected value
         let expected = Decimal.pow(baseAsDecimal, exponent).toFixed(18);
-        expected = BNConverter.makeBN(expected);
+        expected = parseFixed(expected);
 
         const response = await mathTester.callDecPowTx(base, exponent); // non-view call, to check reversion
         assert.isTrue(response.receipt.status);
 
         const result = await mathTester.callDecPow(base, exponent);
 
-        const error = expected.sub(result).abs();
+        const error = abs(expected - toBigInt(result));
 
         //console.log(`run: ${i}. base: ${base}, exp: ${exponent}, res: ${result}, error: ${error}`);
       }
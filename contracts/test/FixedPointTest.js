@@ -0,0 +1,131 @@
+const {
+  Rounding,
+  assertIsApproximatelyEqual,
+  assertIsApproximatelyEqualRelative,
+  convertDecimals,
+  dec,
+  divFixed,
+  divRound,
+  formatFixed,
+  mulDiv,
+  mulFixed,
+  parseFixed,
+  toBigInt,
+} = require("../utils/fixedPoint.js");
+const { TestHelper: th } = require("../utils/testHelpers.js");
+
+contract("fixedPoint.js", async () => {
+  it("parseFixed(): parses decimal strings and numbers", async () => {
+    assert.equal(parseFixed("999.123456789987654321"), 999123456789987654321n);
+    assert.equal(parseFixed("1.000000000000000001"), 1000000000000000001n);
+    assert.equal(parseFixed("-1.5"), -1500000000000000000n);
+    assert.equal(parseFixed(".5"), 500000000000000000n);
+    assert.equal(parseFixed(2), 2000000000000000000n);
+    assert.equal(parseFixed("1.5", 6), 1500000n);
+    assert.equal(parseFixed("42", 0), 42n);
+  });
+
+  it("parseFixed(): rejects invalid numbers and excess decimal places", async () => {
+    for (const value of ["", ".", "1.2.3", "abc", "1e18", "0x10"]) {
+      assert.throws(() => parseFixed(value), /not a decimal number/);
+    }
+    assert.throws(() => parseFixed("1.0000001", 6), /<= 6 decimal places/);
+  });
+
+  it("formatFixed(): formats without trailing zeros", async () => {
+    assert.equal(formatFixed(1500000000000000000n), "1.5");
+    assert.equal(formatFixed(dec(3)), "3");
+    assert.equal(formatFixed(1n), "0.000000000000000001");
+    assert.equal(formatFixed(-1500000n, 6), "-1.5");
+    assert.equal(formatFixed(0n), "0");
+  });
+
+  it("formatFixed(): limits the decimal places with the given rounding", async () => {
+    assert.equal(formatFixed(parseFixed("1.23456"), 18, { maxDecimals: 2 }), "1.23");
+    assert.equal(formatFixed(parseFixed("1.23456"), 18, { maxDecimals: 2, rounding: Rounding.Up }), "1.24");
+    assert.equal(formatFixed(parseFixed("1.999"), 18, { maxDecimals: 2, rounding: Rounding.HalfUp }), "2");
+  });
+
+  it("formatFixed() and parseFixed() round-trip", async () => {
+    for (const value of ["0", "1", "-1", "0.1", "123456789.987654321", "0.000000000000000001"]) {
+      assert.equal(formatFixed(parseFixed(value)), value);
+    }
+  });
+
+  it("dec(): matches TestHelper.dec()", async () => {
+    assert.equal(dec(5, 16).toString(), th.dec(5, 16));
+    assert.equal(dec(2000, 18).toString(), th.dec(2000, 18));
+    assert.equal(dec(1).toString(), th.dec(1, "ether"));
+  });
+
+  it("toBigInt(): accepts bigints, numbers, strings and bn.js values", async () => {
+    assert.equal(toBigInt(7n), 7n);
+    assert.equal(toBigInt(7), 7n);
+    assert.equal(toBigInt("0x10"), 16n);
+    assert.equal(toBigInt(web3.utils.toBN(th.dec(1, 30))), 10n ** 30n);
+    assert.throws(() => toBigInt(1.5), /not a safe integer/);
+    assert.throws(() => toBigInt("1.5"), /not an integer/);
+  });
+
+  it("divRound(): rounds according to the rounding mode", async () => {
+    const cases = [
+      // a, b, down, up, halfUp, halfEven
+      [7n, 2n, 3n, 4n, 4n, 4n],
+      [5n, 2n, 2n, 3n, 3n, 2n],
+      [-5n, 2n, -2n, -3n, -3n, -2n],
+      [7n, 3n, 2n, 3n, 2n, 2n],
+      [-7n, 3n, -2n, -3n, -2n, -2n],
+      [8n, 3n, 2n, 3n, 3n, 3n],
+      [6n, 3n, 2n, 2n, 2n, 2n],
+    ];
+
+    for (const [a, b, down, up, halfUp, halfEven] of cases) {
+      assert.equal(divRound(a, b, Rounding.Down), down, `${a} / ${b} (down)`);
+      assert.equal(divRound(a, b, Rounding.Up), up, `${a} / ${b} (up)`);
+      assert.equal(divRound(a, b, Rounding.HalfUp), halfUp, `${a} / ${b} (halfUp)`);
+      assert.equal(divRound(a, b, Rounding.HalfEven), halfEven, `${a} / ${b} (halfEven)`);
+    }
+
+    assert.throws(() => divRound(1n, 0n), /Division by zero/);
+    assert.throws(() => divRound(1n, 2n, "nearest"), /Unknown rounding mode/);
+  });
+
+  it("mulDiv(): does not lose precision in the intermediate product", async () => {
+    const MAX_UINT256 = 2n ** 256n - 1n;
+    assert.equal(mulDiv(MAX_UINT256, MAX_UINT256, MAX_UINT256), MAX_UINT256);
+    assert.equal(mulDiv(10n, 10n, 3n), 33n);
+    assert.equal(mulDiv(10n, 10n, 3n, Rounding.Up), 34n);
+  });
+
+  it("mulFixed() and divFixed(): multiply and divide fixed-point values", async () => {
+    assert.equal(mulFixed(dec(2), parseFixed("1.5")), dec(3));
+    assert.equal(divFixed(dec(3), dec(2)), parseFixed("1.5"));
+    assert.equal(divFixed(dec(1), dec(3)), 333333333333333333n);
+    assert.equal(divFixed(dec(1), dec(3), 18, Rounding.Up), 333333333333333334n);
+    assert.equal(mulFixed(parseFixed("2", 6), parseFixed("1.5", 6), 6), parseFixed("3", 6));
+  });
+
+  it("convertDecimals(): converts amounts between token decimals", async () => {
+    assert.equal(convertDecimals(parseFixed("1.5", 6), 6, 18), parseFixed("1.5"));
+    assert.equal(convertDecimals(parseFixed("1.5"), 18, 6), parseFixed("1.5", 6));
+    assert.equal(convertDecimals(parseFixed("1.0000019"), 18, 6), parseFixed("1.000001", 6));
+    assert.equal(convertDecimals(parseFixed("1.0000019"), 18, 6, Rounding.HalfUp), parseFixed("1.000002", 6));
+  });
+
+  it("assertIsApproximatelyEqual(): checks the absolute difference", async () => {
+    assertIsApproximatelyEqual(dec(1), dec(1) + 1000n);
+    assertIsApproximatelyEqual(dec(1), web3.utils.toBN(th.dec(1, 18)).subn(5), 5n);
+    assert.throws(() => assertIsApproximatelyEqual(dec(1), dec(1) + 1001n), /approximately equal/);
+  });
+
+  it("assertIsApproximatelyEqualRelative(): checks the relative difference", async () => {
+    // 1e-9 by default
+    assertIsApproximatelyEqualRelative(dec(1000), dec(1000) - dec(1, 12));
+    assert.throws(
+      () => assertIsApproximatelyEqualRelative(dec(1000), dec(1000) - dec(1, 12) - 1n),
+      /approximately equal/,
+    );
+    // 1%
+    assertIsApproximatelyEqualRelative(dec(100), dec(99), dec(1, 16));
+  });
+});
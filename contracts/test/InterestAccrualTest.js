@@ -0,0 +1,141 @@
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
+const { TestHelper: th, TimeValues: timeValues } = require("../utils/testHelpers.js");
+const {
+  ONE_YEAR,
+  assertLatestTroveData,
+  calcInterest,
+  fastForwardTime,
+  fastForwardTo,
+  mineBlocks,
+  predictBatchAccrual,
+  predictTroveDebt,
+} = require("../utils/interestAccrual.js");
+const TroveManagerTester = artifacts.require("./TroveManagerTester.sol");
+
+const { dec, toBN } = th;
+
+contract("interestAccrual.js", async (accounts) => {
+  const [whale, alice, bob, batchManager] = accounts;
+
+  let contracts;
+
+  const deployFixture = createDeployAndFundFixture({
+    accounts: [whale, alice, bob, batchManager],
+    mocks: { TroveManager: TroveManagerTester },
+  });
+
+  beforeEach(async () => {
+    const result = await deployFixture();
+    contracts = result.contracts;
+
+    // 6% interest rate, 1% annual management fee
+    await contracts.borrowerOperations.registerBatchManager(
+      dec(1, 16),
+      dec(1, 18),
+      dec(6, 16),
+      dec(1, 16),
+      120,
+      { from: batchManager },
+    );
+  });
+
+  it("calcInterest(): simple interest over the period", async () => {
+    const debt = BigInt(dec(10000, 18));
+    const rate = BigInt(dec(5, 16));
+
+    assert.equal(calcInterest(debt * rate, ONE_YEAR), BigInt(dec(500, 18)));
+    assert.equal(calcInterest(debt * rate, ONE_YEAR / 2n), BigInt(dec(250, 18)));
+    assert.equal(calcInterest(debt * rate, 0), 0n);
+  });
+
+  it("fastForwardTime(), fastForwardTo(), mineBlocks(): move the chain forward", async () => {
+    const start = await time.latest();
+
+    assert.equal(await fastForwardTime(timeValues.SECONDS_IN_ONE_DAY), start + timeValues.SECONDS_IN_ONE_DAY);
+    assert.equal(await fastForwardTo(start + timeValues.SECONDS_IN_ONE_WEEK), start + timeValues.SECONDS_IN_ONE_WEEK);
+
+    const blockNumber = await web3.eth.getBlockNumber();
+    assert.isAtLeast(await mineBlocks(5, { interval: 12 }), start + timeValues.SECONDS_IN_ONE_WEEK + 4 * 12);
+    assert.equal(await web3.eth.getBlockNumber(), blockNumber + 5);
+  });
+
+  it("predictTroveDebt(): matches getLatestTroveData() for an individual trove", async () => {
+    const { troveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, annualInterestRate: dec(5, 16) },
+    });
+
+    await fastForwardTime(timeValues.SECONDS_IN_ONE_YEAR);
+    const latest = await assertLatestTroveData(contracts, troveId);
+
+    // ~5% of the debt after a year
+    th.assertIsApproximatelyEqual(
+      latest.accruedInterest,
+      latest.recordedDebt.mul(toBN(5)).div(toBN(100)),
+      1e14,
+    );
+    assert.equal(latest.accruedBatchManagementFee.toString(), "0");
+  });
+
+  it("predictTroveDebt(): splits the batch interest and management fee among its troves", async () => {
+    const { troveId: aliceTroveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, batchManager },
+    });
+    const { troveId: bobTroveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(3, 18)),
+      extraBoldAmount: toBN(dec(3000, 18)),
+      extraParams: { from: bob, batchManager },
+    });
+
+    await fastForwardTime(timeValues.SECONDS_IN_ONE_MONTH);
+
+    const aliceLatest = await assertLatestTroveData(contracts, aliceTroveId);
+    const bobLatest = await assertLatestTroveData(contracts, bobTroveId);
+    assert.isTrue(aliceLatest.accruedBatchManagementFee.gt(toBN(0)));
+    assert.isTrue(bobLatest.accruedBatchManagementFee.gt(aliceLatest.accruedBatchManagementFee));
+
+    const batch = await predictBatchAccrual(contracts, batchManager);
+    const aliceDebt = await predictTroveDebt(contracts, aliceTroveId);
+    const bobDebt = await predictTroveDebt(contracts, bobTroveId);
+    th.assertIsApproximatelyEqual(
+      (aliceDebt.accruedInterest + bobDebt.accruedInterest).toString(),
+      batch.accruedInterest.toString(),
+      10,
+    );
+    th.assertIsApproximatelyEqual(
+      (aliceDebt.accruedBatchManagementFee + bobDebt.accruedBatchManagementFee).toString(),
+      batch.accruedManagementFee.toString(),
+      10,
+    );
+  });
+
+  it("predictTroveDebt(): predicts the debt at a future timestamp", async () => {
+    const { troveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice, batchManager },
+    });
+
+    const at = (await time.latest()) + timeValues.SECONDS_IN_ONE_WEEK;
+    const predicted = await predictTroveDebt(contracts, troveId, { at });
+
+    await fastForwardTo(at);
+    const latest = await contracts.troveManager.getLatestTroveData(troveId);
+    th.assertIsApproximatelyEqual(latest.entireDebt, predicted.entireDebt.toString(), 10);
+  });
+
+  it("predictTroveDebt(): rejects timestamps before the last debt update", async () => {
+    const { troveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(2, 18)),
+      extraParams: { from: alice },
+    });
+
+    try {
+      await predictTroveDebt(contracts, troveId, { at: (await time.latest()) - 1 });
+      assert.fail("predictTroveDebt() should have thrown");
+    } catch (error) {
+      assert.include(error.message, "before the last debt update");
+    }
+  });
+});
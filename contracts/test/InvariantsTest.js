@@ -0,0 +1,87 @@
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
+const { TestHelper: th, TimeValues: timeValues } = require("../utils/testHelpers.js");
+const { checkInvariants, disableInvariantChecks, enableInvariantChecks } = require("../utils/invariants.js");
+const TroveManagerTester = artifacts.require("./TroveManagerTester.sol");
+
+const { dec, toBN } = th;
+
+contract("invariants.js", async (accounts) => {
+  const [whale, alice, bob, carol] = accounts;
+  const depositors = [whale, alice, bob, carol];
+
+  let contracts;
+
+  const deployFixture = createDeployAndFundFixture({
+    accounts: [whale, alice, bob, carol],
+    mocks: { TroveManager: TroveManagerTester },
+  });
+
+  beforeEach(async () => {
+    const result = await deployFixture();
+    contracts = result.contracts;
+    enableInvariantChecks(contracts, { depositors });
+  });
+
+  afterEach(async () => {
+    disableInvariantChecks(contracts);
+  });
+
+  const openTrove = (from, ICR, annualInterestRate) =>
+    th.openTrove(contracts, {
+      extraBoldAmount: toBN(dec(10000, 18)),
+      ICR: toBN(ICR),
+      extraParams: { from, annualInterestRate: toBN(annualInterestRate) },
+    });
+
+  it("checkInvariants(): holds on an empty system", async () => {
+    await checkInvariants(contracts, { depositors });
+  });
+
+  it("checkInvariants(): holds through borrowing, interest accrual, liquidation and redemption", async () => {
+    await openTrove(whale, dec(4, 18), dec(5, 16));
+    await openTrove(alice, dec(111, 16), dec(6, 16));
+    await openTrove(bob, dec(2, 18), dec(2, 16));
+
+    await th.provideToSPAndClaim(contracts, toBN(dec(10000, 18)), { from: whale });
+
+    await time.increase(timeValues.SECONDS_IN_ONE_MONTH);
+    await checkInvariants(contracts, { depositors });
+
+    await contracts.priceFeedTestnet.setPrice(dec(190, 18));
+    await contracts.troveManager.liquidate(th.addressToTroveId(alice));
+
+    await th.redeemCollateralAndGetTxObject(whale, contracts, toBN(dec(1000, 18)));
+
+    await th.withdrawFromSPAndClaim(contracts, toBN(dec(1000, 18)), { from: whale });
+  });
+
+  it("checkInvariants(): reports collateral sent directly to the ActivePool", async () => {
+    await openTrove(whale, dec(4, 18), dec(5, 16));
+
+    disableInvariantChecks(contracts);
+    await contracts.collToken.transfer(contracts.activePool.address, dec(1, 18), { from: bob });
+
+    try {
+      await checkInvariants(contracts, { depositors });
+      assert.fail("checkInvariants() should have thrown");
+    } catch (error) {
+      assert.include(error.message, "ActivePool coll balance");
+    }
+  });
+
+  it("enableInvariantChecks(): checks the invariants after each transaction", async () => {
+    await openTrove(whale, dec(4, 18), dec(5, 16));
+
+    disableInvariantChecks(contracts);
+    await contracts.collToken.transfer(contracts.activePool.address, dec(1, 18), { from: bob });
+    enableInvariantChecks(contracts, { depositors });
+
+    try {
+      await openTrove(alice, dec(2, 18), dec(5, 16));
+      assert.fail("openTrove() should have failed the invariant checks");
+    } catch (error) {
+      assert.include(error.message, "Invariants violated");
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
+const { TestHelper: th } = require("../utils/testHelpers.js");
+const TroveManagerTester = artifacts.require("./TroveManagerTester.sol");
+
+const { dec, toBN } = th;
+
+contract("Deployment helper - Multiple branches", async (accounts) => {
+  const [A, B] = accounts;
+
+  const branchConfigs = [
+    { name: "WETH" },
+    { name: "RETH", MCR: dec(120, 16), SCR: dec(120, 16), price: dec(2000, 18) },
+    { name: "WSTETH", MCR: dec(120, 16), SCR: dec(120, 16), price: dec(3000, 18) },
+  ];
+
+  let contracts;
+
+  const deployFixture = createDeployAndFundFixture({
+    accounts: [A, B],
+    mocks: { TroveManager: TroveManagerTester },
+    branches: branchConfigs,
+  });
+
+  beforeEach(async () => {
+    const result = await deployFixture();
+    contracts = result.contracts;
+  });
+
+  it("Deploys one branch per config", async () => {
+    assert.equal(contracts.branches.length, branchConfigs.length);
+    assert.equal((await contracts.collateralRegistry.totalCollaterals()).toString(), String(branchConfigs.length));
+  });
+
+  it("Exposes the first branch at the top level", async () => {
+    const [firstBranch] = contracts.branches;
+    assert.equal(contracts.troveManager.address, firstBranch.troveManager.address);
+    assert.equal(contracts.collToken.address, contracts.WETH.address);
+  });
+
+  it("Registers every branch in CollateralRegistry, in order", async () => {
+    for (const [i, branch] of contracts.branches.entries()) {
+      assert.equal(await contracts.collateralRegistry.getToken(i), branch.collToken.address);
+      assert.equal(await contracts.collateralRegistry.getTroveManager(i), branch.troveManager.address);
+      assert.equal(branch.collIndex, i);
+    }
+  });
+
+  it("Shares BoldToken and CollateralRegistry between branches", async () => {
+    for (const branch of contracts.branches) {
+      assert.equal(branch.boldToken.address, contracts.boldToken.address);
+      assert.equal(await branch.troveManager.getBoldToken(), contracts.boldToken.address);
+      assert.equal(branch.collateralRegistry.address, contracts.collateralRegistry.address);
+    }
+  });
+
+  it("Deploys separate branch contracts and collateral tokens", async () => {
+    const addresses = (key) => new Set(contracts.branches.map((branch) => branch[key].address));
+    for (const key of ["collToken", "troveManager", "stabilityPool", "activePool", "priceFeedTestnet"]) {
+      assert.equal(addresses(key).size, branchConfigs.length, key);
+    }
+  });
+
+  it("Applies the branch MCR and price", async () => {
+    const [, reth, wsteth] = contracts.branches;
+    assert.equal((await reth.borrowerOperations.MCR()).toString(), dec(120, 16));
+    assert.equal((await reth.priceFeedTestnet.getPrice()).toString(), dec(2000, 18));
+    assert.equal((await wsteth.priceFeedTestnet.getPrice()).toString(), dec(3000, 18));
+  });
+
+  it("Funds accounts with every collateral token", async () => {
+    for (const branch of contracts.branches) {
+      assert.isTrue((await branch.collToken.balanceOf(A)).gt(toBN(0)));
+    }
+  });
+
+  it("Opens troves on any branch through TestHelper", async () => {
+    const [, reth] = contracts.branches;
+    const { troveId } = await th.openTrove(reth, {
+      ICR: toBN(dec(200, 16)),
+      extraParams: { from: A, annualInterestRate: toBN(dec(5, 16)) },
+    });
+    assert.isTrue((await reth.troveManager.getTroveEntireColl(troveId)).gt(toBN(0)));
+    assert.equal((await contracts.sortedTroves.getSize()).toString(), "0");
+  });
+});
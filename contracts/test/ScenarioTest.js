@@ -0,0 +1,141 @@
+const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
+const { TestHelper: th, TimeValues: timeValues } = require("../utils/testHelpers.js");
+const { dec } = require("../utils/fixedPoint.js");
+const { runScenario } = require("../utils/scenario.js");
+const TroveManagerTester = artifacts.require("./TroveManagerTester.sol");
+
+// Debts keep accruing interest between two snapshots (each step mines at least one block),
+// so debts read from different snapshots only match up to the interest of a few seconds
+const INTEREST_TOLERANCE = 1e15;
+
+contract("scenario.js", async (accounts) => {
+  const [whale, alice, bob, carol] = accounts;
+  const actors = { whale, alice, bob, carol };
+
+  let contracts;
+
+  const deployFixture = createDeployAndFundFixture({
+    accounts: [whale, alice, bob, carol],
+    mocks: { TroveManager: TroveManagerTester },
+  });
+
+  beforeEach(async () => {
+    const result = await deployFixture();
+    contracts = result.contracts;
+  });
+
+  it("runScenario(): records a snapshot after each step", async () => {
+    const steps = [
+      { type: "openTrove", from: "whale", ICR: "4", extraDebt: "20000", interestRate: "0.05" },
+      { type: "openTrove", from: "alice", ICR: "2", interestRate: "0.06" },
+      { type: "provideToSP", from: "whale", amount: "5000" },
+    ];
+
+    const { initialSnapshot, snapshots, txs, troveIds } = await runScenario(contracts, steps, { actors });
+
+    assert.equal(snapshots.length, steps.length);
+    assert.equal(txs.length, steps.length);
+    assert.deepEqual(initialSnapshot.branches[0].troves, {});
+
+    const [afterWhale, afterAlice, afterDeposit] = snapshots.map((snapshot) => snapshot.branches[0]);
+    assert.deepEqual(Object.keys(afterWhale.troves), ["whale"]);
+    assert.deepEqual(Object.keys(afterAlice.troves), ["whale", "alice"]);
+
+    const aliceTrove = afterAlice.troves.alice;
+    assert.equal(aliceTrove.troveId, troveIds.alice);
+    assert.equal(aliceTrove.status, "active");
+    assert.equal(aliceTrove.annualInterestRate, dec(6, 16));
+    th.assertIsApproximatelyEqual(aliceTrove.ICR.toString(), dec(2).toString(), 1e10);
+
+    assert.equal(afterAlice.stabilityPool.totalBoldDeposits, 0n);
+    assert.equal(afterDeposit.stabilityPool.totalBoldDeposits, dec(5000));
+  });
+
+  it("runScenario(): opens several troves for the same owner", async () => {
+    const { snapshots, troveIds } = await runScenario(contracts, [
+      { type: "openTrove", from: "whale", ICR: "4", extraDebt: "20000", interestRate: "0.05" },
+      { type: "openTrove", from: "alice", trove: "alice1", ICR: "2", interestRate: "0.05" },
+      { type: "openTrove", from: "alice", trove: "alice2", ICR: "3", interestRate: "0.07" },
+      { type: "closeTrove", trove: "alice1" },
+    ], { actors });
+
+    assert.equal(troveIds.alice1, BigInt(th.addressToTroveId(alice, 0)));
+    assert.equal(troveIds.alice2, BigInt(th.addressToTroveId(alice, 1)));
+
+    const [afterOpening, afterClosing] = snapshots.slice(-2).map((snapshot) => snapshot.branches[0]);
+    assert.equal(afterOpening.troves.alice1.status, "active");
+    assert.equal(afterOpening.troves.alice2.status, "active");
+    assert.equal(afterOpening.troves.alice2.annualInterestRate, dec(7, 16));
+    assert.equal(afterClosing.troves.alice1.status, "closedByOwner");
+    assert.equal(afterClosing.troves.alice2.status, "active");
+  });
+
+  it("runScenario(): liquidates a trove against the Stability Pool", async () => {
+    const { snapshots } = await runScenario(contracts, [
+      { type: "openTrove", from: "whale", ICR: "4", extraDebt: "20000", interestRate: "0.05" },
+      { type: "openTrove", from: "alice", ICR: "1.11", interestRate: "0.05" },
+      { type: "provideToSP", from: "whale", amount: "10000" },
+      { type: "setPrice", price: "190" },
+      { type: "liquidate", trove: "alice" },
+    ], { actors });
+
+    const [beforeLiquidation, afterLiquidation] = snapshots.slice(-2).map((snapshot) => snapshot.branches[0]);
+
+    assert.equal(beforeLiquidation.price, dec(190));
+    assert.isTrue(beforeLiquidation.troves.alice.ICR < dec(11, 17));
+    assert.equal(afterLiquidation.troves.alice.status, "closedByLiquidation");
+    assert.isTrue(afterLiquidation.TCR > beforeLiquidation.TCR);
+    th.assertIsApproximatelyEqual(
+      afterLiquidation.stabilityPool.totalBoldDeposits.toString(),
+      (beforeLiquidation.stabilityPool.totalBoldDeposits - beforeLiquidation.troves.alice.debt).toString(),
+      INTEREST_TOLERANCE,
+    );
+    assert.isTrue(afterLiquidation.stabilityPool.collBalance > 0n);
+  });
+
+  it("runScenario(): redeems from the trove with the lowest interest rate", async () => {
+    const { snapshots } = await runScenario(contracts, [
+      { type: "openTrove", from: "whale", ICR: "4", extraDebt: "20000", interestRate: "0.1" },
+      { type: "openTrove", from: "alice", ICR: "2", extraDebt: "5000", interestRate: "0.02" },
+      { type: "openTrove", from: "bob", ICR: "2", extraDebt: "5000", interestRate: "0.05" },
+      { type: "fastForward", seconds: timeValues.SECONDS_IN_ONE_WEEK * 3 }, // skip bootstrapping phase
+      { type: "redeem", from: "whale", amount: "1000" },
+    ], { actors });
+
+    const [beforeRedemption, afterRedemption] = snapshots.slice(-2).map((snapshot) => snapshot.branches[0]);
+
+    assert.isTrue(afterRedemption.troves.alice.debt < beforeRedemption.troves.alice.debt);
+    assert.isTrue(afterRedemption.troves.alice.coll < beforeRedemption.troves.alice.coll);
+    th.assertIsApproximatelyEqual(
+      afterRedemption.troves.bob.debt.toString(),
+      beforeRedemption.troves.bob.debt.toString(),
+      INTEREST_TOLERANCE,
+    );
+  });
+
+  it("runScenario(): asserts expected reverts", async () => {
+    const { snapshots, txs } = await runScenario(contracts, [
+      { type: "openTrove", from: "whale", ICR: "4", extraDebt: "20000", interestRate: "0.05" },
+      { type: "liquidate", trove: "whale", expectRevert: true },
+    ], { actors });
+
+    assert.isUndefined(txs[1]);
+    assert.equal(snapshots[1].branches[0].troves.whale.status, "active");
+  });
+
+  it("runScenario(): reports the failing step", async () => {
+    try {
+      await runScenario(contracts, [{ type: "liquidate", trove: "nobody" }], { actors });
+      assert.fail("runScenario() should have thrown");
+    } catch (error) {
+      assert.include(error.message, "Step 0 (liquidate): Unknown trove: nobody");
+    }
+
+    try {
+      await runScenario(contracts, [{ type: "explode" }], { actors });
+      assert.fail("runScenario() should have thrown");
+    } catch (error) {
+      assert.include(error.message, `Step 0: unknown step type "explode"`);
+    }
+  });
+});
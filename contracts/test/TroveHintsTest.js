@@ -0,0 +1,152 @@
+const { createDeployAndFundFixture } = require("../utils/testFixtures.js");
+const { TestHelper: th } = require("../utils/testHelpers.js");
+const {
+  getAdjustTroveInterestRateHints,
+  getInsertPositionHints,
+  getJoinBatchHints,
+  getNumTrials,
+  getOpenTroveHints,
+} = require("../utils/troveHints.js");
+const TroveManagerTester = artifacts.require("./TroveManagerTester.sol");
+
+const { dec, toBN } = th;
+
+contract("troveHints.js", async (accounts) => {
+  const numTroves = 10;
+  const fundedAccounts = accounts.slice(0, numTroves + 2);
+  const [borrower, batchManager] = accounts.slice(numTroves, numTroves + 2);
+
+  let contracts;
+  let borrowerOperations;
+  let sortedTroves;
+  let troveManager;
+
+  // IRs from 5% to 14%, 1% apart
+  const interestRateOf = (i) => toBN(dec(5 + i, 16));
+
+  const deployFixture = createDeployAndFundFixture({
+    accounts: fundedAccounts,
+    mocks: { TroveManager: TroveManagerTester },
+    callback: async (contracts) => {
+      for (let i = 0; i < numTroves; i++) {
+        await th.openTrove(contracts, {
+          extraBoldAmount: toBN(dec(10000, 18)),
+          ICR: toBN(dec(200, 16)),
+          extraParams: { from: accounts[i], annualInterestRate: interestRateOf(i) },
+        });
+      }
+    },
+  });
+
+  beforeEach(async () => {
+    const result = await deployFixture();
+    contracts = result.contracts;
+    borrowerOperations = contracts.borrowerOperations;
+    sortedTroves = contracts.sortedTroves;
+    troveManager = contracts.troveManager;
+  });
+
+  // The list is sorted by descending interest rate, from head (first) to tail (last)
+  const assertValidInsertPosition = async (annualInterestRate, { upperHint, lowerHint }) => {
+    const rate = toBN(annualInterestRate);
+
+    if (upperHint.eq(toBN(0))) {
+      assert.isTrue((await sortedTroves.getFirst()).eq(lowerHint));
+    } else {
+      assert.isTrue((await troveManager.getTroveAnnualInterestRate(upperHint)).gte(rate));
+      assert.isTrue((await sortedTroves.getNext(upperHint)).eq(lowerHint));
+    }
+
+    if (lowerHint.eq(toBN(0))) {
+      assert.isTrue((await sortedTroves.getLast()).eq(upperHint));
+    } else {
+      assert.isTrue((await troveManager.getTroveAnnualInterestRate(lowerHint)).lte(rate));
+    }
+  };
+
+  it("getNumTrials(): scales with the square root of the list size", async () => {
+    assert.equal(await getNumTrials(contracts), Math.ceil(15 * Math.sqrt(numTroves)));
+    assert.equal(await getNumTrials(contracts, 10), Math.ceil(10 * Math.sqrt(numTroves)));
+  });
+
+  it("getInsertPositionHints(): returns adjacent troves around the given interest rate", async () => {
+    for (const rate of [dec(55, 15), dec(9, 16), dec(135, 15)]) {
+      await assertValidInsertPosition(rate, await getInsertPositionHints(contracts, rate));
+    }
+  });
+
+  it("getInsertPositionHints(): returns the head of the list for a rate above every trove", async () => {
+    const hints = await getInsertPositionHints(contracts, dec(50, 16));
+    assert.isTrue(hints.upperHint.eq(toBN(0)));
+    assert.isTrue(hints.lowerHint.eq(await sortedTroves.getFirst()));
+  });
+
+  it("getInsertPositionHints(): returns the tail of the list for a rate below every trove", async () => {
+    const hints = await getInsertPositionHints(contracts, dec(1, 16));
+    assert.isTrue(hints.upperHint.eq(await sortedTroves.getLast()));
+    assert.isTrue(hints.lowerHint.eq(toBN(0)));
+  });
+
+  it("getInsertPositionHints(): returns a new random seed", async () => {
+    const { latestRandomSeed } = await getInsertPositionHints(contracts, dec(9, 16), { randomSeed: 1 });
+    assert.isFalse(toBN(latestRandomSeed).eq(toBN(1)));
+  });
+
+  it("getOpenTroveHints(): hints are accepted by openTrove()", async () => {
+    const annualInterestRate = toBN(dec(75, 15));
+    const hints = await getOpenTroveHints(contracts, annualInterestRate);
+    await assertValidInsertPosition(annualInterestRate, hints);
+
+    const { troveId } = await th.openTrove(contracts, {
+      ICR: toBN(dec(200, 16)),
+      upperHint: hints.upperHint,
+      lowerHint: hints.lowerHint,
+      extraParams: { from: borrower, annualInterestRate },
+    });
+
+    assert.isTrue((await sortedTroves.getPrev(troveId)).eq(hints.upperHint));
+    assert.isTrue((await sortedTroves.getNext(troveId)).eq(hints.lowerHint));
+  });
+
+  it("getAdjustTroveInterestRateHints(): hints are accepted by adjustTroveInterestRate()", async () => {
+    const troveId = th.addressToTroveId(accounts[0]);
+    const newAnnualInterestRate = toBN(dec(115, 15));
+    const hints = await getAdjustTroveInterestRateHints(contracts, newAnnualInterestRate);
+    await assertValidInsertPosition(newAnnualInterestRate, hints);
+
+    await borrowerOperations.adjustTroveInterestRate(
+      troveId,
+      newAnnualInterestRate,
+      hints.upperHint,
+      hints.lowerHint,
+      th.MAX_UINT256,
+      { from: accounts[0] },
+    );
+
+    assert.isTrue((await troveManager.getTroveAnnualInterestRate(troveId)).eq(newAnnualInterestRate));
+    assert.isTrue((await sortedTroves.getPrev(troveId)).eq(hints.upperHint));
+    assert.isTrue((await sortedTroves.getNext(troveId)).eq(hints.lowerHint));
+  });
+
+  it("getJoinBatchHints(): returns the insert position of the batch interest rate", async () => {
+    const batchInterestRate = toBN(dec(105, 15));
+    await borrowerOperations.registerBatchManager(toBN(dec(5, 15)), toBN(dec(1, 18)), batchInterestRate, 0, 120, {
+      from: batchManager,
+    });
+
+    const hints = await getJoinBatchHints(contracts, batchManager);
+    await assertValidInsertPosition(batchInterestRate, hints);
+
+    const troveId = th.addressToTroveId(accounts[0]);
+    await borrowerOperations.setInterestBatchManager(
+      troveId,
+      batchManager,
+      hints.upperHint,
+      hints.lowerHint,
+      th.MAX_UINT256,
+      { from: accounts[0] },
+    );
+
+    assert.isTrue((await troveManager.getTroveAnnualInterestRate(troveId)).eq(batchInterestRate));
+  });
+});
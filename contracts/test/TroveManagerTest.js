@@ -4445,6 +4445,24 @@ contract("TroveManager", async (accounts) => {
         th.assertIsApproximatelyEqual(B_Debt, totalDebtB, 1e13);
       });
 
+      it("getLatestTroveData(): accrues interest every second", async () => {
+        const { troveId: ATroveId } = await openTrove({
+          ICR: toBN(dec(200, 16)),
+          extraParams: { from: A, annualInterestRate: dec(5, 16), batchManager: getBatchManager(withBatchDelegation, dennis) },
+        });
+        const { recordedDebt } = await troveManager.getLatestTroveData(ATroveId);
+
+        await th.fastForwardTime(timeValues.SECONDS_IN_ONE_MONTH);
+        const { accruedInterest } = await th.assertLatestTroveData(contracts, ATroveId);
+        assert.isTrue(accruedInterest.gt(toBN(0)));
+
+        // mining blocks moves time forward too
+        await th.mineBlocks(10, { interval: 60 });
+        const latest = await th.assertLatestTroveData(contracts, ATroveId);
+        assert.isTrue(latest.accruedInterest.gt(accruedInterest));
+        assert.equal(latest.recordedDebt.toString(), recordedDebt.toString());
+      });
+
       it("getTroveStatus(): Returns status", async () => {
         const { troveId: BTroveId, totalDebt: B_totalDebt } = await openTrove({
           ICR: toBN(dec(150, 16)),
@@ -0,0 +1,115 @@
+import { $, echo, fs, minimist } from "zx";
+import { ZDeploymentManifest } from "./deployment-manifest";
+import { appEnvToManifest, parseEnv } from "./deployment-targets";
+import { REGISTRY_ADDRESSES, verifyDeployment } from "./verify-deployment";
+
+const HELP = `
+Converts the environment variables of the Next.js app located in frontend/app
+back into a deployment manifest, as created by scripts/DeployLiquity2.s.sol,
+then checks it against the chain (e.g. a local fork or anvil).
+
+Usage:
+  ./app-env-to-deployment-manifest.ts <ENV_FILE> [OUTPUT_JSON] [OPTIONS]
+
+Arguments:
+  ENV_FILE                                 Path to the env file of the app, with
+                                           the CONTRACT_* and COLL_<n>_CONTRACT_*
+                                           variables (NEXT_PUBLIC_ prefix optional).
+  OUTPUT_JSON                              Path to the manifest file to write. If
+                                           not provided, it will be printed to
+                                           stdout.
+
+The contracts of a branch the app doesn't use (gas pool, interest router and
+metadata NFT) are read from its AddressesRegistry. The manifest then gets
+verified like after ./deploy (see ./deploy verify-deployment), except for the
+branch parameters, which the env doesn't have. COLL_<n>_TOKEN_ID must match
+the symbol() of the collateral token (ETH matching WETH).
+
+Options:
+  --help, -h                               Show this help message.
+  --rpc-url <RPC_URL>                      RPC URL of the chain. Default: $RPC_URL,
+                                           or http://localhost:8545
+`;
+
+const argv = minimist(process.argv.slice(2), {
+  alias: {
+    h: "help",
+  },
+  boolean: [
+    "help",
+  ],
+  string: [
+    "rpc-url",
+  ],
+});
+
+// Symbol of the collateral token for each COLL_<n>_TOKEN_ID of the app
+const TOKEN_ID_SYMBOLS: Record<string, string> = {
+  ETH: "WETH",
+};
+
+export async function main() {
+  const options = {
+    help: argv["help"],
+    rpcUrl: argv["rpc-url"] ?? process.env.RPC_URL ?? "http://localhost:8545",
+    inputEnvPath: argv._[0],
+    outputJsonPath: argv._[1],
+  };
+
+  if (options.help) {
+    echo`${HELP}`;
+    process.exit(0);
+  }
+
+  if (!options.inputEnvPath) {
+    throw new Error("Please provide the path to the env file of the app");
+  }
+
+  const { manifest, tokenIds } = appEnvToManifest(parseEnv(await fs.readFile(options.inputEnvPath, "utf-8")));
+  if (manifest.branches.length === 0) {
+    throw new Error(`No collateral contracts (COLL_0_CONTRACT_*) found in ${options.inputEnvPath}`);
+  }
+
+  for (const [i, branch] of manifest.branches.entries()) {
+    if (!branch.addressesRegistry) {
+      throw new Error(`COLL_${i}_CONTRACT_ADDRESSES_REGISTRY is required to find the other contracts of branch ${i}`);
+    }
+
+    for (const [getter, key] of Object.entries(REGISTRY_ADDRESSES)) {
+      branch[key] ??= (
+        await $`cast call ${branch.addressesRegistry} ${`${getter}()(address)`} --rpc-url ${options.rpcUrl}`.quiet()
+      ).stdout.trim();
+    }
+
+    // zappers are optional, see the deployment config
+    branch.leverageZapper ??= "0x0000000000000000000000000000000000000000";
+  }
+
+  const result = ZDeploymentManifest.safeParse(manifest);
+  if (!result.success) {
+    const issues = result.error.issues.map(({ path, message }) => `  ${path.join(".") || "(root)"}: ${message}`);
+    throw new Error(`Incomplete deployment manifest rebuilt from ${options.inputEnvPath}:\n${issues.join("\n")}`);
+  }
+
+  // written before verifying it, so that a broken deployment can be looked into
+  const manifestJson = JSON.stringify(result.data, null, 2);
+  if (options.outputJsonPath) {
+    await fs.writeFile(options.outputJsonPath, `${manifestJson}\n`);
+    echo(`\nDeployment manifest written to ${options.outputJsonPath}.\n`);
+  } else {
+    echo(manifestJson);
+  }
+
+  await verifyDeployment(result.data, {
+    rpcUrl: options.rpcUrl,
+    branchParams: null,
+    collTokenSymbols: tokenIds.map((tokenId) => tokenId && (TOKEN_ID_SYMBOLS[tokenId] ?? tokenId)),
+  });
+}
+
+main().catch(({ message }) => {
+  console.error("");
+  console.error(`  Error: ${message}`);
+  console.error("");
+  process.exit(1);
+});
@@ -1,10 +1,39 @@
 import { $, echo, fs, minimist } from "zx";
+import {
+  DEFAULT_DEPLOYMENT_CONFIG,
+  getBranchParams,
+  getExistingAddresses,
+  hasMockCollaterals,
+  readDeploymentConfig,
+  toScriptConfig,
+} from "./deployment-config";
+import {
+  createJournal,
+  DeploymentJournal,
+  getConfigHash,
+  journalFile,
+  readJournal,
+  rebuildManifest,
+  scriptManifestFile,
+  summarizeJournal,
+  syncJournal,
+  writeJournal,
+} from "./deployment-journal";
+import { ZDeploymentManifest } from "./deployment-manifest";
+import { verifyDeployment } from "./verify-deployment";
 
 const HELP = `
 deploy - deploy the Liquity contracts.
 
 Usage:
   ./deploy [NETWORK_PRESET] [OPTIONS]
+  ./deploy verify-deployment [NETWORK_PRESET] [OPTIONS]
+
+Commands:
+  verify-deployment  Check the wiring and parameters of the deployed contracts
+                     on chain against the deployment manifest, without
+                     deploying anything. Also runs after each deployment,
+                     unless --dry-run or --skip-verify-deployment is set.
 
 Arguments:
   NETWORK_PRESET  A network preset, which is a shorthand for setting certain options
@@ -17,11 +46,28 @@ Arguments:
 
 Options:
   --chain-id <CHAIN_ID>                    Chain ID to deploy to.
+  --config <CONFIG>                        Deployment config (JSON only, no TOML)
+                                           describing the branches to deploy:
+                                           collaterals, price feeds, MCR/CCR/SCR,
+                                           liquidation penalties and zappers. Its
+                                           "network" section sets defaults for
+                                           --chain-id, --rpc-url, --verifier and
+                                           --verifier-url. See
+                                           deployment-config.example.json. On
+                                           Sepolia, the zapper liquidity only gets
+                                           provided when zappers are deployed and
+                                           every collateral is a mock, WETH first.
+                                           Default: 3 testnet branches (WETH,
+                                           wstETH, rETH), see
+                                           DEFAULT_DEPLOYMENT_CONFIG in
+                                           utils/deployment-config.ts.
   --debug                                  Show debug output.
   --deployer <DEPLOYER>                    Address or private key to deploy with.
                                            Requires a Ledger if an address is used.
   --ledger-path <LEDGER_PATH>              HD path to use with the Ledger (only used
                                            when DEPLOYER is an address).
+  --manifest <MANIFEST>                    Deployment manifest to verify.
+                                           Default: deployment-manifest.json
   --dry-run                                Don't broadcast transaction, only
                                            simulate execution.
   --etherscan-api-key <ETHERSCAN_API_KEY>  Etherscan API key to verify the contracts
@@ -30,7 +76,15 @@ Options:
   --help, -h                               Show this help message.
   --open-demo-troves                       Open demo troves after deployment (local
                                            only).
+  --resume                                 Resume an interrupted deployment: only
+                                           send the transactions that didn't get
+                                           confirmed, then rebuild the manifest
+                                           from ${journalFile}.
+                                           Refused if the config, chain ID or
+                                           --open-demo-troves changed.
   --rpc-url <RPC_URL>                      RPC URL to use.
+  --skip-verify-deployment                 Don't check the deployed contracts on
+                                           chain after deployment.
   --slow                                   Only send a transaction after the previous
                                            one has been confirmed.
   --verify                                 Verify contracts after deployment.
@@ -53,15 +107,19 @@ const argv = minimist(process.argv.slice(2), {
     "debug",
     "help",
     "open-demo-troves",
+    "resume",
     "verify",
     "dry-run",
     "slow",
+    "skip-verify-deployment",
   ],
   string: [
     "chain-id",
+    "config",
     "deployer",
     "etherscan-api-key",
     "ledger-path",
+    "manifest",
     "rpc-url",
     "verifier",
     "verifier-url",
@@ -70,13 +128,21 @@ const argv = minimist(process.argv.slice(2), {
 });
 
 export async function main() {
-  const { networkPreset, options } = await parseArgs();
+  const { command, networkPreset, options } = await parseArgs();
 
   if (options.help) {
     echo`${HELP}`;
     process.exit(0);
   }
 
+  const config = options.config ? await readDeploymentConfig(options.config) : DEFAULT_DEPLOYMENT_CONFIG;
+
+  // deployment config (before the presets, which it takes precedence over)
+  options.chainId ??= config.network.chainId;
+  options.rpcUrl ??= config.network.rpcUrl;
+  options.verifier ??= config.network.verifier;
+  options.verifierUrl ??= config.network.verifierUrl;
+
   // network preset: local
   if (networkPreset === "local") {
     options.chainId ??= 31337;
@@ -100,12 +166,22 @@ export async function main() {
   options.verifier ??= "etherscan";
 
   // handle missing options
-  if (!options.chainId) {
-    throw new Error("--chain-id <CHAIN_ID> is required");
-  }
   if (!options.rpcUrl) {
     throw new Error("--rpc-url <RPC_URL> is required");
   }
+
+  if (command === "verify-deployment") {
+    echo(`Verifying ${options.manifest} against ${options.rpcUrl}`);
+    await verifyDeployment(ZDeploymentManifest.parse(await fs.readJson(options.manifest)), {
+      rpcUrl: options.rpcUrl,
+      branchParams: getBranchParams(config),
+    });
+    return;
+  }
+
+  if (!options.chainId) {
+    throw new Error("--chain-id <CHAIN_ID> is required");
+  }
   if (!options.deployer) {
     throw new Error("--deployer <DEPLOYER> is required");
   }
@@ -114,6 +190,12 @@ export async function main() {
       "Verifying with Etherscan requires --etherscan-api-key <ETHERSCAN_API_KEY>",
     );
   }
+  // the demo troves get opened on the first 2 branches, with tapped collateral
+  if (options.openDemoTroves && (config.branches.length < 2 || !hasMockCollaterals(config))) {
+    throw new Error(
+      "--open-demo-troves requires a deployment config with at least 2 branches, all of mock collaterals",
+    );
+  }
 
   const forgeArgs: string[] = [
     "script",
@@ -128,6 +210,13 @@ export async function main() {
     forgeArgs.push("--broadcast");
   }
 
+  if (options.resume) {
+    if (options.dryRun) {
+      throw new Error("--resume can't be used with --dry-run");
+    }
+    forgeArgs.push("--resume");
+  }
+
   if (options.slow) {
     forgeArgs.push("--slow");
   }
@@ -173,6 +262,7 @@ export async function main() {
 Deploying Liquity contracts with the following settings:
 
   CHAIN_ID:           ${options.chainId}
+  CONFIG:             ${options.config ?? "(default)"}
   DEPLOYER:           ${options.deployer}
   LEDGER_PATH:        ${options.ledgerPath}
   ETHERSCAN_API_KEY:  ${options.etherscanApiKey && "(secret)"}
@@ -189,6 +279,42 @@ Deploying Liquity contracts with the following settings:
     process.env.OPEN_DEMO_TROVES = "true";
   }
 
+  const scriptConfig = toScriptConfig(config);
+  process.env.DEPLOYMENT_CONFIG_JSON = JSON.stringify(scriptConfig);
+
+  const configHash = getConfigHash({
+    chainId: options.chainId,
+    scriptConfig,
+    openDemoTroves: Boolean(options.openDemoTroves),
+  });
+
+  // no journal for dry runs, as nothing gets broadcast
+  let journal: DeploymentJournal | null = null;
+  const previousJournal = await readJournal();
+
+  if (options.resume) {
+    if (!previousJournal) {
+      throw new Error(`Nothing to resume: ${journalFile} not found`);
+    }
+    if (previousJournal.configHash !== configHash) {
+      throw new Error(
+        `Refusing to resume: the config, chain ID or --open-demo-troves changed since the deployment of ${previousJournal.startedAt}`,
+      );
+    }
+    journal = await syncJournal(previousJournal);
+    echo(`Resuming the deployment of ${journal.startedAt} (${summarizeJournal(journal)})`);
+  } else if (!options.dryRun) {
+    if (previousJournal && !previousJournal.complete) {
+      echo(
+        `Starting over, discarding the incomplete deployment of ${previousJournal.startedAt} (${
+          summarizeJournal(previousJournal)
+        })`,
+      );
+    }
+    journal = createJournal(configHash, options.chainId);
+    await writeJournal(journal);
+  }
+
   if ("CI" in process.env) {
     echo("Workaround: deleting variable 'CI' from environment"); // See https://github.com/liquity/bold/pull/113
     delete process.env.CI;
@@ -199,9 +325,34 @@ Deploying Liquity contracts with the following settings:
   }
 
   // deploy
-  await $(options.debug ? { stdio: "inherit" } : {})`forge ${forgeArgs}`;
+  if (options.resume && journal?.complete) {
+    echo("All the steps are already confirmed, nothing left to broadcast.");
+  } else {
+    try {
+      await $(options.debug ? { stdio: "inherit" } : {})`forge ${forgeArgs}`;
+    } catch (error) {
+      if (journal) {
+        journal = await syncJournal(journal);
+        await writeJournal(journal);
+        throw new Error(
+          `Deployment interrupted (${summarizeJournal(journal)}), run the same command with --resume to continue.\n\n${
+            error instanceof Error ? error.message : error
+          }`,
+        );
+      }
+      throw error;
+    }
+  }
+
+  if (journal) {
+    journal = await syncJournal(journal);
+    await writeJournal(journal);
+    // forge doesn't run the script again when resuming, so the manifest comes from the journal
+    const manifest = rebuildManifest(journal, getExistingAddresses(config));
+    await fs.writeJson(scriptManifestFile, manifest, { spaces: 2 });
+  }
 
-  const deploymentManifestJson = fs.readFileSync("deployment-manifest.json", "utf-8");
+  const deploymentManifestJson = fs.readFileSync(scriptManifestFile, "utf-8");
   const deploymentManifest = JSON.parse(deploymentManifestJson) as {
     boldToken: string;
     branches: Record<string, string>[];
@@ -272,6 +423,16 @@ Deploying Liquity contracts with the following settings:
     )).join("\n\n"),
   );
   echo("");
+
+  if (!options.dryRun && !options.skipVerifyDeployment) {
+    echo("Verifying deployment...");
+    await verifyDeployment(ZDeploymentManifest.parse(deploymentManifest), {
+      rpcUrl: options.rpcUrl,
+      branchParams: getBranchParams(config),
+    });
+    echo("");
+  }
+
   echo("Deployment complete.");
   echo("");
 }
@@ -284,30 +445,37 @@ function safeParseInt(value: string) {
 async function parseArgs() {
   const options = {
     chainId: safeParseInt(argv["chain-id"]),
+    config: argv["config"],
     debug: argv["debug"],
     deployer: argv["deployer"],
     etherscanApiKey: argv["etherscan-api-key"],
     help: argv["help"],
     ledgerPath: argv["ledger-path"],
+    manifest: argv["manifest"],
     openDemoTroves: argv["open-demo-troves"],
+    resume: argv["resume"],
     rpcUrl: argv["rpc-url"],
     dryRun: argv["dry-run"],
     slow: argv["slow"],
+    skipVerifyDeployment: argv["skip-verify-deployment"],
     verify: argv["verify"],
     verifier: argv["verifier"],
     verifierUrl: argv["verifier-url"],
     gasPrice: argv["gas-price"],
   };
 
-  const [networkPreset] = argv._;
+  const command = argv._[0] === "verify-deployment" ? argv._[0] : undefined;
+  const [networkPreset] = command ? argv._.slice(1) : argv._;
 
   options.chainId ??= safeParseInt(process.env.CHAIN_ID ?? "");
+  options.config ??= process.env.DEPLOYMENT_CONFIG;
   options.debug ??= Boolean(
     process.env.DEBUG && process.env.DEBUG !== "false",
   );
   options.deployer ??= process.env.DEPLOYER;
   options.etherscanApiKey ??= process.env.ETHERSCAN_API_KEY;
   options.ledgerPath ??= process.env.LEDGER_PATH;
+  options.manifest ??= process.env.MANIFEST ?? "deployment-manifest.json";
   options.openDemoTroves ??= Boolean(
     process.env.OPEN_DEMO_TROVES && process.env.OPEN_DEMO_TROVES !== "false",
   );
@@ -318,5 +486,5 @@ async function parseArgs() {
   options.verifier ??= process.env.VERIFIER;
   options.verifierUrl ??= process.env.VERIFIER_URL;
 
-  return { options, networkPreset };
+  return { command, options, networkPreset };
 }
@@ -0,0 +1,243 @@
+import { z } from "zod";
+import { fs } from "zx";
+import { ZAddress } from "./deployment-manifest";
+import { BranchParams } from "./verify-deployment";
+
+const DECIMAL_PRECISION = 10n ** 18n;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Same bounds as the AddressesRegistry constructor
+const MIN_LIQUIDATION_PENALTY_SP = 5n * 10n ** 16n; // 5%
+const MAX_LIQUIDATION_PENALTY_REDISTRIBUTION = 20n * 10n ** 16n; // 20%
+
+// Fixed-point number with 18 decimals, e.g. 1.1 or "1.1" => 1100000000000000000n
+const ZDecimal = z.union([z.number(), z.string()]).transform((value, ctx) => {
+  const match = String(value).match(/^([0-9]+)(?:\.([0-9]{1,18}))?$/);
+  if (!match) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid decimal number: ${value}` });
+    return z.NEVER;
+  }
+  const [, whole, fraction = ""] = match;
+  return BigInt(whole) * DECIMAL_PRECISION + BigInt(fraction.padEnd(18, "0"));
+});
+
+const durationUnits: Record<string, number> = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Number of seconds, e.g. 3600 or "1h"
+const ZDuration = z.union([z.number().int().positive(), z.string()]).transform((value, ctx) => {
+  if (typeof value === "number") return value;
+  const match = value.match(/^([0-9]+)([smhd])$/);
+  if (!match) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid duration (e.g. 3600, 90m or 25h): ${value}` });
+    return z.NEVER;
+  }
+  return Number(match[1]) * durationUnits[match[2]];
+});
+
+const ZOracle = z.object({
+  address: ZAddress,
+  stalenessThreshold: ZDuration,
+});
+
+const ZPriceFeed = z.discriminatedUnion("type", [
+  // PriceFeedTestnet, with a price set manually
+  z.object({ type: z.literal("testnet") }),
+  z.object({ type: z.literal("WETH"), ethUsdOracle: ZOracle }),
+  z.object({ type: z.literal("wstETH"), ethUsdOracle: ZOracle, stEthUsdOracle: ZOracle }),
+  z.object({ type: z.literal("rETH"), ethUsdOracle: ZOracle, rEthEthOracle: ZOracle }),
+]);
+
+const ZCollateral = z.union([
+  // the WETH of the deployment (see the top-level WETH)
+  z.literal("WETH"),
+  // an ERC20Faucet deployed along with the branch
+  z.object({ mock: z.object({ name: z.string().min(1), symbol: z.string().min(1) }) }),
+  // an existing token
+  z.object({ address: ZAddress }),
+]);
+
+const ZBranchConfig = z.object({
+  collateral: ZCollateral,
+  priceFeed: ZPriceFeed.default({ type: "testnet" }),
+  CCR: ZDecimal,
+  MCR: ZDecimal,
+  SCR: ZDecimal,
+  liquidationPenaltySP: ZDecimal,
+  liquidationPenaltyRedistribution: ZDecimal,
+});
+
+export const ZDeploymentConfig = z.object({
+  // defaults for the corresponding deploy-cli options, which take precedence
+  network: z.object({
+    chainId: z.number().int().positive().optional(),
+    rpcUrl: z.string().url().optional(),
+    verifier: z.enum(["etherscan", "sourcify"]).optional(),
+    verifierUrl: z.string().url().optional(),
+  }).default({}),
+
+  // "mock" deploys a WETHTester
+  WETH: z.union([z.literal("mock"), ZAddress]).default("mock"),
+
+  // in the order they get registered in the CollateralRegistry
+  branches: z.array(ZBranchConfig).min(1).max(10),
+
+  // defaults are Sepolia deployments
+  zappers: z.object({
+    deploy: z.boolean().default(true),
+    curveStableswapFactory: ZAddress.default("0xfb37b8D939FFa77114005e61CFc2e543d6F49A81"),
+    uniV3Router: ZAddress.default("0x65669fE35312947050C450Bd5d36e6361F85eC12"),
+    uniV3Quoter: ZAddress.default("0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3"),
+    uniV3FeeUsdcWeth: z.number().int().positive().default(500), // 0.05%
+    uniV3FeeWethColl: z.number().int().positive().default(100), // 0.01%
+  }).default({}),
+}).superRefine((config, ctx) => {
+  const issue = (path: (string | number)[], message: string) => {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path, message });
+  };
+
+  for (const [i, branch] of config.branches.entries()) {
+    const path = ["branches", i];
+
+    for (const name of ["CCR", "MCR", "SCR"] as const) {
+      if (branch[name] <= DECIMAL_PRECISION || branch[name] >= 2n * DECIMAL_PRECISION) {
+        issue([...path, name], `${name} must be between 1 and 2 (exclusive)`);
+      }
+    }
+    if (branch.MCR > branch.CCR) {
+      issue([...path, "MCR"], "MCR can't be above CCR");
+    }
+    if (branch.liquidationPenaltySP < MIN_LIQUIDATION_PENALTY_SP) {
+      issue([...path, "liquidationPenaltySP"], "liquidationPenaltySP must be at least 0.05");
+    }
+    if (branch.liquidationPenaltySP > branch.liquidationPenaltyRedistribution) {
+      issue([...path, "liquidationPenaltySP"], "liquidationPenaltySP can't be above liquidationPenaltyRedistribution");
+    }
+    if (branch.liquidationPenaltyRedistribution > MAX_LIQUIDATION_PENALTY_REDISTRIBUTION) {
+      issue([...path, "liquidationPenaltyRedistribution"], "liquidationPenaltyRedistribution can't be above 0.2");
+    }
+
+    const { type } = branch.priceFeed;
+    if (type === "WETH" && branch.collateral !== "WETH") {
+      issue([...path, "priceFeed"], "the WETH price feed requires the WETH collateral");
+    }
+    // these feeds read the canonical rate from the collateral token
+    if (
+      (type === "wstETH" || type === "rETH")
+      && !(typeof branch.collateral === "object" && "address" in branch.collateral)
+    ) {
+      issue([...path, "priceFeed"], `the ${type} price feed requires the address of an existing collateral token`);
+    }
+  }
+
+  if (config.branches.filter((branch) => branch.collateral === "WETH").length > 1) {
+    issue(["branches"], "only one branch can use WETH as collateral");
+  }
+});
+
+export type DeploymentConfig = z.infer<typeof ZDeploymentConfig>;
+
+// Used when deploying without a config: 3 testnet branches, every collateral being a mock
+export const DEFAULT_DEPLOYMENT_CONFIG: DeploymentConfig = ZDeploymentConfig.parse({
+  branches: [
+    {
+      collateral: "WETH",
+      CCR: "1.5",
+      MCR: "1.1",
+      SCR: "1.1",
+      liquidationPenaltySP: "0.05",
+      liquidationPenaltyRedistribution: "0.1",
+    },
+    {
+      collateral: { mock: { name: "Wrapped liquid staked Ether 2.0", symbol: "wstETH" } },
+      CCR: "1.5",
+      MCR: "1.2",
+      SCR: "1.1",
+      liquidationPenaltySP: "0.05",
+      liquidationPenaltyRedistribution: "0.1",
+    },
+    {
+      collateral: { mock: { name: "Rocket Pool ETH", symbol: "rETH" } },
+      CCR: "1.5",
+      MCR: "1.2",
+      SCR: "1.1",
+      liquidationPenaltySP: "0.05",
+      liquidationPenaltyRedistribution: "0.1",
+    },
+  ],
+});
+
+export async function readDeploymentConfig(file: string): Promise<DeploymentConfig> {
+  const result = ZDeploymentConfig.safeParse(await fs.readJson(file));
+  if (!result.success) {
+    const issues = result.error.issues.map(({ path, message }) => `  ${path.join(".") || "(root)"}: ${message}`);
+    throw new Error(`Invalid deployment config ${file}:\n${issues.join("\n")}`);
+  }
+  return result.data;
+}
+
+export function getBranchParams(config: DeploymentConfig): BranchParams[] {
+  return config.branches.map((branch) => ({
+    CCR: branch.CCR,
+    MCR: branch.MCR,
+    SCR: branch.SCR,
+    LIQUIDATION_PENALTY_SP: branch.liquidationPenaltySP,
+    LIQUIDATION_PENALTY_REDISTRIBUTION: branch.liquidationPenaltyRedistribution,
+  }));
+}
+
+// Whether every collateral can be tapped, as needed to open demo troves
+export function hasMockCollaterals(config: DeploymentConfig) {
+  return config.branches.every((branch) => (
+    branch.collateral === "WETH" ? config.WETH === "mock" : "mock" in branch.collateral
+  ));
+}
+
+// Tokens used by the deployment without being deployed by it
+export function getExistingAddresses(config: DeploymentConfig): string[] {
+  return [
+    ...(config.WETH === "mock" ? [] : [config.WETH]),
+    ...config.branches.flatMap(({ collateral }) => (
+      typeof collateral === "object" && "address" in collateral ? [collateral.address] : []
+    )),
+  ];
+}
+
+// Flattened config read by DeployLiquity2.s.sol from the DEPLOYMENT_CONFIG_JSON env variable.
+// Amounts are strings, as JSON numbers can't represent them exactly.
+export function toScriptConfig(config: DeploymentConfig) {
+  return {
+    WETH: config.WETH === "mock" ? ZERO_ADDRESS : config.WETH,
+    branchCount: config.branches.length,
+    branches: config.branches.map(({ collateral, priceFeed, ...params }) => {
+      const lstOracle = priceFeed.type === "wstETH"
+        ? priceFeed.stEthUsdOracle
+        : priceFeed.type === "rETH"
+        ? priceFeed.rEthEthOracle
+        : undefined;
+      const ethUsdOracle = priceFeed.type === "testnet" ? undefined : priceFeed.ethUsdOracle;
+
+      return {
+        isWETH: collateral === "WETH",
+        collToken: typeof collateral === "object" && "address" in collateral ? collateral.address : ZERO_ADDRESS,
+        collName: typeof collateral === "object" && "mock" in collateral ? collateral.mock.name : "",
+        collSymbol: typeof collateral === "object" && "mock" in collateral ? collateral.mock.symbol : "",
+        priceFeedType: priceFeed.type,
+        ethUsdOracle: ethUsdOracle?.address ?? ZERO_ADDRESS,
+        ethUsdStalenessThreshold: String(ethUsdOracle?.stalenessThreshold ?? 0),
+        lstOracle: lstOracle?.address ?? ZERO_ADDRESS,
+        lstStalenessThreshold: String(lstOracle?.stalenessThreshold ?? 0),
+        CCR: String(params.CCR),
+        MCR: String(params.MCR),
+        SCR: String(params.SCR),
+        LIQUIDATION_PENALTY_SP: String(params.liquidationPenaltySP),
+        LIQUIDATION_PENALTY_REDISTRIBUTION: String(params.liquidationPenaltyRedistribution),
+      };
+    }),
+    deployZappers: config.zappers.deploy,
+    curveStableswapFactory: config.zappers.curveStableswapFactory,
+    uniV3Router: config.zappers.uniV3Router,
+    uniV3Quoter: config.zappers.uniV3Quoter,
+    uniV3FeeUsdcWeth: config.zappers.uniV3FeeUsdcWeth,
+    uniV3FeeWethColl: config.zappers.uniV3FeeWethColl,
+  };
+}
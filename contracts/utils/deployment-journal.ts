@@ -0,0 +1,183 @@
+import crypto from "node:crypto";
+import { z } from "zod";
+import { fs, path } from "zx";
+import { branchAddresses, ZDeploymentManifest } from "./deployment-manifest";
+
+/* Journal of a deployment, so that an interrupted one can be resumed with `./deploy --resume`.
+
+Each transaction broadcast by DeployLiquity2.s.sol (contract deployment or wiring call) is a step
+of the journal, taken from forge's broadcast/ artifacts. The journal also keeps the manifest written
+by the script when it simulated the deployment, as forge doesn't run the script again when resuming. */
+
+export const journalFile = "deployment-journal.json";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Written by DeployLiquity2.s.sol
+export const scriptManifestFile = "deployment-manifest.json";
+
+const broadcastFile = (chainId: number) => (
+  path.join("broadcast", "DeployLiquity2.s.sol", String(chainId), "run-latest.json")
+);
+
+const ZBroadcast = z.object({
+  transactions: z.array(z.object({
+    hash: z.string().nullable(),
+    transactionType: z.string(),
+    contractName: z.string().nullable(),
+    contractAddress: z.string().nullable(),
+    function: z.string().nullable(),
+    // contracts created by the transaction itself, e.g. by a factory
+    additionalContracts: z.array(z.object({ address: z.string() })).default([]),
+  })),
+  receipts: z.array(z.object({
+    transactionHash: z.string(),
+    status: z.string(),
+    blockNumber: z.string(),
+  })),
+});
+
+const ZJournalStep = z.object({
+  kind: z.enum(["deploy", "call"]),
+  contract: z.string().nullable(),
+  // deployed contract, or target of the call
+  address: z.string().nullable(),
+  function: z.string().nullable(),
+  hash: z.string().nullable(),
+  status: z.enum(["pending", "confirmed", "failed"]),
+  blockNumber: z.number().optional(),
+});
+
+export const ZDeploymentJournal = z.object({
+  configHash: z.string(),
+  chainId: z.number(),
+  startedAt: z.string(),
+  updatedAt: z.string(),
+  complete: z.boolean(),
+  manifest: z.record(z.unknown()).optional(),
+  steps: z.array(ZJournalStep),
+});
+
+export type DeploymentJournal = z.infer<typeof ZDeploymentJournal>;
+export type JournalStep = z.infer<typeof ZJournalStep>;
+
+// Everything that shapes the sequence of transactions. The deployer is left out, as it may be a private key.
+export function getConfigHash(inputs: { chainId: number; scriptConfig: unknown; openDemoTroves: boolean }) {
+  return crypto.createHash("sha256").update(JSON.stringify(inputs)).digest("hex");
+}
+
+export function createJournal(configHash: string, chainId: number): DeploymentJournal {
+  const now = new Date().toISOString();
+  return { configHash, chainId, startedAt: now, updatedAt: now, complete: false, steps: [] };
+}
+
+export async function readJournal(): Promise<DeploymentJournal | null> {
+  if (!await fs.pathExists(journalFile)) return null;
+  return ZDeploymentJournal.parse(await fs.readJson(journalFile));
+}
+
+export async function writeJournal(journal: DeploymentJournal) {
+  await fs.writeJson(journalFile, { ...journal, updatedAt: new Date().toISOString() }, { spaces: 2 });
+}
+
+// Whether a file got written since the journal was created, as the files of a previous deployment
+// (to the same chain) stay around until forge or the script overwrite them
+async function isWrittenSince(file: string, journal: DeploymentJournal) {
+  if (!await fs.pathExists(file)) return false;
+  const { mtime } = await fs.stat(file);
+  return mtime >= new Date(journal.startedAt);
+}
+
+// Updates the steps of the journal from forge's broadcast artifacts, and picks up the manifest
+// if the script wrote it since the journal was created.
+export async function syncJournal(journal: DeploymentJournal): Promise<DeploymentJournal> {
+  let { manifest, steps } = journal;
+
+  if (!manifest && await isWrittenSince(scriptManifestFile, journal)) {
+    manifest = await fs.readJson(scriptManifestFile);
+  }
+
+  if (await isWrittenSince(broadcastFile(journal.chainId), journal)) {
+    const broadcast = ZBroadcast.parse(await fs.readJson(broadcastFile(journal.chainId)));
+    const receipts = new Map(broadcast.receipts.map((receipt) => [receipt.transactionHash, receipt]));
+
+    steps = broadcast.transactions.flatMap((tx): JournalStep[] => {
+      const receipt = tx.hash ? receipts.get(tx.hash) : undefined;
+      const step: JournalStep = {
+        kind: tx.transactionType === "CALL" ? "call" : "deploy",
+        contract: tx.contractName,
+        address: tx.contractAddress,
+        function: tx.function,
+        hash: tx.hash,
+        status: !receipt ? "pending" : BigInt(receipt.status) === 1n ? "confirmed" : "failed",
+        blockNumber: receipt && Number(BigInt(receipt.blockNumber)),
+      };
+      return [
+        step,
+        ...tx.additionalContracts.map(({ address }): JournalStep => ({
+          ...step,
+          kind: "deploy",
+          contract: null,
+          address,
+          function: null,
+        })),
+      ];
+    });
+  }
+
+  return {
+    ...journal,
+    manifest,
+    steps,
+    complete: steps.length > 0 && steps.every((step) => step.status === "confirmed"),
+  };
+}
+
+export function summarizeJournal({ steps }: DeploymentJournal) {
+  const count = (status: JournalStep["status"]) => steps.filter((step) => step.status === status).length;
+  return `${count("confirmed")} of ${steps.length} steps confirmed`
+    + (count("failed") > 0 ? `, ${count("failed")} failed` : "");
+}
+
+// The manifest of a complete deployment, checking that each of its contracts deployed by the
+// script has a confirmed deploy step. Only the zero address (contracts the config leaves out, e.g.
+// zappers) and existingAddresses (tokens the script didn't deploy, see getExistingAddresses()) may
+// have none.
+export function rebuildManifest(journal: DeploymentJournal, existingAddresses: string[]) {
+  if (!journal.manifest) {
+    throw new Error(`${journalFile} has no manifest: the deployment script didn't get to write it`);
+  }
+
+  const manifest = ZDeploymentManifest.parse(journal.manifest);
+  const deploySteps = new Map(
+    journal.steps
+      .filter((step) => step.kind === "deploy" && step.address)
+      .map((step) => [step.address!.toLowerCase(), step]),
+  );
+
+  const addresses = [
+    ["boldToken", manifest.boldToken],
+    ["collateralRegistry", manifest.collateralRegistry],
+    ["hintHelpers", manifest.hintHelpers],
+    ["multiTroveGetter", manifest.multiTroveGetter],
+    ...manifest.branches.flatMap((branch, i) => (
+      branchAddresses(branch).map(([name, address]) => [`branches[${i}].${name}`, address])
+    )),
+  ];
+
+  const skipped = new Set([ZERO_ADDRESS, ...existingAddresses].map((address) => address.toLowerCase()));
+  const notDeployed = addresses.filter(([, address]) => (
+    !skipped.has(address.toLowerCase())
+    && deploySteps.get(address.toLowerCase())?.status !== "confirmed"
+  ));
+
+  if (notDeployed.length > 0) {
+    throw new Error(
+      `Contracts of the manifest not deployed yet:\n${
+        notDeployed.map(([name, address]) => `  ${name}: ${address}`).join("\n")
+      }`,
+    );
+  }
+
+  return journal.manifest;
+}
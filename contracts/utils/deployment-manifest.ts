@@ -0,0 +1,47 @@
+import { z } from "zod";
+
+// Schema of the deployment-manifest.json written by src/scripts/DeployLiquity2.s.sol
+export const ZAddress = z.string().regex(/^0x[0-9a-fA-F]{40}$/);
+export const ZDeploymentManifest = z.object({
+  collateralRegistry: ZAddress,
+  boldToken: ZAddress,
+  hintHelpers: ZAddress,
+  multiTroveGetter: ZAddress,
+  exchangeHelpers: ZAddress.optional(),
+  governance: z.object({
+    governance: ZAddress.optional(),
+  }).passthrough().optional(),
+
+  branches: z.array(
+    z.object({
+      activePool: ZAddress,
+      addressesRegistry: ZAddress,
+      borrowerOperations: ZAddress,
+      collSurplusPool: ZAddress,
+      collToken: ZAddress,
+      // symbol() of collToken, missing from older manifests
+      collSymbol: z.string().optional(),
+      defaultPool: ZAddress,
+      gasCompZapper: ZAddress.optional(),
+      gasPool: ZAddress,
+      interestRouter: ZAddress,
+      leverageZapper: ZAddress,
+      metadataNFT: ZAddress,
+      priceFeed: ZAddress,
+      sortedTroves: ZAddress,
+      stabilityPool: ZAddress,
+      troveManager: ZAddress,
+      troveNFT: ZAddress,
+      wethZapper: ZAddress.optional(),
+    }),
+  ),
+});
+
+export type DeploymentManifest = z.infer<typeof ZDeploymentManifest>;
+
+export type DeploymentManifestBranch = DeploymentManifest["branches"][number];
+
+// Addresses of a branch, leaving out the optional contracts it doesn't have
+export const branchAddresses = ({ collSymbol: _, ...branch }: DeploymentManifestBranch) => (
+  Object.entries(branch).filter((entry): entry is [string, string] => entry[1] !== undefined)
+);
@@ -0,0 +1,300 @@
+import { fs, glob, path } from "zx";
+import { readJournal } from "./deployment-journal";
+import { branchAddresses, DeploymentManifest, ZDeploymentManifest } from "./deployment-manifest";
+
+/* Conversions of a deployment manifest into what the other packages of the repo consume:
+the environment variables of the Next.js app (frontend/app), the networks.json of the
+subgraph, a typed TS module of the addresses and a bundle of the ABIs. The app env can
+also be converted back (see utils/app-env-to-deployment-manifest.ts). */
+
+export async function readDeploymentManifest(file: string): Promise<DeploymentManifest> {
+  const content = await fs.readFile(file, "utf-8");
+  if (!content.trim()) {
+    throw new Error(`Empty deployment manifest: ${file}`);
+  }
+
+  let json: unknown;
+  try {
+    json = JSON.parse(content);
+  } catch {
+    throw new Error(`Invalid JSON in deployment manifest ${file}`);
+  }
+
+  const result = ZDeploymentManifest.safeParse(json);
+  if (!result.success) {
+    const issues = result.error.issues.map(({ path, message }) => `  ${path.join(".") || "(root)"}: ${message}`);
+    throw new Error(`Invalid deployment manifest ${file}:\n${issues.join("\n")}`);
+  }
+  return result.data;
+}
+
+// frontend/app
+
+const APP_ENV_CONTRACT_NAMES: Record<string, string> = {
+  // protocol contracts
+  boldToken: "BOLD_TOKEN",
+  collateralRegistry: "COLLATERAL_REGISTRY",
+  exchangeHelpers: "EXCHANGE_HELPERS",
+  hintHelpers: "HINT_HELPERS",
+  multiTroveGetter: "MULTI_TROVE_GETTER",
+
+  // collateral contracts
+  activePool: "ACTIVE_POOL",
+  addressesRegistry: "ADDRESSES_REGISTRY",
+  borrowerOperations: "BORROWER_OPERATIONS",
+  collSurplusPool: "COLL_SURPLUS_POOL",
+  collToken: "COLL_TOKEN",
+  defaultPool: "DEFAULT_POOL",
+  leverageZapper: "LEVERAGE_ZAPPER",
+  priceFeed: "PRICE_FEED",
+  sortedTroves: "SORTED_TROVES",
+  stabilityPool: "STABILITY_POOL",
+  troveManager: "TROVE_MANAGER",
+  troveNFT: "TROVE_NFT",
+};
+
+export function contractNameToAppEnvVariable(contractName: string, prefix: string) {
+  const name = APP_ENV_CONTRACT_NAMES[contractName];
+  return name ? `NEXT_PUBLIC_${prefix}_${name}` : null;
+}
+
+// COLL_<n>_TOKEN_ID of the app (see CollateralSymbolSchema in frontend/app/src/env.ts), e.g. RETH for rETH
+export const collSymbolToTokenId = (collSymbol: string) => (
+  collSymbol === "WETH" ? "ETH" : collSymbol.toUpperCase()
+);
+
+export function manifestToAppEnv(manifest: DeploymentManifest) {
+  if (manifest.branches.length === 0) {
+    throw new Error("No collateral contracts found in the deployment manifest");
+  }
+
+  const appEnvVariables: Record<string, string> = {
+    // WETH is always the first collateral token
+    NEXT_PUBLIC_CONTRACT_WETH: manifest.branches[0].collToken,
+  };
+
+  const { branches, governance, ...protocol } = manifest;
+
+  // protocol contracts
+  for (const [contractName, address] of Object.entries(protocol)) {
+    const envVarName = contractNameToAppEnvVariable(contractName, "CONTRACT");
+    if (envVarName && address) {
+      appEnvVariables[envVarName] = address;
+    }
+  }
+
+  if (governance?.governance) {
+    appEnvVariables.NEXT_PUBLIC_CONTRACT_GOVERNANCE = governance.governance;
+  }
+
+  // collateral contracts
+  for (const [index, branch] of branches.entries()) {
+    for (const [contractName, address] of branchAddresses(branch)) {
+      const envVarName = contractNameToAppEnvVariable(contractName, `COLL_${index}_CONTRACT`);
+      if (envVarName) {
+        appEnvVariables[envVarName] = address;
+      }
+    }
+    if (branch.collSymbol) {
+      appEnvVariables[`NEXT_PUBLIC_COLL_${index}_TOKEN_ID`] = collSymbolToTokenId(branch.collSymbol);
+    }
+  }
+
+  return appEnvVariables;
+}
+
+// Collateral variables first, the rest sorted by name
+export function formatEnv(variables: Record<string, string>) {
+  return Object.entries(variables)
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .sort((a, b) => {
+      if (a.includes("_COLL_") && !b.includes("_COLL_")) {
+        return -1;
+      }
+      if (!a.includes("_COLL_") && b.includes("_COLL_")) {
+        return 1;
+      }
+      return 0;
+    })
+    .join("\n");
+}
+
+// Replaces the variables already set in an env file, and appends the others
+export function mergeEnv(content: string, variables: Record<string, string>) {
+  const remaining = new Map(Object.entries(variables));
+
+  const lines = content.split("\n").map((line) => {
+    const key = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=/)?.[1];
+    const value = key && remaining.get(key);
+    if (!key || value === undefined) return line;
+    remaining.delete(key);
+    return `${key}=${value}`;
+  });
+
+  const merged = lines.join("\n").trimEnd();
+  if (remaining.size === 0) return `${merged}\n`;
+
+  const appended = formatEnv(Object.fromEntries(remaining));
+  return merged ? `${merged}\n\n${appended}\n` : `${appended}\n`;
+}
+
+// KEY=VALUE lines of an env file, comments and quotes left out
+export function parseEnv(content: string) {
+  const variables: Record<string, string> = {};
+  for (const line of content.split("\n")) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (match) {
+      variables[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+    }
+  }
+  return variables;
+}
+
+// Inverse of manifestToAppEnv(). Contracts the app doesn't know about (e.g. the gas pool of each
+// branch) are missing from the result, as well as the parts of the manifest the env doesn't set.
+export function appEnvToManifest(env: Record<string, string>) {
+  const get = (name: string) => env[`NEXT_PUBLIC_${name}`] || env[name] || undefined;
+
+  const contracts = (prefix: string) => {
+    const addresses: Record<string, string> = {};
+    for (const [contractName, envName] of Object.entries(APP_ENV_CONTRACT_NAMES)) {
+      const address = get(`${prefix}_${envName}`);
+      if (address) addresses[contractName] = address;
+    }
+    return addresses;
+  };
+
+  const branches: Array<Record<string, string>> = [];
+  const tokenIds: Array<string | undefined> = [];
+
+  // same as the app, branches are read until the first index without any contract
+  for (let index = 0;; index++) {
+    const branch = contracts(`COLL_${index}_CONTRACT`);
+    if (Object.keys(branch).length === 0) break;
+    branches.push(branch);
+    tokenIds.push(get(`COLL_${index}_TOKEN_ID`));
+  }
+
+  const governance = get("CONTRACT_GOVERNANCE");
+
+  return {
+    manifest: {
+      ...contracts("CONTRACT"),
+      ...(governance ? { governance: { governance } } : {}),
+      branches,
+    },
+    tokenIds,
+  };
+}
+
+// subgraph
+
+export interface SubgraphDataSource {
+  address: string;
+  startBlock?: number;
+}
+
+export type SubgraphNetworks = Record<string, Record<string, SubgraphDataSource>>;
+
+// Blocks in which the contracts got deployed, according to the deployment journal
+export async function getDeploymentBlocks() {
+  const journal = await readJournal();
+  const blocks = new Map<string, number>();
+
+  for (const step of journal?.steps ?? []) {
+    if (step.kind === "deploy" && step.address && step.blockNumber !== undefined) {
+      blocks.set(step.address.toLowerCase(), step.blockNumber);
+    }
+  }
+  return blocks;
+}
+
+// Data sources of subgraph/subgraph.yaml. Without a start block, the subgraph indexes the whole chain.
+export function manifestToSubgraphNetwork(
+  manifest: DeploymentManifest,
+  startBlock: (address: string) => number | undefined,
+) {
+  const dataSource = (address: string): SubgraphDataSource => {
+    const block = startBlock(address);
+    return block === undefined ? { address } : { address, startBlock: block };
+  };
+
+  const network: Record<string, SubgraphDataSource> = {
+    BoldToken: dataSource(manifest.boldToken),
+  };
+  if (manifest.governance?.governance) {
+    network.Governance = dataSource(manifest.governance.governance);
+  }
+  return network;
+}
+
+// Data sources missing from the manifest (e.g. a deployment without governance) are left as they were
+export function mergeSubgraphNetworks(
+  networks: SubgraphNetworks,
+  name: string,
+  network: Record<string, SubgraphDataSource>,
+): SubgraphNetworks {
+  return { ...networks, [name]: { ...networks[name], ...network } };
+}
+
+// addresses module
+
+export function manifestToAddressesModule(manifest: DeploymentManifest, source: string) {
+  return `// Generated from ${source} by contracts/utils/export-deployment.ts, do not edit.
+
+export const deployment = ${JSON.stringify(manifest, null, 2)} as const;
+
+export type Deployment = typeof deployment;
+export type DeploymentBranch = Deployment["branches"][number];
+`;
+}
+
+// ABI bundle
+
+// Contract (or interface) whose ABI is used for each entry of the manifest. Some of them depend
+// on the deployment (e.g. the price feed or the zapper of a branch), so their interface is used.
+const ABI_CONTRACT_NAMES: Record<string, string> = {
+  boldToken: "BoldToken",
+  collateralRegistry: "CollateralRegistry",
+  exchangeHelpers: "IExchangeHelpers",
+  hintHelpers: "HintHelpers",
+  multiTroveGetter: "MultiTroveGetter",
+
+  activePool: "ActivePool",
+  addressesRegistry: "AddressesRegistry",
+  borrowerOperations: "BorrowerOperations",
+  collSurplusPool: "CollSurplusPool",
+  collToken: "IERC20Metadata",
+  defaultPool: "DefaultPool",
+  gasCompZapper: "GasCompZapper",
+  gasPool: "GasPool",
+  interestRouter: "IInterestRouter",
+  leverageZapper: "ILeverageZapper",
+  metadataNFT: "MetadataNFT",
+  priceFeed: "IPriceFeed",
+  sortedTroves: "SortedTroves",
+  stabilityPool: "StabilityPool",
+  troveManager: "TroveManager",
+  troveNFT: "TroveNFT",
+  wethZapper: "WETHZapper",
+};
+
+// Reads the ABIs of the contracts of the manifest from the forge artifacts (out/<File>.sol/<Contract>.json)
+export async function readAbiBundle(manifest: DeploymentManifest, outDir = "out") {
+  const names = new Set([
+    ...Object.keys(manifest),
+    ...manifest.branches.flatMap((branch) => branchAddresses(branch).map(([name]) => name)),
+  ]);
+  const contracts = [...names].map((name) => ABI_CONTRACT_NAMES[name]).filter(Boolean).sort();
+
+  const abis: Record<string, unknown[]> = {};
+  for (const contract of contracts) {
+    const [artifact] = (await glob(path.join(outDir, "*", `${contract}.json`))).sort();
+    if (!artifact) {
+      throw new Error(`No artifact found for ${contract} in ${outDir}/, run forge build first`);
+    }
+    abis[contract] = (await fs.readJson(artifact)).abi;
+  }
+  return abis;
+}
@@ -36,7 +36,8 @@ async function main() {
 
   let namesWidth = 0;
   const contractsLog = [];
-  for (const contract of Object.values(contracts)) {
+  // skip the `branches` list and branch metadata, keeping only contract instances
+  for (const contract of Object.values(contracts).filter((value) => typeof value?.address === "string")) {
     const { contractName } = contract.constructor;
     contractsLog.push([contractName, contract.address]);
     namesWidth = Math.max(namesWidth, contractName.length);
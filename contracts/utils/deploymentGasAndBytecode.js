@@ -1,73 +1,104 @@
-// Hardhat script
-const SortedTroves = artifacts.require("./SortedTroves.sol");
-const TroveManager = artifacts.require("./TroveManager.sol");
-const PriceFeed = artifacts.require("./PriceFeed.sol");
-const BoldToken = artifacts.require("./BoldToken.sol");
-const ActivePool = artifacts.require("./ActivePool.sol");
-const DefaultPool = artifacts.require("./DefaultPool.sol");
-const StabilityPool = artifacts.require("./StabilityPool.sol");
-const BorrowerOperations = artifacts.require("./BorrowerOperations.sol");
-
-const LQTYStaking = artifacts.require("./LQTY/LQTYStaking.sol");
-const LQTYToken = artifacts.require("./LQTY/LQTYToken.sol");
-const CommunityIssuance = artifacts.require("./LQTY/CommunityIssuance.sol");
-const HintHelpers = artifacts.require("./HintHelpers.sol");
-
-const CommunityIssuanceTester = artifacts.require(
-  "./LQTY/CommunityIssuanceTester.sol",
-);
-const ActivePoolTester = artifacts.require("./ActivePoolTester.sol");
-const DefaultPoolTester = artifacts.require("./DefaultPoolTester.sol");
-const LiquityMathTester = artifacts.require("./LiquityMathTester.sol");
-const BorrowerOperationsTester = artifacts.require(
-  "./BorrowerOperationsTester.sol",
-);
-const TroveManagerTester = artifacts.require("./TroveManagerTester.sol");
-// const BoldTokenTester = artifacts.require("./BoldTokenTester.sol");
-
-const { TestHelper: th } = require("../utils/testHelpers.js");
-
-const dh = require("./deploymentHelpers.js");
-const ARBITRARY_ADDRESS = "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419"; // placeholder for the LPrewards bounty addresses
-
-const coreContractABIs = [
-  BorrowerOperations,
-  PriceFeed,
-  BoldToken,
-  SortedTroves,
-  TroveManager,
-  ActivePool,
-  StabilityPool,
-  DefaultPool,
-  HintHelpers,
+// Hardhat script: log the deployment gas costs and the runtime bytecode sizes
+// of every contract needed by a Liquity deployment.
+//
+// Run with: npx hardhat run utils/deploymentGasAndBytecode.js
+//
+// Bytecode sizes are read from the Hardhat artifacts. Since hardhat.config.js sets
+// allowUnlimitedContractSize, oversized contracts would go unnoticed in the Hardhat tests:
+// this script warns when a contract gets close to the EIP-170 limit.
+//
+// Deployment gas costs are read from the broadcast file of a DeployLiquity2.s.sol run,
+// e.g. after `./deploy local` against anvil (set BROADCAST_FILE to use another run).
+
+const fs = require("fs");
+const hre = require("hardhat");
+
+const EIP170_MAX_CODE_SIZE = 24576;
+const WARNING_RATIO = 0.9; // warn at 90% of the limit
+
+const DEFAULT_BROADCAST_FILE = "broadcast/DeployLiquity2.s.sol/31337/run-latest.json";
+
+const GAS_PRICE_GWEI = Number(process.env.GAS_PRICE_GWEI ?? 20);
+const ETH_PRICE_USD = Number(process.env.ETH_PRICE_USD ?? 2500);
+
+// Contracts deployed once per deployment
+const protocolContracts = [
+  "BoldToken",
+  "CollateralRegistry",
+  "HintHelpers",
+  "MultiTroveGetter",
 ];
 
-const LQTYContractABIs = [LQTYStaking, LQTYToken, CommunityIssuance];
-
-// const TesterContractABIs = [
-//   CommunityIssuanceTester,
-//   ActivePoolTester,
-//   DefaultPoolTester,
-//   LiquityMathTester,
-//   BorrowerOperationsTester,
-//   TroveManagerTester,
-//   // BoldTokenTester,
-// ];
-
-const getGasFromContractDeployment = async (contractObject, name) => {
-  const txHash = contractObject.transactionHash;
-  // console.log(`tx hash  of ${name} deployment is is: ${txHash}`)
-  const receipt = await ethers.provider.getTransactionReceipt(txHash);
-  const gas = receipt.gasUsed;
-  console.log(`${name}: ${gas}`);
-  return gas;
+// Contracts deployed once per branch
+const branchContracts = [
+  "AddressesRegistry",
+  "ActivePool",
+  "BorrowerOperations",
+  "CollSurplusPool",
+  "DefaultPool",
+  "GasPool",
+  "SortedTroves",
+  "StabilityPool",
+  "TroveManager",
+  "TroveNFT",
+];
+
+// Each branch gets the zappers matching its collateral
+const zapperContracts = [
+  "WETHZapper",
+  "GasCompZapper",
+  "LeverageWETHZapper",
+  "LeverageLSTZapper",
+  "BalancerFlashLoan",
+  "CurveExchange",
+  "UniV3Exchange",
+  "HybridCurveUniV3Exchange",
+];
+
+// Each branch gets the price feed matching its collateral
+const priceFeedContracts = [
+  "WETHPriceFeed",
+  "WSTETHPriceFeed",
+  "RETHPriceFeed",
+];
+
+const groups = [
+  ["PROTOCOL CONTRACTS", protocolContracts],
+  ["BRANCH CONTRACTS", branchContracts],
+  ["ZAPPERS", zapperContracts],
+  ["PRICE FEEDS", priceFeedContracts],
+];
+
+const getBytecodeSize = (bytecode) => (bytecode.length - 2) / 2;
+
+const getSizeWarning = (size) => {
+  if (size > EIP170_MAX_CODE_SIZE) return "EXCEEDS THE EIP-170 LIMIT";
+  if (size > EIP170_MAX_CODE_SIZE * WARNING_RATIO) return "close to the EIP-170 limit";
+  return "";
 };
 
-const getBytecodeSize = (contractABI) => {
-  const bytecodeLength = contractABI.bytecode.length / 2 - 1;
-  const deployedBytecodeLength = contractABI.deployedBytecode.length / 2 - 1;
-  console.log(`${contractABI.contractName}: ${bytecodeLength}`);
-  // console.log(`${contractABI.contractName} deployed bytecode length: ${deployedBytecodeLength}`)
+// Returns a map of contract name => list of gas used by each of its deployments
+const getDeploymentGasFromBroadcast = (broadcastFile) => {
+  const gasByContract = new Map();
+
+  if (!fs.existsSync(broadcastFile)) {
+    return gasByContract;
+  }
+
+  const { transactions, receipts } = JSON.parse(fs.readFileSync(broadcastFile, "utf8"));
+  const receiptsByHash = new Map(receipts.map((receipt) => [receipt.transactionHash, receipt]));
+
+  for (const { hash, transactionType, contractName } of transactions) {
+    const receipt = receiptsByHash.get(hash);
+    if (!contractName || !receipt || !transactionType.startsWith("CREATE")) continue;
+
+    gasByContract.set(contractName, [
+      ...(gasByContract.get(contractName) ?? []),
+      Number(BigInt(receipt.gasUsed)),
+    ]);
+  }
+
+  return gasByContract;
 };
 
 const getUSDCostFromGasCost = (
@@ -77,71 +108,90 @@ const getUSDCostFromGasCost = (
 ) => {
   const dollarCost = (deploymentGasTotal * gasPriceInGwei * ETHPrice) / 1e9;
   console.log(
-    `At gas price ${gasPriceInGwei} GWei, and ETH Price $${ETHPrice} per ETH, the total cost of deployment in USD is: $${dollarCost}`,
+    `At gas price ${gasPriceInGwei} GWei, and ETH Price $${ETHPrice} per ETH, the total cost of deployment in USD is: $${
+      dollarCost.toFixed(2)
+    }`,
   );
 };
 
-const logContractDeploymentCosts = async (contracts) => {
-  console.log(`Gas costs for deployments: `);
-  let totalGasCost = 0;
-  for (contractName of Object.keys(contracts)) {
-    const gasCost = await getGasFromContractDeployment(
-      contracts[contractName],
-      contractName,
+const logContracts = async (contractNames, gasByContract) => {
+  const namesWidth = Math.max(...contractNames.map((name) => name.length));
+  const warnings = [];
+  let totalGas = 0;
+
+  for (const name of contractNames) {
+    const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+    const size = getBytecodeSize(deployedBytecode);
+    const sizeWarning = getSizeWarning(size);
+
+    // average over the branches, for contracts deployed more than once
+    const deployments = gasByContract.get(name) ?? [];
+    const gas = deployments.length > 0
+      ? Math.round(deployments.reduce((a, b) => a + b, 0) / deployments.length)
+      : undefined;
+    totalGas += gas ?? 0;
+
+    const percent = (size / EIP170_MAX_CODE_SIZE * 100).toFixed(1);
+    console.log(
+      `${name.padEnd(namesWidth)}  size: ${String(size).padStart(5)} (${percent.padStart(5)}%)  `
+        + `deployment gas: ${gas === undefined ? "n/a" : String(gas).padStart(8)}`
+        + (sizeWarning ? `  <-- ${sizeWarning}` : ""),
     );
-    totalGasCost = totalGasCost + Number(gasCost);
-  }
-  console.log(`Total deployment gas costs: ${totalGasCost}`);
-  getUSDCostFromGasCost(totalGasCost, 200, 1850);
-};
 
-const logContractObjects = async (contracts) => {
-  console.log(`Contract objects addresses:`);
-  let totalGasCost = 0;
-  for (contractName of Object.keys(contracts)) {
-    const gasCost = await getGasFromContractDeployment(
-      contracts[contractName],
-      contractName,
-    );
-    totalGasCost = totalGasCost + Number(gasCost);
+    if (sizeWarning) warnings.push([name, size, sizeWarning]);
   }
-};
 
-const logContractBytecodeLengths = (contractABIs) => {
-  console.log(`Contract bytecode lengths:`);
-  for (abi of contractABIs) {
-    getBytecodeSize(abi);
-  }
+  return { totalGas, warnings };
 };
 
 // Run script: log deployment gas costs and bytecode lengths for all contracts
 async function main() {
-  const coreContracts = await dh.deployLiquityCoreHardhat();
-  const LQTYContracts = await dh.deployLQTYContractsHardhat(
-    ARBITRARY_ADDRESS,
-    ARBITRARY_ADDRESS,
-  );
+  await hre.run("compile", { quiet: true });
 
-  await dh.connectCoreContracts(coreContracts, LQTYContracts);
-  await dh.connectLQTYContracts(LQTYContracts);
-  await dh.connectLQTYContractsToCore(LQTYContracts, coreContracts);
+  const broadcastFile = process.env.BROADCAST_FILE ?? DEFAULT_BROADCAST_FILE;
+  const gasByContract = getDeploymentGasFromBroadcast(broadcastFile);
 
-  console.log(`\n`);
-  console.log(`LQTY CONTRACTS`);
-  await logContractDeploymentCosts(LQTYContracts);
-  console.log(`\n`);
-  logContractBytecodeLengths(LQTYContractABIs);
-  console.log(`\n`);
+  if (gasByContract.size === 0) {
+    console.log(`No deployment found in ${broadcastFile}, deployment gas costs won't be shown.`);
+    console.log(`Run a deployment first (e.g. ./deploy local), or set BROADCAST_FILE.`);
+  }
 
-  console.log(`CORE CONTRACTS`);
-  await logContractDeploymentCosts(coreContracts);
-  console.log(`\n`);
-  logContractBytecodeLengths(coreContractABIs);
+  const warnings = [];
+  const totalGasByGroup = {};
+
+  for (const [title, contractNames] of groups) {
+    console.log(`\n`);
+    console.log(title);
+    const result = await logContracts(contractNames, gasByContract);
+    warnings.push(...result.warnings);
+    totalGasByGroup[title] = result.totalGas;
+  }
   console.log(`\n`);
+
+  if (gasByContract.size > 0) {
+    const totalGas = [...gasByContract.values()].flat().reduce((a, b) => a + b, 0);
+    console.log(`Deployment gas of one branch (without zappers): ${totalGasByGroup["BRANCH CONTRACTS"]}`);
+    console.log(`Total deployment gas costs (all contracts in ${broadcastFile}): ${totalGas}`);
+    getUSDCostFromGasCost(totalGas, GAS_PRICE_GWEI, ETH_PRICE_USD);
+    console.log(`\n`);
+  }
+
+  if (warnings.length > 0) {
+    console.log(
+      `WARNING: ${warnings.length} contract(s) close to or above the EIP-170 limit (${EIP170_MAX_CODE_SIZE} bytes):`,
+    );
+    for (const [name, size, sizeWarning] of warnings) {
+      console.log(`  ${name}: ${size} bytes, ${sizeWarning}`);
+    }
+  }
+
+  if (warnings.some(([, size]) => size > EIP170_MAX_CODE_SIZE)) {
+    process.exitCode = 1;
+  }
 }
 
 main()
-  .then(() => process.exit(0))
+  .then(() => process.exit())
   .catch((error) => {
     console.error(error);
     process.exit(1);
@@ -21,17 +21,36 @@ const Constants = artifacts.require("./Constants.sol");
 // );
 
 const { web3, ethers } = require("hardhat");
-const { accountsList } = require("../hardhatAccountsList2k.js");
 const { fundAccounts } = require("./fundAccounts.js");
 
+// Default parameters of a branch, used for any value missing from a branch config.
+// A branch named "WETH" uses the shared WETH token as its collateral, any other
+// name gets its own ERC20 collateral token.
+const DEFAULT_BRANCH_CONFIG = {
+  name: "WETH",
+  MCR: "1100000000000000000", // 110%
+  SCR: "1100000000000000000", // 110%
+  liquidationPenaltySP: "100000000000000000", // 10%
+  liquidationPenaltyRedistribution: "100000000000000000", // 10%
+};
+
 class DeploymentHelper {
-  static async deployLiquityCore(mocks = {}) {
-    return await this.deployLiquityCoreHardhat(mocks);
+  static async deployLiquityCore(mocks = {}, branchConfigs) {
+    return await this.deployLiquityCoreHardhat(mocks, branchConfigs);
   }
 
+  // Deploys one branch per entry of `branchConfigs`, all sharing the same BoldToken and
+  // CollateralRegistry. The contracts of the first branch are also returned at the top
+  // level, so that single-collateral tests keep working unchanged. Each entry of the
+  // returned `branches` array has the same shape, and can be passed to TestHelper
+  // functions in place of the top level object.
   static async deployLiquityCoreHardhat(mocks = {
     PriceFeed: PriceFeedMock, // PriceFeed gets a mock by default
-  }) {
+  }, branchConfigs = [{}]) {
+    if (branchConfigs.length === 0) {
+      throw new Error("At least one branch is needed");
+    }
+
     const WETH = await ERC20.new("WETH", "WETH");
 
     // Contracts, with mocks overriding defaults
@@ -59,31 +78,88 @@ class DeploymentHelper {
         ]),
     );
 
-    // Borrowing contracts
-    const activePool = await Contracts.ActivePool.new(WETH.address);
+    const configs = branchConfigs.map((config) => ({ ...DEFAULT_BRANCH_CONFIG, ...config }));
+
+    const collTokens = [];
+    for (const { name } of configs) {
+      collTokens.push(name === "WETH" ? WETH : await ERC20.new(name, name));
+    }
+
+    const constants = await Contracts.Constants.new();
+    const boldToken = await Contracts.BoldToken.new();
+    const collateralRegistry = await Contracts.CollateralRegistry.new(
+      boldToken.address,
+      collTokens.map((token) => token.address),
+    );
+    const mockInterestRouter = await MockInterestRouter.new();
+    const hintHelpers = await Contracts.HintHelpers.new(collateralRegistry.address);
+
+    const sharedContracts = {
+      WETH,
+      boldToken,
+      hintHelpers,
+      mockInterestRouter,
+      collateralRegistry,
+      constants,
+    };
+
+    const branches = [];
+    for (const [collIndex, config] of configs.entries()) {
+      const branchContracts = await this.deployBranchHardhat(
+        Contracts,
+        config,
+        collTokens[collIndex],
+        sharedContracts,
+      );
+      branches.push({ ...sharedContracts, ...branchContracts, collIndex, config });
+    }
+
+    // Truffle only keeps track of one deployed instance per artifact,
+    // so the first branch is the one registered as deployed.
+    const [firstBranch] = branches;
+    Contracts.BoldToken.setAsDeployed(boldToken);
+    Contracts.DefaultPool.setAsDeployed(firstBranch.defaultPool);
+    Contracts.PriceFeedTestnet.setAsDeployed(firstBranch.priceFeedTestnet);
+    Contracts.SortedTroves.setAsDeployed(firstBranch.sortedTroves);
+    Contracts.TroveManager.setAsDeployed(firstBranch.troveManager);
+    Contracts.ActivePool.setAsDeployed(firstBranch.activePool);
+    Contracts.StabilityPool.setAsDeployed(firstBranch.stabilityPool);
+    Contracts.GasPool.setAsDeployed(firstBranch.gasPool);
+    Contracts.CollSurplusPool.setAsDeployed(firstBranch.collSurplusPool);
+    Contracts.BorrowerOperations.setAsDeployed(firstBranch.borrowerOperations);
+    Contracts.HintHelpers.setAsDeployed(hintHelpers);
+    MockInterestRouter.setAsDeployed(mockInterestRouter);
+    Contracts.CollateralRegistry.setAsDeployed(collateralRegistry);
+    Contracts.Constants.setAsDeployed(constants);
+
+    const coreContracts = {
+      ...firstBranch,
+      branches,
+    };
+    return coreContracts;
+  }
+
+  // Deploys the contracts of a single branch (not connected yet)
+  static async deployBranchHardhat(Contracts, config, collToken, { WETH, boldToken, collateralRegistry }) {
+    const activePool = await Contracts.ActivePool.new(collToken.address);
     const troveNFT = await Contracts.TroveNFT.new();
     const borrowerOperations = await Contracts.BorrowerOperations.new(
-      web3.utils.toBN("1100000000000000000"), // MCR
-      web3.utils.toBN("1100000000000000000"), // SCR
-      WETH.address,
+      web3.utils.toBN(config.MCR),
+      web3.utils.toBN(config.SCR),
+      collToken.address,
       troveNFT.address,
-      WETH.address
+      WETH.address,
     );
-    const collSurplusPool = await Contracts.CollSurplusPool.new(WETH.address);
-    const defaultPool = await Contracts.DefaultPool.new(WETH.address);
+    const collSurplusPool = await Contracts.CollSurplusPool.new(collToken.address);
+    const defaultPool = await Contracts.DefaultPool.new(collToken.address);
     const gasPool = await Contracts.GasPool.new();
     const priceFeedTestnet = await Contracts.PriceFeedTestnet.new();
-    const priceFeed = await Contracts.PriceFeedMock.new();
     const sortedTroves = await Contracts.SortedTroves.new();
-    const stabilityPool = await Contracts.StabilityPool.new(WETH.address);
-    const constants = await Contracts.Constants.new();
+    const stabilityPool = await Contracts.StabilityPool.new(collToken.address);
 
-    const boldToken = await Contracts.BoldToken.new();
-
-    const collateralRegistry = await Contracts.CollateralRegistry.new(boldToken.address, [WETH.address]);
     const troveManagerParams = {
-      liquidationPenaltySP: "100000000000000000",
-      liquidationPenaltyRedistribution: "100000000000000000",
+      liquidationPenaltySP: config.liquidationPenaltySP,
+      liquidationPenaltyRedistribution: config.liquidationPenaltyRedistribution,
       troveNFT: troveNFT.address,
       borrowerOperations: borrowerOperations.address,
       activePool: activePool.address,
@@ -95,43 +171,17 @@ class DeploymentHelper {
       boldToken: boldToken.address,
       sortedTroves: sortedTroves.address,
       weth: WETH.address,
-      collateralRegistry: collateralRegistry.address
+      collateralRegistry: collateralRegistry.address,
     };
     const troveManager = await Contracts.TroveManager.new(troveManagerParams);
 
-    const mockInterestRouter = await MockInterestRouter.new();
-    const hintHelpers = await Contracts.HintHelpers.new(collateralRegistry.address);
-
-    // // Needed?
-    // const price = await priceFeed.getPrice();
-    // const uint128Max = web3.utils.toBN(
-    //   "340282366920938463463374607431768211455"
-    // );
-    // const uint192Max = web3.utils.toBN(
-    //   "6277101735386680763835789423207666416102355444464034512895"
-    // );
-
-    // TODO: setAsDeployed all above?
-
-    Contracts.BoldToken.setAsDeployed(boldToken);
-    Contracts.DefaultPool.setAsDeployed(defaultPool);
-    Contracts.PriceFeedTestnet.setAsDeployed(priceFeedTestnet);
-    Contracts.SortedTroves.setAsDeployed(sortedTroves);
-    Contracts.TroveManager.setAsDeployed(troveManager);
-    Contracts.ActivePool.setAsDeployed(activePool);
-    Contracts.StabilityPool.setAsDeployed(stabilityPool);
-    Contracts.GasPool.setAsDeployed(gasPool);
-    Contracts.CollSurplusPool.setAsDeployed(collSurplusPool);
-    Contracts.BorrowerOperations.setAsDeployed(borrowerOperations);
-    Contracts.HintHelpers.setAsDeployed(hintHelpers);
-    MockInterestRouter.setAsDeployed(mockInterestRouter);
-    Contracts.CollateralRegistry.setAsDeployed(troveManager);
-    Contracts.Constants.setAsDeployed(constants);
+    if (config.price !== undefined) {
+      await priceFeedTestnet.setPrice(config.price);
+    }
 
-    const coreContracts = {
-      WETH,
+    return {
+      collToken,
       priceFeedTestnet,
-      boldToken,
       sortedTroves,
       troveManager,
       troveNFT,
@@ -141,16 +191,26 @@ class DeploymentHelper {
       defaultPool,
       collSurplusPool,
       borrowerOperations,
-      hintHelpers,
-      mockInterestRouter,
-      collateralRegistry,
-      constants,
     };
-    return coreContracts;
   }
 
   // Connect contracts to their dependencies
   static async connectCoreContracts(contracts) {
+    const branches = contracts.branches ?? [contracts];
+
+    for (const [collIndex, branch] of branches.entries()) {
+      await this.connectBranchContracts(branch);
+      await contracts.collateralRegistry.setTroveManager(collIndex, branch.troveManager.address);
+    }
+
+    // Renounces BoldToken ownership, so it must come after all the branches are set
+    await contracts.boldToken.setCollateralRegistry(
+      contracts.collateralRegistry.address,
+    );
+  }
+
+  // Connect the contracts of a single branch to their dependencies
+  static async connectBranchContracts(contracts) {
     await contracts.boldToken.setBranchAddresses(
       contracts.troveManager.address,
       contracts.stabilityPool.address,
@@ -212,14 +272,9 @@ class DeploymentHelper {
     await contracts.gasPool.setAllowance(
       contracts.WETH.address,
       contracts.borrowerOperations.address,
-      contracts.troveManager.address
-    );
-
-    await contracts.boldToken.setCollateralRegistry(
-      contracts.collateralRegistry.address,
+      contracts.troveManager.address,
     );
-
-    await contracts.collateralRegistry.setTroveManager(0, contracts.troveManager.address);
   }
 }
+
 module.exports = DeploymentHelper;
@@ -0,0 +1,216 @@
+const assert = require("assert");
+const { toBigInt } = require("./fixedPoint.js");
+
+/* Decoding of the TroveManager and StabilityPool events, driven by the ABIs of the compiled contracts.
+
+Events are decoded from the raw logs of a transaction into plain objects, with the parameters named as
+in the event declaration (without the leading underscore), integers as BigInt and enums as strings.
+For example, a liquidation emits:
+
+  {
+    event: "TroveOperation",
+    address: "0x...", // TroveManager of the branch
+    logIndex: 3,
+    troveId: 123n,
+    operation: "liquidate",
+    annualInterestRate: 0n,
+    debtIncreaseFromRedist: 0n,
+    debtIncreaseFromUpfrontFee: 0n,
+    debtChangeFromOperation: -2000000000000000000000n,
+    collIncreaseFromRedist: 0n,
+    collChangeFromOperation: -1000000000000000000n,
+  }
+
+Example usage:
+
+  const tx = await troveManager.liquidate(troveId);
+  expectTroveOperation(tx, { troveId, operation: "liquidate" });
+
+  const [deposit] = getDepositUpdates(tx, { depositor: alice }); */
+
+// See the enums of ITroveEvents.sol and IStabilityPoolEvents.sol, in declaration order
+const TROVE_OPERATIONS = [
+  "openTrove",
+  "closeTrove",
+  "adjustTrove",
+  "adjustTroveInterestRate",
+  "applyPendingDebt",
+  "liquidate",
+  "redeemCollateral",
+  "openTroveAndJoinBatch",
+  "setInterestBatchManager",
+  "removeFromBatch",
+];
+
+const BATCH_OPERATIONS = [
+  "registerBatchManager",
+  "lowerBatchManagerAnnualFee",
+  "setBatchManagerAnnualInterestRate",
+  "applyBatchInterestAndFee",
+  "joinBatch",
+  "exitBatch",
+  "troveChange",
+];
+
+const DEPOSIT_OPERATIONS = [
+  "provideToSP",
+  "withdrawFromSP",
+  "claimAllCollGains",
+];
+
+// Keyed by the internalType of the event parameters
+const ENUMS = {
+  "enum ITroveEvents.Operation": TROVE_OPERATIONS,
+  "enum ITroveEvents.BatchOperation": BATCH_OPERATIONS,
+  "enum IStabilityPoolEvents.Operation": DEPOSIT_OPERATIONS,
+};
+
+const OPERATIONS_BY_EVENT = {
+  TroveOperation: TROVE_OPERATIONS,
+  BatchUpdated: BATCH_OPERATIONS,
+};
+
+// Decoded events => contract whose ABI declares them
+const EVENT_SOURCES = {
+  TroveOperation: "TroveManager",
+  BatchUpdated: "TroveManager",
+  DepositUpdated: "StabilityPool",
+  S_Updated: "StabilityPool",
+  B_Updated: "StabilityPool",
+};
+
+// event name => { abi, topic }, loaded from the artifacts on first use
+let eventAbis;
+
+const getEventAbis = () => {
+  if (eventAbis) return eventAbis;
+
+  eventAbis = {};
+  for (const [name, contractName] of Object.entries(EVENT_SOURCES)) {
+    const abi = artifacts.require(contractName).abi.find((item) => item.type === "event" && item.name === name);
+    if (!abi) {
+      throw new Error(`Event ${name} not found in the ABI of ${contractName}`);
+    }
+    eventAbis[name] = { abi, topic: web3.eth.abi.encodeEventSignature(abi) };
+  }
+  return eventAbis;
+};
+
+const paramName = (name) => name.replace(/^_/, "");
+
+const decodeValue = ({ type, internalType }, value) => {
+  if (ENUMS[internalType]) {
+    const name = ENUMS[internalType][Number(value)];
+    if (name === undefined) {
+      throw new Error(`Unknown value ${value} of ${internalType}, update the enums of utils/events.js`);
+    }
+    return name;
+  }
+  if (/^u?int\d*$/.test(type)) return toBigInt(value);
+  return value;
+};
+
+// Truffle transaction results expose the raw logs in receipt.rawLogs, web3 and ethers receipts in logs
+const getRawLogs = (tx) => (tx.receipt?.rawLogs ?? tx.rawLogs ?? tx.logs ?? []).filter((log) => log.topics);
+
+const decodeLog = (log) => {
+  const entry = Object.entries(getEventAbis()).find(([, { topic }]) => topic === log.topics[0]);
+  if (!entry) return null;
+
+  const [event, { abi }] = entry;
+  const values = web3.eth.abi.decodeLog(abi.inputs, log.data, log.topics.slice(1));
+
+  return {
+    event,
+    address: log.address,
+    logIndex: Number(log.logIndex),
+    ...Object.fromEntries(abi.inputs.map((input) => [paramName(input.name), decodeValue(input, values[input.name])])),
+  };
+};
+
+const isMatch = (actual, expected) => {
+  if (typeof expected === "function") return expected(actual);
+  if (typeof actual === "bigint") return actual === toBigInt(expected);
+  if (typeof actual === "string" && typeof expected === "string") {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  return actual === expected;
+};
+
+// Checks every field of `expected` against the event. Expected values can be
+// predicates, e.g. { debtChangeFromOperation: (x) => x < 0n }
+const matches = (event, expected) => (
+  Object.entries(expected).every(([key, value]) => key in event && isMatch(event[key], value))
+);
+
+// Decodes all the known events of a transaction, in log order
+const decodeEvents = (tx) => getRawLogs(tx).map(decodeLog).filter(Boolean);
+
+const getEvents = (tx, eventName, filter = {}) => {
+  if (!EVENT_SOURCES[eventName]) {
+    throw new Error(`Unsupported event: ${eventName} (supported: ${Object.keys(EVENT_SOURCES).join(", ")})`);
+  }
+  return decodeEvents(tx).filter((event) => event.event === eventName && matches(event, filter));
+};
+
+const getTroveOperations = (tx, filter) => getEvents(tx, "TroveOperation", filter);
+const getBatchUpdates = (tx, filter) => getEvents(tx, "BatchUpdated", filter);
+const getDepositUpdates = (tx, filter) => getEvents(tx, "DepositUpdated", filter);
+const getSUpdates = (tx, filter) => getEvents(tx, "S_Updated", filter);
+const getBUpdates = (tx, filter) => getEvents(tx, "B_Updated", filter);
+
+const stringify = (value) => (
+  JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : typeof v === "function" ? "<predicate>" : v))
+);
+
+// Asserts that the transaction emitted at least one matching event, and returns the first one
+const expectEvent = (tx, eventName, expected = {}) => {
+  // catch typos, which would otherwise only show up as a missing event
+  const operations = OPERATIONS_BY_EVENT[eventName];
+  if (operations && typeof expected.operation === "string") {
+    assert.ok(operations.includes(expected.operation), `Unknown ${eventName} operation: ${expected.operation}`);
+  }
+
+  const candidates = getEvents(tx, eventName);
+  const event = candidates.find((event) => matches(event, expected));
+
+  assert.ok(
+    event,
+    `Expected a ${eventName} event matching ${stringify(expected)}, found:\n`
+      + (candidates.length > 0 ? candidates.map((event) => `  ${stringify(event)}`).join("\n") : "  (none)"),
+  );
+
+  return event;
+};
+
+// Asserts that the transaction emitted no matching event
+const expectNoEvent = (tx, eventName, expected = {}) => {
+  const event = getEvents(tx, eventName, expected)[0];
+  assert.ok(!event, `Expected no ${eventName} event matching ${stringify(expected)}, found: ${stringify(event)}`);
+};
+
+const expectTroveOperation = (tx, expected) => expectEvent(tx, "TroveOperation", expected);
+const expectBatchUpdated = (tx, expected) => expectEvent(tx, "BatchUpdated", expected);
+const expectDepositUpdated = (tx, expected) => expectEvent(tx, "DepositUpdated", expected);
+const expectSUpdated = (tx, expected) => expectEvent(tx, "S_Updated", expected);
+const expectBUpdated = (tx, expected) => expectEvent(tx, "B_Updated", expected);
+
+module.exports = {
+  BATCH_OPERATIONS,
+  DEPOSIT_OPERATIONS,
+  TROVE_OPERATIONS,
+  decodeEvents,
+  expectBUpdated,
+  expectBatchUpdated,
+  expectDepositUpdated,
+  expectEvent,
+  expectNoEvent,
+  expectSUpdated,
+  expectTroveOperation,
+  getBUpdates,
+  getBatchUpdates,
+  getDepositUpdates,
+  getEvents,
+  getSUpdates,
+  getTroveOperations,
+};
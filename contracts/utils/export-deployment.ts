@@ -0,0 +1,156 @@
+import { chalk, echo, fs, minimist, path } from "zx";
+import {
+  formatEnv,
+  getDeploymentBlocks,
+  manifestToAddressesModule,
+  manifestToAppEnv,
+  manifestToSubgraphNetwork,
+  mergeEnv,
+  mergeSubgraphNetworks,
+  readAbiBundle,
+  readDeploymentManifest,
+} from "./deployment-targets";
+
+const TARGETS = ["env", "subgraph", "addresses", "abis"] as const;
+type Target = typeof TARGETS[number];
+
+const HELP = `
+export-deployment - export a deployment manifest to the frontend, the subgraph
+and other consumers of the deployed contracts.
+
+Usage:
+  pnpm export-deployment [MANIFEST_JSON] [OPTIONS]
+
+Arguments:
+  MANIFEST_JSON                 Deployment manifest written by ./deploy.
+                                Default: deployment-manifest.json
+
+The manifest is validated before anything gets written. Targets:
+  - env:        NEXT_PUBLIC_CONTRACT_*, NEXT_PUBLIC_COLL_<n>_CONTRACT_* and
+                NEXT_PUBLIC_COLL_<n>_TOKEN_ID variables of the Next.js app,
+                merged into the env file (variables already set get replaced,
+                the others appended).
+  - subgraph:   data sources of the subgraph network in networks.json, with the
+                blocks they got deployed in (from the deployment journal).
+  - addresses:  addresses.ts, a typed module of the deployed addresses.
+  - abis:       abis.json, the ABIs of the deployed contracts (requires forge build).
+
+Options:
+  --target <TARGET>             Target to export (repeatable). Default: all of
+                                ${TARGETS.join(", ")}
+  --env <FILE>                  Env file of the app.
+                                Default: ../frontend/app/.env.local
+  --networks-json <FILE>        networks.json of the subgraph.
+                                Default: ../subgraph/networks.json
+  --subgraph-network <NAME>     Network of networks.json to update. Default: local
+  --start-block <BLOCK>         Start block of the subgraph data sources missing
+                                from the deployment journal.
+  --out-dir <DIR>               Directory of addresses.ts and abis.json.
+                                Default: deployment-export
+  --dry-run                     Print the exported targets instead of writing them.
+  --help, -h                    Show this help message.
+`;
+
+const argv = minimist(process.argv.slice(2), {
+  alias: {
+    h: "help",
+  },
+  boolean: [
+    "dry-run",
+    "help",
+  ],
+  string: [
+    "env",
+    "networks-json",
+    "out-dir",
+    "start-block",
+    "subgraph-network",
+    "target",
+  ],
+});
+
+const parseTargets = (value: string | string[] | undefined): Target[] => {
+  if (value === undefined) return [...TARGETS];
+  const targets = [value].flat().flatMap((target) => target.split(","));
+  for (const target of targets) {
+    if (!TARGETS.includes(target as Target)) {
+      throw new Error(`Unknown target: ${target} (expected one of ${TARGETS.join(", ")})`);
+    }
+  }
+  return targets as Target[];
+};
+
+const main = async () => {
+  if (argv.help) {
+    echo`${HELP}`;
+    return;
+  }
+
+  const options = {
+    manifest: (argv._[0] as string | undefined) ?? "deployment-manifest.json",
+    targets: parseTargets(argv.target),
+    env: argv["env"] ?? "../frontend/app/.env.local",
+    networksJson: argv["networks-json"] ?? "../subgraph/networks.json",
+    subgraphNetwork: argv["subgraph-network"] ?? "local",
+    startBlock: argv["start-block"] === undefined ? undefined : Number(argv["start-block"]),
+    outDir: argv["out-dir"] ?? "deployment-export",
+    dryRun: argv["dry-run"],
+  };
+
+  if (options.startBlock !== undefined && !(Number.isInteger(options.startBlock) && options.startBlock >= 0)) {
+    throw new Error(`--start-block must be a block number, got: ${argv["start-block"]}`);
+  }
+
+  const manifest = await readDeploymentManifest(options.manifest);
+
+  // everything gets generated before writing anything
+  const outputs: Array<[file: string, content: string]> = [];
+
+  for (const target of options.targets) {
+    if (target === "env") {
+      const variables = manifestToAppEnv(manifest);
+      const current = await fs.pathExists(options.env) ? await fs.readFile(options.env, "utf-8") : "";
+      outputs.push([options.env, options.dryRun ? formatEnv(variables) : mergeEnv(current, variables)]);
+    }
+
+    if (target === "subgraph") {
+      const blocks = await getDeploymentBlocks();
+      const network = manifestToSubgraphNetwork(
+        manifest,
+        (address) => blocks.get(address.toLowerCase()) ?? options.startBlock,
+      );
+      const networks = await fs.readJson(options.networksJson);
+      outputs.push([
+        options.networksJson,
+        JSON.stringify(mergeSubgraphNetworks(networks, options.subgraphNetwork, network), null, 2) + "\n",
+      ]);
+    }
+
+    if (target === "addresses") {
+      outputs.push([path.join(options.outDir, "addresses.ts"), manifestToAddressesModule(manifest, options.manifest)]);
+    }
+
+    if (target === "abis") {
+      const abis = await readAbiBundle(manifest);
+      outputs.push([path.join(options.outDir, "abis.json"), JSON.stringify(abis, null, 2) + "\n"]);
+    }
+  }
+
+  for (const [file, content] of outputs) {
+    if (options.dryRun) {
+      echo(chalk.bold(`# ${file}`));
+      echo(content);
+      continue;
+    }
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeFile(file, content);
+    echo(`${chalk.green("WROTE")} ${file}`);
+  }
+};
+
+main().catch(({ message }) => {
+  console.error("");
+  console.error(`  Error: ${message}`);
+  console.error("");
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+// Types of fixedPoint.js, for the TypeScript scripts
+
+// bigint, safe integer, integer string, or an object stringifying to an integer (bn.js, ethers BigNumber)
+export type Numeric = bigint | number | string | { toString(): string };
+
+export type RoundingMode = "down" | "up" | "halfUp" | "halfEven";
+
+export declare const DECIMALS: 18;
+export declare const DECIMAL_PRECISION: bigint;
+
+export declare const Rounding: Readonly<{
+  Down: "down";
+  Up: "up";
+  HalfUp: "halfUp";
+  HalfEven: "halfEven";
+}>;
+
+export declare function pow10(decimals: number): bigint;
+export declare function toBigInt(value: Numeric): bigint;
+
+export declare function abs(value: Numeric): bigint;
+export declare function min(...values: Numeric[]): bigint;
+export declare function max(...values: Numeric[]): bigint;
+
+export declare function divRound(a: Numeric, b: Numeric, rounding?: RoundingMode): bigint;
+export declare function mulDiv(a: Numeric, b: Numeric, denominator: Numeric, rounding?: RoundingMode): bigint;
+export declare function mulFixed(a: Numeric, b: Numeric, decimals?: number, rounding?: RoundingMode): bigint;
+export declare function divFixed(a: Numeric, b: Numeric, decimals?: number, rounding?: RoundingMode): bigint;
+
+export declare function convertDecimals(
+  value: Numeric,
+  fromDecimals: number,
+  toDecimals: number,
+  rounding?: RoundingMode,
+): bigint;
+
+export declare function parseFixed(value: string | number | bigint, decimals?: number): bigint;
+
+export declare function formatFixed(
+  value: Numeric,
+  decimals?: number,
+  options?: { maxDecimals?: number; rounding?: RoundingMode },
+): string;
+
+export declare function dec(value: string | number | bigint, decimals?: number): bigint;
+
+export declare function getDifference(x: Numeric, y: Numeric): bigint;
+
+export declare function assertIsApproximatelyEqual(x: Numeric, y: Numeric, error?: Numeric, message?: string): void;
+
+export declare function assertIsApproximatelyEqualRelative(
+  x: Numeric,
+  y: Numeric,
+  relativeError?: Numeric,
+  message?: string,
+): void;
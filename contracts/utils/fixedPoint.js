@@ -0,0 +1,202 @@
+const assert = require("assert");
+
+/* Fixed-point helpers on native BigInt.
+
+A fixed-point value is an integer scaled by 10^decimals: 18 decimals for Bold, ETH and most
+collateral tokens, but a collateral token may use fewer (e.g. 6 or 8) decimals.
+
+Example usage:
+
+  parseFixed("999.123456789987654321")  ---->  999123456789987654321n
+  parseFixed("1.5", 6)                  ---->  1500000n
+  formatFixed(1500000000000000000n)     ---->  "1.5"
+  mulFixed(dec(2), dec(15, 17))         ---->  3000000000000000000n (2 * 1.5)
+
+Values can be passed as bigint, integer numbers, integer strings, or anything stringifying to an
+integer, like bn.js instances (web3 / truffle) and ethers BigNumbers. */
+
+const DECIMALS = 18;
+const DECIMAL_PRECISION = 10n ** 18n;
+
+// Rounding modes of the division. Ties of HalfUp are rounded away from zero.
+const Rounding = Object.freeze({
+  Down: "down", // towards zero, like Solidity
+  Up: "up", // away from zero
+  HalfUp: "halfUp",
+  HalfEven: "halfEven",
+});
+
+const pow10 = (decimals) => {
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new Error(`Invalid number of decimals: ${decimals}`);
+  }
+  return 10n ** BigInt(decimals);
+};
+
+const toBigInt = (value) => {
+  if (typeof value === "bigint") return value;
+
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`toBigInt: ${value} is not a safe integer, use parseFixed() for decimal numbers`);
+    }
+    return BigInt(value);
+  }
+
+  if (typeof value === "string" || (value !== null && typeof value === "object")) {
+    const str = String(value).trim();
+    try {
+      return BigInt(str);
+    } catch {
+      throw new Error(`toBigInt: "${str}" is not an integer, use parseFixed() for decimal numbers`);
+    }
+  }
+
+  throw new Error(`toBigInt: unsupported value ${value}`);
+};
+
+const abs = (value) => {
+  const x = toBigInt(value);
+  return x < 0n ? -x : x;
+};
+
+const min = (...values) => values.map(toBigInt).reduce((a, b) => (a < b ? a : b));
+const max = (...values) => values.map(toBigInt).reduce((a, b) => (a > b ? a : b));
+
+// Integer division of a by b, rounded according to `rounding`
+const divRound = (a, b, rounding = Rounding.Down) => {
+  a = toBigInt(a);
+  b = toBigInt(b);
+
+  if (b === 0n) throw new Error("Division by zero");
+
+  const quotient = a / b; // truncated towards zero
+  const remainder = a % b;
+  if (remainder === 0n) return quotient;
+
+  const sign = (a < 0n) === (b < 0n) ? 1n : -1n;
+  const twiceRemainder = abs(remainder) * 2n;
+
+  switch (rounding) {
+    case Rounding.Down:
+      return quotient;
+    case Rounding.Up:
+      return quotient + sign;
+    case Rounding.HalfUp:
+      return twiceRemainder >= abs(b) ? quotient + sign : quotient;
+    case Rounding.HalfEven:
+      return twiceRemainder > abs(b) || (twiceRemainder === abs(b) && quotient % 2n !== 0n)
+        ? quotient + sign
+        : quotient;
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+};
+
+// a * b / denominator, without intermediate rounding
+const mulDiv = (a, b, denominator, rounding = Rounding.Down) => (
+  divRound(toBigInt(a) * toBigInt(b), denominator, rounding)
+);
+
+// Product of two fixed-point values, e.g. a price times an amount
+const mulFixed = (a, b, decimals = DECIMALS, rounding = Rounding.Down) => (
+  mulDiv(a, b, pow10(decimals), rounding)
+);
+
+// Quotient of two fixed-point values, e.g. a ratio
+const divFixed = (a, b, decimals = DECIMALS, rounding = Rounding.Down) => (
+  mulDiv(a, pow10(decimals), b, rounding)
+);
+
+// Converts an amount between tokens of different decimals, e.g. from 6 to 18 decimals
+const convertDecimals = (value, fromDecimals, toDecimals, rounding = Rounding.Down) => (
+  toDecimals >= fromDecimals
+    ? toBigInt(value) * pow10(toDecimals - fromDecimals)
+    : divRound(value, pow10(fromDecimals - toDecimals), rounding)
+);
+
+// Parses a decimal string like "-1.5" into a fixed-point value
+const parseFixed = (value, decimals = DECIMALS) => {
+  if (typeof value === "bigint") return value * pow10(decimals);
+
+  const str = String(value).trim();
+  const match = str.match(/^(-)?(\d*)(?:\.(\d*))?$/);
+
+  if (!match || (match[2] === "" && (match[3] ?? "") === "")) {
+    throw new Error(`parseFixed: "${str}" is not a decimal number`);
+  }
+
+  const [, sign, intPart, fractionPart = ""] = match;
+
+  if (fractionPart.length > decimals) {
+    throw new Error(`parseFixed: "${str}" must have <= ${decimals} decimal places`);
+  }
+
+  const result = BigInt((intPart || "0") + fractionPart.padEnd(decimals, "0"));
+  return sign ? -result : result;
+};
+
+// Formats a fixed-point value as a decimal string, without trailing zeros.
+// If set, maxDecimals limits the number of decimal places (rounded according to `rounding`).
+const formatFixed = (value, decimals = DECIMALS, { maxDecimals, rounding = Rounding.Down } = {}) => {
+  let x = toBigInt(value);
+  let places = decimals;
+
+  if (maxDecimals !== undefined && maxDecimals < decimals) {
+    x = divRound(x, pow10(decimals - maxDecimals), rounding);
+    places = maxDecimals;
+  }
+
+  const digits = abs(x).toString().padStart(places + 1, "0");
+  const intPart = digits.slice(0, digits.length - places);
+  const fractionPart = digits.slice(digits.length - places).replace(/0+$/, "");
+
+  return (x < 0n ? "-" : "") + intPart + (fractionPart ? "." + fractionPart : "");
+};
+
+// BigInt counterpart of TestHelper.dec(): dec(5, 16) => 5n * 10n ** 16n, dec("1.5") => 15n * 10n ** 17n
+const dec = (value, decimals = DECIMALS) => parseFixed(value, decimals);
+
+const getDifference = (x, y) => abs(toBigInt(x) - toBigInt(y));
+
+// Asserts |x - y| <= error, error being absolute (in the smallest unit)
+const assertIsApproximatelyEqual = (x, y, error = 1000n, message) => {
+  const difference = getDifference(x, y);
+  assert.ok(
+    difference <= toBigInt(error),
+    message ?? `Expected ${x} to be approximately equal to ${y} (difference: ${difference}, max: ${error})`,
+  );
+};
+
+// Asserts |x - y| <= relativeError * max(|x|, |y|), relativeError being an 18-decimal fixed-point value
+const assertIsApproximatelyEqualRelative = (x, y, relativeError = 10n ** 9n, message) => {
+  const difference = getDifference(x, y);
+  const maxDifference = mulFixed(max(abs(x), abs(y)), relativeError);
+  assert.ok(
+    difference <= maxDifference,
+    message
+      ?? `Expected ${x} to be approximately equal to ${y} (difference: ${difference}, max: ${maxDifference})`,
+  );
+};
+
+module.exports = {
+  DECIMALS,
+  DECIMAL_PRECISION,
+  Rounding,
+  abs,
+  assertIsApproximatelyEqual,
+  assertIsApproximatelyEqualRelative,
+  convertDecimals,
+  dec,
+  divFixed,
+  divRound,
+  formatFixed,
+  getDifference,
+  max,
+  min,
+  mulDiv,
+  mulFixed,
+  parseFixed,
+  pow10,
+  toBigInt,
+};
@@ -1,7 +1,9 @@
+const { dec } = require("./fixedPoint.js");
+
 const fundAccounts = async (accounts, token) => {
   return Promise.all(
     accounts.map((account) => (
-      token.mint(account, String(10n ** 36n))
+      token.mint(account, String(dec(1, 36)))
     )),
   );
 };
@@ -0,0 +1,122 @@
+import { chalk, minimist } from "zx";
+import {
+  clusterId,
+  counterexampleConfig,
+  counterexamplesDir,
+  logError,
+  readCounterexamples,
+  shortReason,
+} from "./fuzz-common";
+
+const HELP = `
+fuzz-clusters - group the counterexamples found by fuzz.ts by failure signature.
+
+Usage:
+  pnpm fuzz-clusters [OPTIONS]
+
+Counterexamples are in the same cluster when they fail the same invariant, for
+the same reason, after the same sequence of handler calls (arguments aside).
+For each cluster, the number of counterexamples found by each matrix
+configuration is listed, along with an example.
+
+Options:
+  --dir <DIR>  Directory of the counterexamples. Default: ${counterexamplesDir}
+  --json       Print the clusters as JSON.
+  --help, -h   Show this help message.
+`;
+
+const argv = minimist(process.argv.slice(2), {
+  alias: {
+    h: "help",
+  },
+  boolean: [
+    "help",
+    "json",
+  ],
+  string: [
+    "dir",
+  ],
+});
+
+interface Cluster {
+  id: string;
+  invariant: string;
+  reason: string;
+  calls: number;
+  count: number;
+  // matrix configuration => number of counterexamples
+  configs: Record<string, number>;
+  // first counterexample of the cluster
+  example: string;
+}
+
+const pad = (s: string | number, n: number) => String(s).padEnd(n);
+
+const main = async () => {
+  if (argv.help) {
+    console.log(HELP);
+    return;
+  }
+
+  const clusters = new Map<string, Cluster>();
+
+  for (const { file, counterexample } of await readCounterexamples(argv.dir ?? counterexamplesDir)) {
+    const id = clusterId(counterexample);
+    const config = counterexampleConfig(file, counterexample);
+    const cluster = clusters.get(id) ?? {
+      id,
+      invariant: `${counterexample.contract}::${counterexample.test}()`,
+      reason: shortReason(counterexample.reason),
+      calls: counterexample.sequence.length,
+      count: 0,
+      configs: {},
+      example: file,
+    };
+
+    cluster.count++;
+    cluster.configs[config] = (cluster.configs[config] ?? 0) + 1;
+
+    clusters.set(id, cluster);
+  }
+
+  const sorted = [...clusters.values()].sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+
+  if (argv.json) {
+    console.log(JSON.stringify(sorted, null, 2));
+    return;
+  }
+
+  if (sorted.length === 0) {
+    console.log("No counterexamples found.");
+    return;
+  }
+
+  const configs = [...new Set(sorted.flatMap((cluster) => Object.keys(cluster.configs)))].sort();
+  const widths = configs.map((config) => Math.max(config.length, 5));
+
+  console.log(
+    chalk.bold(
+      [pad("Cluster", 10), pad("Total", 5), ...configs.map((config, i) => pad(config, widths[i])), "Invariant"]
+        .join("  "),
+    ),
+  );
+
+  for (const cluster of sorted) {
+    console.log(
+      [
+        pad(cluster.id, 10),
+        pad(cluster.count, 5),
+        ...configs.map((config, i) => pad(cluster.configs[config] ?? "-", widths[i])),
+        `${cluster.invariant} ${chalk.bold(cluster.reason)}`,
+      ].join("  "),
+    );
+    console.log(chalk.gray(`${" ".repeat(12)}${cluster.calls} calls, e.g. ${cluster.example}`));
+  }
+
+  console.log();
+  console.log(
+    `${sorted.reduce((sum, cluster) => sum + cluster.count, 0)} counterexamples in ${sorted.length} clusters`,
+  );
+};
+
+main().catch(logError);
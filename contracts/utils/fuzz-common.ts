@@ -1,11 +1,14 @@
+import assert from "assert";
+import { createHash } from "crypto";
 import { z } from "zod";
-import { path, ProcessOutput } from "zx";
+import { fs, glob, path, ProcessOutput } from "zx";
 
 export const counterexamplesDir = "counterexamples";
 export const counterexamplesFixedDir = "counterexamples-fixed";
 export const counterexamplesAssumeDir = "counterexamples-assume";
 export const reproDir = path.join("src", "test", "fuzz-repro");
 export const reproFilesGlob = path.join(reproDir, "*");
+export const reproKeyPrefix = "test_Counterexample";
 
 export const TestListJson = z.record(z.record(z.array(z.string())));
 
@@ -20,6 +23,15 @@ export const CounterexampleSequenceJson = z.array(z.object({
 
 export type CounterexampleSequenceJson = z.infer<typeof CounterexampleSequenceJson>;
 
+// Calls made by the invariant fuzzer to each handler function ("<contract>.<function>"),
+// reported when FOUNDRY_INVARIANT_SHOW_METRICS is set
+export const InvariantMetricsJson = z.record(z.object({
+  calls: z.number(),
+  reverts: z.number(),
+}));
+
+export type InvariantMetricsJson = z.infer<typeof InvariantMetricsJson>;
+
 export const TestResultsJson = z.record(z.object({
   test_results: z.record(
     z.discriminatedUnion("status", [
@@ -38,6 +50,12 @@ export const TestResultsJson = z.record(z.object({
     ]).and(
       z.object({
         labeled_addresses: z.record(z.string()),
+
+        kind: z.optional(z.object({
+          Invariant: z.optional(z.object({
+            metrics: z.optional(InvariantMetricsJson),
+          })),
+        })),
       }),
     ),
   ),
@@ -51,8 +69,107 @@ export interface ReproducibleCounterexampleJson {
   env: Record<string, string>;
   labels: Record<string, string>;
   sequence: CounterexampleSequenceJson;
+  // matrix configuration the counterexample was found in, e.g. "1coll-deep"
+  config?: string;
+  // length of the sequence found by the fuzzer, if it has been shrunk since (see fuzz-shrink.ts)
+  originalLength?: number;
 }
 
+// These don't have an effect on reproduction
+const ignoredEnv = new Set([
+  "FOUNDRY_INVARIANT_RUNS",
+  "FOUNDRY_INVARIANT_DEPTH",
+]);
+
+export const filterEnv = (env: Record<string, string>): Record<string, string> =>
+  Object.fromEntries(Object.entries(env).filter(([k]) => !ignoredEnv.has(k)));
+
+// Strips the numbers from "<invariant>: <x> <op> <y>" style reasons,
+// so that failures of the same invariant can be matched
+export const shortReason = (reason: string) => {
+  const groups = reason.match(/^([^:]+): [0-9]+(\.[0-9]+)? (<|<=|>|>=|==|!=|!~=) [0-9]+(\.[0-9]+)?/);
+  return groups ? groups[1] : reason;
+};
+
+// Removes the annotations Foundry adds to some values, e.g. "1000000000000000000 [1e18]"
+export const formatArgs = (args: string) => args.replace(/ \[[^\]]+\]/g, "");
+
+// Counterexamples of the same invariant, failing for the same reason after the same
+// sequence of handler calls (whatever the arguments) are considered to be the same bug
+export const clusterKey = (counterexample: ReproducibleCounterexampleJson) =>
+  [
+    `${counterexample.contract}::${counterexample.test}`,
+    shortReason(counterexample.reason),
+    ...counterexample.sequence.map((call) => `${call.contract_name}.${call.signature}`),
+  ].join("\n");
+
+export const clusterId = (counterexample: ReproducibleCounterexampleJson) =>
+  createHash("sha256").update(clusterKey(counterexample)).digest("hex").slice(0, 10);
+
+// Counterexamples written before the config was recorded have it in their file name: <config>_<timestamp>.json
+export const counterexampleConfig = (file: string, counterexample: ReproducibleCounterexampleJson) =>
+  counterexample.config ?? path.basename(file).replace(/_[0-9]+\.json$/, "");
+
+export const readCounterexamples = async (dir: string) =>
+  Promise.all(
+    (await glob(path.join(dir, "**", "*.json"))).sort().map(async (file) => ({
+      file,
+      counterexample: (await fs.readJSON(file)) as ReproducibleCounterexampleJson,
+    })),
+  );
+
+const spaces = 4;
+
+const indent = (n: number) => (line: string) => line.length > 0 ? " ".repeat(n) + line : line;
+
+// Solidity test replaying the sequence of calls, then checking the invariant
+export const reproFile = (
+  inputFile: string,
+  functionName: string,
+  counterexample: ReproducibleCounterexampleJson,
+) =>
+  [
+    `pragma solidity ^0.8.18;`,
+    ``,
+    `import {${counterexample.contract}} from "${counterexample.solPath}";`,
+    ``,
+    `contract ${counterexample.contract}Repro is ${counterexample.contract} {`,
+    ...[
+      `// ${inputFile}`,
+      `function ${functionName}() external {`,
+      ...[
+        ...counterexample.sequence.flatMap((call) => {
+          assert(call.sender in counterexample.labels);
+          assert(call.addr in counterexample.labels);
+
+          const caller = counterexample.labels[call.sender];
+          const callee = counterexample.labels[call.addr];
+
+          const functionNameGroups = call.signature.match(/^(.+)\(.*\)$/);
+          assert(functionNameGroups);
+
+          const [, functionName] = functionNameGroups;
+          const args = formatArgs(call.args);
+
+          return [
+            `vm.prank(${caller});`,
+            `${callee}.${functionName}(${args});`,
+            ``,
+          ];
+        }),
+        `this.${counterexample.test}();`,
+      ].map(indent(spaces)),
+      `}`,
+    ].map(indent(spaces)),
+    `}`,
+    ``,
+  ].join("\n");
+
+export const range = (n: number) => [...new Array(n).keys()];
+
+export const chop = (n: number) => <T>(ts: T[]) =>
+  range(Math.ceil(ts.length / n)).map((i) => ts.slice(n * i, n * (i + 1)));
+
 export const logError = (err: unknown) => {
   if (err instanceof ProcessOutput) {
     process.exit(err.exitCode);
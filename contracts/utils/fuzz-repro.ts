@@ -1,38 +1,51 @@
-import assert from "assert";
 import { $, argv, chalk, fs, glob, path } from "zx";
 import {
+  chop,
   counterexamplesAssumeDir,
   counterexamplesDir,
   counterexamplesFixedDir,
+  filterEnv,
   logError,
   reproDir,
   ReproducibleCounterexampleJson,
+  reproFile,
   reproFilesGlob,
+  reproKeyPrefix,
+  shortReason,
   TestResultsJson,
 } from "./fuzz-common";
 
-const reproKeyPrefix = "test_Counterexample";
-const counterexamplesGlob = path.join(counterexamplesDir, "**", "*.json");
-const counterexamplesDirPrefix = new RegExp("^" + counterexamplesDir);
-const counterexamplesPerRun = 10;
-const spaces = 4;
-
-// These don't have an effect on reproduction
-const ignoredEnv = new Set([
-  "FOUNDRY_INVARIANT_RUNS",
-  "FOUNDRY_INVARIANT_DEPTH",
-]);
+const HELP = `
+Usage:
+  pnpm fuzz-repro all|status|<counterexample> -- [forge test args]
+
+  all               Re-run the failing counterexamples, moving the ones that no longer fail
+                    to ${counterexamplesFixedDir} (or ${counterexamplesAssumeDir} when an assumption
+                    of the test rejects them).
+  status            Re-run every counterexample, including the fixed and assumed ones, move them
+                    to the directory matching their current status and print a regression table.
+                    Exits with an error if any fixed or assumed counterexample fails again.
+  <counterexample>  Run a single counterexample, passing the forge test args through.
+`;
+
+type Status = "failing" | "fixed" | "assume";
+
+const statusDirs: Record<Status, string> = {
+  failing: counterexamplesDir,
+  fixed: counterexamplesFixedDir,
+  assume: counterexamplesAssumeDir,
+};
 
-const filterEnv = (env: Record<string, string>): Record<string, string> =>
-  Object.fromEntries(Object.entries(env).filter(([k]) => !ignoredEnv.has(k)));
+const counterexamplesGlob = (dir: string) => path.join(dir, "**", "*.json");
+const counterexamplesDirPrefix = new RegExp(`^(${Object.values(statusDirs).join("|")})(?=/)`);
+const counterexamplesPerRun = 10;
 
 const envKey = (env: Record<string, string>) => Object.entries(env).map(([k, v]) => `${k}=${v}`).join("\n");
 
-const range = (n: number) => [...new Array(n).keys()];
-
-const chop = (n: number) => <T>(ts: T[]) => range(Math.ceil(ts.length / n)).map((i) => ts.slice(n * i, n * (i + 1)));
-
-const indent = (n: number) => (line: string) => line.length > 0 ? " ".repeat(n) + line : line;
+const statusOf = (file: string) => {
+  const groups = file.match(counterexamplesDirPrefix);
+  return (Object.entries(statusDirs).find(([, dir]) => dir === groups?.[1])?.[0] ?? "failing") as Status;
+};
 
 const mv = async (oldPath: string, newDir: string) => {
   const newPath = oldPath.replace(counterexamplesDirPrefix, newDir);
@@ -41,56 +54,68 @@ const mv = async (oldPath: string, newDir: string) => {
   return newPath;
 };
 
-const reproFile = (
-  inputFile: string,
-  functionName: string,
-  counterexample: ReproducibleCounterexampleJson,
-) =>
-  [
-    `pragma solidity ^0.8.18;`,
-    ``,
-    `import {${counterexample.contract}} from "${counterexample.solPath}";`,
-    ``,
-    `contract ${counterexample.contract}Repro is ${counterexample.contract} {`,
-    ...[
-      `// ${inputFile}`,
-      `function ${functionName}() external {`,
-      ...[
-        ...counterexample.sequence.flatMap((call) => {
-          assert(call.sender in counterexample.labels);
-          assert(call.addr in counterexample.labels);
-
-          const caller = counterexample.labels[call.sender];
-          const callee = counterexample.labels[call.addr];
-
-          const functionNameGroups = call.signature.match(/^(.+)\(.*\)$/);
-          assert(functionNameGroups);
-
-          const [, functionName] = functionNameGroups;
-          const args = call.args.replace(/ \[[^\]]+\]/g, "");
-
-          return [
-            `vm.prank(${caller});`,
-            `${callee}.${functionName}(${args});`,
-            ``,
-          ];
-        }),
-        `this.${counterexample.test}();`,
-      ].map(indent(spaces)),
-      `}`,
-    ].map(indent(spaces)),
-    `}`,
-    ``,
-  ].join("\n");
+interface StatusRow {
+  file: string;
+  previous: Status;
+  current: Status;
+  reason?: string;
+}
+
+const isRegression = ({ previous, current }: StatusRow) => previous !== "failing" && current === "failing";
+
+const statusColors: Record<Status, (s: string) => string> = {
+  failing: chalk.red,
+  fixed: chalk.green,
+  assume: chalk.yellow,
+};
+
+const printStatusTable = (rows: StatusRow[]) => {
+  const sorted = [...rows].sort((a, b) =>
+    Number(isRegression(b)) - Number(isRegression(a)) || a.file.localeCompare(b.file)
+  );
+
+  console.log(chalk.bold(["Previous", "Current ", "Counterexample"].join("  ")));
+
+  for (const row of sorted) {
+    console.log(
+      [
+        statusColors[row.previous](row.previous.padEnd(8)),
+        statusColors[row.current](row.current.padEnd(8)),
+        row.file,
+        isRegression(row) ? chalk.bold.red("REGRESSION") : "",
+      ].join("  ").trimEnd(),
+    );
+    if (row.current === "failing" && row.reason) {
+      console.log(`${" ".repeat(20)}${chalk.bold(shortReason(row.reason))}`);
+    }
+  }
+
+  const transitions = new Map<string, number>();
+  for (const { previous, current } of rows) {
+    const key = `${previous} -> ${current}`;
+    transitions.set(key, (transitions.get(key) ?? 0) + 1);
+  }
+
+  console.log();
+  for (const [transition, count] of [...transitions].sort()) {
+    console.log(`${transition}: ${count}`);
+  }
+};
 
 const main = async () => {
   if (argv.help || argv._.length == 0) {
-    console.log("Usage: pnpm fuzz-repro all|<counterexample> -- [forge test args]");
+    console.log(HELP);
     return;
   }
 
   const [arg1, ...customTestArgs] = argv._ as string[];
-  const inputFiles = arg1 === "all" ? await glob(counterexamplesGlob) : [arg1];
+  const inputFiles = arg1 === "all"
+    ? await glob(counterexamplesGlob(counterexamplesDir))
+    : arg1 === "status"
+    ? await glob(Object.values(statusDirs).map(counterexamplesGlob))
+    : [arg1];
+
+  const statusRows: StatusRow[] = [];
 
   const counterexamples = (
     await Promise.all(
@@ -134,7 +159,7 @@ const main = async () => {
 
       const testFilterArgs = ["--match-path", reproFilesGlob, "--match-test", `^${reproKeyPrefix}`];
 
-      if (arg1 == "all") {
+      if (arg1 == "all" || arg1 == "status") {
         const results = Object.values(TestResultsJson.parse(
           await $({
             env: { ...process.env, ...env },
@@ -145,13 +170,29 @@ const main = async () => {
           .map((x) => ({ ...x, counterexample: counterexampleMap.get(x.reproKey)! }));
 
         for (const { result, counterexample } of results) {
-          if (result.status === "Success") {
-            const newPath = await mv(counterexample.inputFile, counterexamplesFixedDir);
+          const previous = statusOf(counterexample.inputFile);
+          const current: Status = result.status === "Success"
+            ? "fixed"
+            : result.reason === "FOUNDRY::ASSUME"
+            ? "assume"
+            : "failing";
+
+          const newPath = current !== previous
+            ? await mv(counterexample.inputFile, statusDirs[current])
+            : counterexample.inputFile;
+
+          if (arg1 == "status") {
+            statusRows.push({
+              file: newPath,
+              previous,
+              current,
+              reason: "reason" in result ? result.reason : undefined,
+            });
+          } else if (current === "fixed") {
             console.log(`${chalk.green("SUCC")} ${newPath}`);
-          } else if (result.reason === "FOUNDRY::ASSUME") {
-            const newPath = await mv(counterexample.inputFile, counterexamplesAssumeDir);
+          } else if (current === "assume") {
             console.log(`${chalk.yellow("ASSU")} ${newPath}`);
-          } else {
+          } else if (result.status === "Failure") {
             console.log(`${chalk.red("FAIL")} ${counterexample.inputFile}`);
             console.log(`       ${chalk.bold(result.reason)}`);
           }
@@ -166,6 +207,16 @@ const main = async () => {
 
     console.log();
   }
+
+  if (arg1 == "status") {
+    printStatusTable(statusRows);
+
+    const regressions = statusRows.filter(isRegression).length;
+    if (regressions > 0) {
+      console.error(chalk.red(`\n${regressions} counterexample(s) failing again`));
+      process.exit(1);
+    }
+  }
 };
 
 main().catch(logError);
@@ -0,0 +1,316 @@
+import { z } from "zod";
+import { $, chalk, fs, glob, minimist, path } from "zx";
+import {
+  chop,
+  counterexamplesDir,
+  CounterexampleSequenceJson,
+  filterEnv,
+  formatArgs,
+  logError,
+  range,
+  reproDir,
+  ReproducibleCounterexampleJson,
+  reproFile,
+  reproFilesGlob,
+  reproKeyPrefix,
+  shortReason,
+  TestResultsJson,
+} from "./fuzz-common";
+
+const HELP = `
+fuzz-shrink - minimize the counterexamples found by fuzz.ts.
+
+Usage:
+  pnpm fuzz-shrink all|<counterexample> [OPTIONS]
+
+Drops calls from the sequence of a counterexample, then simplifies the integer
+arguments of the remaining calls, for as long as the invariant keeps failing
+with the same reason. The shrunk sequence replaces the original one, which is
+only kept as the originalLength of the counterexample.
+
+Options:
+  --batch <N>     Number of candidate sequences replayed by each forge run.
+                  Default: 16
+  --max-runs <N>  Maximum number of forge runs per counterexample. Default: 100
+  --out <FILE>    Write the shrunk counterexample to FILE instead of replacing
+                  the input (single counterexample only).
+  --force         Shrink counterexamples that have already been shrunk.
+  --dry-run       Only report the size of the shrunk sequences.
+  --help, -h      Show this help message.
+`;
+
+const argv = minimist(process.argv.slice(2), {
+  alias: {
+    h: "help",
+  },
+  boolean: [
+    "dry-run",
+    "force",
+    "help",
+  ],
+  string: [
+    "batch",
+    "max-runs",
+    "out",
+  ],
+});
+
+const counterexamplesGlob = path.join(counterexamplesDir, "**", "*.json");
+
+type TestResult = z.infer<typeof TestResultsJson>[string]["test_results"][string];
+
+interface ShrinkOptions {
+  batchSize: number;
+  maxRuns: number;
+}
+
+// Splits the arguments of a call at the top level, e.g. "1, (2, 3), true" => ["1", "(2, 3)", "true"]
+const splitArgs = (args: string) => {
+  const result: string[] = [];
+  let current = "";
+  let depth = 0;
+  let inString = false;
+
+  for (const c of args) {
+    if (c === "\"") inString = !inString;
+    if (!inString && (c === "(" || c === "[")) depth++;
+    if (!inString && (c === ")" || c === "]")) depth--;
+
+    if (c === "," && depth === 0 && !inString) {
+      result.push(current.trim());
+      current = "";
+    } else {
+      current += c;
+    }
+  }
+
+  if (current.trim() !== "") result.push(current.trim());
+  return result;
+};
+
+// Smaller values to try in place of an integer argument, most aggressive first
+const simplerValues = (arg: string) => {
+  if (!/^-?[0-9]+$/.test(arg)) return [];
+
+  const value = BigInt(arg);
+  const abs = (x: bigint) => x < 0n ? -x : x;
+
+  return [...new Set([0n, value < 0n ? -1n : 1n, value / 2n])]
+    .filter((x) => abs(x) < abs(value))
+    .map(String);
+};
+
+// Replays each sequence in its own test function, all of them in a single forge run
+const replaySequences = async (
+  counterexample: ReproducibleCounterexampleJson & { inputFile: string },
+  sequences: CounterexampleSequenceJson[],
+) => {
+  await $`rm -rf ${reproDir}`;
+  await $`mkdir -p ${reproDir}`;
+
+  for (const [i, sequence] of sequences.entries()) {
+    const reproKey = `${reproKeyPrefix}${i}`;
+    await fs.writeFile(
+      path.join(reproDir, `${reproKey}.t.sol`),
+      reproFile(counterexample.inputFile, reproKey, { ...counterexample, sequence }),
+    );
+  }
+
+  const results = new Map(
+    Object.values(TestResultsJson.parse(
+      await $({
+        env: { ...process.env, ...filterEnv(counterexample.env) },
+      })`forge test ${[
+        "--match-path",
+        reproFilesGlob,
+        "--match-test",
+        `^${reproKeyPrefix}`,
+        "--allow-failure",
+        "--json",
+      ]}`.json(),
+    ))
+      .flatMap((x) => Object.entries(x.test_results))
+      .map(([functionName, result]) => [functionName.replace(/\(\)$/, ""), result]),
+  );
+
+  return sequences.map((_, i): TestResult | undefined => results.get(`${reproKeyPrefix}${i}`));
+};
+
+const shrink = async (
+  counterexample: ReproducibleCounterexampleJson & { inputFile: string },
+  { batchSize, maxRuns }: ShrinkOptions,
+) => {
+  const expectedReason = shortReason(counterexample.reason);
+  let reason = counterexample.reason;
+  let runs = 0;
+
+  // Returns the index of the first candidate that still fails the same way
+  const findFailing = async (candidates: CounterexampleSequenceJson[]) => {
+    for (const [i, batch] of chop(batchSize)(candidates).entries()) {
+      if (runs >= maxRuns) return -1;
+      runs++;
+
+      const results = await replaySequences(counterexample, batch);
+      const j = results.findIndex((result) =>
+        result?.status === "Failure"
+        && result.reason !== "FOUNDRY::ASSUME"
+        && shortReason(result.reason) === expectedReason
+      );
+
+      if (j >= 0) {
+        const result = results[j];
+        if (result?.status === "Failure") reason = result.reason;
+        return i * batchSize + j;
+      }
+    }
+    return -1;
+  };
+
+  if (await findFailing([counterexample.sequence]) < 0) {
+    return null;
+  }
+
+  let sequence = counterexample.sequence;
+
+  // Delta debugging: try removing chunks of calls, then smaller and smaller chunks
+  const removeCalls = async () => {
+    let n = 2;
+    while (sequence.length > 1 && runs < maxRuns) {
+      const chunkSize = Math.ceil(sequence.length / n);
+      const candidates = range(Math.ceil(sequence.length / chunkSize)).map((i) => [
+        ...sequence.slice(0, i * chunkSize),
+        ...sequence.slice((i + 1) * chunkSize),
+      ]);
+
+      const found = await findFailing(candidates);
+      if (found >= 0) {
+        sequence = candidates[found];
+        n = Math.max(n - 1, 2);
+      } else if (chunkSize === 1) {
+        break;
+      } else {
+        n = Math.min(n * 2, sequence.length);
+      }
+    }
+  };
+
+  // Each simplification (call, argument, value) is only tried once
+  const simplifyArgs = async () => {
+    const tried = new Set<string>();
+    let simplified = false;
+
+    while (runs < maxRuns) {
+      const candidates = sequence.flatMap((call, i) => {
+        const args = splitArgs(formatArgs(call.args));
+
+        return args.flatMap((arg, k) =>
+          simplerValues(arg)
+            .map((value) => ({ key: `${i}:${k}:${value}`, value }))
+            .filter(({ key }) => !tried.has(key))
+            .map(({ key, value }) => ({
+              key,
+              sequence: sequence.map((c, j) =>
+                j === i
+                  // calldata gets recomputed from the new arguments once done
+                  ? { ...c, args: args.map((a, l) => l === k ? value : a).join(", "), calldata: "" }
+                  : c
+              ),
+            }))
+        );
+      });
+
+      if (candidates.length === 0) break;
+
+      const found = await findFailing(candidates.map((candidate) => candidate.sequence));
+      const tested = found >= 0 ? candidates.slice(0, found + 1) : candidates;
+      tested.forEach(({ key }) => tried.add(key));
+
+      if (found < 0) break;
+      sequence = candidates[found].sequence;
+      simplified = true;
+    }
+
+    return simplified;
+  };
+
+  await removeCalls();
+  if (await simplifyArgs()) {
+    // simpler arguments may make more calls unnecessary
+    await removeCalls();
+  }
+
+  for (const call of sequence) {
+    if (call.calldata === "") {
+      call.calldata = (await $`cast calldata ${call.signature} ${splitArgs(call.args)}`).stdout.trim();
+    }
+  }
+
+  return { sequence, reason, runs };
+};
+
+const parsePositiveInt = (name: string, value: string | undefined, defaultValue: number) => {
+  if (value === undefined) return defaultValue;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new Error(`--${name} must be a positive integer, got: ${value}`);
+  }
+  return n;
+};
+
+const main = async () => {
+  if (argv.help || argv._.length !== 1) {
+    console.log(HELP);
+    return;
+  }
+
+  const [arg1] = argv._ as string[];
+  const inputFiles = arg1 === "all" ? await glob(counterexamplesGlob) : [arg1];
+
+  if (argv.out && inputFiles.length !== 1) {
+    throw new Error("--out can only be used with a single counterexample");
+  }
+
+  const options: ShrinkOptions = {
+    batchSize: parsePositiveInt("batch", argv.batch, 16),
+    maxRuns: parsePositiveInt("max-runs", argv["max-runs"], 100),
+  };
+
+  for (const inputFile of inputFiles) {
+    const counterexample: ReproducibleCounterexampleJson = await fs.readJSON(inputFile);
+
+    if (counterexample.originalLength !== undefined && !argv.force) {
+      console.log(`${chalk.gray("SKIP")} ${inputFile} (already shrunk)`);
+      continue;
+    }
+
+    const shrunk = await shrink({ ...counterexample, inputFile }, options);
+
+    if (!shrunk) {
+      console.log(`${chalk.yellow("NREP")} ${inputFile} no longer fails with: ${shortReason(counterexample.reason)}`);
+      continue;
+    }
+
+    const originalLength = counterexample.originalLength ?? counterexample.sequence.length;
+    console.log(
+      `${chalk.green("SHRK")} ${inputFile}: `
+        + `${counterexample.sequence.length} -> ${
+          chalk.bold(shrunk.sequence.length)
+        } calls (${shrunk.runs} forge runs)`,
+    );
+
+    if (!argv["dry-run"]) {
+      const output: ReproducibleCounterexampleJson = {
+        ...counterexample,
+        reason: shrunk.reason,
+        sequence: shrunk.sequence,
+        originalLength,
+      };
+
+      await fs.writeJSON(argv.out ?? inputFile, output, { spaces: 2 });
+    }
+  }
+
+  await $`rm -rf ${reproDir}`;
+};
+
+main().catch(logError);
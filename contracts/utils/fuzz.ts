@@ -1,43 +1,272 @@
 import PQueue from "p-queue";
-import { $, chalk, fs, path, sleep } from "zx";
+import { $, chalk, fs, glob, minimist, path, sleep } from "zx";
 import {
+  clusterId,
   counterexamplesDir,
+  InvariantMetricsJson,
   logError,
+  readCounterexamples,
   ReproducibleCounterexampleJson,
   reproFilesGlob,
+  shortReason,
   TestListJson,
   TestResultsJson,
 } from "./fuzz-common";
 
+const HELP = `
+fuzz - run the invariant tests over and over, saving the counterexamples they fail with.
+
+Usage:
+  pnpm fuzz [OPTIONS]
+
+Each invariant test is run in every configuration of the matrix (branches x
+profiles). Without a budget, the campaign runs until interrupted. With one,
+no new run is started once the budget is exhausted, and a report is written
+when the runs in progress have finished.
+
+Call sequences that reach new code are kept in a corpus by Foundry's
+coverage-guided fuzzer (Foundry >= 1.1), enabled through
+FOUNDRY_INVARIANT_CORPUS_DIR. New code means new edge coverage of the
+contracts: no other signal (operation, SP epoch or scale, ...) decides what
+gets kept. The corpus persists across campaigns, and is replayed to seed the
+following runs of the same invariant test and configuration. Calls to each
+handler function are counted across campaigns too, so that the report can
+list the ones that were never reached.
+
+Options:
+  --workers <N>          Number of concurrent forge processes. Default: 24
+  --branches <LIST>      Comma-separated values of NUM_BRANCHES. Default: 1,3
+  --profile <NAME=RUNS:DEPTH>
+                         Invariant runs and depth of a profile (can be repeated).
+                         Default: skin=500:100, deep=50:1000
+  --invariant <REGEX>    Only run the invariant tests whose
+                         <contract>::<test> matches REGEX.
+  --duration <TIME>      Wall-clock budget, e.g. 3600, 90m, 8h or 2d.
+  --max-runs <N>         Budget in number of forge runs, across all tests and
+                         configurations.
+  --report <DIR>         Directory to write fuzz-report.json and fuzz-report.md
+                         into, once the budget is exhausted. Default: fuzz-report
+  --max-per-cluster <N>  Stop saving counterexamples of a cluster (see fuzz-clusters.ts)
+                         once it has N of them. 0 for no limit. Default: 5
+  --corpus-dir <DIR>     Directory of the corpus. Default: fuzz-corpus
+  --no-corpus            Start every run from scratch, without a corpus.
+  --help, -h             Show this help message.
+`;
+
+const argv = minimist(process.argv.slice(2), {
+  alias: {
+    h: "help",
+  },
+  boolean: [
+    "corpus",
+    "help",
+  ],
+  default: {
+    corpus: true,
+  },
+  string: [
+    "branches",
+    "corpus-dir",
+    "duration",
+    "invariant",
+    "max-per-cluster",
+    "max-runs",
+    "profile",
+    "report",
+    "workers",
+  ],
+});
+
 const debug = !!process.env.DEBUG;
-const concurrency = 24;
 const softStartDelayMs = 1000;
 const testFilter = "^invariant";
 const failuresDir = path.join("cache", "invariant", "failures");
 
-const dimensions: Record<string, Record<string, string>>[] = [
-  {
-    "1coll": { NUM_BRANCHES: "1" },
-    "3coll": { NUM_BRANCHES: "3" },
-  },
-  {
-    "skin": { FOUNDRY_INVARIANT_RUNS: "500", FOUNDRY_INVARIANT_DEPTH: "100" },
-    "deep": { FOUNDRY_INVARIANT_RUNS: "50", FOUNDRY_INVARIANT_DEPTH: "1000" },
-  },
-];
+const defaultBranches = ["1", "3"];
+const defaultProfiles = ["skin=500:100", "deep=50:1000"];
 
 const cross = <T extends unknown[], U extends unknown[]>(ts: T[], us: U[]) =>
   ts.flatMap((t) => us.map((u): [...T, ...U] => [...t, ...u]));
 
-const matrix = dimensions
-  .map((dim) => Object.entries(dim).map((keyEnv) => [keyEnv]))
-  .reduce(cross)
-  .map((keyEnvs) =>
-    keyEnvs.reduce(([keyA, envA], [keyB, envB]) => [
-      `${keyA}-${keyB}`,
-      { ...envA, ...envB },
-    ])
-  );
+const getMatrix = (dimensions: Record<string, Record<string, string>>[]) =>
+  dimensions
+    .map((dim) => Object.entries(dim).map((keyEnv) => [keyEnv]))
+    .reduce(cross)
+    .map((keyEnvs) =>
+      keyEnvs.reduce(([keyA, envA], [keyB, envB]) => [
+        `${keyA}-${keyB}`,
+        { ...envA, ...envB },
+      ])
+    );
+
+const parseInteger = (name: string, value: string | undefined, defaultValue: number, min = 1) => {
+  if (value === undefined) return defaultValue;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`--${name} must be an integer >= ${min}, got: ${value}`);
+  }
+  return n;
+};
+
+const durationUnits: Record<string, number> = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Returns the duration in milliseconds
+const parseDuration = (value: string) => {
+  const groups = value.match(/^([0-9]+(?:\.[0-9]+)?)([smhd]?)$/);
+  if (!groups) {
+    throw new Error(`--duration must be a number of seconds, or end with one of s, m, h, d, got: ${value}`);
+  }
+  const [, amount, unit] = groups;
+  return Number(amount) * durationUnits[unit || "s"] * 1000;
+};
+
+const parseProfile = (profile: string): [string, Record<string, string>] => {
+  const groups = profile.match(/^([^=]+)=([0-9]+):([0-9]+)$/);
+  if (!groups) {
+    throw new Error(`--profile must be formatted as NAME=RUNS:DEPTH, got: ${profile}`);
+  }
+  const [, name, runs, depth] = groups;
+  return [name, { FOUNDRY_INVARIANT_RUNS: runs, FOUNDRY_INVARIANT_DEPTH: depth }];
+};
+
+const asArray = (value: string | string[] | undefined) =>
+  value === undefined ? undefined : Array.isArray(value) ? value : [value];
+
+interface RunStats {
+  invariant: string;
+  config: string;
+  runs: number;
+  passed: number;
+  failed: number;
+  // failures without a counterexample, e.g. setup reverting
+  errors: number;
+}
+
+interface NewCounterexample {
+  invariant: string;
+  config: string;
+  reason: string;
+  cluster: string;
+  file: string;
+}
+
+// "<handler contract>.<function>" => calls and reverts, accumulated across campaigns
+type HandlerCoverage = Record<string, { calls: number; reverts: number }>;
+
+interface FuzzReport {
+  startedAt: string;
+  finishedAt: string;
+  durationSeconds: number;
+  options: {
+    workers: number;
+    matrix: Record<string, Record<string, string>>;
+    invariantFilter?: string;
+    durationBudgetSeconds?: number;
+    maxRuns?: number;
+  };
+  totals: { runs: number; passed: number; failed: number; errors: number; newCounterexamples: number };
+  stats: RunStats[];
+  newCounterexamples: NewCounterexample[];
+  corpus?: { dir: string; entriesBefore: number; entriesAfter: number };
+  handlerCoverage: HandlerCoverage;
+  unreachedHandlerFunctions: string[];
+}
+
+const handlerCoverageFile = "handler-coverage.json";
+
+const countCorpusEntries = async (dir: string) =>
+  (await glob(path.join(dir, "**", "*"))).filter((file) => path.basename(file) !== handlerCoverageFile).length;
+
+const mergeMetrics = (coverage: HandlerCoverage, metrics: InvariantMetricsJson) => {
+  for (const [fn, { calls, reverts }] of Object.entries(metrics)) {
+    const entry = coverage[fn] ?? (coverage[fn] = { calls: 0, reverts: 0 });
+    entry.calls += calls;
+    entry.reverts += reverts;
+  }
+};
+
+// State changing functions of the handler contracts that have never been called, according to the
+// build artifacts of the handlers seen in the metrics
+const getUnreachedHandlerFunctions = async (coverage: HandlerCoverage) => {
+  const handlers = [...new Set(Object.keys(coverage).map((fn) => fn.split(".")[0]))].sort();
+  const unreached: string[] = [];
+
+  for (const handler of handlers) {
+    const [artifact] = await glob(path.join("out", "*", `${handler}.json`));
+    if (!artifact) continue;
+
+    const { abi } = await fs.readJSON(artifact);
+    const functions: string[] = abi
+      .filter((item: { type: string; stateMutability?: string }) =>
+        item.type === "function" && item.stateMutability !== "view" && item.stateMutability !== "pure"
+      )
+      .map((item: { name: string }) => `${handler}.${item.name}`);
+
+    unreached.push(...[...new Set(functions)].filter((fn) => !(coverage[fn]?.calls > 0)).sort());
+  }
+
+  return unreached;
+};
+
+const sum = (stats: RunStats[], key: "runs" | "passed" | "failed" | "errors") =>
+  stats.reduce((total, s) => total + s[key], 0);
+
+const formatMarkdown = (report: FuzzReport) => {
+  const lines = [
+    "# Fuzz report",
+    "",
+    `Started at ${report.startedAt}, ran for ${Math.round(report.durationSeconds)} seconds `
+    + `using ${report.options.workers} workers.`,
+    "",
+    `- Runs: ${report.totals.runs}`,
+    `- Passed: ${report.totals.passed}`,
+    `- Failed: ${report.totals.failed}`,
+    `- Errors: ${report.totals.errors}`,
+    `- New counterexamples: ${report.totals.newCounterexamples}`,
+    "",
+    "## Runs",
+    "",
+    "| Invariant | Configuration | Runs | Passed | Failed | Errors |",
+    "| --- | --- | ---: | ---: | ---: | ---: |",
+    ...report.stats.map((s) =>
+      `| \`${s.invariant}\` | ${s.config} | ${s.runs} | ${s.passed} | ${s.failed} | ${s.errors} |`
+    ),
+    "",
+    "## New counterexamples",
+    "",
+  ];
+
+  if (report.newCounterexamples.length === 0) {
+    lines.push("None.");
+  } else {
+    lines.push(
+      "| Invariant | Configuration | Reason | Cluster | File |",
+      "| --- | --- | --- | --- | --- |",
+      ...report.newCounterexamples.map((c) =>
+        `| \`${c.invariant}\` | ${c.config} | ${c.reason} | ${c.cluster} | ${c.file} |`
+      ),
+    );
+  }
+
+  if (report.corpus) {
+    lines.push(
+      "",
+      "## Corpus",
+      "",
+      `${report.corpus.entriesAfter} entries in \`${report.corpus.dir}\` (${report.corpus.entriesBefore} before the campaign).`,
+    );
+  }
+
+  lines.push("", "## Unreached handler functions", "");
+
+  if (report.unreachedHandlerFunctions.length === 0) {
+    lines.push("None.");
+  } else {
+    lines.push(...report.unreachedHandlerFunctions.map((fn) => `- \`${fn}\``));
+  }
+
+  return lines.join("\n") + "\n";
+};
 
 const log = {
   debug(...args: unknown[]) {
@@ -53,12 +282,43 @@ const log = {
   },
 };
 
-const shortReason = (reason: string) => {
-  const groups = reason.match(/^([^:]+): [0-9]+(\.[0-9]+)? (<|<=|>|>=|==|!=|!~=) [0-9]+(\.[0-9]+)?/);
-  return groups ? groups[1] : reason;
-};
-
 const main = async () => {
+  if (argv.help) {
+    console.log(HELP);
+    return;
+  }
+
+  const concurrency = parseInteger("workers", argv.workers, 24);
+  const maxPerCluster = parseInteger("max-per-cluster", argv["max-per-cluster"], 5, 0);
+  const maxRuns = argv["max-runs"] !== undefined ? parseInteger("max-runs", argv["max-runs"], 0) : undefined;
+  const durationMs = argv.duration !== undefined ? parseDuration(argv.duration) : undefined;
+  const invariantFilter = argv.invariant !== undefined ? new RegExp(argv.invariant) : undefined;
+  const reportDir = argv.report ?? "fuzz-report";
+
+  const branches = argv.branches !== undefined
+    ? argv.branches.split(",").map((n: string) => n.trim())
+    : defaultBranches;
+  for (const n of branches) parseInteger("branches", n, 1, 1);
+
+  const matrix = getMatrix([
+    Object.fromEntries(branches.map((n: string) => [`${n}coll`, { NUM_BRANCHES: n }])),
+    Object.fromEntries((asArray(argv.profile) ?? defaultProfiles).map(parseProfile)),
+  ]);
+
+  const corpusDir: string | undefined = argv.corpus ? (argv["corpus-dir"] ?? "fuzz-corpus") : undefined;
+  const coverageFile = corpusDir && path.join(corpusDir, handlerCoverageFile);
+  const handlerCoverage: HandlerCoverage = coverageFile && await fs.pathExists(coverageFile)
+    ? await fs.readJSON(coverageFile)
+    : {};
+  const corpusEntriesBefore = corpusDir ? await countCorpusEntries(corpusDir) : 0;
+
+  // cluster ID => number of counterexamples saved
+  const clusterSizes = new Map<string, number>();
+  for (const { counterexample } of await readCounterexamples(counterexamplesDir)) {
+    const id = clusterId(counterexample);
+    clusterSizes.set(id, (clusterSizes.get(id) ?? 0) + 1);
+  }
+
   await $({ stdio: "inherit" })`forge build`;
 
   const testListJson = TestListJson.parse(
@@ -80,32 +340,67 @@ const main = async () => {
         test,
       }))
     )
-  );
+  ).filter(({ contract, test }) => !invariantFilter || invariantFilter.test(`${contract}::${test}`));
+
+  if (tests.length === 0) {
+    throw new Error(`No invariant test matches ${invariantFilter}`);
+  }
 
   log.info(
     `Testing ${tests.length} invariants `
       + `in ${matrix.length} configurations using ${concurrency} concurrent processes...`,
   );
 
+  const startedAt = new Date();
+  const deadline = durationMs !== undefined ? startedAt.getTime() + durationMs : Infinity;
+  let runsStarted = 0;
+
+  const budgetExhausted = () => Date.now() >= deadline || (maxRuns !== undefined && runsStarted >= maxRuns);
+
+  const stats: RunStats[] = [];
+  const newCounterexamples: NewCounterexample[] = [];
+
   const sequential = new PQueue({ concurrency: 1 });
   const concurrent = new PQueue({ concurrency });
 
-  tests.forEach(({ solPath, contract, test }) => {
-    matrix.forEach(async ([key, env]) => {
+  concurrent.on("error", logError);
+
+  await Promise.all(tests.flatMap(({ solPath, contract, test }) =>
+    matrix.map(async ([key, env]) => {
       const logPrefix = `[${key}] ${contract}::${test}()`;
+      const stat: RunStats = {
+        invariant: `${contract}::${test}`,
+        config: key,
+        runs: 0,
+        passed: 0,
+        failed: 0,
+        errors: 0,
+      };
+      stats.push(stat);
 
-      for (;;) {
+      while (!budgetExhausted()) {
         await concurrent.add(async () => {
           // Workaround: avoid spawning a lot of child processes at the same time, as there can be race conditions
           await sequential.add(() => sleep(softStartDelayMs));
 
+          // The budget may have run out while waiting in the queue
+          if (budgetExhausted()) return;
+          runsStarted++;
+          stat.runs++;
+
           // Workaround: don't replay previous failure (no way to disable this in Foundry)
           await $`rm -f ${failuresDir}/${contract}/${test}`;
 
           log.debug(`> ${logPrefix} started`);
 
+          const corpusEnv = corpusDir
+            ? { FOUNDRY_INVARIANT_CORPUS_DIR: path.resolve(corpusDir, contract, test, key) }
+            : {};
+
           const results = TestResultsJson.parse(
-            await $({ env: { ...process.env, ...env } })`forge test ${[
+            await $({
+              env: { ...process.env, ...env, ...corpusEnv, FOUNDRY_INVARIANT_SHOW_METRICS: "true" },
+            })`forge test ${[
               "--match-path",
               solPath,
               "--match-contract",
@@ -119,15 +414,26 @@ const main = async () => {
 
           log.debug(`< ${logPrefix} finished`);
 
-          const failures = Object.values(results)
-            .flatMap((x) => Object.values(x.test_results))
-            .filter((x) => x.status === "Failure");
+          const testResults = Object.values(results).flatMap((x) => Object.values(x.test_results));
+          const failures = testResults.filter((x) => x.status === "Failure");
+
+          for (const result of testResults) {
+            mergeMetrics(handlerCoverage, result.kind?.Invariant?.metrics ?? {});
+          }
+          if (coverageFile) {
+            // synchronous, so that concurrent runs don't interleave their writes
+            fs.outputJSONSync(coverageFile, handlerCoverage, { spaces: 2 });
+          }
+
+          if (failures.length === 0) stat.passed++;
 
           const dir = path.join(counterexamplesDir, contract, test);
           const file = path.join(dir, `${key}_${Date.now()}.json`);
 
           for (const failure of failures) {
             if (failure.counterexample != null) {
+              stat.failed++;
+
               const counterexample: ReproducibleCounterexampleJson = {
                 reason: failure.reason,
                 solPath,
@@ -136,24 +442,83 @@ const main = async () => {
                 env,
                 labels: failure.labeled_addresses,
                 sequence: failure.counterexample.Sequence,
+                config: key,
               };
 
+              const id = clusterId(counterexample);
+              const clusterSize = clusterSizes.get(id) ?? 0;
+              const reason = chalk.bold(shortReason(failure.reason));
+
+              if (maxPerCluster > 0 && clusterSize >= maxPerCluster) {
+                log.info(`  ${logPrefix} counterexample (${reason}) of known cluster ${id}, not saved`);
+                continue;
+              }
+
+              clusterSizes.set(id, clusterSize + 1);
               await $`mkdir -p ${dir}`;
               await fs.writeJSON(file, counterexample, { spaces: 2 });
 
-              log.info(
-                `  ${logPrefix} counterexample (${chalk.bold(shortReason(failure.reason))}): ${chalk.underline(file)}`,
-              );
+              newCounterexamples.push({
+                invariant: stat.invariant,
+                config: key,
+                reason: shortReason(failure.reason),
+                cluster: id,
+                file,
+              });
+
+              log.info(`  ${logPrefix} counterexample (${reason}) of cluster ${id}: ${chalk.underline(file)}`);
             } else {
+              stat.errors++;
               log.error(`! ${logPrefix} failed: ${failure.reason}`);
             }
           }
         });
       }
-    });
-  });
+    })
+  ));
 
-  concurrent.on("error", logError);
+  const finishedAt = new Date();
+
+  const report: FuzzReport = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationSeconds: (finishedAt.getTime() - startedAt.getTime()) / 1000,
+    options: {
+      workers: concurrency,
+      matrix: Object.fromEntries(matrix),
+      invariantFilter: argv.invariant,
+      durationBudgetSeconds: durationMs !== undefined ? durationMs / 1000 : undefined,
+      maxRuns,
+    },
+    totals: {
+      runs: sum(stats, "runs"),
+      passed: sum(stats, "passed"),
+      failed: sum(stats, "failed"),
+      errors: sum(stats, "errors"),
+      newCounterexamples: newCounterexamples.length,
+    },
+    stats,
+    newCounterexamples,
+    corpus: corpusDir
+      ? { dir: corpusDir, entriesBefore: corpusEntriesBefore, entriesAfter: await countCorpusEntries(corpusDir) }
+      : undefined,
+    handlerCoverage,
+    unreachedHandlerFunctions: await getUnreachedHandlerFunctions(handlerCoverage),
+  };
+
+  await $`mkdir -p ${reportDir}`;
+  await fs.writeJSON(path.join(reportDir, "fuzz-report.json"), report, { spaces: 2 });
+  await fs.writeFile(path.join(reportDir, "fuzz-report.md"), formatMarkdown(report));
+
+  log.info(
+    `Budget exhausted after ${report.totals.runs} runs: ${report.totals.passed} passed, `
+      + `${report.totals.failed} failed, ${report.totals.errors} errors, `
+      + `${newCounterexamples.length} new counterexamples. Report written to ${chalk.underline(reportDir)}`,
+  );
+
+  if (report.unreachedHandlerFunctions.length > 0) {
+    log.info(`Handler functions never reached: ${report.unreachedHandlerFunctions.join(", ")}`);
+  }
 };
 
 main().catch(logError);
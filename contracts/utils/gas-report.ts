@@ -0,0 +1,312 @@
+import { echo, fs, glob, minimist, path } from "zx";
+
+const HELP = `
+gas-report - aggregate gas usage per operation and compare it against a baseline.
+
+Usage:
+  pnpm gas-report [OPTIONS]
+
+Options:
+  --forge <FILE>         Output of \`forge test --gas-report\` (text or --json).
+  --hardhat <DIR>        Directory of gas records written by the Hardhat tests
+                         (run the tests with GAS_RECORDS_DIR=<DIR> set).
+  --baseline <FILE>      Baseline report to compare against, required unless
+                         --update-baseline creates it. Default: gas-baseline.json
+  --out <DIR>            Directory to write gas-report.json and gas-report.md into.
+                         Default: gas-report
+  --threshold <PERCENT>  Minimum change of the average gas to be reported as a
+                         regression or an improvement. Default: 0.5
+  --fail-on-regression   Exit with an error if any regression is found.
+  --update-baseline      Write the new report to the baseline file.
+  --help, -h             Show this help message.
+`;
+
+// Operations shown first, as they are the ones users pay for the most
+const KEY_OPERATIONS = [
+  /openTrove/,
+  /liquidat/i,
+  /redeemCollateral/,
+  /redemption/i,
+];
+
+const argv = minimist(process.argv.slice(2), {
+  alias: {
+    h: "help",
+  },
+  boolean: [
+    "fail-on-regression",
+    "help",
+    "update-baseline",
+  ],
+  string: [
+    "baseline",
+    "forge",
+    "hardhat",
+    "out",
+    "threshold",
+  ],
+});
+
+interface GasReportEntry {
+  source: "forge" | "hardhat";
+  calls: number;
+  min: number;
+  avg: number;
+  max: number;
+}
+
+// Keyed by operation: "<Contract>.<function>" for Forge, the recorded label for Hardhat
+type GasReport = Record<string, GasReportEntry>;
+
+interface GasReportDiff {
+  operation: string;
+  baseline?: GasReportEntry;
+  current?: GasReportEntry;
+  // relative change of the average gas, in percent
+  change?: number;
+}
+
+const toNumber = (cell: string) => Number(cell.replace(/[,_]/g, ""));
+const isNumeric = (cell: string) => cell !== "" && !isNaN(toNumber(cell));
+
+// Parses the tables printed by `forge test --gas-report`, in both the
+// markdown (| ... |) and the box drawing (│ ... ┆ ... │) flavors.
+function parseForgeGasReportText(text: string): GasReport {
+  const report: GasReport = {};
+  let contract: string | null = null;
+  let inFunctions = false;
+
+  for (const line of text.split("\n")) {
+    const cells = line
+      .split(/[|│┆]/)
+      .map((cell) => cell.trim())
+      .filter((_, i, all) => i > 0 && i < all.length - 1);
+
+    if (cells.length === 0) continue;
+
+    const contractHeader = cells[0].match(/^(?:.+:)?([^:\s]+) contract$/);
+    if (contractHeader) {
+      contract = contractHeader[1];
+      inFunctions = false;
+      continue;
+    }
+
+    if (cells[0] === "Function Name") {
+      inFunctions = true;
+      continue;
+    }
+
+    // min, avg, median, max, # calls
+    if (contract && inFunctions && cells.length >= 6 && cells.slice(1, 6).every(isNumeric)) {
+      const [name, min, avg, , max, calls] = cells;
+      report[`${contract}.${name}`] = {
+        source: "forge",
+        calls: toNumber(calls),
+        min: toNumber(min),
+        avg: toNumber(avg),
+        max: toNumber(max),
+      };
+    }
+  }
+
+  return report;
+}
+
+type ForgeGasReportJson = Array<{
+  contract: string;
+  // function name => signature => gas
+  functions: Record<string, Record<string, { calls: number; min: number; mean: number; max: number }>>;
+}>;
+
+// Parses the output of `forge test --gas-report --json`
+function parseForgeGasReportJson(json: ForgeGasReportJson): GasReport {
+  const report: GasReport = {};
+
+  for (const { contract, functions } of json) {
+    const contractName = contract.split(":").pop()!;
+
+    for (const [name, signatures] of Object.entries(functions)) {
+      for (const [signature, gas] of Object.entries(signatures)) {
+        // only qualify overloaded functions with their signature
+        const operation = Object.keys(signatures).length > 1 ? signature : name;
+        report[`${contractName}.${operation}`] = {
+          source: "forge",
+          calls: gas.calls,
+          min: gas.min,
+          avg: gas.mean,
+          max: gas.max,
+        };
+      }
+    }
+  }
+
+  return report;
+}
+
+function parseForgeGasReport(output: string): GasReport {
+  const trimmed = output.trim();
+  return trimmed.startsWith("[")
+    ? parseForgeGasReportJson(JSON.parse(trimmed))
+    : parseForgeGasReportText(output);
+}
+
+// Merges the files written by TestHelper.writeGasRecords(),
+// each of them mapping an operation to the list of gas used per call.
+async function readHardhatGasRecords(dir: string): Promise<GasReport> {
+  const gasUsedByOperation = new Map<string, number[]>();
+
+  for (const file of await glob(path.join(dir, "*.json"))) {
+    const records: Record<string, number[]> = await fs.readJSON(file);
+    for (const [operation, gasUsed] of Object.entries(records)) {
+      gasUsedByOperation.set(operation, [...(gasUsedByOperation.get(operation) ?? []), ...gasUsed]);
+    }
+  }
+
+  return Object.fromEntries(
+    [...gasUsedByOperation.entries()]
+      .filter(([, gasUsed]) => gasUsed.length > 0)
+      .map(([operation, gasUsed]) => [operation, {
+        source: "hardhat",
+        calls: gasUsed.length,
+        min: Math.min(...gasUsed),
+        avg: Math.round(gasUsed.reduce((a, b) => a + b, 0) / gasUsed.length),
+        max: Math.max(...gasUsed),
+      }]),
+  );
+}
+
+const isKeyOperation = (operation: string) => KEY_OPERATIONS.some((pattern) => pattern.test(operation));
+
+const sortOperations = (a: string, b: string) => (
+  Number(isKeyOperation(b)) - Number(isKeyOperation(a)) || a.localeCompare(b)
+);
+
+function diffGasReports(baseline: GasReport, current: GasReport): GasReportDiff[] {
+  const operations = new Set([...Object.keys(baseline), ...Object.keys(current)]);
+
+  return [...operations].sort(sortOperations).map((operation) => {
+    const b = baseline[operation];
+    const c = current[operation];
+    return {
+      operation,
+      baseline: b,
+      current: c,
+      change: b && c && b.avg > 0 ? (c.avg - b.avg) / b.avg * 100 : undefined,
+    };
+  });
+}
+
+const isRegression = ({ change }: GasReportDiff, threshold: number) => (
+  change !== undefined && change > 0 && change >= threshold
+);
+
+const formatChange = ({ baseline, current, change }: GasReportDiff, threshold: number) => {
+  if (!baseline) return "new";
+  if (!current) return "removed";
+  if (change === undefined || Math.abs(change) < threshold) return "";
+  return `${change > 0 ? "🔺 +" : "🟢 "}${change.toFixed(2)}%`;
+};
+
+function formatMarkdown(diffs: GasReportDiff[], threshold: number) {
+  const row = (cells: unknown[]) => `| ${cells.join(" | ")} |`;
+
+  const table = (diffs: GasReportDiff[]) => [
+    row(["Operation", "Source", "Calls", "Min", "Avg", "Max", "Baseline avg", "Change"]),
+    row(["---", "---", "---:", "---:", "---:", "---:", "---:", "---:"]),
+    ...diffs.map((diff) =>
+      row([
+        `\`${diff.operation}\``,
+        (diff.current ?? diff.baseline)?.source,
+        diff.current?.calls ?? "",
+        diff.current?.min ?? "",
+        diff.current?.avg ?? "",
+        diff.current?.max ?? "",
+        diff.baseline?.avg ?? "",
+        formatChange(diff, threshold),
+      ])
+    ),
+  ];
+
+  const regressions = diffs.filter((diff) => isRegression(diff, threshold));
+  const keyOperations = diffs.filter((diff) => isKeyOperation(diff.operation));
+
+  return [
+    `## Gas report`,
+    ``,
+    regressions.length > 0
+      ? `**${regressions.length} regression(s)** above ${threshold}% of the baseline average.`
+      : `No regression above ${threshold}% of the baseline average.`,
+    ``,
+    `### Key operations`,
+    ``,
+    ...table(keyOperations),
+    ``,
+    `<details>`,
+    `<summary>All operations</summary>`,
+    ``,
+    ...table(diffs),
+    ``,
+    `</details>`,
+    ``,
+  ].join("\n");
+}
+
+async function main() {
+  if (argv.help) {
+    echo`${HELP}`;
+    process.exit(0);
+  }
+
+  const baselineFile = argv.baseline ?? "gas-baseline.json";
+  const outDir = argv.out ?? "gas-report";
+  const threshold = Number(argv.threshold ?? "0.5");
+
+  if (isNaN(threshold)) {
+    throw new Error("--threshold <PERCENT> must be a number");
+  }
+  if (!argv.forge && !argv.hardhat) {
+    throw new Error("At least one of --forge <FILE> or --hardhat <DIR> is required");
+  }
+
+  const report: GasReport = {
+    ...(argv.forge ? parseForgeGasReport(await fs.readFile(argv.forge, "utf-8")) : {}),
+    ...(argv.hardhat ? await readHardhatGasRecords(argv.hardhat) : {}),
+  };
+
+  if (Object.keys(report).length === 0) {
+    throw new Error("No gas data found in the inputs");
+  }
+
+  await fs.mkdirp(outDir);
+  await fs.writeJSON(path.join(outDir, "gas-report.json"), report, { spaces: 2 });
+
+  const hasBaseline = await fs.pathExists(baselineFile);
+  if (!hasBaseline && !argv["update-baseline"]) {
+    // comparing against nothing would report every operation as new, and never a regression
+    throw new Error(
+      `Baseline not found: ${baselineFile} (create it with --update-baseline, or from ${outDir}/gas-report.json)`,
+    );
+  }
+
+  const baseline: GasReport = hasBaseline ? await fs.readJSON(baselineFile) : {};
+  const diffs = diffGasReports(baseline, report);
+  const markdown = formatMarkdown(diffs, threshold);
+
+  await fs.writeFile(path.join(outDir, "gas-report.md"), markdown);
+
+  echo(markdown);
+
+  if (argv["update-baseline"]) {
+    await fs.writeJSON(baselineFile, report, { spaces: 2 });
+    echo(`Baseline updated: ${baselineFile}`);
+  }
+
+  if (argv["fail-on-regression"] && diffs.some((diff) => isRegression(diff, threshold))) {
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
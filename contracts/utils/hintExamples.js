@@ -1,117 +1,102 @@
-const { TestHelper: th } = require("../utils/testHelpers.js");
+// Hardhat script: examples of off-chain hint calculation, using troveHints.js
+// Run with: npx hardhat run utils/hintExamples.js
+
+const { TestHelper: th } = require("./testHelpers.js");
 const dh = require("./deploymentHelpers.js");
+const { fundAccounts } = require("./fundAccounts.js");
+const {
+  getAdjustTroveInterestRateHints,
+  getJoinBatchHints,
+  getOpenTroveHints,
+} = require("./troveHints.js");
 
-// const [borrower, A, B, C] = (() => Array.from(Array(4), x => web3.eth.accounts.create().address))()
+const { dec, toBN } = th;
 
 async function main() {
   const accounts = await web3.eth.getAccounts();
-  const [borrower, A, B] = accounts;
-
-  const coreContracts = await dh.deployLiquityCoreHardhat();
-  const ARBITRARY_ADDRESS = "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419";
-  const LQTYContracts = await dh.deployLQTYContractsHardhat(
-    ARBITRARY_ADDRESS,
-    ARBITRARY_ADDRESS,
-    ARBITRARY_ADDRESS,
-  );
-
-  const { troveManager, borrowerOperations, hintHelpers, sortedTroves, priceFeedTestnet } = coreContracts;
-
-  await dh.connectCoreContracts(coreContracts, LQTYContracts);
-  await dh.connectLQTYContractsToCore(LQTYContracts, coreContracts);
+  const [borrower, A, B, C, batchManager] = accounts;
 
-  // Examples of off-chain hint calculation for Open Trove
+  const contracts = await dh.deployLiquityCoreHardhat();
+  await dh.connectCoreContracts(contracts);
+  await fundAccounts([borrower, A, B, C], contracts.WETH);
 
-  const toWei = web3.utils.toWei;
-  const toBN = web3.utils.toBN;
+  const { borrowerOperations, priceFeedTestnet } = contracts;
 
-  const price = toBN(toWei("2500"));
-  await priceFeedTestnet.setPrice(toBN(toWei("2500")));
+  await priceFeedTestnet.setPrice(dec(2500, 18));
 
-  const LUSDAmount = toBN(toWei("2500")); // borrower wants to withdraw 2500 LUSD
-  const ETHColl = toBN(toWei("5")); // borrower wants to lock 5 ETH collateral
+  // Fill the list with a few troves at different interest rates
+  for (const [i, account] of [A, B, C].entries()) {
+    const annualInterestRate = toBN(dec(5 + i * 5, 16)); // 5%, 10%, 15%
+    const { upperHint, lowerHint } = await getOpenTroveHints(contracts, annualInterestRate);
+    await th.openTroveWrapper(
+      contracts,
+      toBN(dec(3000, 18)),
+      upperHint,
+      lowerHint,
+      annualInterestRate,
+      { from: account, value: dec(5, 18) },
+    );
+  }
 
-  // Call deployed TroveManager contract to read the liquidation reserve and latest borrowing fee
-  const liquidationReserve = await troveManager.LUSD_GAS_COMPENSATION();
-  const expectedFee = await troveManager.getBorrowingFeeWithDecay(LUSDAmount);
+  // --- Open trove ---
 
-  // Total debt of the new trove = LUSD amount drawn, plus fee, plus the liquidation reserve
-  const expectedDebt = LUSDAmount.add(expectedFee).add(liquidationReserve);
+  const boldAmount = toBN(dec(2500, 18)); // borrower wants to withdraw 2500 Bold
+  const collAmount = toBN(dec(5, 18)); // borrower wants to lock 5 ETH collateral
+  const annualInterestRate = toBN(dec(8, 16)); // at an annual interest rate of 8%
 
-  // Get the nominal NICR of the new trove
-  const _1e20 = toBN(toWei("100"));
-  let NICR = ETHColl.mul(_1e20).div(expectedDebt);
-
-  // Get an approximate address hint from the deployed HintHelper contract. Use (15 * number of troves) trials
-  // to get an approx. hint that is close to the right position.
-  let numTroves = await sortedTroves.getSize();
-  let numTrials = numTroves.mul(toBN("15"));
-  let { 0: approxHint } = await hintHelpers.getApproxHint(NICR, numTrials, 42); // random seed of 42
-
-  // Use the approximate hint to get the exact upper and lower hints from the deployed SortedTroves contract
-  let { 0: upperHint, 1: lowerHint } = await sortedTroves.findInsertPosition(NICR, approxHint, approxHint);
+  // Get the exact hints for the chosen interest rate
+  let { upperHint, lowerHint } = await getOpenTroveHints(contracts, annualInterestRate);
 
   // Finally, call openTrove with the exact upperHint and lowerHint
-  await borrowerOperations.openTrove(LUSDAmount, upperHint, lowerHint, { value: ETHColl });
-
-  // --- adjust trove ---
-
-  const collIncrease = toBN(toWei("1")); // borrower wants to add 1 ETH
-  const LUSDRepayment = toBN(toWei("230")); // borrower wants to repay 230 LUSD
-
-  // Get trove's current debt and coll
-  const { 0: debt, 1: coll } = await troveManager.getEntireDebtAndColl(borrower);
-
-  const newDebt = debt.sub(LUSDRepayment);
-  const newColl = coll.add(collIncrease);
+  const troveId = await th.openTroveWrapper(
+    contracts,
+    boldAmount,
+    upperHint,
+    lowerHint,
+    annualInterestRate,
+    { from: borrower, value: collAmount },
+  );
 
-  NICR = newColl.mul(_1e20).div(newDebt);
+  // --- Adjust interest rate ---
 
-  // Get an approximate address hint from the deployed HintHelper contract. Use (15 * number of troves) trials
-  // to get an approx. hint that is close to the right position.
-  numTroves = await sortedTroves.getSize();
-  numTrials = numTroves.mul(toBN("15"))({ 0: approxHint } = await hintHelpers.getApproxHint(NICR, numTrials, 42))// Use the approximate hint to get the exact upper and lower hints from the deployed SortedTroves contract
-  ({ 0: upperHint, 1: lowerHint } = await sortedTroves.findInsertPosition(NICR, approxHint, approxHint));
+  const newAnnualInterestRate = toBN(dec(12, 16)); // borrower moves to 12%
 
-  // Call adjustTrove with the exact upperHint and lowerHint
-  await borrowerOperations.adjustTrove(0, LUSDRepayment, false, upperHint, lowerHint, { value: collIncrease });
+  ({ upperHint, lowerHint } = await getAdjustTroveInterestRateHints(contracts, newAnnualInterestRate));
 
-  // --- RedeemCollateral ---
+  await borrowerOperations.adjustTroveInterestRate(
+    troveId,
+    newAnnualInterestRate,
+    upperHint,
+    lowerHint,
+    th.MAX_UINT256, // _maxUpfrontFee
+    { from: borrower },
+  );
 
-  // Get the redemptions hints from the deployed HintHelpers contract
-  const redemptionhint = await hintHelpers.getRedemptionHints(LUSDAmount, price, 50);
+  // --- Join a batch ---
 
-  const { 0: firstRedemptionHint, 1: partialRedemptionNewICR, 2: truncatedLUSDAmount } = redemptionhint;
+  await borrowerOperations.registerBatchManager(
+    dec(1, 16), // min interest rate: 1%
+    dec(20, 16), // max interest rate: 20%
+    dec(6, 16), // current interest rate: 6%
+    dec(25, 14), // annual management fee: 0.25%
+    120, // min interest rate change period: 2 minutes, the lowest allowed
+    { from: batchManager },
+  );
 
-  // Get the approximate partial redemption hint
-  const {
-    hintAddress: approxPartialRedemptionHint,
-    latestRandomSeed,
-  } = await contracts.hintHelpers.getApproxHint(partialRedemptionNewICR, numTrials, 42);
+  // The trove gets re-inserted at the interest rate of the batch
+  ({ upperHint, lowerHint } = await getJoinBatchHints(contracts, batchManager));
 
-  /* Use the approximate partial redemption hint to get the exact partial redemption hint from the
-  * deployed SortedTroves contract
-  */
-  const exactPartialRedemptionHint = await sortedTroves.findInsertPosition(
-    partialRedemptionNewICR,
-    approxPartialRedemptionHint,
-    approxPartialRedemptionHint,
+  await borrowerOperations.setInterestBatchManager(
+    troveId,
+    batchManager,
+    upperHint,
+    lowerHint,
+    th.MAX_UINT256, // _maxUpfrontFee
+    { from: borrower },
   );
 
-  /* Finally, perform the on-chain redemption, passing the truncated LUSD amount, the correct hints, and the expected
-  * ICR of the final partially redeemed trove in the sequence.
-  */
-  const maxFee = "5".concat("0".repeat(16)); // Slippage protection: 5%
-  await troveManager.redeemCollateral(
-    truncatedLUSDAmount,
-    firstRedemptionHint,
-    exactPartialRedemptionHint[0],
-    exactPartialRedemptionHint[1],
-    partialRedemptionNewICR,
-    0,
-    maxFee,
-    { from: redeemer },
-  );
+  console.log(`Trove ${troveId} joined batch ${batchManager}`);
+  console.log(`Interest rate: ${await contracts.troveManager.getTroveAnnualInterestRate(troveId)}`);
 }
 
 main()
@@ -0,0 +1,142 @@
+const assert = require("assert");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { abs, toBigInt } = require("./fixedPoint.js");
+
+/* Off-chain prediction of the interest (and batch management fee) accrued by troves and batches.
+
+Interest accrues per second, as simple interest on the recorded debt since the last debt update
+(see TroveManager._calcInterest()):
+
+  accruedInterest = recordedDebt * annualInterestRate * period / ONE_YEAR / DECIMAL_PRECISION
+
+The same formula applies to batch management fees, using the annual management fee of the batch.
+A trove that is part of a batch accrues its share of the batch's interest and management fee.
+
+Example usage, after opening a trove:
+
+  await fastForwardTime(30 * 24 * 60 * 60);
+  await assertLatestTroveData(contracts, troveId); // compares the prediction with getLatestTroveData()
+
+  const { entireDebt } = await predictTroveDebt(contracts, troveId, { at: (await time.latest()) + 3600 }); */
+
+const DECIMAL_PRECISION = 10n ** 18n;
+const ONE_YEAR = 365n * 24n * 60n * 60n;
+
+const calcInterest = (weightedDebt, period) => (
+  toBigInt(weightedDebt) * toBigInt(period) / ONE_YEAR / DECIMAL_PRECISION
+);
+
+// Returns the timestamp of the new block
+const fastForwardTime = async (seconds) => {
+  await time.increase(seconds);
+  return time.latest();
+};
+
+const fastForwardTo = async (timestamp) => {
+  await time.increaseTo(timestamp);
+  return time.latest();
+};
+
+// `interval` is the number of seconds between the mined blocks (1 by default)
+const mineBlocks = async (count = 1, { interval } = {}) => {
+  await mine(count, interval === undefined ? {} : { interval });
+  return time.latest();
+};
+
+const ZERO_ADDRESS = "0x" + "0".repeat(40);
+
+const getPeriod = (at, lastDebtUpdateTime) => {
+  const period = BigInt(at) - toBigInt(lastDebtUpdateTime);
+  if (period < 0n) {
+    throw new Error(`Can't predict the accrual at ${at}, before the last debt update (${lastDebtUpdateTime})`);
+  }
+  return period;
+};
+
+// Interest and management fee accrued by a batch between its last debt update and `at`
+const predictBatchAccrual = async (contracts, batchManager, { at } = {}) => {
+  at ??= await time.latest();
+  const batch = await contracts.troveManager.getLatestBatchData(batchManager);
+  const period = getPeriod(at, batch.lastDebtUpdateTime);
+
+  return {
+    period,
+    recordedDebt: toBigInt(batch.recordedDebt),
+    accruedInterest: calcInterest(batch.weightedRecordedDebt, period),
+    accruedManagementFee: calcInterest(batch.weightedRecordedBatchManagementFee, period),
+  };
+};
+
+// Interest (and batch management fee, for troves in a batch) accrued by a trove between
+// its last debt update and `at` (defaults to the timestamp of the latest block).
+// Redistribution gains aren't predicted: they're taken from the TroveManager.
+const predictTroveDebt = async (contracts, troveId, { at } = {}) => {
+  at ??= await time.latest();
+  const { troveManager } = contracts;
+  const [trove, latest] = await Promise.all([troveManager.Troves(troveId), troveManager.getLatestTroveData(troveId)]);
+  const redistBoldDebtGain = toBigInt(latest.redistBoldDebtGain);
+
+  let recordedDebt, accruedInterest, accruedBatchManagementFee;
+
+  if (trove.interestBatchManager === ZERO_ADDRESS) {
+    recordedDebt = toBigInt(trove.debt);
+    accruedInterest = calcInterest(
+      recordedDebt * toBigInt(trove.annualInterestRate),
+      getPeriod(at, trove.lastDebtUpdateTime),
+    );
+    accruedBatchManagementFee = 0n;
+  } else {
+    // The trove owns batchDebtShares / totalDebtShares of the batch, i.e. the same proportion of its recorded debt
+    const batch = await predictBatchAccrual(contracts, trove.interestBatchManager, { at });
+    recordedDebt = toBigInt(latest.recordedDebt);
+    accruedInterest = batch.recordedDebt > 0n ? batch.accruedInterest * recordedDebt / batch.recordedDebt : 0n;
+    accruedBatchManagementFee = batch.recordedDebt > 0n
+      ? batch.accruedManagementFee * recordedDebt / batch.recordedDebt
+      : 0n;
+  }
+
+  return {
+    recordedDebt,
+    redistBoldDebtGain,
+    accruedInterest,
+    accruedBatchManagementFee,
+    entireDebt: recordedDebt + redistBoldDebtGain + accruedInterest + accruedBatchManagementFee,
+  };
+};
+
+// Compares the prediction with TroveManager.getLatestTroveData(). As view calls may run in a block
+// a bit after the latest one, the actual values may be anywhere between the predictions at the
+// latest block's timestamp and `maxSecondsAhead` seconds later. `tolerance` (in wei) absorbs
+// the rounding of the batch shares.
+const assertLatestTroveData = async (contracts, troveId, { tolerance = 10n, maxSecondsAhead = 1 } = {}) => {
+  const now = await time.latest();
+  const [actual, lower, upper] = await Promise.all([
+    contracts.troveManager.getLatestTroveData(troveId),
+    predictTroveDebt(contracts, troveId, { at: now }),
+    predictTroveDebt(contracts, troveId, { at: now + maxSecondsAhead }),
+  ]);
+
+  for (const field of ["accruedInterest", "accruedBatchManagementFee", "entireDebt"]) {
+    const value = toBigInt(actual[field]);
+    const inRange = value + toBigInt(tolerance) >= lower[field] && value <= upper[field] + toBigInt(tolerance);
+    assert.ok(
+      inRange,
+      `Trove ${troveId}: ${field} is ${value}, expected ${lower[field]}`
+        + (upper[field] !== lower[field] ? ` to ${upper[field]}` : "")
+        + ` (difference: ${abs(value - lower[field])}, tolerance: ${tolerance})`,
+    );
+  }
+
+  return actual;
+};
+
+module.exports = {
+  ONE_YEAR,
+  assertLatestTroveData,
+  calcInterest,
+  fastForwardTime,
+  fastForwardTo,
+  mineBlocks,
+  predictBatchAccrual,
+  predictTroveDebt,
+};
@@ -0,0 +1,286 @@
+const assert = require("assert");
+const { abs, formatFixed, toBigInt } = require("./fixedPoint.js");
+
+/* System invariants, the JS counterpart of src/test/Invariants.t.sol and src/test/SPInvariants.t.sol.
+
+checkInvariants(contracts) throws an AssertionError listing every violated invariant:
+
+- ActivePool + DefaultPool collateral == sum of the troves' entire collateral (per branch)
+- pools' recorded collateral == their collateral token balances (per branch)
+- BOLD supply + pending interest + batch management fees == sum of the troves' entire debt (all branches)
+- only active and zombie troves are in the TroveManager, and only the active ones in SortedTroves
+- SortedTroves is ordered by descending interest rate, and its size matches its links
+- StabilityPool P stays within (0, 1e18], no S or B got recorded for a scale that doesn't exist yet,
+  and (when `depositors` are given) deposits, collateral gains and yield gains add up to the pool totals
+
+enableInvariantChecks(contracts) makes every transaction sent through the contract instances
+(e.g. by TestHelper.openTrove()) check the invariants once mined. Test files opt in with:
+
+  beforeEach(async () => {
+    const result = await deployFixture();
+    contracts = result.contracts;
+    enableInvariantChecks(contracts, { depositors: accounts });
+  }); */
+
+// Same tolerances as Invariants.t.sol
+const DEBT_AND_COLL_TOLERANCE = 10n ** 8n; // 1e-10 ether
+const SP_BOLD_TOLERANCE = 10n ** 15n; // 1e-3 ether
+const SP_COLL_TOLERANCE = 10n ** 13n; // 1e-5 ether
+
+const DECIMAL_PRECISION = 10n ** 18n;
+
+// See ITroveManager.Status
+const STATUS_ACTIVE = 1;
+const STATUS_ZOMBIE = 4;
+
+const call = async (promise) => toBigInt(await promise);
+
+const sum = (values) => values.reduce((a, b) => a + b, 0n);
+
+const getBranches = (contracts) => contracts.branches ?? [contracts];
+
+const checkApproxEqual = (violations, label, actual, expected, tolerance) => {
+  if (abs(actual - expected) > tolerance) {
+    violations.push(
+      `${label}: ${formatFixed(actual)} != ${formatFixed(expected)} (tolerance: ${formatFixed(tolerance)})`,
+    );
+  }
+};
+
+const getTroveIds = async ({ troveManager }) => {
+  const count = Number(await troveManager.getTroveIdsCount());
+  return Promise.all(Array.from({ length: count }, (_, i) => troveManager.getTroveFromTroveIdsArray(i)));
+};
+
+const checkTroves = async (violations, branch, troveIds, prefix) => {
+  const { activePool, defaultPool, sortedTroves, troveManager } = branch;
+  let trovesColl = 0n;
+  let trovesDebt = 0n;
+
+  for (const troveId of troveIds) {
+    const [trove, status, inSortedTroves] = await Promise.all([
+      troveManager.getLatestTroveData(troveId),
+      troveManager.getTroveStatus(troveId),
+      sortedTroves.contains(troveId),
+    ]);
+
+    trovesColl += toBigInt(trove.entireColl);
+    trovesDebt += toBigInt(trove.entireDebt);
+
+    if (Number(status) !== STATUS_ACTIVE && Number(status) !== STATUS_ZOMBIE) {
+      violations.push(`${prefix}trove ${troveId} has unexpected status ${status}`);
+    } else if (inSortedTroves !== (Number(status) === STATUS_ACTIVE)) {
+      violations.push(
+        `${prefix}trove ${troveId} (status ${status}) ${inSortedTroves ? "is" : "isn't"} in SortedTroves`,
+      );
+    }
+  }
+
+  const systemColl = await call(activePool.getCollBalance()) + await call(defaultPool.getCollBalance());
+  checkApproxEqual(violations, `${prefix}system coll vs. troves coll`, systemColl, trovesColl, DEBT_AND_COLL_TOLERANCE);
+
+  return trovesDebt;
+};
+
+const checkPoolBalances = async (violations, branch, prefix) => {
+  const { collToken, activePool, defaultPool, stabilityPool } = branch;
+  if (!collToken) return;
+
+  const pools = { ActivePool: activePool, DefaultPool: defaultPool, StabilityPool: stabilityPool };
+
+  for (const [name, pool] of Object.entries(pools)) {
+    const recorded = await call(pool.getCollBalance());
+    const balance = await call(collToken.balanceOf(pool.address));
+    if (recorded !== balance) {
+      violations.push(`${prefix}${name} coll balance ${balance} != recorded coll ${recorded}`);
+    }
+  }
+};
+
+const checkSortedTroves = async (violations, { sortedTroves, troveManager }, prefix) => {
+  const size = Number(await sortedTroves.getSize());
+  let count = 0;
+  let prevId = 0n;
+  let prevRate;
+
+  for (let id = toBigInt(await sortedTroves.getFirst()); id !== 0n; id = toBigInt(await sortedTroves.getNext(id))) {
+    if (++count > size) {
+      violations.push(`${prefix}SortedTroves has more linked nodes than its size (${size})`);
+      return;
+    }
+
+    const rate = await call(troveManager.getTroveAnnualInterestRate(id));
+    if (prevRate !== undefined && rate > prevRate) {
+      violations.push(`${prefix}SortedTroves not ordered: trove ${id} (${rate}) after trove ${prevId} (${prevRate})`);
+    }
+    prevId = id;
+    prevRate = rate;
+  }
+
+  if (count !== size) {
+    violations.push(`${prefix}SortedTroves size is ${size}, but ${count} nodes are linked`);
+  }
+  if (toBigInt(await sortedTroves.getLast()) !== prevId) {
+    violations.push(`${prefix}SortedTroves last node isn't the tail of the list`);
+  }
+};
+
+const checkStabilityPool = async (violations, { stabilityPool, boldToken }, depositors, prefix) => {
+  const [
+    P,
+    SCALE_FACTOR,
+    currentEpoch,
+    currentScale,
+    totalBoldDeposits,
+    collBalance,
+    yieldGainsOwed,
+    yieldGainsPending,
+  ] = await Promise.all([
+    call(stabilityPool.P()),
+    call(stabilityPool.SCALE_FACTOR()),
+    stabilityPool.currentEpoch(),
+    stabilityPool.currentScale(),
+    call(stabilityPool.getTotalBoldDeposits()),
+    call(stabilityPool.getCollBalance()),
+    call(stabilityPool.getYieldGainsOwed()),
+    call(stabilityPool.getYieldGainsPending()),
+  ]);
+
+  // P gets scaled up by SCALE_FACTOR whenever it would drop below it, and reset when the pool is emptied
+  if (P === 0n || P > DECIMAL_PRECISION || (totalBoldDeposits > 0n && P < SCALE_FACTOR)) {
+    violations.push(`${prefix}StabilityPool P out of range: ${P}`);
+  }
+
+  const nextScale = toBigInt(currentScale) + 1n;
+  for (const [product, getter] of [["S", "epochToScaleToS"], ["B", "epochToScaleToB"]]) {
+    const nextValue = await call(stabilityPool[getter](currentEpoch, nextScale));
+    if (nextValue !== 0n) {
+      violations.push(`${prefix}StabilityPool ${product} recorded for future scale ${nextScale}: ${nextValue}`);
+    }
+  }
+
+  // Only holds as long as no one sends BOLD directly to the StabilityPool
+  checkApproxEqual(
+    violations,
+    `${prefix}StabilityPool BOLD balance vs. deposits + yield`,
+    await call(boldToken.balanceOf(stabilityPool.address)),
+    totalBoldDeposits + yieldGainsOwed + yieldGainsPending,
+    SP_BOLD_TOLERANCE,
+  );
+
+  if (depositors.length === 0) return;
+
+  const [deposits, collGains, yieldGains] = await Promise.all([
+    Promise.all(depositors.map((depositor) => call(stabilityPool.getCompoundedBoldDeposit(depositor)))),
+    Promise.all(depositors.map(async (depositor) => (
+      await call(stabilityPool.getDepositorCollGain(depositor)) + await call(stabilityPool.stashedColl(depositor))
+    ))),
+    Promise.all(depositors.map((depositor) => call(stabilityPool.getDepositorYieldGain(depositor)))),
+  ]);
+
+  checkApproxEqual(
+    violations,
+    `${prefix}totalBoldDeposits vs. deposits`,
+    totalBoldDeposits,
+    sum(deposits),
+    SP_BOLD_TOLERANCE,
+  );
+  checkApproxEqual(
+    violations,
+    `${prefix}StabilityPool coll vs. coll gains`,
+    collBalance,
+    sum(collGains),
+    SP_COLL_TOLERANCE,
+  );
+  checkApproxEqual(
+    violations,
+    `${prefix}yieldGainsOwed vs. yield gains`,
+    yieldGainsOwed,
+    sum(yieldGains),
+    SP_BOLD_TOLERANCE,
+  );
+};
+
+// `depositors` are the accounts that may have a StabilityPool deposit,
+// needed to check that the pool totals match the sum of the deposits.
+const checkInvariants = async (contracts, { depositors = [] } = {}) => {
+  const violations = [];
+  const branches = getBranches(contracts);
+  let totalDebt = 0n;
+  let totalPendingDebt = 0n;
+
+  for (const [i, branch] of branches.entries()) {
+    const prefix = branches.length > 1 ? `branch ${i}: ` : "";
+    const troveIds = await getTroveIds(branch);
+
+    totalDebt += await checkTroves(violations, branch, troveIds, prefix);
+    totalPendingDebt += await call(branch.activePool.calcPendingAggInterest())
+      + await call(branch.activePool.aggBatchManagementFees())
+      + await call(branch.activePool.calcPendingAggBatchManagementFee());
+
+    await checkPoolBalances(violations, branch, prefix);
+    await checkSortedTroves(violations, branch, prefix);
+    await checkStabilityPool(violations, branch, depositors, prefix);
+  }
+
+  checkApproxEqual(
+    violations,
+    "BOLD supply + pending interest and fees vs. troves debt",
+    await call(contracts.boldToken.totalSupply()) + totalPendingDebt,
+    totalDebt,
+    DEBT_AND_COLL_TOLERANCE,
+  );
+
+  assert.ok(violations.length === 0, `Invariants violated:\n${violations.map((v) => `  - ${v}`).join("\n")}`);
+};
+
+// Truffle contract instance => function called after each of its transactions
+const afterTxHooks = new WeakMap();
+
+// Wraps the state changing functions of a truffle contract instance, to run its hook once their tx is mined
+const wrapInstance = (instance) => {
+  const functions = instance.abi.filter(({ type, stateMutability }) => (
+    type === "function" && stateMutability !== "view" && stateMutability !== "pure"
+  ));
+
+  for (const { name } of functions) {
+    const original = instance[name];
+    if (typeof original !== "function") continue;
+
+    const wrapped = async (...args) => {
+      const tx = await original(...args);
+      await afterTxHooks.get(instance)?.(tx);
+      return tx;
+    };
+    // keep .call(), .sendTransaction(), .estimateGas() etc.
+    instance[name] = Object.assign(wrapped, original);
+  }
+};
+
+const getInstances = (contracts) => (
+  new Set(getBranches(contracts).flatMap((branch) => Object.values(branch).filter((value) => value?.abi)))
+);
+
+// Makes every transaction sent through the contract instances of `contracts` check the invariants.
+// Instances are only wrapped once, so it's fine to call this after every loadFixture().
+const enableInvariantChecks = (contracts, options = {}) => {
+  const check = () => checkInvariants(contracts, options);
+
+  for (const instance of getInstances(contracts)) {
+    if (!afterTxHooks.has(instance)) wrapInstance(instance);
+    afterTxHooks.set(instance, check);
+  }
+};
+
+// e.g. to set up a state that temporarily breaks an invariant
+const disableInvariantChecks = (contracts) => {
+  for (const instance of getInstances(contracts)) {
+    if (afterTxHooks.has(instance)) afterTxHooks.set(instance, null);
+  }
+};
+
+module.exports = {
+  checkInvariants,
+  disableInvariantChecks,
+  enableInvariantChecks,
+};
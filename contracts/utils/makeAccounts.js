@@ -1,63 +1,208 @@
+/* Deterministic test accounts generator.
+
+Accounts are derived either:
+- from a BIP-39 mnemonic, along the standard Ethereum path m/44'/60'/0'/0/<index>
+  (same accounts as `anvil --mnemonic` or Hardhat's `accounts: { mnemonic }`, which
+  hardhat.config.js uses), or
+- from an arbitrary seed string, with privateKey(i) = sha256(`${seed}:${i}`) (faster,
+  but other tools can't derive these accounts by themselves).
+
+Usage as a module (see hardhat.config.js, for seeds):
+
+  const { makeAccounts } = require("./utils/makeAccounts.js");
+  const accountsList = makeAccounts({ count: 100, mnemonic: DEFAULT_MNEMONIC });
+
+Usage as a script:
+
+  node utils/makeAccounts.js [--count N] [--balance ETH] [--mnemonic M | --seed S]
+                             [--format hardhat|anvil|foundry] [--out FILE] */
+
+const crypto = require("crypto");
 const fs = require("fs");
+const { parseArgs } = require("util");
+const { formatFixed, parseFixed } = require("./fixedPoint.js");
+
+// The default mnemonic of Hardhat and Anvil
+const DEFAULT_MNEMONIC = "test test test test test test test test test test test junk";
+const DEFAULT_COUNT = 2000;
+const DEFAULT_BALANCE = 10n ** 36n; // in wei
+const ETHEREUM_PATH = [0x8000002c, 0x8000003c, 0x80000000, 0]; // m/44'/60'/0'/0
+
+// Order of the secp256k1 curve
+const SECP256K1_N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+const HARDENED_OFFSET = 0x80000000;
+
+const toBigInt = (buffer) => BigInt("0x" + buffer.toString("hex"));
+const toBuffer32 = (value) => Buffer.from(value.toString(16).padStart(64, "0"), "hex");
+const toPrivateKeyHex = (value) => "0x" + value.toString(16).padStart(64, "0");
+
+const ser32 = (index) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(index);
+  return buffer;
+};
+
+const compressedPublicKey = (privateKey) => {
+  const ecdh = crypto.createECDH("secp256k1");
+  ecdh.setPrivateKey(toBuffer32(privateKey));
+  return ecdh.getPublicKey(null, "compressed");
+};
+
+// BIP-32 child key derivation (private parent key => private child key)
+const deriveChild = ({ key, chainCode }, index) => {
+  const data = index >= HARDENED_OFFSET
+    ? Buffer.concat([Buffer.alloc(1), toBuffer32(key), ser32(index)])
+    : Buffer.concat([compressedPublicKey(key), ser32(index)]);
+
+  const I = crypto.createHmac("sha512", chainCode).update(data).digest();
+  const IL = toBigInt(I.subarray(0, 32));
+
+  // Probability lower than 1 in 2^127, BIP-32 says to skip to the next index
+  if (IL >= SECP256K1_N) throw new Error(`Invalid child key at index ${index}`);
+  const childKey = (IL + key) % SECP256K1_N;
+  if (childKey === 0n) throw new Error(`Invalid child key at index ${index}`);
+
+  return { key: childKey, chainCode: I.subarray(32) };
+};
+
+const masterKeyFromMnemonic = (mnemonic, passphrase = "") => {
+  const seed = crypto.pbkdf2Sync(
+    mnemonic.normalize("NFKD"),
+    ("mnemonic" + passphrase).normalize("NFKD"),
+    2048,
+    64,
+    "sha512",
+  );
+  const I = crypto.createHmac("sha512", "Bitcoin seed").update(seed).digest();
+  return { key: toBigInt(I.subarray(0, 32)), chainCode: I.subarray(32) };
+};
+
+const privateKeysFromMnemonic = (mnemonic, count, passphrase) => {
+  const parent = ETHEREUM_PATH.reduce(deriveChild, masterKeyFromMnemonic(mnemonic, passphrase));
+  return Array.from({ length: count }, (_, i) => toPrivateKeyHex(deriveChild(parent, i).key));
+};
+
+const privateKeysFromSeed = (seed, count) => (
+  Array.from({ length: count }, (_, i) => {
+    const hash = toBigInt(crypto.createHash("sha256").update(`${seed}:${i}`).digest());
+    return toPrivateKeyHex(hash % (SECP256K1_N - 1n) + 1n);
+  })
+);
+
+// Returns a list of { privateKey, balance } (Hardhat's format), balance being in wei
+const makeAccounts = ({
+  count = DEFAULT_COUNT,
+  balance = DEFAULT_BALANCE,
+  mnemonic,
+  passphrase,
+  seed,
+} = {}) => {
+  if (mnemonic !== undefined && seed !== undefined) {
+    throw new Error("Use either a mnemonic or a seed, not both");
+  }
 
-// Make accounts with 1 trillion Ether
-const makeAccount = () => {
-  acc = `{ privateKey: "${randomHex()}", balance: "'0xc097ce7bc90715b34b9f1000000000'" }`;
-  return acc;
+  const privateKeys = seed !== undefined
+    ? privateKeysFromSeed(seed, count)
+    : privateKeysFromMnemonic(mnemonic ?? DEFAULT_MNEMONIC, count, passphrase);
+
+  return privateKeys.map((privateKey) => ({ privateKey, balance: String(balance) }));
 };
 
-const randomHex = () => {
-  const hexChars = "abcdefABCDEF0123456789";
-  let hexCharArray = ["0x"];
+// --- Output formats ---
+
+const formatHardhat = (accounts) => (
+  [
+    `const accountsList = [`,
+    ...accounts.map(({ privateKey, balance }) => `  { privateKey: "${privateKey}", balance: "${balance}" },`),
+    `];`,
+    ``,
+    `module.exports = { accountsList };`,
+    ``,
+  ].join("\n")
+);
 
-  for (i = 0; i < 64; i++) {
-    hexCharArray.push(randomChar(hexChars));
+// Anvil derives the accounts by itself, so only mnemonics are supported
+const formatAnvil = (accounts, { mnemonic, seed, balance }) => {
+  if (seed !== undefined) {
+    throw new Error("The anvil format requires a mnemonic");
   }
-  // console.log("hexarray is" + hexCharArray)
-  return hexCharArray.join("");
+  return [
+    `anvil`,
+    `--mnemonic "${mnemonic ?? DEFAULT_MNEMONIC}"`,
+    `--derivation-path "m/44'/60'/0'/0/"`,
+    `--accounts ${accounts.length}`,
+    `--balance ${formatFixed(balance)}`,
+  ].join(" \\\n  ") + "\n";
 };
 
-const randomChar = (chars) => {
-  const len = chars.length;
-  const idx = Math.floor(len * Math.random());
+// Same shape as src/test/TestContracts/Accounts.sol
+const formatFoundry = (accounts) => (
+  [
+    `uint256[${accounts.length}] public accountsPks = [`,
+    accounts.map(({ privateKey }) => `    ${privateKey}`).join(",\n"),
+    `];`,
+    ``,
+  ].join("\n")
+);
 
-  return chars[idx];
+const formats = {
+  hardhat: formatHardhat,
+  anvil: formatAnvil,
+  foundry: formatFoundry,
 };
 
-const makeHardhatAccountsList = (n) => {
-  accountsDict = {};
-  accounts = [];
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      count: { type: "string" },
+      balance: { type: "string" }, // in ETH
+      mnemonic: { type: "string" },
+      passphrase: { type: "string" },
+      seed: { type: "string" },
+      format: { type: "string", default: "hardhat" },
+      out: { type: "string" },
+    },
+  });
 
-  let i = 0;
-  let account;
+  const format = formats[values.format];
+  if (!format) {
+    throw new Error(`Unknown format: ${values.format} (available: ${Object.keys(formats).join(", ")})`);
+  }
 
-  while (i < n) {
-    console.log(i);
-    account = makeAccount();
-    // console.log("account is" + account)
-    if (Object.keys(accountsDict).includes(account)) {
-      i += 1;
-      continue;
-    } else {
-      accounts.push(account);
-      accountsDict[account] = true;
-      i += 1;
-    }
+  const options = {
+    count: values.count === undefined ? DEFAULT_COUNT : Number(values.count),
+    balance: values.balance === undefined ? DEFAULT_BALANCE : parseFixed(values.balance),
+    mnemonic: values.mnemonic,
+    passphrase: values.passphrase,
+    seed: values.seed,
+  };
+
+  if (!Number.isInteger(options.count) || options.count < 1) {
+    throw new Error(`Invalid count: ${values.count}`);
   }
 
-  return (
-    `const accountsList = \n
-        [ ${accounts.join(",\n")} ]\n 
-          module.exports = {
-          accountsList: accountsList
-      };`
-  );
+  const output = format(makeAccounts(options), options);
+
+  if (values.out) {
+    fs.writeFileSync(values.out, output);
+  } else {
+    process.stdout.write(output);
+  }
 };
 
-// Construct accounts array data
-const arrayList = makeHardhatAccountsList(80000);
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
 
-// console.log(arrayList)
-fs.appendFile("../accountsList.js", arrayList, (err) => {
-  if (err) console.log(err);
-});
+module.exports = {
+  DEFAULT_BALANCE,
+  DEFAULT_COUNT,
+  DEFAULT_MNEMONIC,
+  makeAccounts,
+};
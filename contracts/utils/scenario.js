@@ -0,0 +1,222 @@
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseFixed, toBigInt } = require("./fixedPoint.js");
+const { TestHelper: th } = require("./testHelpers.js");
+
+/* Declarative scenarios for the Hardhat tests.
+
+A scenario is a list of steps, executed in order against a deployment (e.g. the `contracts` returned
+by a createDeployAndFundFixture() fixture). After each step, a snapshot of the system is recorded
+(TCR, ICR / debt / coll of every trove opened by the scenario, Stability Pool totals).
+
+Steps are plain data, so scenarios can be stored as JSON and replayed:
+
+  const { snapshots } = await runScenario(contracts, [
+    { type: "openTrove", from: "whale", ICR: "4", extraDebt: "20000", interestRate: "0.05" },
+    { type: "openTrove", from: "alice", ICR: "1.11", interestRate: "0.05" },
+    { type: "provideToSP", from: "whale", amount: "10000" },
+    { type: "setPrice", price: "100" },
+    { type: "liquidate", trove: "alice" },
+  ], { actors: { whale: accounts[0], alice: accounts[1] } });
+
+  assert.equal(snapshots.at(-1).branches[0].troves.alice.status, "closedByLiquidation");
+
+Amounts, prices, ICRs and interest rates are decimal strings (or numbers) in units, e.g. "1.5" for 150%,
+or bigints already scaled by 1e18. Accounts are given either as names of `actors` or as addresses.
+Troves are referred to by their label: the `trove` field of openTrove (defaults to the owner's name).
+An owner can open several troves by giving each one its own label. Their `index` (the owner's trove
+index, see BorrowerOperations.openTrove()) defaults to the number of troves the scenario already opened
+for the owner on the branch.
+
+Every step accepts:
+  - branch: index of the branch in contracts.branches (defaults to 0),
+  - expectRevert: true to assert that the step's transaction reverts. */
+
+// See ITroveManager.Status
+const TROVE_STATUSES = [
+  "nonExistent",
+  "active",
+  "closedByOwner",
+  "closedByLiquidation",
+  "zombie",
+];
+
+const toAmount = (value) => (typeof value === "bigint" ? value : parseFixed(value));
+const toBN = (value) => th.toBN(toAmount(value).toString());
+
+const getBranch = (contracts, index = 0) => {
+  const branch = contracts.branches ? contracts.branches[index] : index === 0 ? contracts : undefined;
+  if (!branch) {
+    throw new Error(`Unknown branch: ${index}`);
+  }
+  return branch;
+};
+
+const stepHandlers = {
+  async openTrove(state, branch, { from, trove, index, ICR, coll, extraDebt, interestRate, batchManager }) {
+    const owner = state.account(from);
+    const label = trove ?? from;
+    if (state.troves.has(label)) {
+      throw new Error(`Trove label already used: ${label}`);
+    }
+
+    const ownerTroves = [...state.troves.values()].filter((t) => t.branch === branch && t.owner === owner);
+    const result = await th.openTrove(branch, {
+      ICR: ICR !== undefined ? toBN(ICR) : undefined,
+      extraBoldAmount: extraDebt !== undefined ? toBN(extraDebt) : undefined,
+      troveIndex: index ?? ownerTroves.length,
+      extraParams: {
+        from: owner,
+        value: coll !== undefined ? toBN(coll) : undefined,
+        annualInterestRate: interestRate !== undefined ? toBN(interestRate) : undefined,
+        batchManager: batchManager !== undefined ? state.account(batchManager) : undefined,
+      },
+    });
+
+    state.troves.set(label, { branch, owner, troveId: result.troveId });
+    return result.tx;
+  },
+
+  async closeTrove(state, branch, { trove, from }) {
+    const { owner, troveId } = state.trove(trove);
+    return branch.borrowerOperations.closeTrove(troveId, { from: from !== undefined ? state.account(from) : owner });
+  },
+
+  async setPrice(state, branch, { price }) {
+    return branch.priceFeedTestnet.setPrice(toBN(price));
+  },
+
+  async fastForward(state, branch, { seconds }) {
+    await time.increase(seconds);
+  },
+
+  async liquidate(state, branch, { trove, troves }) {
+    if (troves) {
+      return th.batchLiquidateTroves(branch, troves.map((label) => state.trove(label).troveId));
+    }
+    return th.liquidate(branch, state.trove(trove).troveId);
+  },
+
+  // Redemptions go through the CollateralRegistry, so they may hit every branch
+  async redeem(state, branch, { from, amount, maxIterations = 10, maxFee = th._100pct }) {
+    return th.redeemCollateralAndGetTxObject(state.account(from), branch, toBN(amount), maxIterations, maxFee);
+  },
+
+  async provideToSP(state, branch, { from, amount, claim = true }) {
+    return branch.stabilityPool.provideToSP(toBN(amount), claim, { from: state.account(from) });
+  },
+
+  async withdrawFromSP(state, branch, { from, amount, claim = true }) {
+    return branch.stabilityPool.withdrawFromSP(toBN(amount), claim, { from: state.account(from) });
+  },
+};
+
+const getTroveSnapshot = async (branch, troveId, price) => {
+  const [trove, ICR, status] = await Promise.all([
+    branch.troveManager.getLatestTroveData(troveId),
+    branch.troveManager.getCurrentICR(troveId, price),
+    branch.troveManager.getTroveStatus(troveId),
+  ]);
+
+  return {
+    troveId: toBigInt(troveId),
+    status: TROVE_STATUSES[Number(status)],
+    debt: toBigInt(trove.entireDebt),
+    coll: toBigInt(trove.entireColl),
+    annualInterestRate: toBigInt(trove.annualInterestRate),
+    ICR: toBigInt(ICR),
+  };
+};
+
+const getBranchSnapshot = async (branch, troves) => {
+  const price = await branch.priceFeedTestnet.getPrice();
+
+  const snapshot = {
+    price: toBigInt(price),
+    TCR: toBigInt(await branch.troveManager.getTCR(price)),
+    stabilityPool: {
+      totalBoldDeposits: toBigInt(await branch.stabilityPool.getTotalBoldDeposits()),
+      collBalance: toBigInt(await branch.stabilityPool.getCollBalance()),
+    },
+    troves: {},
+  };
+
+  for (const [label, trove] of troves) {
+    if (trove.branch === branch) {
+      snapshot.troves[label] = await getTroveSnapshot(branch, trove.troveId, price);
+    }
+  }
+
+  return snapshot;
+};
+
+const getSnapshot = async (contracts, troves) => {
+  const branches = contracts.branches ?? [contracts];
+  return {
+    timestamp: await time.latest(),
+    branches: await Promise.all(branches.map((branch) => getBranchSnapshot(branch, troves))),
+  };
+};
+
+// Runs the steps in order. Returns the snapshot taken before the first step, the snapshot taken
+// after each step, the transaction of each step, and the ids of the troves opened by the scenario.
+const runScenario = async (contracts, steps, { actors = {} } = {}) => {
+  const state = {
+    troves: new Map(), // label => { branch, owner, troveId }
+
+    account(nameOrAddress) {
+      const address = actors[nameOrAddress] ?? nameOrAddress;
+      if (!web3.utils.isAddress(address)) {
+        throw new Error(`Unknown account: ${nameOrAddress}`);
+      }
+      return address;
+    },
+
+    trove(label) {
+      const trove = this.troves.get(label);
+      if (!trove) {
+        throw new Error(`Unknown trove: ${label}`);
+      }
+      return trove;
+    },
+  };
+
+  const initialSnapshot = await getSnapshot(contracts, state.troves);
+  const snapshots = [];
+  const txs = [];
+
+  for (const [i, step] of steps.entries()) {
+    const handler = stepHandlers[step.type];
+    if (!handler) {
+      throw new Error(`Step ${i}: unknown step type "${step.type}"`);
+    }
+
+    const branch = getBranch(contracts, step.branch);
+    let tx;
+
+    if (step.expectRevert) {
+      await th.assertRevert(handler(state, branch, step));
+    } else {
+      try {
+        tx = await handler(state, branch, step);
+      } catch (error) {
+        error.message = `Step ${i} (${step.type}): ${error.message}`;
+        throw error;
+      }
+    }
+
+    txs.push(tx);
+    snapshots.push(await getSnapshot(contracts, state.troves));
+  }
+
+  return {
+    initialSnapshot,
+    snapshots,
+    txs,
+    troveIds: Object.fromEntries([...state.troves].map(([label, { troveId }]) => [label, toBigInt(troveId)])),
+  };
+};
+
+module.exports = {
+  TROVE_STATUSES,
+  runScenario,
+};
@@ -7,16 +7,29 @@ const { fundAccounts } = require("./fundAccounts.js");
 // deployment. They take the contracts as a parameter, which
 // can be modified as needed. The returned object will be merged
 // with the object returned by the fixture loader utility.
+//
+// The branches parameter deploys one branch per entry, e.g.
+// [{ name: "WETH" }, { name: "RETH", MCR: dec(120, 16), price: dec(2000, 18) }].
+// Branch contracts are then available in `contracts.branches`,
+// the first branch also being available at the top level.
 function createDeployAndFundFixture({
   accounts = [],
   callback = async () => null,
   mocks = {}, // e.g. { Contract: MockContract }
+  branches = [{}], // see DEFAULT_BRANCH_CONFIG in deploymentHelpers.js
 } = {}) {
   const fixture = async () => {
-    const contracts = await deploymentHelper.deployLiquityCore(mocks);
+    const contracts = await deploymentHelper.deployLiquityCore(mocks, branches);
     await deploymentHelper.connectCoreContracts(contracts);
     contracts.priceFeed = contracts.priceFeedTestnet;
-    await fundAccounts(accounts, contracts.WETH);
+    for (const branch of contracts.branches) {
+      branch.priceFeed = branch.priceFeedTestnet;
+    }
+    // WETH is used for gas compensation on every branch, so it always gets funded
+    const tokens = new Set([contracts.WETH, ...contracts.branches.map((branch) => branch.collToken)]);
+    for (const token of tokens) {
+      await fundAccounts(accounts, token);
+    }
     const callbackResult = await callback(contracts);
     return { contracts, ...callbackResult };
   };
@@ -1,3 +1,8 @@
+const fs = require("fs");
+const path = require("path");
+const events = require("./events.js");
+const interestAccrual = require("./interestAccrual.js");
+
 const MoneyValues = {
   negative_5e17: "-" + web3.utils.toWei("500", "finney"),
   negative_1e18: "-" + web3.utils.toWei("1", "ether"),
@@ -33,7 +38,11 @@ const TimeValues = {
   MINUTES_IN_ONE_YEAR: 60 * 24 * 365,
 };
 
+// Gas used per operation, see TestHelper.recordGas()
+const gasRecords = {};
+
 class TestHelper {
+  // Returns a string, for use with web3 / bn.js. See fixedPoint.js for the BigInt version.
   static dec(val, scale) {
     let zerosCount;
 
@@ -189,6 +198,25 @@ class TestHelper {
     return gas;
   }
 
+  // Records the gas used by a tx under an operation name (e.g. "liquidate"),
+  // to be aggregated by utils/gas-report.ts. When GAS_RECORDS_DIR is set,
+  // the records of each test process are written there on exit.
+  static recordGas(operation, tx) {
+    const gas = this.gasUsed(tx);
+    (gasRecords[operation] ??= []).push(gas);
+    return gas;
+  }
+
+  static getGasRecords() {
+    return gasRecords;
+  }
+
+  static writeGasRecords(dir) {
+    if (Object.keys(gasRecords).length === 0) return;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `hardhat-${process.pid}.json`), JSON.stringify(gasRecords, null, 2));
+  }
+
   static applyLiquidationFee(ethAmount) {
     if (ethAmount.mul(this.toBN(this.dec(5, 15))).div(MoneyValues._1e18BN).gt(this.toBN(this.dec(2,  18)))) {
       return ethAmount.sub(this.toBN(this.dec(2, 18)));
@@ -461,6 +489,24 @@ class TestHelper {
     throw `The transaction logs do not contain event ${eventName}`;
   }
 
+  // Named, ABI-decoded TroveOperation, BatchUpdated, DepositUpdated, S_Updated and B_Updated events (see events.js),
+  // to be preferred over the positional getters above
+  static decodeEvents(tx) {
+    return events.decodeEvents(tx);
+  }
+
+  static getEvents(tx, eventName, filter) {
+    return events.getEvents(tx, eventName, filter);
+  }
+
+  static expectEvent(tx, eventName, expected) {
+    return events.expectEvent(tx, eventName, expected);
+  }
+
+  static expectTroveOperation(tx, expected) {
+    return events.expectTroveOperation(tx, expected);
+  }
+
   static getEventBySignature(tx, eventSignature) {
     for (let i = 0; i < tx.receipt.rawLogs.length; i++) {
       if (tx.receipt.rawLogs[i].topics[0] === web3.utils.keccak256(eventSignature)) {
@@ -852,9 +898,7 @@ class TestHelper {
       extraParams.value = ICR.mul(predictedTotalDebt).div(price);
     }
 
-    // approve ERC20 ETH
-    const ETH_GAS_COMPENSATION = await contracts.constants._ETH_GAS_COMPENSATION();
-    await contracts.WETH.approve(contracts.borrowerOperations.address, this.toBN(extraParams.value).add(ETH_GAS_COMPENSATION), { from: extraParams.from });
+    await this.approveCollAndGasComp(contracts, extraParams.value, extraParams.from);
 
     let tx;
     if (extraParams.batchManager) {
@@ -883,6 +927,8 @@ class TestHelper {
       );
     }
 
+    this.recordGas(extraParams.batchManager ? "openTroveAndJoinInterestBatchManager" : "openTrove", tx);
+
     const troveId = this.getTroveIdFromTx(tx, contracts);
 
     const realTotalDebt = await contracts.troveManager.getTroveEntireDebt(troveId);
@@ -907,9 +953,7 @@ class TestHelper {
     annualInterestRate,
     extraParams,
   ) {
-    // approve ERC20 ETH
-    const ETH_GAS_COMPENSATION = await contracts.constants._ETH_GAS_COMPENSATION();
-    await contracts.WETH.approve(contracts.borrowerOperations.address, this.toBN(extraParams.value).add(ETH_GAS_COMPENSATION), { from: extraParams.from });
+    await this.approveCollAndGasComp(contracts, extraParams.value, extraParams.from);
 
     let tx;
     if (extraParams.batchManager) {
@@ -948,6 +992,27 @@ class TestHelper {
     return troveId;
   }
 
+  // The collateral token of the branch. Single branch deployments only have WETH.
+  static getCollToken(contracts) {
+    return contracts.collToken ?? contracts.WETH;
+  }
+
+  // Approves BorrowerOperations to pull the collateral and the ERC20 ETH gas compensation
+  static async approveCollAndGasComp(contracts, collAmount, from) {
+    const ETH_GAS_COMPENSATION = await contracts.constants._ETH_GAS_COMPENSATION();
+    const collToken = this.getCollToken(contracts);
+
+    if (collToken.address === contracts.WETH.address) {
+      await contracts.WETH.approve(contracts.borrowerOperations.address, this.toBN(collAmount).add(ETH_GAS_COMPENSATION), {
+        from,
+      });
+      return;
+    }
+
+    await collToken.approve(contracts.borrowerOperations.address, collAmount, { from });
+    await contracts.WETH.approve(contracts.borrowerOperations.address, ETH_GAS_COMPENSATION, { from });
+  }
+
   static getTroveIdFromTx(tx, contracts) {
     for (let i = 0; i < tx.receipt.rawLogs.length; i++) {
       if (
@@ -1201,8 +1266,10 @@ class TestHelper {
     contracts,
     extraParams,
   ) {
-    // approve ERC20 ETH
-    await contracts.WETH.approve(contracts.borrowerOperations.address, extraParams.value, { from: extraParams.from });
+    // approve collateral
+    await this.getCollToken(contracts).approve(contracts.borrowerOperations.address, extraParams.value, {
+      from: extraParams.from,
+    });
 
     const troveId = this.addressToTroveId(extraParams.from);
 
@@ -1505,6 +1572,23 @@ class TestHelper {
       maxFee,
       { from: redeemer, gasPrice: gasPrice_toUse },
     );
+    this.recordGas("redeemCollateral", tx);
+
+    return tx;
+  }
+
+  // --- Liquidation functions ---
+
+  static async liquidate(contracts, troveId, txParams = {}) {
+    const tx = await contracts.troveManager.liquidate(troveId, txParams);
+    this.recordGas("liquidate", tx);
+
+    return tx;
+  }
+
+  static async batchLiquidateTroves(contracts, troveIds, txParams = {}) {
+    const tx = await contracts.troveManager.batchLiquidateTroves(troveIds, txParams);
+    this.recordGas("batchLiquidateTroves", tx);
 
     return tx;
   }
@@ -1651,6 +1735,21 @@ class TestHelper {
     return block.timestamp;
   }
 
+  // Return the timestamp of the latest block once done (see interestAccrual.js)
+  static async fastForwardTime(seconds) {
+    return interestAccrual.fastForwardTime(seconds);
+  }
+
+  static async mineBlocks(count, options) {
+    return interestAccrual.mineBlocks(count, options);
+  }
+
+  // Checks the accrued interest, batch management fee and entire debt of getLatestTroveData()
+  // against their off-chain prediction
+  static async assertLatestTroveData(contracts, troveId, options) {
+    return interestAccrual.assertLatestTroveData(contracts, troveId, options);
+  }
+
   static async getTimestampFromTx(tx, web3Instance) {
     return this.getTimestampFromTxReceipt(tx.receipt, web3Instance);
   }
@@ -1745,6 +1844,10 @@ TestHelper.ZERO_UINT256 = "0x" + "0".repeat(64);
 TestHelper._100pct = "1000000000000000000";
 TestHelper.latestRandomSeed = 31337;
 
+if (process.env.GAS_RECORDS_DIR) {
+  process.on("exit", () => TestHelper.writeGasRecords(process.env.GAS_RECORDS_DIR));
+}
+
 module.exports = {
   TestHelper,
   MoneyValues,
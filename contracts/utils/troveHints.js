@@ -0,0 +1,90 @@
+/* Off-chain computation of the (upperHint, lowerHint) pair expected by BorrowerOperations
+when a trove or a batch gets (re-)inserted into SortedTroves.
+
+SortedTroves is ordered by annual interest rate. The hints are computed in two steps:
+
+1. HintHelpers.getApproxHint() samples random troves of the branch and returns the one whose
+   interest rate is the closest to the target rate.
+2. SortedTroves.findInsertPosition() walks the list from that approximate hint to find
+   the exact (prev, next) pair around the target rate.
+
+All functions take a `contracts` object holding the `hintHelpers`, `sortedTroves` and `troveManager`
+instances of a branch (as returned by DeploymentHelper), plus its `collIndex` (defaults to 0).
+
+Passing hints is optional (zero hints make SortedTroves search from the head of the list),
+but good hints keep the gas cost of the operation independent from the size of the list. */
+
+// With numTrials = 15 * sqrt(length), the approximate hint is very likely
+// to be <= sqrt(length) positions away from the exact insert position.
+// See HintHelpers.getApproxHint().
+const NUM_TRIALS_FACTOR = 15;
+
+const DEFAULT_RANDOM_SEED = 42;
+
+const getNumTrials = async (contracts, numTrialsFactor = NUM_TRIALS_FACTOR) => {
+  const size = Number(await contracts.sortedTroves.getSize());
+  return Math.ceil(numTrialsFactor * Math.sqrt(size));
+};
+
+// Returns the hints to insert a trove (or a batch) at the given annual interest rate.
+// `latestRandomSeed` can be passed as the `randomSeed` of the next call to get different samples.
+const getInsertPositionHints = async (
+  contracts,
+  annualInterestRate,
+  { numTrials, randomSeed = DEFAULT_RANDOM_SEED } = {},
+) => {
+  const collIndex = contracts.collIndex ?? 0;
+  numTrials ??= await getNumTrials(contracts);
+
+  const { hintId: approxHint, latestRandomSeed } = await contracts.hintHelpers.getApproxHint(
+    collIndex,
+    String(annualInterestRate),
+    numTrials,
+    String(randomSeed),
+  );
+
+  const { 0: upperHint, 1: lowerHint } = await contracts.sortedTroves.findInsertPosition(
+    String(annualInterestRate),
+    approxHint,
+    approxHint,
+  );
+
+  return { upperHint, lowerHint, latestRandomSeed };
+};
+
+// Hints for BorrowerOperations.openTrove()
+const getOpenTroveHints = async (contracts, annualInterestRate, options) => (
+  getInsertPositionHints(contracts, annualInterestRate, options)
+);
+
+// Hints for BorrowerOperations.adjustTroveInterestRate(), and for
+// BorrowerOperations.removeFromBatch() which also takes the new interest rate.
+// The trove being adjusted is still in the list when the hints are computed,
+// so it can end up being one of them: SortedTroves handles that case when re-inserting.
+const getAdjustTroveInterestRateHints = async (contracts, newAnnualInterestRate, options) => (
+  getInsertPositionHints(contracts, newAnnualInterestRate, options)
+);
+
+// Hints for BorrowerOperations.openTroveAndJoinInterestBatchManager() and
+// BorrowerOperations.setInterestBatchManager(): the trove gets inserted
+// at the current interest rate of the batch.
+const getJoinBatchHints = async (contracts, batchManager, options) => {
+  const { annualInterestRate } = await contracts.troveManager.getLatestBatchData(batchManager);
+  return getInsertPositionHints(contracts, annualInterestRate, options);
+};
+
+// Hints for BorrowerOperations.setBatchManagerAnnualInterestRate(),
+// where the whole batch moves to the new interest rate.
+const getSetBatchInterestRateHints = async (contracts, newAnnualInterestRate, options) => (
+  getInsertPositionHints(contracts, newAnnualInterestRate, options)
+);
+
+module.exports = {
+  NUM_TRIALS_FACTOR,
+  getNumTrials,
+  getInsertPositionHints,
+  getOpenTroveHints,
+  getAdjustTroveInterestRateHints,
+  getJoinBatchHints,
+  getSetBatchInterestRateHints,
+};
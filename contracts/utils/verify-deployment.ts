@@ -0,0 +1,262 @@
+import { z } from "zod";
+import { $, chalk, echo } from "zx";
+import { branchAddresses, DeploymentManifest } from "./deployment-manifest";
+
+export interface BranchParams {
+  CCR: bigint;
+  MCR: bigint;
+  SCR: bigint;
+  LIQUIDATION_PENALTY_SP: bigint;
+  LIQUIDATION_PENALTY_REDISTRIBUTION: bigint;
+}
+
+const DECIMAL_PRECISION = 10n ** 18n;
+
+// Maps the address getters of AddressesRegistry to the corresponding manifest entries
+export const REGISTRY_ADDRESSES = {
+  collToken: "collToken",
+  borrowerOperations: "borrowerOperations",
+  troveManager: "troveManager",
+  troveNFT: "troveNFT",
+  metadataNFT: "metadataNFT",
+  stabilityPool: "stabilityPool",
+  priceFeed: "priceFeed",
+  activePool: "activePool",
+  defaultPool: "defaultPool",
+  gasPoolAddress: "gasPool",
+  collSurplusPool: "collSurplusPool",
+  sortedTroves: "sortedTroves",
+  interestRouter: "interestRouter",
+} as const;
+
+// Branch contracts BoldToken accepts calls from, see BoldToken.setBranchAddresses()
+const BOLD_TOKEN_BRANCH_MAPPINGS = {
+  troveManagerAddresses: "troveManager",
+  stabilityPoolAddresses: "stabilityPool",
+  borrowerOperationsAddresses: "borrowerOperations",
+  activePoolAddresses: "activePool",
+} as const;
+
+const ZStorageLayout = z.object({
+  storage: z.array(z.object({ label: z.string(), slot: z.string() })),
+});
+
+export interface VerifyDeploymentOptions {
+  rpcUrl: string;
+  // expected parameters of each branch, in order, see getBranchParams()
+  // (null when unknown, e.g. for a manifest rebuilt from an app env)
+  branchParams: BranchParams[] | null;
+  // expected symbol() of each collateral token, in order (undefined entries fall back to the
+  // collSymbol of the manifest, if any)
+  collTokenSymbols?: Array<string | undefined>;
+}
+
+// Checks the wiring of a deployment against its manifest, on chain. Every check gets run before
+// throwing a single error listing all the mismatches.
+export async function verifyDeployment(
+  manifest: DeploymentManifest,
+  { rpcUrl, branchParams, collTokenSymbols = [] }: VerifyDeploymentOptions,
+) {
+  const mismatches: string[] = [];
+  let checks = 0;
+
+  const call = async (address: string, signature: string, ...args: string[]) => (
+    (await $`cast call ${address} ${signature} ${args} --rpc-url ${rpcUrl}`.quiet()).stdout.trim()
+  );
+
+  // cast prints uint values with a scientific notation hint, e.g. "1100000000000000000 [1.1e18]"
+  const callUint = async (address: string, signature: string, ...args: string[]) => (
+    BigInt((await call(address, `${signature}(uint256)`, ...args)).split(" ")[0])
+  );
+
+  const callAddress = async (address: string, signature: string, ...args: string[]) => (
+    call(address, `${signature}(address)`, ...args)
+  );
+
+  const expectEqual = (label: string, actual: string | bigint, expected: string | bigint) => {
+    checks++;
+    const normalize = (value: string | bigint) => String(value).toLowerCase();
+    if (normalize(actual) !== normalize(expected)) {
+      mismatches.push(`${label}: expected ${expected}, got ${actual}`);
+    }
+  };
+
+  const expect = (label: string, condition: boolean, details: string) => {
+    checks++;
+    if (!condition) mismatches.push(`${label}: ${details}`);
+  };
+
+  const expectCode = async (label: string, address: string) => {
+    const code = (await $`cast code ${address} --rpc-url ${rpcUrl}`.quiet()).stdout.trim();
+    expect(label, code !== "0x", `no contract deployed at ${address}`);
+  };
+
+  // BoldToken's branch mappings aren't public, so they're read from its storage
+  const { storage } = ZStorageLayout.parse(
+    JSON.parse((await $`forge inspect BoldToken storageLayout --json`.quiet()).stdout),
+  );
+  const boldTokenSlot = (label: string) => {
+    const variable = storage.find((v) => v.label === label);
+    if (!variable) throw new Error(`BoldToken has no storage variable named ${label}`);
+    return variable.slot;
+  };
+
+  const readMapping = async (address: string, slot: string, key: string) => {
+    const location = (await $`cast index address ${key} ${slot}`.quiet()).stdout.trim();
+    return BigInt((await $`cast storage ${address} ${location} --rpc-url ${rpcUrl}`.quiet()).stdout.trim());
+  };
+
+  // protocol contracts
+  const { boldToken, collateralRegistry, hintHelpers, multiTroveGetter } = manifest;
+
+  await expectCode("BoldToken", boldToken);
+  await expectCode("CollateralRegistry", collateralRegistry);
+  await expectCode("HintHelpers", hintHelpers);
+  await expectCode("MultiTroveGetter", multiTroveGetter);
+
+  expectEqual(
+    "BoldToken.collateralRegistryAddress()",
+    await callAddress(boldToken, "collateralRegistryAddress()"),
+    collateralRegistry,
+  );
+  expectEqual("CollateralRegistry.boldToken()", await callAddress(collateralRegistry, "boldToken()"), boldToken);
+  expectEqual(
+    "HintHelpers.collateralRegistry()",
+    await callAddress(hintHelpers, "collateralRegistry()"),
+    collateralRegistry,
+  );
+  expectEqual(
+    "MultiTroveGetter.collateralRegistry()",
+    await callAddress(multiTroveGetter, "collateralRegistry()"),
+    collateralRegistry,
+  );
+  expectEqual(
+    "CollateralRegistry.totalCollaterals()",
+    await callUint(collateralRegistry, "totalCollaterals()"),
+    BigInt(manifest.branches.length),
+  );
+  if (branchParams) {
+    expectEqual("number of branches", BigInt(manifest.branches.length), BigInt(branchParams.length));
+  }
+
+  // branches
+  for (const [i, branch] of manifest.branches.entries()) {
+    const prefix = `branch ${i}: `;
+    const registry = branch.addressesRegistry;
+
+    for (const [name, address] of branchAddresses(branch)) {
+      // zappers are optional (see the deployment config), and a branch only has one of wethZapper and gasCompZapper
+      if (name.endsWith("Zapper") && BigInt(address) === 0n) continue;
+      await expectCode(`${prefix}${name}`, address);
+    }
+
+    // CollateralRegistry lists the branches in the same order as the manifest
+    expectEqual(
+      `${prefix}CollateralRegistry.getToken(${i})`,
+      await callAddress(collateralRegistry, "getToken(uint256)", String(i)),
+      branch.collToken,
+    );
+    expectEqual(
+      `${prefix}CollateralRegistry.getTroveManager(${i})`,
+      await callAddress(collateralRegistry, "getTroveManager(uint256)", String(i)),
+      branch.troveManager,
+    );
+
+    const expectedSymbol = collTokenSymbols[i] ?? branch.collSymbol;
+    if (expectedSymbol !== undefined) {
+      // string return values are printed quoted by cast
+      const symbol = JSON.parse(await call(branch.collToken, "symbol()(string)"));
+      expect(
+        `${prefix}collToken.symbol()`,
+        symbol.toLowerCase() === expectedSymbol.toLowerCase(),
+        `expected ${expectedSymbol}, got ${symbol}`,
+      );
+    }
+
+    // AddressesRegistry
+    for (const [getter, key] of Object.entries(REGISTRY_ADDRESSES)) {
+      expectEqual(`${prefix}AddressesRegistry.${getter}()`, await callAddress(registry, `${getter}()`), branch[key]);
+    }
+    expectEqual(`${prefix}AddressesRegistry.boldToken()`, await callAddress(registry, "boldToken()"), boldToken);
+    expectEqual(
+      `${prefix}AddressesRegistry.collateralRegistry()`,
+      await callAddress(registry, "collateralRegistry()"),
+      collateralRegistry,
+    );
+    expectEqual(`${prefix}AddressesRegistry.hintHelpers()`, await callAddress(registry, "hintHelpers()"), hintHelpers);
+    expectEqual(
+      `${prefix}AddressesRegistry.multiTroveGetter()`,
+      await callAddress(registry, "multiTroveGetter()"),
+      multiTroveGetter,
+    );
+
+    // back-references of the branch contracts
+    const references: Array<[string, string, string]> = [
+      ["StabilityPool", "collToken()", branch.collToken],
+      ["StabilityPool", "troveManager()", branch.troveManager],
+      ["StabilityPool", "activePool()", branch.activePool],
+      ["StabilityPool", "boldToken()", boldToken],
+      ["ActivePool", "collToken()", branch.collToken],
+      ["ActivePool", "borrowerOperationsAddress()", branch.borrowerOperations],
+      ["ActivePool", "troveManagerAddress()", branch.troveManager],
+      ["ActivePool", "defaultPoolAddress()", branch.defaultPool],
+      ["ActivePool", "stabilityPool()", branch.stabilityPool],
+      ["ActivePool", "interestRouter()", branch.interestRouter],
+      ["DefaultPool", "collToken()", branch.collToken],
+      ["DefaultPool", "troveManagerAddress()", branch.troveManager],
+      ["DefaultPool", "activePoolAddress()", branch.activePool],
+      ["CollSurplusPool", "collToken()", branch.collToken],
+      ["CollSurplusPool", "borrowerOperationsAddress()", branch.borrowerOperations],
+      ["CollSurplusPool", "troveManagerAddress()", branch.troveManager],
+      ["SortedTroves", "troveManager()", branch.troveManager],
+      ["SortedTroves", "borrowerOperationsAddress()", branch.borrowerOperations],
+    ];
+    for (const [contract, getter, expected] of references) {
+      const key = contract[0].toLowerCase() + contract.slice(1);
+      const address = branch[key as (typeof REGISTRY_ADDRESSES)[keyof typeof REGISTRY_ADDRESSES]];
+      expectEqual(`${prefix}${contract}.${getter}`, await callAddress(address, getter), expected);
+    }
+
+    // BoldToken
+    for (const [mapping, key] of Object.entries(BOLD_TOKEN_BRANCH_MAPPINGS)) {
+      const value = await readMapping(boldToken, boldTokenSlot(mapping), branch[key]);
+      expect(`${prefix}BoldToken.${mapping}[${key}]`, value === 1n, `not set for ${branch[key]}`);
+    }
+
+    // parameters
+    const [CCR, MCR, SCR, LIQUIDATION_PENALTY_SP, LIQUIDATION_PENALTY_REDISTRIBUTION] = await Promise.all(
+      ["CCR()", "MCR()", "SCR()", "LIQUIDATION_PENALTY_SP()", "LIQUIDATION_PENALTY_REDISTRIBUTION()"]
+        .map((getter) => callUint(registry, getter)),
+    );
+    const actualParams: BranchParams = { CCR, MCR, SCR, LIQUIDATION_PENALTY_SP, LIQUIDATION_PENALTY_REDISTRIBUTION };
+
+    const expectedParams = branchParams?.[i];
+    if (expectedParams) {
+      for (const name of Object.keys(expectedParams) as Array<keyof BranchParams>) {
+        expectEqual(`${prefix}AddressesRegistry.${name}()`, actualParams[name], expectedParams[name]);
+      }
+    }
+
+    for (const name of ["CCR", "MCR", "SCR"] as const) {
+      expectEqual(
+        `${prefix}BorrowerOperations.${name}()`,
+        await callUint(branch.borrowerOperations, `${name}()`),
+        actualParams[name],
+      );
+    }
+    expectEqual(`${prefix}TroveManager.CCR()`, await callUint(branch.troveManager, "CCR()"), CCR);
+
+    expect(`${prefix}MCR`, MCR > DECIMAL_PRECISION, `${MCR} should be above 100%`);
+    expect(`${prefix}SCR`, SCR > DECIMAL_PRECISION, `${SCR} should be above 100%`);
+    expect(`${prefix}CCR`, CCR >= MCR, `${CCR} should be at least the MCR (${MCR})`);
+  }
+
+  if (mismatches.length > 0) {
+    for (const mismatch of mismatches) {
+      echo(`${chalk.red("MISMATCH")} ${mismatch}`);
+    }
+    throw new Error(`Deployment verification failed: ${mismatches.length} of ${checks} checks failed`);
+  }
+
+  echo(`${chalk.green("OK")} ${checks} deployment checks passed`);
+}
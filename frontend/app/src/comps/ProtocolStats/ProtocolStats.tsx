@@ -1,11 +1,13 @@
 "use client";
 
+import type { CollateralSnapshot, Dnum } from "@/src/types";
+
 import { Amount } from "@/src/comps/Amount/Amount";
 import { Logo } from "@/src/comps/Logo/Logo";
 import { getContracts } from "@/src/contracts";
 import { useAccount } from "@/src/services/Ethereum";
 import { useAllPrices } from "@/src/services/Prices";
-import { useTotalDeposited } from "@/src/subgraph-hooks";
+import { useCollateralSnapshots, useTotalDeposited } from "@/src/subgraph-hooks";
 import { css } from "@/styled-system/css";
 import { AnchorTextButton, HFlex, shortenAddress, TokenIcon } from "@liquity2/uikit";
 import { blo } from "blo";
@@ -18,6 +20,7 @@ export function ProtocolStats() {
   const account = useAccount();
   const prices = useAllPrices();
   const totalDeposited = useTotalDeposited();
+  const dailySnapshots = useCollateralSnapshots("day", 2);
 
   const tvl = getContracts()
     .collaterals
@@ -28,6 +31,8 @@ export function ProtocolStats() {
     })
     .reduce((a, b) => b ? dn.add(a ?? dn.from(0, 18), b) : a, null);
 
+  const tvlChange = getDailyTvlChange(dailySnapshots.data ?? []);
+
   return (
     <div
       className={css({
@@ -58,6 +63,20 @@ export function ProtocolStats() {
               value={tvl}
             />
           </span>
+          {tvlChange && (
+            <span
+              title="TVL change since the end of the previous day"
+              className={css({
+                color: dn.lt(tvlChange, 0) ? "negative" : "positive",
+              })}
+            >
+              <Amount
+                format="2diff"
+                percentage
+                value={tvlChange}
+              />
+            </span>
+          )}
         </HFlex>
         <HFlex gap={16}>
           {DISPLAYED_PRICES.map((symbol) => {
@@ -114,3 +133,31 @@ export function ProtocolStats() {
     </div>
   );
 }
+
+// Change between the TVL of the last two daily snapshots, valued at the price of each snapshot.
+// Only the branches having a snapshot on both days are compared, so that a branch added (or not
+// snapshotted yet) on one of them doesn't show up as a TVL change.
+function getDailyTvlChange(snapshots: CollateralSnapshot[]): Dnum | null {
+  const [latest] = snapshots;
+  if (!latest) {
+    return null;
+  }
+
+  const previous = snapshots.find((snapshot) => snapshot.startTime < latest.startTime);
+  if (!previous) {
+    return null;
+  }
+
+  const latestSnapshots = snapshots.filter((snapshot) => snapshot.startTime === latest.startTime);
+  const previousSnapshots = snapshots.filter((snapshot) => snapshot.startTime === previous.startTime);
+
+  const tvlOf = (periodSnapshots: CollateralSnapshot[], otherPeriodSnapshots: CollateralSnapshot[]) =>
+    periodSnapshots
+      .filter((snapshot) => otherPeriodSnapshots.some(({ collIndex }) => collIndex === snapshot.collIndex))
+      .reduce((tvl, snapshot) => dn.add(tvl, dn.mul(snapshot.totalColl, snapshot.price)), dn.from(0, 18));
+
+  const previousTvl = tvlOf(previousSnapshots, latestSnapshots);
+  return dn.eq(previousTvl, 0)
+    ? null
+    : dn.div(dn.sub(tvlOf(latestSnapshots, previousSnapshots), previousTvl), previousTvl);
+}
@@ -178,6 +178,23 @@ export default {
     ),
   },
 
+  loanTimeline: {
+    title: "History",
+    empty: "No activity recorded for this loan yet.",
+    operations: {
+      openTrove: "Loan opened",
+      closeTrove: "Loan closed",
+      adjustTrove: "Loan updated",
+      adjustTroveInterestRate: "Interest rate updated",
+      applyPendingDebt: "Pending debt applied",
+      liquidate: "Loan liquidated",
+      redeemCollateral: "Loan redeemed",
+      openTroveAndJoinBatch: "Loan opened with a delegate",
+      setInterestBatchManager: "Interest rate delegated",
+      removeFromBatch: "Interest rate delegation removed",
+    },
+  },
+
   // Home screen
   home: {
     openPositionTitle: "Open your first position",
@@ -14,12 +14,30 @@ import * as types from './graphql';
  * Therefore it is highly recommended to use the babel or swc plugin for production.
  * Learn more about it here: https://the-guild.dev/graphql/codegen/plugins/presets/preset-client#reducing-bundle-size
  */
-const documents = {
+type Documents = {
+    "\n  query TotalDeposited {\n    collaterals {\n      collIndex\n      totalDeposited\n    }\n  }\n": typeof types.TotalDepositedDocument,
+    "\n  query CollateralSnapshots($period: SnapshotPeriod!, $first: Int!) {\n    collateralSnapshots(\n      where: { period: $period }\n      orderBy: startTimestamp\n      orderDirection: desc\n      first: $first\n    ) {\n      id\n      startTimestamp\n      totalDebt\n      totalColl\n      price\n      tcr\n      spDeposits\n      avgInterestRate\n      troveCount\n      redemptionsVolume\n      collateral {\n        collIndex\n      }\n    }\n  }\n": typeof types.CollateralSnapshotsDocument,
+    "\n  query TrovesCount($id: ID!) {\n    borrowerInfo(id: $id) {\n      troves\n      trovesByCollateral\n    }\n  }\n": typeof types.TrovesCountDocument,
+    "\n  fragment FullTroveFragment on Trove {\n    id\n    borrower\n    closedAt\n    createdAt\n    debt\n    deposit\n    interestRate\n    mightBeLeveraged\n    stake\n    status\n    troveId\n    updatedAt\n    collateral {\n      id\n      token {\n        symbol\n        name\n      }\n      minCollRatio\n      collIndex\n    }\n    interestBatch {\n      id\n      annualInterestRate\n      annualManagementFee\n      batchManager\n    }\n  }\n": typeof types.FullTroveFragmentFragmentDoc,
+    "\n  query TrovesByAccount($account: Bytes!) {\n    troves(\n      where: {\n        borrower: $account,\n        status_in: [active,redeemed,liquidated],\n      }\n      orderBy: updatedAt\n      orderDirection: desc\n    ) {\n      id\n      borrower\n      closedAt\n      createdAt\n      debt\n      deposit\n      interestRate\n      mightBeLeveraged\n      stake\n      status\n      troveId\n      updatedAt\n      collateral {\n        id\n        token {\n          symbol\n          name\n        }\n        minCollRatio\n        collIndex\n      }\n      interestBatch {\n        id\n        annualInterestRate\n        annualManagementFee\n        batchManager\n      }\n    }\n  }\n": typeof types.TrovesByAccountDocument,
+    "\n  query TroveById($id: ID!) {\n    trove(id: $id) {\n      id\n      borrower\n      closedAt\n      createdAt\n      debt\n      deposit\n      interestRate\n      mightBeLeveraged\n      stake\n      status\n      troveId\n      updatedAt\n      collateral {\n        id\n        token {\n          symbol\n          name\n        }\n        minCollRatio\n        collIndex\n      }\n      interestBatch {\n        id\n        annualInterestRate\n        annualManagementFee\n        batchManager\n      }\n    }\n  }\n": typeof types.TroveByIdDocument,
+    "\n  query TroveEvents($troveId: String!) {\n    troveEvents(\n      where: { trove: $troveId }\n      orderBy: blockNumber\n      orderDirection: desc\n      first: 1000\n    ) {\n      id\n      operation\n      annualInterestRate\n      debtChangeFromOperation\n      collChangeFromOperation\n      debtIncreaseFromUpfrontFee\n      debtIncreaseFromRedist\n      collIncreaseFromRedist\n      batchManager\n      leverageUpdate\n      transactionHash\n      logIndex\n      blockNumber\n      timestamp\n    }\n  }\n": typeof types.TroveEventsDocument,
+    "\n  query StabilityPool($id: ID!) {\n    stabilityPool(id: $id) {\n      id\n      totalDeposited\n    }\n  }\n": typeof types.StabilityPoolDocument,
+    "\n  fragment StabilityPoolDepositFragment on StabilityPoolDeposit {\n    id\n    deposit\n    depositor\n    collateral {\n      collIndex\n    }\n    snapshot {\n      B\n      P\n      S\n      epoch\n      scale\n    }\n  }\n": typeof types.StabilityPoolDepositFragmentFragmentDoc,
+    "\n  query StabilityPoolDepositsByAccount($account: Bytes!) {\n    stabilityPoolDeposits(where: { depositor: $account, deposit_gt: 0 }) {\n      id\n      deposit\n      depositor\n      collateral {\n        collIndex\n      }\n      snapshot {\n        B\n        P\n        S\n        epoch\n        scale\n      }\n    }\n  }\n": typeof types.StabilityPoolDepositsByAccountDocument,
+    "\n  query StabilityPoolDeposit($id: ID!) {\n    stabilityPoolDeposit(id: $id) {\n      id\n      deposit\n      depositor\n      collateral {\n        collIndex\n      }\n      snapshot {\n        B\n        P\n        S\n        epoch\n        scale\n      }\n    }\n  }\n": typeof types.StabilityPoolDepositDocument,
+    "\n  query StabilityPoolEpochScale($id: ID!) {\n    stabilityPoolEpochScale(id: $id) {\n      id\n      B\n      S\n    }\n  }\n": typeof types.StabilityPoolEpochScaleDocument,
+    "\n  query InterestBatch($id: ID!) {\n    interestBatch(id: $id) {\n      collateral {\n        collIndex\n      }\n      batchManager\n      debt\n      coll\n      annualInterestRate\n      annualManagementFee\n    }\n  }\n": typeof types.InterestBatchDocument,
+    "\n  query InterestRateBrackets($collId: String!) {\n    interestRateBrackets(where: { collateral: $collId }, orderBy: rate) {\n      rate\n      totalDebt\n    }\n  }\n": typeof types.InterestRateBracketsDocument,
+};
+const documents: Documents = {
     "\n  query TotalDeposited {\n    collaterals {\n      collIndex\n      totalDeposited\n    }\n  }\n": types.TotalDepositedDocument,
+    "\n  query CollateralSnapshots($period: SnapshotPeriod!, $first: Int!) {\n    collateralSnapshots(\n      where: { period: $period }\n      orderBy: startTimestamp\n      orderDirection: desc\n      first: $first\n    ) {\n      id\n      startTimestamp\n      totalDebt\n      totalColl\n      price\n      tcr\n      spDeposits\n      avgInterestRate\n      troveCount\n      redemptionsVolume\n      collateral {\n        collIndex\n      }\n    }\n  }\n": types.CollateralSnapshotsDocument,
     "\n  query TrovesCount($id: ID!) {\n    borrowerInfo(id: $id) {\n      troves\n      trovesByCollateral\n    }\n  }\n": types.TrovesCountDocument,
     "\n  fragment FullTroveFragment on Trove {\n    id\n    borrower\n    closedAt\n    createdAt\n    debt\n    deposit\n    interestRate\n    mightBeLeveraged\n    stake\n    status\n    troveId\n    updatedAt\n    collateral {\n      id\n      token {\n        symbol\n        name\n      }\n      minCollRatio\n      collIndex\n    }\n    interestBatch {\n      id\n      annualInterestRate\n      annualManagementFee\n      batchManager\n    }\n  }\n": types.FullTroveFragmentFragmentDoc,
     "\n  query TrovesByAccount($account: Bytes!) {\n    troves(\n      where: {\n        borrower: $account,\n        status_in: [active,redeemed,liquidated],\n      }\n      orderBy: updatedAt\n      orderDirection: desc\n    ) {\n      id\n      borrower\n      closedAt\n      createdAt\n      debt\n      deposit\n      interestRate\n      mightBeLeveraged\n      stake\n      status\n      troveId\n      updatedAt\n      collateral {\n        id\n        token {\n          symbol\n          name\n        }\n        minCollRatio\n        collIndex\n      }\n      interestBatch {\n        id\n        annualInterestRate\n        annualManagementFee\n        batchManager\n      }\n    }\n  }\n": types.TrovesByAccountDocument,
     "\n  query TroveById($id: ID!) {\n    trove(id: $id) {\n      id\n      borrower\n      closedAt\n      createdAt\n      debt\n      deposit\n      interestRate\n      mightBeLeveraged\n      stake\n      status\n      troveId\n      updatedAt\n      collateral {\n        id\n        token {\n          symbol\n          name\n        }\n        minCollRatio\n        collIndex\n      }\n      interestBatch {\n        id\n        annualInterestRate\n        annualManagementFee\n        batchManager\n      }\n    }\n  }\n": types.TroveByIdDocument,
+    "\n  query TroveEvents($troveId: String!) {\n    troveEvents(\n      where: { trove: $troveId }\n      orderBy: blockNumber\n      orderDirection: desc\n      first: 1000\n    ) {\n      id\n      operation\n      annualInterestRate\n      debtChangeFromOperation\n      collChangeFromOperation\n      debtIncreaseFromUpfrontFee\n      debtIncreaseFromRedist\n      collIncreaseFromRedist\n      batchManager\n      leverageUpdate\n      transactionHash\n      logIndex\n      blockNumber\n      timestamp\n    }\n  }\n": types.TroveEventsDocument,
     "\n  query StabilityPool($id: ID!) {\n    stabilityPool(id: $id) {\n      id\n      totalDeposited\n    }\n  }\n": types.StabilityPoolDocument,
     "\n  fragment StabilityPoolDepositFragment on StabilityPoolDeposit {\n    id\n    deposit\n    depositor\n    collateral {\n      collIndex\n    }\n    snapshot {\n      B\n      P\n      S\n      epoch\n      scale\n    }\n  }\n": types.StabilityPoolDepositFragmentFragmentDoc,
     "\n  query StabilityPoolDepositsByAccount($account: Bytes!) {\n    stabilityPoolDeposits(where: { depositor: $account, deposit_gt: 0 }) {\n      id\n      deposit\n      depositor\n      collateral {\n        collIndex\n      }\n      snapshot {\n        B\n        P\n        S\n        epoch\n        scale\n      }\n    }\n  }\n": types.StabilityPoolDepositsByAccountDocument,
@@ -33,6 +51,10 @@ const documents = {
  * The graphql function is used to parse GraphQL queries into a document that can be used by GraphQL clients.
  */
 export function graphql(source: "\n  query TotalDeposited {\n    collaterals {\n      collIndex\n      totalDeposited\n    }\n  }\n"): typeof import('./graphql').TotalDepositedDocument;
+/**
+ * The graphql function is used to parse GraphQL queries into a document that can be used by GraphQL clients.
+ */
+export function graphql(source: "\n  query CollateralSnapshots($period: SnapshotPeriod!, $first: Int!) {\n    collateralSnapshots(\n      where: { period: $period }\n      orderBy: startTimestamp\n      orderDirection: desc\n      first: $first\n    ) {\n      id\n      startTimestamp\n      totalDebt\n      totalColl\n      price\n      tcr\n      spDeposits\n      avgInterestRate\n      troveCount\n      redemptionsVolume\n      collateral {\n        collIndex\n      }\n    }\n  }\n"): typeof import('./graphql').CollateralSnapshotsDocument;
 /**
  * The graphql function is used to parse GraphQL queries into a document that can be used by GraphQL clients.
  */
@@ -49,6 +71,10 @@ export function graphql(source: "\n  query TrovesByAccount($account: Bytes!) {\n
  * The graphql function is used to parse GraphQL queries into a document that can be used by GraphQL clients.
  */
 export function graphql(source: "\n  query TroveById($id: ID!) {\n    trove(id: $id) {\n      id\n      borrower\n      closedAt\n      createdAt\n      debt\n      deposit\n      interestRate\n      mightBeLeveraged\n      stake\n      status\n      troveId\n      updatedAt\n      collateral {\n        id\n        token {\n          symbol\n          name\n        }\n        minCollRatio\n        collIndex\n      }\n      interestBatch {\n        id\n        annualInterestRate\n        annualManagementFee\n        batchManager\n      }\n    }\n  }\n"): typeof import('./graphql').TroveByIdDocument;
+/**
+ * The graphql function is used to parse GraphQL queries into a document that can be used by GraphQL clients.
+ */
+export function graphql(source: "\n  query TroveEvents($troveId: String!) {\n    troveEvents(\n      where: { trove: $troveId }\n      orderBy: blockNumber\n      orderDirection: desc\n      first: 1000\n    ) {\n      id\n      operation\n      annualInterestRate\n      debtChangeFromOperation\n      collChangeFromOperation\n      debtIncreaseFromUpfrontFee\n      debtIncreaseFromRedist\n      collIncreaseFromRedist\n      batchManager\n      leverageUpdate\n      transactionHash\n      logIndex\n      blockNumber\n      timestamp\n    }\n  }\n"): typeof import('./graphql').TroveEventsDocument;
 /**
  * The graphql function is used to parse GraphQL queries into a document that can be used by GraphQL clients.
  */
@@ -88,13 +88,27 @@ export enum BorrowerInfo_OrderBy {
 
 export type CollSurplus = {
   __typename?: 'CollSurplus';
+  account: Scalars['Bytes']['output'];
   amount: Scalars['BigInt']['output'];
-  id: Scalars['String']['output'];
+  collateral: Collateral;
+  id: Scalars['ID']['output'];
+  totalClaimed: Scalars['BigInt']['output'];
+  updatedAt: Scalars['BigInt']['output'];
 };
 
 export type CollSurplus_Filter = {
   /** Filter for the block changed event. */
   _change_block?: InputMaybe<BlockChangedFilter>;
+  account?: InputMaybe<Scalars['Bytes']['input']>;
+  account_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  account_gt?: InputMaybe<Scalars['Bytes']['input']>;
+  account_gte?: InputMaybe<Scalars['Bytes']['input']>;
+  account_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  account_lt?: InputMaybe<Scalars['Bytes']['input']>;
+  account_lte?: InputMaybe<Scalars['Bytes']['input']>;
+  account_not?: InputMaybe<Scalars['Bytes']['input']>;
+  account_not_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  account_not_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
   amount?: InputMaybe<Scalars['BigInt']['input']>;
   amount_gt?: InputMaybe<Scalars['BigInt']['input']>;
   amount_gte?: InputMaybe<Scalars['BigInt']['input']>;
@@ -104,41 +118,87 @@ export type CollSurplus_Filter = {
   amount_not?: InputMaybe<Scalars['BigInt']['input']>;
   amount_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
   and?: InputMaybe<Array<InputMaybe<CollSurplus_Filter>>>;
-  id?: InputMaybe<Scalars['String']['input']>;
-  id_contains?: InputMaybe<Scalars['String']['input']>;
-  id_contains_nocase?: InputMaybe<Scalars['String']['input']>;
-  id_ends_with?: InputMaybe<Scalars['String']['input']>;
-  id_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
-  id_gt?: InputMaybe<Scalars['String']['input']>;
-  id_gte?: InputMaybe<Scalars['String']['input']>;
-  id_in?: InputMaybe<Array<Scalars['String']['input']>>;
-  id_lt?: InputMaybe<Scalars['String']['input']>;
-  id_lte?: InputMaybe<Scalars['String']['input']>;
-  id_not?: InputMaybe<Scalars['String']['input']>;
-  id_not_contains?: InputMaybe<Scalars['String']['input']>;
-  id_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
-  id_not_ends_with?: InputMaybe<Scalars['String']['input']>;
-  id_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
-  id_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
-  id_not_starts_with?: InputMaybe<Scalars['String']['input']>;
-  id_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
-  id_starts_with?: InputMaybe<Scalars['String']['input']>;
-  id_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral?: InputMaybe<Scalars['String']['input']>;
+  collateral_?: InputMaybe<Collateral_Filter>;
+  collateral_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_gt?: InputMaybe<Scalars['String']['input']>;
+  collateral_gte?: InputMaybe<Scalars['String']['input']>;
+  collateral_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_lt?: InputMaybe<Scalars['String']['input']>;
+  collateral_lte?: InputMaybe<Scalars['String']['input']>;
+  collateral_not?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  id?: InputMaybe<Scalars['ID']['input']>;
+  id_gt?: InputMaybe<Scalars['ID']['input']>;
+  id_gte?: InputMaybe<Scalars['ID']['input']>;
+  id_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  id_lt?: InputMaybe<Scalars['ID']['input']>;
+  id_lte?: InputMaybe<Scalars['ID']['input']>;
+  id_not?: InputMaybe<Scalars['ID']['input']>;
+  id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
   or?: InputMaybe<Array<InputMaybe<CollSurplus_Filter>>>;
+  totalClaimed?: InputMaybe<Scalars['BigInt']['input']>;
+  totalClaimed_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  totalClaimed_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  totalClaimed_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  totalClaimed_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  totalClaimed_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  totalClaimed_not?: InputMaybe<Scalars['BigInt']['input']>;
+  totalClaimed_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  updatedAt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  updatedAt_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_not?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
 };
 
 export enum CollSurplus_OrderBy {
+  Account = 'account',
   Amount = 'amount',
-  Id = 'id'
+  Collateral = 'collateral',
+  CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
+  CollateralId = 'collateral__id',
+  CollateralMinCollRatio = 'collateral__minCollRatio',
+  CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
+  CollateralTotalDebt = 'collateral__totalDebt',
+  CollateralTotalDeposited = 'collateral__totalDeposited',
+  Id = 'id',
+  TotalClaimed = 'totalClaimed',
+  UpdatedAt = 'updatedAt'
 }
 
 export type Collateral = {
   __typename?: 'Collateral';
   addresses: CollateralAddresses;
   collIndex: Scalars['Int']['output'];
+  collSurplusPool?: Maybe<Scalars['Bytes']['output']>;
+  collSurpluses: Array<CollSurplus>;
   id: Scalars['ID']['output'];
+  liquidations: Array<Liquidation>;
   minCollRatio: Scalars['BigInt']['output'];
   price: Scalars['BigInt']['output'];
+  priceSnapshots: Array<CollateralPriceSnapshot>;
+  redemptions: Array<Redemption>;
+  shutdownAt?: Maybe<Scalars['BigInt']['output']>;
+  shutdownReason?: Maybe<ShutdownReason>;
+  snapshots: Array<CollateralSnapshot>;
   stabilityPoolDeposits: Array<StabilityPoolDeposit>;
   token: Token;
   totalDebt: Scalars['BigInt']['output'];
@@ -147,6 +207,51 @@ export type Collateral = {
 };
 
 
+export type CollateralCollSurplusesArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<CollSurplus_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<CollSurplus_Filter>;
+};
+
+
+export type CollateralLiquidationsArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Liquidation_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<Liquidation_Filter>;
+};
+
+
+export type CollateralPriceSnapshotsArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<CollateralPriceSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<CollateralPriceSnapshot_Filter>;
+};
+
+
+export type CollateralRedemptionsArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Redemption_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<Redemption_Filter>;
+};
+
+
+export type CollateralSnapshotsArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<CollateralSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<CollateralSnapshot_Filter>;
+};
+
+
 export type CollateralStabilityPoolDepositsArgs = {
   first?: InputMaybe<Scalars['Int']['input']>;
   orderBy?: InputMaybe<StabilityPoolDeposit_OrderBy>;
@@ -276,9 +381,12 @@ export enum CollateralAddresses_OrderBy {
   BorrowerOperations = 'borrowerOperations',
   Collateral = 'collateral',
   CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
   CollateralId = 'collateral__id',
   CollateralMinCollRatio = 'collateral__minCollRatio',
   CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
   CollateralTotalDebt = 'collateral__totalDebt',
   CollateralTotalDeposited = 'collateral__totalDeposited',
   Id = 'id',
@@ -289,6 +397,290 @@ export enum CollateralAddresses_OrderBy {
   TroveNft = 'troveNft'
 }
 
+export type CollateralPriceSnapshot = {
+  __typename?: 'CollateralPriceSnapshot';
+  blockNumber: Scalars['BigInt']['output'];
+  collateral: Collateral;
+  id: Scalars['ID']['output'];
+  isShutdown: Scalars['Boolean']['output'];
+  price: Scalars['BigInt']['output'];
+  systemColl: Scalars['BigInt']['output'];
+  systemDebt: Scalars['BigInt']['output'];
+  tcr?: Maybe<Scalars['BigInt']['output']>;
+  timestamp: Scalars['BigInt']['output'];
+};
+
+export type CollateralPriceSnapshot_Filter = {
+  /** Filter for the block changed event. */
+  _change_block?: InputMaybe<BlockChangedFilter>;
+  and?: InputMaybe<Array<InputMaybe<CollateralPriceSnapshot_Filter>>>;
+  blockNumber?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  blockNumber_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collateral?: InputMaybe<Scalars['String']['input']>;
+  collateral_?: InputMaybe<Collateral_Filter>;
+  collateral_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_gt?: InputMaybe<Scalars['String']['input']>;
+  collateral_gte?: InputMaybe<Scalars['String']['input']>;
+  collateral_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_lt?: InputMaybe<Scalars['String']['input']>;
+  collateral_lte?: InputMaybe<Scalars['String']['input']>;
+  collateral_not?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  id?: InputMaybe<Scalars['ID']['input']>;
+  id_gt?: InputMaybe<Scalars['ID']['input']>;
+  id_gte?: InputMaybe<Scalars['ID']['input']>;
+  id_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  id_lt?: InputMaybe<Scalars['ID']['input']>;
+  id_lte?: InputMaybe<Scalars['ID']['input']>;
+  id_not?: InputMaybe<Scalars['ID']['input']>;
+  id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  isShutdown?: InputMaybe<Scalars['Boolean']['input']>;
+  isShutdown_in?: InputMaybe<Array<Scalars['Boolean']['input']>>;
+  isShutdown_not?: InputMaybe<Scalars['Boolean']['input']>;
+  isShutdown_not_in?: InputMaybe<Array<Scalars['Boolean']['input']>>;
+  or?: InputMaybe<Array<InputMaybe<CollateralPriceSnapshot_Filter>>>;
+  price?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  price_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  systemColl?: InputMaybe<Scalars['BigInt']['input']>;
+  systemColl_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  systemColl_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  systemColl_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  systemColl_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  systemColl_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  systemColl_not?: InputMaybe<Scalars['BigInt']['input']>;
+  systemColl_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  systemDebt?: InputMaybe<Scalars['BigInt']['input']>;
+  systemDebt_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  systemDebt_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  systemDebt_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  systemDebt_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  systemDebt_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  systemDebt_not?: InputMaybe<Scalars['BigInt']['input']>;
+  systemDebt_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  tcr?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  tcr_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_not?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  timestamp?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  timestamp_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+};
+
+export enum CollateralPriceSnapshot_OrderBy {
+  BlockNumber = 'blockNumber',
+  Collateral = 'collateral',
+  CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
+  CollateralId = 'collateral__id',
+  CollateralMinCollRatio = 'collateral__minCollRatio',
+  CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
+  CollateralTotalDebt = 'collateral__totalDebt',
+  CollateralTotalDeposited = 'collateral__totalDeposited',
+  Id = 'id',
+  IsShutdown = 'isShutdown',
+  Price = 'price',
+  SystemColl = 'systemColl',
+  SystemDebt = 'systemDebt',
+  Tcr = 'tcr',
+  Timestamp = 'timestamp'
+}
+
+export type CollateralSnapshot = {
+  __typename?: 'CollateralSnapshot';
+  avgInterestRate: Scalars['BigInt']['output'];
+  collateral: Collateral;
+  id: Scalars['ID']['output'];
+  period: SnapshotPeriod;
+  price: Scalars['BigInt']['output'];
+  redemptionsVolume: Scalars['BigInt']['output'];
+  spDeposits: Scalars['BigInt']['output'];
+  startTimestamp: Scalars['BigInt']['output'];
+  tcr?: Maybe<Scalars['BigInt']['output']>;
+  totalColl: Scalars['BigInt']['output'];
+  totalDebt: Scalars['BigInt']['output'];
+  troveCount: Scalars['Int']['output'];
+  updatedAt: Scalars['BigInt']['output'];
+};
+
+export type CollateralSnapshot_Filter = {
+  /** Filter for the block changed event. */
+  _change_block?: InputMaybe<BlockChangedFilter>;
+  and?: InputMaybe<Array<InputMaybe<CollateralSnapshot_Filter>>>;
+  avgInterestRate?: InputMaybe<Scalars['BigInt']['input']>;
+  avgInterestRate_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  avgInterestRate_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  avgInterestRate_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  avgInterestRate_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  avgInterestRate_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  avgInterestRate_not?: InputMaybe<Scalars['BigInt']['input']>;
+  avgInterestRate_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collateral?: InputMaybe<Scalars['String']['input']>;
+  collateral_?: InputMaybe<Collateral_Filter>;
+  collateral_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_gt?: InputMaybe<Scalars['String']['input']>;
+  collateral_gte?: InputMaybe<Scalars['String']['input']>;
+  collateral_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_lt?: InputMaybe<Scalars['String']['input']>;
+  collateral_lte?: InputMaybe<Scalars['String']['input']>;
+  collateral_not?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  id?: InputMaybe<Scalars['ID']['input']>;
+  id_gt?: InputMaybe<Scalars['ID']['input']>;
+  id_gte?: InputMaybe<Scalars['ID']['input']>;
+  id_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  id_lt?: InputMaybe<Scalars['ID']['input']>;
+  id_lte?: InputMaybe<Scalars['ID']['input']>;
+  id_not?: InputMaybe<Scalars['ID']['input']>;
+  id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  or?: InputMaybe<Array<InputMaybe<CollateralSnapshot_Filter>>>;
+  period?: InputMaybe<SnapshotPeriod>;
+  period_in?: InputMaybe<Array<SnapshotPeriod>>;
+  period_not?: InputMaybe<SnapshotPeriod>;
+  period_not_in?: InputMaybe<Array<SnapshotPeriod>>;
+  price?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  price_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  redemptionsVolume?: InputMaybe<Scalars['BigInt']['input']>;
+  redemptionsVolume_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  redemptionsVolume_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  redemptionsVolume_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  redemptionsVolume_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  redemptionsVolume_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  redemptionsVolume_not?: InputMaybe<Scalars['BigInt']['input']>;
+  redemptionsVolume_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  spDeposits?: InputMaybe<Scalars['BigInt']['input']>;
+  spDeposits_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  spDeposits_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  spDeposits_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  spDeposits_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  spDeposits_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  spDeposits_not?: InputMaybe<Scalars['BigInt']['input']>;
+  spDeposits_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  startTimestamp?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  startTimestamp_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_not?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  tcr?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  tcr_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_not?: InputMaybe<Scalars['BigInt']['input']>;
+  tcr_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  totalColl?: InputMaybe<Scalars['BigInt']['input']>;
+  totalColl_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  totalColl_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  totalColl_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  totalColl_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  totalColl_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  totalColl_not?: InputMaybe<Scalars['BigInt']['input']>;
+  totalColl_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  totalDebt?: InputMaybe<Scalars['BigInt']['input']>;
+  totalDebt_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  totalDebt_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  totalDebt_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  totalDebt_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  totalDebt_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  totalDebt_not?: InputMaybe<Scalars['BigInt']['input']>;
+  totalDebt_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  troveCount?: InputMaybe<Scalars['Int']['input']>;
+  troveCount_gt?: InputMaybe<Scalars['Int']['input']>;
+  troveCount_gte?: InputMaybe<Scalars['Int']['input']>;
+  troveCount_in?: InputMaybe<Array<Scalars['Int']['input']>>;
+  troveCount_lt?: InputMaybe<Scalars['Int']['input']>;
+  troveCount_lte?: InputMaybe<Scalars['Int']['input']>;
+  troveCount_not?: InputMaybe<Scalars['Int']['input']>;
+  troveCount_not_in?: InputMaybe<Array<Scalars['Int']['input']>>;
+  updatedAt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  updatedAt_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_not?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+};
+
+export enum CollateralSnapshot_OrderBy {
+  AvgInterestRate = 'avgInterestRate',
+  Collateral = 'collateral',
+  CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
+  CollateralId = 'collateral__id',
+  CollateralMinCollRatio = 'collateral__minCollRatio',
+  CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
+  CollateralTotalDebt = 'collateral__totalDebt',
+  CollateralTotalDeposited = 'collateral__totalDeposited',
+  Id = 'id',
+  Period = 'period',
+  Price = 'price',
+  RedemptionsVolume = 'redemptionsVolume',
+  SpDeposits = 'spDeposits',
+  StartTimestamp = 'startTimestamp',
+  Tcr = 'tcr',
+  TotalColl = 'totalColl',
+  TotalDebt = 'totalDebt',
+  TroveCount = 'troveCount',
+  UpdatedAt = 'updatedAt'
+}
+
 export type Collateral_Filter = {
   /** Filter for the block changed event. */
   _change_block?: InputMaybe<BlockChangedFilter>;
@@ -302,6 +694,17 @@ export type Collateral_Filter = {
   collIndex_lte?: InputMaybe<Scalars['Int']['input']>;
   collIndex_not?: InputMaybe<Scalars['Int']['input']>;
   collIndex_not_in?: InputMaybe<Array<Scalars['Int']['input']>>;
+  collSurplusPool?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_gt?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_gte?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  collSurplusPool_lt?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_lte?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_not?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_not_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  collSurplusPool_not_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  collSurpluses_?: InputMaybe<CollSurplus_Filter>;
   id?: InputMaybe<Scalars['ID']['input']>;
   id_gt?: InputMaybe<Scalars['ID']['input']>;
   id_gte?: InputMaybe<Scalars['ID']['input']>;
@@ -310,6 +713,7 @@ export type Collateral_Filter = {
   id_lte?: InputMaybe<Scalars['ID']['input']>;
   id_not?: InputMaybe<Scalars['ID']['input']>;
   id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  liquidations_?: InputMaybe<Liquidation_Filter>;
   minCollRatio?: InputMaybe<Scalars['BigInt']['input']>;
   minCollRatio_gt?: InputMaybe<Scalars['BigInt']['input']>;
   minCollRatio_gte?: InputMaybe<Scalars['BigInt']['input']>;
@@ -320,6 +724,7 @@ export type Collateral_Filter = {
   minCollRatio_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
   or?: InputMaybe<Array<InputMaybe<Collateral_Filter>>>;
   price?: InputMaybe<Scalars['BigInt']['input']>;
+  priceSnapshots_?: InputMaybe<CollateralPriceSnapshot_Filter>;
   price_gt?: InputMaybe<Scalars['BigInt']['input']>;
   price_gte?: InputMaybe<Scalars['BigInt']['input']>;
   price_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
@@ -327,6 +732,20 @@ export type Collateral_Filter = {
   price_lte?: InputMaybe<Scalars['BigInt']['input']>;
   price_not?: InputMaybe<Scalars['BigInt']['input']>;
   price_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  redemptions_?: InputMaybe<Redemption_Filter>;
+  shutdownAt?: InputMaybe<Scalars['BigInt']['input']>;
+  shutdownAt_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  shutdownAt_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  shutdownAt_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  shutdownAt_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  shutdownAt_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  shutdownAt_not?: InputMaybe<Scalars['BigInt']['input']>;
+  shutdownAt_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  shutdownReason?: InputMaybe<ShutdownReason>;
+  shutdownReason_in?: InputMaybe<Array<ShutdownReason>>;
+  shutdownReason_not?: InputMaybe<ShutdownReason>;
+  shutdownReason_not_in?: InputMaybe<Array<ShutdownReason>>;
+  snapshots_?: InputMaybe<CollateralSnapshot_Filter>;
   stabilityPoolDeposits_?: InputMaybe<StabilityPoolDeposit_Filter>;
   token?: InputMaybe<Scalars['String']['input']>;
   token_?: InputMaybe<Token_Filter>;
@@ -378,9 +797,17 @@ export enum Collateral_OrderBy {
   AddressesTroveManager = 'addresses__troveManager',
   AddressesTroveNft = 'addresses__troveNft',
   CollIndex = 'collIndex',
+  CollSurplusPool = 'collSurplusPool',
+  CollSurpluses = 'collSurpluses',
   Id = 'id',
+  Liquidations = 'liquidations',
   MinCollRatio = 'minCollRatio',
   Price = 'price',
+  PriceSnapshots = 'priceSnapshots',
+  Redemptions = 'redemptions',
+  ShutdownAt = 'shutdownAt',
+  ShutdownReason = 'shutdownReason',
+  Snapshots = 'snapshots',
   StabilityPoolDeposits = 'stabilityPoolDeposits',
   Token = 'token',
   TokenDecimals = 'token__decimals',
@@ -850,9 +1277,12 @@ export enum InterestBatch_OrderBy {
   Coll = 'coll',
   Collateral = 'collateral',
   CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
   CollateralId = 'collateral__id',
   CollateralMinCollRatio = 'collateral__minCollRatio',
   CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
   CollateralTotalDebt = 'collateral__totalDebt',
   CollateralTotalDeposited = 'collateral__totalDeposited',
   Debt = 'debt',
@@ -923,9 +1353,12 @@ export type InterestRateBracket_Filter = {
 export enum InterestRateBracket_OrderBy {
   Collateral = 'collateral',
   CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
   CollateralId = 'collateral__id',
   CollateralMinCollRatio = 'collateral__minCollRatio',
   CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
   CollateralTotalDebt = 'collateral__totalDebt',
   CollateralTotalDeposited = 'collateral__totalDeposited',
   Id = 'id',
@@ -933,12 +1366,288 @@ export enum InterestRateBracket_OrderBy {
   TotalDebt = 'totalDebt'
 }
 
+export enum LeverageUpdate {
+  No = 'no',
+  Unchanged = 'unchanged',
+  Yes = 'yes'
+}
+
+export type Liquidation = {
+  __typename?: 'Liquidation';
+  absorbedBy: LiquidationAbsorber;
+  blockNumber: Scalars['BigInt']['output'];
+  boldGasCompensation: Scalars['BigInt']['output'];
+  collGasCompensation: Scalars['BigInt']['output'];
+  collRedistributed: Scalars['BigInt']['output'];
+  collSentToSP: Scalars['BigInt']['output'];
+  collSurplus: Scalars['BigInt']['output'];
+  collateral: Collateral;
+  debtOffsetBySP: Scalars['BigInt']['output'];
+  debtRedistributed: Scalars['BigInt']['output'];
+  id: Scalars['ID']['output'];
+  price: Scalars['BigInt']['output'];
+  timestamp: Scalars['BigInt']['output'];
+  transactionHash: Scalars['Bytes']['output'];
+  troveEvents: Array<TroveEvent>;
+  troves: Array<Trove>;
+};
+
+
+export type LiquidationTroveEventsArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<TroveEvent_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<TroveEvent_Filter>;
+};
+
+
+export type LiquidationTrovesArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Trove_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<Trove_Filter>;
+};
+
+export enum LiquidationAbsorber {
+  Both = 'both',
+  Redistribution = 'redistribution',
+  StabilityPool = 'stabilityPool'
+}
+
+export type Liquidation_Filter = {
+  /** Filter for the block changed event. */
+  _change_block?: InputMaybe<BlockChangedFilter>;
+  absorbedBy?: InputMaybe<LiquidationAbsorber>;
+  absorbedBy_in?: InputMaybe<Array<LiquidationAbsorber>>;
+  absorbedBy_not?: InputMaybe<LiquidationAbsorber>;
+  absorbedBy_not_in?: InputMaybe<Array<LiquidationAbsorber>>;
+  and?: InputMaybe<Array<InputMaybe<Liquidation_Filter>>>;
+  blockNumber?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  blockNumber_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  boldGasCompensation?: InputMaybe<Scalars['BigInt']['input']>;
+  boldGasCompensation_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  boldGasCompensation_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  boldGasCompensation_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  boldGasCompensation_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  boldGasCompensation_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  boldGasCompensation_not?: InputMaybe<Scalars['BigInt']['input']>;
+  boldGasCompensation_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collGasCompensation?: InputMaybe<Scalars['BigInt']['input']>;
+  collGasCompensation_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collGasCompensation_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collGasCompensation_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collGasCompensation_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collGasCompensation_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collGasCompensation_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collGasCompensation_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collRedistributed?: InputMaybe<Scalars['BigInt']['input']>;
+  collRedistributed_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collRedistributed_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collRedistributed_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collRedistributed_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collRedistributed_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collRedistributed_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collRedistributed_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collSentToSP?: InputMaybe<Scalars['BigInt']['input']>;
+  collSentToSP_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collSentToSP_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collSentToSP_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collSentToSP_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collSentToSP_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collSentToSP_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collSentToSP_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collSurplus?: InputMaybe<Scalars['BigInt']['input']>;
+  collSurplus_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collSurplus_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collSurplus_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collSurplus_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collSurplus_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collSurplus_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collSurplus_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collateral?: InputMaybe<Scalars['String']['input']>;
+  collateral_?: InputMaybe<Collateral_Filter>;
+  collateral_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_gt?: InputMaybe<Scalars['String']['input']>;
+  collateral_gte?: InputMaybe<Scalars['String']['input']>;
+  collateral_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_lt?: InputMaybe<Scalars['String']['input']>;
+  collateral_lte?: InputMaybe<Scalars['String']['input']>;
+  collateral_not?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  debtOffsetBySP?: InputMaybe<Scalars['BigInt']['input']>;
+  debtOffsetBySP_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtOffsetBySP_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtOffsetBySP_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtOffsetBySP_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtOffsetBySP_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtOffsetBySP_not?: InputMaybe<Scalars['BigInt']['input']>;
+  debtOffsetBySP_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtRedistributed?: InputMaybe<Scalars['BigInt']['input']>;
+  debtRedistributed_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtRedistributed_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtRedistributed_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtRedistributed_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtRedistributed_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtRedistributed_not?: InputMaybe<Scalars['BigInt']['input']>;
+  debtRedistributed_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  id?: InputMaybe<Scalars['ID']['input']>;
+  id_gt?: InputMaybe<Scalars['ID']['input']>;
+  id_gte?: InputMaybe<Scalars['ID']['input']>;
+  id_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  id_lt?: InputMaybe<Scalars['ID']['input']>;
+  id_lte?: InputMaybe<Scalars['ID']['input']>;
+  id_not?: InputMaybe<Scalars['ID']['input']>;
+  id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  or?: InputMaybe<Array<InputMaybe<Liquidation_Filter>>>;
+  price?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  price_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  timestamp?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  timestamp_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  transactionHash?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_gt?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_gte?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  transactionHash_lt?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_lte?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  troveEvents_?: InputMaybe<TroveEvent_Filter>;
+  troves?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_?: InputMaybe<Trove_Filter>;
+  troves_contains?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_contains_nocase?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_not?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_not_contains?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_not_contains_nocase?: InputMaybe<Array<Scalars['String']['input']>>;
+};
+
+export enum Liquidation_OrderBy {
+  AbsorbedBy = 'absorbedBy',
+  BlockNumber = 'blockNumber',
+  BoldGasCompensation = 'boldGasCompensation',
+  CollGasCompensation = 'collGasCompensation',
+  CollRedistributed = 'collRedistributed',
+  CollSentToSp = 'collSentToSP',
+  CollSurplus = 'collSurplus',
+  Collateral = 'collateral',
+  CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
+  CollateralId = 'collateral__id',
+  CollateralMinCollRatio = 'collateral__minCollRatio',
+  CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
+  CollateralTotalDebt = 'collateral__totalDebt',
+  CollateralTotalDeposited = 'collateral__totalDeposited',
+  DebtOffsetBySp = 'debtOffsetBySP',
+  DebtRedistributed = 'debtRedistributed',
+  Id = 'id',
+  Price = 'price',
+  Timestamp = 'timestamp',
+  TransactionHash = 'transactionHash',
+  TroveEvents = 'troveEvents',
+  Troves = 'troves'
+}
+
 /** Defines the order direction, either ascending or descending */
 export enum OrderDirection {
   Asc = 'asc',
   Desc = 'desc'
 }
 
+export type ProtocolSnapshot = {
+  __typename?: 'ProtocolSnapshot';
+  boldSupply: Scalars['BigInt']['output'];
+  id: Scalars['ID']['output'];
+  period: SnapshotPeriod;
+  startTimestamp: Scalars['BigInt']['output'];
+  updatedAt: Scalars['BigInt']['output'];
+};
+
+export type ProtocolSnapshot_Filter = {
+  /** Filter for the block changed event. */
+  _change_block?: InputMaybe<BlockChangedFilter>;
+  and?: InputMaybe<Array<InputMaybe<ProtocolSnapshot_Filter>>>;
+  boldSupply?: InputMaybe<Scalars['BigInt']['input']>;
+  boldSupply_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  boldSupply_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  boldSupply_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  boldSupply_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  boldSupply_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  boldSupply_not?: InputMaybe<Scalars['BigInt']['input']>;
+  boldSupply_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  id?: InputMaybe<Scalars['ID']['input']>;
+  id_gt?: InputMaybe<Scalars['ID']['input']>;
+  id_gte?: InputMaybe<Scalars['ID']['input']>;
+  id_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  id_lt?: InputMaybe<Scalars['ID']['input']>;
+  id_lte?: InputMaybe<Scalars['ID']['input']>;
+  id_not?: InputMaybe<Scalars['ID']['input']>;
+  id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  or?: InputMaybe<Array<InputMaybe<ProtocolSnapshot_Filter>>>;
+  period?: InputMaybe<SnapshotPeriod>;
+  period_in?: InputMaybe<Array<SnapshotPeriod>>;
+  period_not?: InputMaybe<SnapshotPeriod>;
+  period_not_in?: InputMaybe<Array<SnapshotPeriod>>;
+  startTimestamp?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  startTimestamp_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_not?: InputMaybe<Scalars['BigInt']['input']>;
+  startTimestamp_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  updatedAt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  updatedAt_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_not?: InputMaybe<Scalars['BigInt']['input']>;
+  updatedAt_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+};
+
+export enum ProtocolSnapshot_OrderBy {
+  BoldSupply = 'boldSupply',
+  Id = 'id',
+  Period = 'period',
+  StartTimestamp = 'startTimestamp',
+  UpdatedAt = 'updatedAt'
+}
+
 export type Query = {
   __typename?: 'Query';
   /** Access to subgraph metadata */
@@ -950,6 +1659,10 @@ export type Query = {
   collateral?: Maybe<Collateral>;
   collateralAddresses?: Maybe<CollateralAddresses>;
   collateralAddresses_collection: Array<CollateralAddresses>;
+  collateralPriceSnapshot?: Maybe<CollateralPriceSnapshot>;
+  collateralPriceSnapshots: Array<CollateralPriceSnapshot>;
+  collateralSnapshot?: Maybe<CollateralSnapshot>;
+  collateralSnapshots: Array<CollateralSnapshot>;
   collaterals: Array<Collateral>;
   governanceAllocation?: Maybe<GovernanceAllocation>;
   governanceAllocations: Array<GovernanceAllocation>;
@@ -963,6 +1676,12 @@ export type Query = {
   interestBatches: Array<InterestBatch>;
   interestRateBracket?: Maybe<InterestRateBracket>;
   interestRateBrackets: Array<InterestRateBracket>;
+  liquidation?: Maybe<Liquidation>;
+  liquidations: Array<Liquidation>;
+  protocolSnapshot?: Maybe<ProtocolSnapshot>;
+  protocolSnapshots: Array<ProtocolSnapshot>;
+  redemption?: Maybe<Redemption>;
+  redemptions: Array<Redemption>;
   stabilityPool?: Maybe<StabilityPool>;
   stabilityPoolDeposit?: Maybe<StabilityPoolDeposit>;
   stabilityPoolDepositSnapshot?: Maybe<StabilityPoolDepositSnapshot>;
@@ -974,6 +1693,8 @@ export type Query = {
   token?: Maybe<Token>;
   tokens: Array<Token>;
   trove?: Maybe<Trove>;
+  troveEvent?: Maybe<TroveEvent>;
+  troveEvents: Array<TroveEvent>;
   troves: Array<Trove>;
 };
 
@@ -1044,6 +1765,42 @@ export type QueryCollateralAddresses_CollectionArgs = {
 };
 
 
+export type QueryCollateralPriceSnapshotArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type QueryCollateralPriceSnapshotsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<CollateralPriceSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<CollateralPriceSnapshot_Filter>;
+};
+
+
+export type QueryCollateralSnapshotArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type QueryCollateralSnapshotsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<CollateralSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<CollateralSnapshot_Filter>;
+};
+
+
 export type QueryCollateralsArgs = {
   block?: InputMaybe<Block_Height>;
   first?: InputMaybe<Scalars['Int']['input']>;
@@ -1163,6 +1920,60 @@ export type QueryInterestRateBracketsArgs = {
 };
 
 
+export type QueryLiquidationArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type QueryLiquidationsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Liquidation_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<Liquidation_Filter>;
+};
+
+
+export type QueryProtocolSnapshotArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type QueryProtocolSnapshotsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<ProtocolSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<ProtocolSnapshot_Filter>;
+};
+
+
+export type QueryRedemptionArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type QueryRedemptionsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Redemption_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<Redemption_Filter>;
+};
+
+
 export type QueryStabilityPoolArgs = {
   block?: InputMaybe<Block_Height>;
   id: Scalars['ID']['input'];
@@ -1242,34 +2053,230 @@ export type QueryTokenArgs = {
 };
 
 
-export type QueryTokensArgs = {
-  block?: InputMaybe<Block_Height>;
+export type QueryTokensArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Token_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<Token_Filter>;
+};
+
+
+export type QueryTroveArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type QueryTroveEventArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type QueryTroveEventsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<TroveEvent_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<TroveEvent_Filter>;
+};
+
+
+export type QueryTrovesArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Trove_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<Trove_Filter>;
+};
+
+export type Redemption = {
+  __typename?: 'Redemption';
+  attemptedBoldAmount: Scalars['BigInt']['output'];
+  blockNumber: Scalars['BigInt']['output'];
+  boldRedeemed: Scalars['BigInt']['output'];
+  collFee: Scalars['BigInt']['output'];
+  collSent: Scalars['BigInt']['output'];
+  collateral: Collateral;
+  id: Scalars['ID']['output'];
+  price: Scalars['BigInt']['output'];
+  timestamp: Scalars['BigInt']['output'];
+  transactionHash: Scalars['Bytes']['output'];
+  troveEvents: Array<TroveEvent>;
+  troves: Array<Trove>;
+};
+
+
+export type RedemptionTroveEventsArgs = {
   first?: InputMaybe<Scalars['Int']['input']>;
-  orderBy?: InputMaybe<Token_OrderBy>;
+  orderBy?: InputMaybe<TroveEvent_OrderBy>;
   orderDirection?: InputMaybe<OrderDirection>;
   skip?: InputMaybe<Scalars['Int']['input']>;
-  subgraphError?: _SubgraphErrorPolicy_;
-  where?: InputMaybe<Token_Filter>;
-};
-
-
-export type QueryTroveArgs = {
-  block?: InputMaybe<Block_Height>;
-  id: Scalars['ID']['input'];
-  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<TroveEvent_Filter>;
 };
 
 
-export type QueryTrovesArgs = {
-  block?: InputMaybe<Block_Height>;
+export type RedemptionTrovesArgs = {
   first?: InputMaybe<Scalars['Int']['input']>;
   orderBy?: InputMaybe<Trove_OrderBy>;
   orderDirection?: InputMaybe<OrderDirection>;
   skip?: InputMaybe<Scalars['Int']['input']>;
-  subgraphError?: _SubgraphErrorPolicy_;
   where?: InputMaybe<Trove_Filter>;
 };
 
+export type Redemption_Filter = {
+  /** Filter for the block changed event. */
+  _change_block?: InputMaybe<BlockChangedFilter>;
+  and?: InputMaybe<Array<InputMaybe<Redemption_Filter>>>;
+  attemptedBoldAmount?: InputMaybe<Scalars['BigInt']['input']>;
+  attemptedBoldAmount_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  attemptedBoldAmount_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  attemptedBoldAmount_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  attemptedBoldAmount_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  attemptedBoldAmount_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  attemptedBoldAmount_not?: InputMaybe<Scalars['BigInt']['input']>;
+  attemptedBoldAmount_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  blockNumber?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  blockNumber_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  boldRedeemed?: InputMaybe<Scalars['BigInt']['input']>;
+  boldRedeemed_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  boldRedeemed_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  boldRedeemed_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  boldRedeemed_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  boldRedeemed_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  boldRedeemed_not?: InputMaybe<Scalars['BigInt']['input']>;
+  boldRedeemed_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collFee?: InputMaybe<Scalars['BigInt']['input']>;
+  collFee_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collFee_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collFee_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collFee_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collFee_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collFee_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collFee_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collSent?: InputMaybe<Scalars['BigInt']['input']>;
+  collSent_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collSent_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collSent_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collSent_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collSent_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collSent_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collSent_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collateral?: InputMaybe<Scalars['String']['input']>;
+  collateral_?: InputMaybe<Collateral_Filter>;
+  collateral_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_gt?: InputMaybe<Scalars['String']['input']>;
+  collateral_gte?: InputMaybe<Scalars['String']['input']>;
+  collateral_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_lt?: InputMaybe<Scalars['String']['input']>;
+  collateral_lte?: InputMaybe<Scalars['String']['input']>;
+  collateral_not?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  id?: InputMaybe<Scalars['ID']['input']>;
+  id_gt?: InputMaybe<Scalars['ID']['input']>;
+  id_gte?: InputMaybe<Scalars['ID']['input']>;
+  id_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  id_lt?: InputMaybe<Scalars['ID']['input']>;
+  id_lte?: InputMaybe<Scalars['ID']['input']>;
+  id_not?: InputMaybe<Scalars['ID']['input']>;
+  id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  or?: InputMaybe<Array<InputMaybe<Redemption_Filter>>>;
+  price?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  price_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  price_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not?: InputMaybe<Scalars['BigInt']['input']>;
+  price_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  timestamp?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  timestamp_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  transactionHash?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_gt?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_gte?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  transactionHash_lt?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_lte?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  troveEvents_?: InputMaybe<TroveEvent_Filter>;
+  troves?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_?: InputMaybe<Trove_Filter>;
+  troves_contains?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_contains_nocase?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_not?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_not_contains?: InputMaybe<Array<Scalars['String']['input']>>;
+  troves_not_contains_nocase?: InputMaybe<Array<Scalars['String']['input']>>;
+};
+
+export enum Redemption_OrderBy {
+  AttemptedBoldAmount = 'attemptedBoldAmount',
+  BlockNumber = 'blockNumber',
+  BoldRedeemed = 'boldRedeemed',
+  CollFee = 'collFee',
+  CollSent = 'collSent',
+  Collateral = 'collateral',
+  CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
+  CollateralId = 'collateral__id',
+  CollateralMinCollRatio = 'collateral__minCollRatio',
+  CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
+  CollateralTotalDebt = 'collateral__totalDebt',
+  CollateralTotalDeposited = 'collateral__totalDeposited',
+  Id = 'id',
+  Price = 'price',
+  Timestamp = 'timestamp',
+  TransactionHash = 'transactionHash',
+  TroveEvents = 'troveEvents',
+  Troves = 'troves'
+}
+
+export enum ShutdownReason {
+  OracleFailure = 'oracleFailure',
+  TcrBelowScr = 'tcrBelowScr'
+}
+
+export enum SnapshotPeriod {
+  Day = 'day',
+  Hour = 'hour'
+}
+
 export type StabilityPool = {
   __typename?: 'StabilityPool';
   id: Scalars['ID']['output'];
@@ -1443,9 +2450,12 @@ export type StabilityPoolDeposit_Filter = {
 export enum StabilityPoolDeposit_OrderBy {
   Collateral = 'collateral',
   CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
   CollateralId = 'collateral__id',
   CollateralMinCollRatio = 'collateral__minCollRatio',
   CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
   CollateralTotalDebt = 'collateral__totalDebt',
   CollateralTotalDeposited = 'collateral__totalDeposited',
   Deposit = 'deposit',
@@ -1543,6 +2553,10 @@ export type Subscription = {
   collateral?: Maybe<Collateral>;
   collateralAddresses?: Maybe<CollateralAddresses>;
   collateralAddresses_collection: Array<CollateralAddresses>;
+  collateralPriceSnapshot?: Maybe<CollateralPriceSnapshot>;
+  collateralPriceSnapshots: Array<CollateralPriceSnapshot>;
+  collateralSnapshot?: Maybe<CollateralSnapshot>;
+  collateralSnapshots: Array<CollateralSnapshot>;
   collaterals: Array<Collateral>;
   governanceAllocation?: Maybe<GovernanceAllocation>;
   governanceAllocations: Array<GovernanceAllocation>;
@@ -1556,6 +2570,12 @@ export type Subscription = {
   interestBatches: Array<InterestBatch>;
   interestRateBracket?: Maybe<InterestRateBracket>;
   interestRateBrackets: Array<InterestRateBracket>;
+  liquidation?: Maybe<Liquidation>;
+  liquidations: Array<Liquidation>;
+  protocolSnapshot?: Maybe<ProtocolSnapshot>;
+  protocolSnapshots: Array<ProtocolSnapshot>;
+  redemption?: Maybe<Redemption>;
+  redemptions: Array<Redemption>;
   stabilityPool?: Maybe<StabilityPool>;
   stabilityPoolDeposit?: Maybe<StabilityPoolDeposit>;
   stabilityPoolDepositSnapshot?: Maybe<StabilityPoolDepositSnapshot>;
@@ -1567,6 +2587,8 @@ export type Subscription = {
   token?: Maybe<Token>;
   tokens: Array<Token>;
   trove?: Maybe<Trove>;
+  troveEvent?: Maybe<TroveEvent>;
+  troveEvents: Array<TroveEvent>;
   troves: Array<Trove>;
 };
 
@@ -1637,6 +2659,42 @@ export type SubscriptionCollateralAddresses_CollectionArgs = {
 };
 
 
+export type SubscriptionCollateralPriceSnapshotArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type SubscriptionCollateralPriceSnapshotsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<CollateralPriceSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<CollateralPriceSnapshot_Filter>;
+};
+
+
+export type SubscriptionCollateralSnapshotArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type SubscriptionCollateralSnapshotsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<CollateralSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<CollateralSnapshot_Filter>;
+};
+
+
 export type SubscriptionCollateralsArgs = {
   block?: InputMaybe<Block_Height>;
   first?: InputMaybe<Scalars['Int']['input']>;
@@ -1756,6 +2814,60 @@ export type SubscriptionInterestRateBracketsArgs = {
 };
 
 
+export type SubscriptionLiquidationArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type SubscriptionLiquidationsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Liquidation_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<Liquidation_Filter>;
+};
+
+
+export type SubscriptionProtocolSnapshotArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type SubscriptionProtocolSnapshotsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<ProtocolSnapshot_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<ProtocolSnapshot_Filter>;
+};
+
+
+export type SubscriptionRedemptionArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type SubscriptionRedemptionsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<Redemption_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<Redemption_Filter>;
+};
+
+
 export type SubscriptionStabilityPoolArgs = {
   block?: InputMaybe<Block_Height>;
   id: Scalars['ID']['input'];
@@ -1853,6 +2965,24 @@ export type SubscriptionTroveArgs = {
 };
 
 
+export type SubscriptionTroveEventArgs = {
+  block?: InputMaybe<Block_Height>;
+  id: Scalars['ID']['input'];
+  subgraphError?: _SubgraphErrorPolicy_;
+};
+
+
+export type SubscriptionTroveEventsArgs = {
+  block?: InputMaybe<Block_Height>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<TroveEvent_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  subgraphError?: _SubgraphErrorPolicy_;
+  where?: InputMaybe<TroveEvent_Filter>;
+};
+
+
 export type SubscriptionTrovesArgs = {
   block?: InputMaybe<Block_Height>;
   first?: InputMaybe<Scalars['Int']['input']>;
@@ -1959,9 +3089,12 @@ export type Token_Filter = {
 export enum Token_OrderBy {
   Collateral = 'collateral',
   CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
   CollateralId = 'collateral__id',
   CollateralMinCollRatio = 'collateral__minCollRatio',
   CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
   CollateralTotalDebt = 'collateral__totalDebt',
   CollateralTotalDeposited = 'collateral__totalDeposited',
   Decimals = 'decimals',
@@ -1978,6 +3111,7 @@ export type Trove = {
   createdAt: Scalars['BigInt']['output'];
   debt: Scalars['BigInt']['output'];
   deposit: Scalars['BigInt']['output'];
+  events: Array<TroveEvent>;
   id: Scalars['ID']['output'];
   interestBatch?: Maybe<InterestBatch>;
   interestRate: Scalars['BigInt']['output'];
@@ -1988,6 +3122,313 @@ export type Trove = {
   updatedAt: Scalars['BigInt']['output'];
 };
 
+
+export type TroveEventsArgs = {
+  first?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<TroveEvent_OrderBy>;
+  orderDirection?: InputMaybe<OrderDirection>;
+  skip?: InputMaybe<Scalars['Int']['input']>;
+  where?: InputMaybe<TroveEvent_Filter>;
+};
+
+export type TroveEvent = {
+  __typename?: 'TroveEvent';
+  annualInterestRate: Scalars['BigInt']['output'];
+  batchManager?: Maybe<Scalars['Bytes']['output']>;
+  blockNumber: Scalars['BigInt']['output'];
+  collChangeFromOperation: Scalars['BigInt']['output'];
+  collIncreaseFromRedist: Scalars['BigInt']['output'];
+  collateral: Collateral;
+  debtChangeFromOperation: Scalars['BigInt']['output'];
+  debtIncreaseFromRedist: Scalars['BigInt']['output'];
+  debtIncreaseFromUpfrontFee: Scalars['BigInt']['output'];
+  id: Scalars['ID']['output'];
+  leverageUpdate: LeverageUpdate;
+  liquidation?: Maybe<Liquidation>;
+  logIndex: Scalars['BigInt']['output'];
+  operation: TroveOperation;
+  redemption?: Maybe<Redemption>;
+  timestamp: Scalars['BigInt']['output'];
+  transactionHash: Scalars['Bytes']['output'];
+  trove: Trove;
+};
+
+export type TroveEvent_Filter = {
+  /** Filter for the block changed event. */
+  _change_block?: InputMaybe<BlockChangedFilter>;
+  and?: InputMaybe<Array<InputMaybe<TroveEvent_Filter>>>;
+  annualInterestRate?: InputMaybe<Scalars['BigInt']['input']>;
+  annualInterestRate_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  annualInterestRate_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  annualInterestRate_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  annualInterestRate_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  annualInterestRate_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  annualInterestRate_not?: InputMaybe<Scalars['BigInt']['input']>;
+  annualInterestRate_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  batchManager?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_gt?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_gte?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  batchManager_lt?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_lte?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_not?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_not_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  batchManager_not_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  blockNumber?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  blockNumber_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not?: InputMaybe<Scalars['BigInt']['input']>;
+  blockNumber_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collChangeFromOperation?: InputMaybe<Scalars['BigInt']['input']>;
+  collChangeFromOperation_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collChangeFromOperation_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collChangeFromOperation_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collChangeFromOperation_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collChangeFromOperation_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collChangeFromOperation_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collChangeFromOperation_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collIncreaseFromRedist?: InputMaybe<Scalars['BigInt']['input']>;
+  collIncreaseFromRedist_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  collIncreaseFromRedist_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  collIncreaseFromRedist_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collIncreaseFromRedist_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  collIncreaseFromRedist_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  collIncreaseFromRedist_not?: InputMaybe<Scalars['BigInt']['input']>;
+  collIncreaseFromRedist_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  collateral?: InputMaybe<Scalars['String']['input']>;
+  collateral_?: InputMaybe<Collateral_Filter>;
+  collateral_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_gt?: InputMaybe<Scalars['String']['input']>;
+  collateral_gte?: InputMaybe<Scalars['String']['input']>;
+  collateral_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_lt?: InputMaybe<Scalars['String']['input']>;
+  collateral_lte?: InputMaybe<Scalars['String']['input']>;
+  collateral_not?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  collateral_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with?: InputMaybe<Scalars['String']['input']>;
+  collateral_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  debtChangeFromOperation?: InputMaybe<Scalars['BigInt']['input']>;
+  debtChangeFromOperation_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtChangeFromOperation_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtChangeFromOperation_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtChangeFromOperation_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtChangeFromOperation_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtChangeFromOperation_not?: InputMaybe<Scalars['BigInt']['input']>;
+  debtChangeFromOperation_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtIncreaseFromRedist?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromRedist_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromRedist_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromRedist_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtIncreaseFromRedist_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromRedist_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromRedist_not?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromRedist_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtIncreaseFromUpfrontFee?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromUpfrontFee_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromUpfrontFee_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromUpfrontFee_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  debtIncreaseFromUpfrontFee_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromUpfrontFee_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromUpfrontFee_not?: InputMaybe<Scalars['BigInt']['input']>;
+  debtIncreaseFromUpfrontFee_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  id?: InputMaybe<Scalars['ID']['input']>;
+  id_gt?: InputMaybe<Scalars['ID']['input']>;
+  id_gte?: InputMaybe<Scalars['ID']['input']>;
+  id_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  id_lt?: InputMaybe<Scalars['ID']['input']>;
+  id_lte?: InputMaybe<Scalars['ID']['input']>;
+  id_not?: InputMaybe<Scalars['ID']['input']>;
+  id_not_in?: InputMaybe<Array<Scalars['ID']['input']>>;
+  leverageUpdate?: InputMaybe<LeverageUpdate>;
+  leverageUpdate_in?: InputMaybe<Array<LeverageUpdate>>;
+  leverageUpdate_not?: InputMaybe<LeverageUpdate>;
+  leverageUpdate_not_in?: InputMaybe<Array<LeverageUpdate>>;
+  liquidation?: InputMaybe<Scalars['String']['input']>;
+  liquidation_?: InputMaybe<Liquidation_Filter>;
+  liquidation_contains?: InputMaybe<Scalars['String']['input']>;
+  liquidation_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  liquidation_ends_with?: InputMaybe<Scalars['String']['input']>;
+  liquidation_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  liquidation_gt?: InputMaybe<Scalars['String']['input']>;
+  liquidation_gte?: InputMaybe<Scalars['String']['input']>;
+  liquidation_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  liquidation_lt?: InputMaybe<Scalars['String']['input']>;
+  liquidation_lte?: InputMaybe<Scalars['String']['input']>;
+  liquidation_not?: InputMaybe<Scalars['String']['input']>;
+  liquidation_not_contains?: InputMaybe<Scalars['String']['input']>;
+  liquidation_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  liquidation_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  liquidation_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  liquidation_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  liquidation_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  liquidation_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  liquidation_starts_with?: InputMaybe<Scalars['String']['input']>;
+  liquidation_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  logIndex?: InputMaybe<Scalars['BigInt']['input']>;
+  logIndex_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  logIndex_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  logIndex_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  logIndex_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  logIndex_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  logIndex_not?: InputMaybe<Scalars['BigInt']['input']>;
+  logIndex_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  operation?: InputMaybe<TroveOperation>;
+  operation_in?: InputMaybe<Array<TroveOperation>>;
+  operation_not?: InputMaybe<TroveOperation>;
+  operation_not_in?: InputMaybe<Array<TroveOperation>>;
+  or?: InputMaybe<Array<InputMaybe<TroveEvent_Filter>>>;
+  redemption?: InputMaybe<Scalars['String']['input']>;
+  redemption_?: InputMaybe<Redemption_Filter>;
+  redemption_contains?: InputMaybe<Scalars['String']['input']>;
+  redemption_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  redemption_ends_with?: InputMaybe<Scalars['String']['input']>;
+  redemption_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  redemption_gt?: InputMaybe<Scalars['String']['input']>;
+  redemption_gte?: InputMaybe<Scalars['String']['input']>;
+  redemption_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  redemption_lt?: InputMaybe<Scalars['String']['input']>;
+  redemption_lte?: InputMaybe<Scalars['String']['input']>;
+  redemption_not?: InputMaybe<Scalars['String']['input']>;
+  redemption_not_contains?: InputMaybe<Scalars['String']['input']>;
+  redemption_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  redemption_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  redemption_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  redemption_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  redemption_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  redemption_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  redemption_starts_with?: InputMaybe<Scalars['String']['input']>;
+  redemption_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  timestamp?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_gte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  timestamp_lt?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_lte?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not?: InputMaybe<Scalars['BigInt']['input']>;
+  timestamp_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  transactionHash?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_gt?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_gte?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  transactionHash_lt?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_lte?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not_contains?: InputMaybe<Scalars['Bytes']['input']>;
+  transactionHash_not_in?: InputMaybe<Array<Scalars['Bytes']['input']>>;
+  trove?: InputMaybe<Scalars['String']['input']>;
+  trove_?: InputMaybe<Trove_Filter>;
+  trove_contains?: InputMaybe<Scalars['String']['input']>;
+  trove_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  trove_ends_with?: InputMaybe<Scalars['String']['input']>;
+  trove_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  trove_gt?: InputMaybe<Scalars['String']['input']>;
+  trove_gte?: InputMaybe<Scalars['String']['input']>;
+  trove_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  trove_lt?: InputMaybe<Scalars['String']['input']>;
+  trove_lte?: InputMaybe<Scalars['String']['input']>;
+  trove_not?: InputMaybe<Scalars['String']['input']>;
+  trove_not_contains?: InputMaybe<Scalars['String']['input']>;
+  trove_not_contains_nocase?: InputMaybe<Scalars['String']['input']>;
+  trove_not_ends_with?: InputMaybe<Scalars['String']['input']>;
+  trove_not_ends_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  trove_not_in?: InputMaybe<Array<Scalars['String']['input']>>;
+  trove_not_starts_with?: InputMaybe<Scalars['String']['input']>;
+  trove_not_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+  trove_starts_with?: InputMaybe<Scalars['String']['input']>;
+  trove_starts_with_nocase?: InputMaybe<Scalars['String']['input']>;
+};
+
+export enum TroveEvent_OrderBy {
+  AnnualInterestRate = 'annualInterestRate',
+  BatchManager = 'batchManager',
+  BlockNumber = 'blockNumber',
+  CollChangeFromOperation = 'collChangeFromOperation',
+  CollIncreaseFromRedist = 'collIncreaseFromRedist',
+  Collateral = 'collateral',
+  CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
+  CollateralId = 'collateral__id',
+  CollateralMinCollRatio = 'collateral__minCollRatio',
+  CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
+  CollateralTotalDebt = 'collateral__totalDebt',
+  CollateralTotalDeposited = 'collateral__totalDeposited',
+  DebtChangeFromOperation = 'debtChangeFromOperation',
+  DebtIncreaseFromRedist = 'debtIncreaseFromRedist',
+  DebtIncreaseFromUpfrontFee = 'debtIncreaseFromUpfrontFee',
+  Id = 'id',
+  LeverageUpdate = 'leverageUpdate',
+  Liquidation = 'liquidation',
+  LiquidationAbsorbedBy = 'liquidation__absorbedBy',
+  LiquidationBlockNumber = 'liquidation__blockNumber',
+  LiquidationBoldGasCompensation = 'liquidation__boldGasCompensation',
+  LiquidationCollGasCompensation = 'liquidation__collGasCompensation',
+  LiquidationCollRedistributed = 'liquidation__collRedistributed',
+  LiquidationCollSentToSp = 'liquidation__collSentToSP',
+  LiquidationCollSurplus = 'liquidation__collSurplus',
+  LiquidationDebtOffsetBySp = 'liquidation__debtOffsetBySP',
+  LiquidationDebtRedistributed = 'liquidation__debtRedistributed',
+  LiquidationId = 'liquidation__id',
+  LiquidationPrice = 'liquidation__price',
+  LiquidationTimestamp = 'liquidation__timestamp',
+  LiquidationTransactionHash = 'liquidation__transactionHash',
+  LogIndex = 'logIndex',
+  Operation = 'operation',
+  Redemption = 'redemption',
+  RedemptionAttemptedBoldAmount = 'redemption__attemptedBoldAmount',
+  RedemptionBlockNumber = 'redemption__blockNumber',
+  RedemptionBoldRedeemed = 'redemption__boldRedeemed',
+  RedemptionCollFee = 'redemption__collFee',
+  RedemptionCollSent = 'redemption__collSent',
+  RedemptionId = 'redemption__id',
+  RedemptionPrice = 'redemption__price',
+  RedemptionTimestamp = 'redemption__timestamp',
+  RedemptionTransactionHash = 'redemption__transactionHash',
+  Timestamp = 'timestamp',
+  TransactionHash = 'transactionHash',
+  Trove = 'trove',
+  TroveBorrower = 'trove__borrower',
+  TroveClosedAt = 'trove__closedAt',
+  TroveCreatedAt = 'trove__createdAt',
+  TroveDebt = 'trove__debt',
+  TroveDeposit = 'trove__deposit',
+  TroveId = 'trove__id',
+  TroveInterestRate = 'trove__interestRate',
+  TroveMightBeLeveraged = 'trove__mightBeLeveraged',
+  TroveStake = 'trove__stake',
+  TroveStatus = 'trove__status',
+  TroveTroveId = 'trove__troveId',
+  TroveUpdatedAt = 'trove__updatedAt'
+}
+
+export enum TroveOperation {
+  AdjustTrove = 'adjustTrove',
+  AdjustTroveInterestRate = 'adjustTroveInterestRate',
+  ApplyPendingDebt = 'applyPendingDebt',
+  CloseTrove = 'closeTrove',
+  Liquidate = 'liquidate',
+  OpenTrove = 'openTrove',
+  OpenTroveAndJoinBatch = 'openTroveAndJoinBatch',
+  RedeemCollateral = 'redeemCollateral',
+  RemoveFromBatch = 'removeFromBatch',
+  SetInterestBatchManager = 'setInterestBatchManager'
+}
+
 export enum TroveStatus {
   Active = 'active',
   Closed = 'closed',
@@ -2062,6 +3503,7 @@ export type Trove_Filter = {
   deposit_lte?: InputMaybe<Scalars['BigInt']['input']>;
   deposit_not?: InputMaybe<Scalars['BigInt']['input']>;
   deposit_not_in?: InputMaybe<Array<Scalars['BigInt']['input']>>;
+  events_?: InputMaybe<TroveEvent_Filter>;
   id?: InputMaybe<Scalars['ID']['input']>;
   id_gt?: InputMaybe<Scalars['ID']['input']>;
   id_gte?: InputMaybe<Scalars['ID']['input']>;
@@ -2151,14 +3593,18 @@ export enum Trove_OrderBy {
   ClosedAt = 'closedAt',
   Collateral = 'collateral',
   CollateralCollIndex = 'collateral__collIndex',
+  CollateralCollSurplusPool = 'collateral__collSurplusPool',
   CollateralId = 'collateral__id',
   CollateralMinCollRatio = 'collateral__minCollRatio',
   CollateralPrice = 'collateral__price',
+  CollateralShutdownAt = 'collateral__shutdownAt',
+  CollateralShutdownReason = 'collateral__shutdownReason',
   CollateralTotalDebt = 'collateral__totalDebt',
   CollateralTotalDeposited = 'collateral__totalDeposited',
   CreatedAt = 'createdAt',
   Debt = 'debt',
   Deposit = 'deposit',
+  Events = 'events',
   Id = 'id',
   InterestBatch = 'interestBatch',
   InterestBatchAnnualInterestRate = 'interestBatch__annualInterestRate',
@@ -2216,6 +3662,14 @@ export type TotalDepositedQueryVariables = Exact<{ [key: string]: never; }>;
 
 export type TotalDepositedQuery = { __typename?: 'Query', collaterals: Array<{ __typename?: 'Collateral', collIndex: number, totalDeposited: bigint }> };
 
+export type CollateralSnapshotsQueryVariables = Exact<{
+  period: SnapshotPeriod;
+  first: Scalars['Int']['input'];
+}>;
+
+
+export type CollateralSnapshotsQuery = { __typename?: 'Query', collateralSnapshots: Array<{ __typename?: 'CollateralSnapshot', id: string, startTimestamp: bigint, totalDebt: bigint, totalColl: bigint, price: bigint, tcr?: bigint | null, spDeposits: bigint, avgInterestRate: bigint, troveCount: number, redemptionsVolume: bigint, collateral: { __typename?: 'Collateral', collIndex: number } }> };
+
 export type TrovesCountQueryVariables = Exact<{
   id: Scalars['ID']['input'];
 }>;
@@ -2239,6 +3693,13 @@ export type TroveByIdQueryVariables = Exact<{
 
 export type TroveByIdQuery = { __typename?: 'Query', trove?: { __typename?: 'Trove', id: string, borrower: string, closedAt?: bigint | null, createdAt: bigint, debt: bigint, deposit: bigint, interestRate: bigint, mightBeLeveraged: boolean, stake: bigint, status: TroveStatus, troveId: string, updatedAt: bigint, collateral: { __typename?: 'Collateral', id: string, minCollRatio: bigint, collIndex: number, token: { __typename?: 'Token', symbol: string, name: string } }, interestBatch?: { __typename?: 'InterestBatch', id: string, annualInterestRate: bigint, annualManagementFee: bigint, batchManager: string } | null } | null };
 
+export type TroveEventsQueryVariables = Exact<{
+  troveId: Scalars['String']['input'];
+}>;
+
+
+export type TroveEventsQuery = { __typename?: 'Query', troveEvents: Array<{ __typename?: 'TroveEvent', id: string, operation: TroveOperation, annualInterestRate: bigint, debtChangeFromOperation: bigint, collChangeFromOperation: bigint, debtIncreaseFromUpfrontFee: bigint, debtIncreaseFromRedist: bigint, collIncreaseFromRedist: bigint, batchManager?: string | null, leverageUpdate: LeverageUpdate, transactionHash: string, logIndex: bigint, blockNumber: bigint, timestamp: bigint }> };
+
 export type StabilityPoolQueryVariables = Exact<{
   id: Scalars['ID']['input'];
 }>;
@@ -2353,6 +3814,30 @@ export const TotalDepositedDocument = new TypedDocumentString(`
   }
 }
     `) as unknown as TypedDocumentString<TotalDepositedQuery, TotalDepositedQueryVariables>;
+export const CollateralSnapshotsDocument = new TypedDocumentString(`
+    query CollateralSnapshots($period: SnapshotPeriod!, $first: Int!) {
+  collateralSnapshots(
+    where: {period: $period}
+    orderBy: startTimestamp
+    orderDirection: desc
+    first: $first
+  ) {
+    id
+    startTimestamp
+    totalDebt
+    totalColl
+    price
+    tcr
+    spDeposits
+    avgInterestRate
+    troveCount
+    redemptionsVolume
+    collateral {
+      collIndex
+    }
+  }
+}
+    `) as unknown as TypedDocumentString<CollateralSnapshotsQuery, CollateralSnapshotsQueryVariables>;
 export const TrovesCountDocument = new TypedDocumentString(`
     query TrovesCount($id: ID!) {
   borrowerInfo(id: $id) {
@@ -2431,6 +3916,31 @@ export const TroveByIdDocument = new TypedDocumentString(`
   }
 }
     `) as unknown as TypedDocumentString<TroveByIdQuery, TroveByIdQueryVariables>;
+export const TroveEventsDocument = new TypedDocumentString(`
+    query TroveEvents($troveId: String!) {
+  troveEvents(
+    where: {trove: $troveId}
+    orderBy: blockNumber
+    orderDirection: desc
+    first: 1000
+  ) {
+    id
+    operation
+    annualInterestRate
+    debtChangeFromOperation
+    collChangeFromOperation
+    debtIncreaseFromUpfrontFee
+    debtIncreaseFromRedist
+    collIncreaseFromRedist
+    batchManager
+    leverageUpdate
+    transactionHash
+    logIndex
+    blockNumber
+    timestamp
+  }
+}
+    `) as unknown as TypedDocumentString<TroveEventsQuery, TroveEventsQueryVariables>;
 export const StabilityPoolDocument = new TypedDocumentString(`
     query StabilityPool($id: ID!) {
   stabilityPool(id: $id) {
@@ -23,6 +23,7 @@ import { notFound, useRouter, useSearchParams, useSelectedLayoutSegment } from "
 import { match, P } from "ts-pattern";
 import { useReadContract } from "wagmi";
 import { LoanScreenCard } from "./LoanScreenCard";
+import { LoanTimeline } from "./LoanTimeline";
 import { PanelClosePosition } from "./PanelClosePosition";
 import { PanelUpdateBorrowPosition } from "./PanelUpdateBorrowPosition";
 import { PanelUpdateLeveragePosition } from "./PanelUpdateLeveragePosition";
@@ -205,6 +206,12 @@ export function LoanScreen() {
                       {action === "close" && <PanelClosePosition loan={loan.data} />}
                     </>
                   )}
+                {collateral && (
+                  <LoanTimeline
+                    collToken={collateral}
+                    prefixedTroveId={paramPrefixedId}
+                  />
+                )}
               </a.div>
             )
           ))
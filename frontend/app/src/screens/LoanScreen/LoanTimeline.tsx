@@ -0,0 +1,153 @@
+import type { LoanEvent, PrefixedTroveId, Token } from "@/src/types";
+
+import { Tag } from "@/src/comps/Tag/Tag";
+import content from "@/src/content";
+import { CHAIN_BLOCK_EXPLORER } from "@/src/env";
+import { fmtnum } from "@/src/formatting";
+import { useLoanEvents } from "@/src/subgraph-hooks";
+import { css } from "@/styled-system/css";
+import * as dn from "dnum";
+
+export function LoanTimeline({
+  collToken,
+  prefixedTroveId,
+}: {
+  collToken: Token;
+  prefixedTroveId: PrefixedTroveId;
+}) {
+  const loanEvents = useLoanEvents(prefixedTroveId);
+
+  if (!loanEvents.data) {
+    return null;
+  }
+
+  return (
+    <section
+      className={css({
+        display: "flex",
+        flexDirection: "column",
+        gap: 16,
+      })}
+    >
+      <h1
+        className={css({
+          fontSize: 20,
+        })}
+      >
+        {content.loanTimeline.title}
+      </h1>
+      {loanEvents.data.length === 0
+        ? (
+          <div
+            className={css({
+              color: "contentAlt",
+            })}
+          >
+            {content.loanTimeline.empty}
+          </div>
+        )
+        : (
+          <ol
+            className={css({
+              display: "flex",
+              flexDirection: "column",
+              gap: 8,
+            })}
+          >
+            {loanEvents.data.map((loanEvent) => (
+              <LoanTimelineItem
+                key={loanEvent.id}
+                collToken={collToken}
+                loanEvent={loanEvent}
+              />
+            ))}
+          </ol>
+        )}
+    </section>
+  );
+}
+
+// batchManager is the batch before the operation, while the interest rate is the one after it
+function isDelegatedAfter(loanEvent: LoanEvent) {
+  return loanEvent.operation === "openTroveAndJoinBatch"
+    || loanEvent.operation === "setInterestBatchManager"
+    || (loanEvent.batchManager !== null && loanEvent.operation !== "removeFromBatch");
+}
+
+function LoanTimelineItem({
+  collToken,
+  loanEvent,
+}: {
+  collToken: Token;
+  loanEvent: LoanEvent;
+}) {
+  const changes = [
+    !dn.eq(loanEvent.debtChange, 0) && `${fmtnum(loanEvent.debtChange, "2diff")} BOLD`,
+    !dn.eq(loanEvent.collChange, 0) && `${fmtnum(loanEvent.collChange, "4diff")} ${collToken.name}`,
+    dn.gt(loanEvent.upfrontFee, 0) && `${fmtnum(loanEvent.upfrontFee)} BOLD upfront fee`,
+    dn.gt(loanEvent.debtIncreaseFromRedist, 0)
+    && `+${fmtnum(loanEvent.debtIncreaseFromRedist)} BOLD from redistribution`,
+    dn.gt(loanEvent.collIncreaseFromRedist, 0)
+    && `+${fmtnum(loanEvent.collIncreaseFromRedist, 4)} ${collToken.name} from redistribution`,
+  ].filter((change) => change !== false);
+
+  return (
+    <li
+      className={css({
+        display: "flex",
+        flexDirection: "column",
+        gap: 4,
+        padding: "12px 16px",
+        background: "#F8F6F4",
+        borderRadius: 8,
+      })}
+    >
+      <div
+        className={css({
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 8,
+        })}
+      >
+        <div
+          className={css({
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+          })}
+        >
+          {content.loanTimeline.operations[loanEvent.operation]}
+          {loanEvent.leveraged && <Tag title="The operation involved a flash loan">Leverage</Tag>}
+        </div>
+        <a
+          href={`${CHAIN_BLOCK_EXPLORER?.url}tx/${loanEvent.transactionHash}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          title={`Block ${loanEvent.blockNumber}`}
+          className={css({
+            color: "contentAlt",
+            fontSize: 14,
+          })}
+        >
+          {new Date(loanEvent.time).toLocaleString()}
+        </a>
+      </div>
+      <div
+        className={css({
+          display: "flex",
+          flexWrap: "wrap",
+          columnGap: 16,
+          color: "contentAlt",
+          fontSize: 14,
+        })}
+      >
+        {changes.map((change) => <div key={change}>{change}</div>)}
+        <div>
+          {fmtnum(loanEvent.interestRate, "1z", 100)}% interest rate
+          {isDelegatedAfter(loanEvent) && " (delegated)"}
+        </div>
+      </div>
+    </li>
+  );
+}
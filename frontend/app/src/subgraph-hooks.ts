@@ -1,20 +1,34 @@
 import type {
+  CollateralSnapshotsQuery as CollateralSnapshotsQueryType,
   InterestBatchQuery as InterestBatchQueryType,
   StabilityPoolDepositQuery as StabilityPoolDepositQueryType,
+  TroveEventsQuery as TroveEventsQueryType,
   TrovesByAccountQuery as TrovesByAccountQueryType,
 } from "@/src/graphql/graphql";
-import type { Address, CollIndex, Delegate, PositionEarn, PositionLoanCommitted, PrefixedTroveId } from "@/src/types";
+import type {
+  Address,
+  CollateralSnapshot,
+  CollIndex,
+  Delegate,
+  LoanEvent,
+  PositionEarn,
+  PositionLoanCommitted,
+  PrefixedTroveId,
+} from "@/src/types";
 
 import { DATA_REFRESH_INTERVAL } from "@/src/constants";
+import { getContracts } from "@/src/contracts";
 import { ACCOUNT_POSITIONS, BORROW_STATS } from "@/src/demo-mode";
 import { dnum18 } from "@/src/dnum-utils";
 import { DEMO_MODE } from "@/src/env";
+import { SnapshotPeriod } from "@/src/graphql/graphql";
 import { isCollIndex, isPositionLoanCommitted, isPrefixedtroveId, isTroveId } from "@/src/types";
 import { sleep } from "@/src/utils";
 import { isAddress, shortenAddress } from "@liquity2/uikit";
 import { useQuery } from "@tanstack/react-query";
 import * as dn from "dnum";
 import {
+  CollateralSnapshotsQuery,
   graphQuery,
   InterestBatchQuery,
   InterestRateBracketsQuery,
@@ -24,6 +38,7 @@ import {
   StabilityPoolQuery,
   TotalDepositedQuery,
   TroveByIdQuery,
+  TroveEventsQuery,
   TrovesByAccountQuery,
   TrovesCountQuery,
 } from "./subgraph-queries";
@@ -99,6 +114,31 @@ export function useTotalDeposited(options?: Options) {
   });
 }
 
+// Snapshots of the branches over the last `periods` hours or days (current one included), most recent first
+export function useCollateralSnapshots(
+  period: "hour" | "day",
+  periods: number,
+  options?: Options,
+) {
+  let queryFn = async () => {
+    const { collateralSnapshots } = await graphQuery(CollateralSnapshotsQuery, {
+      period: period === "hour" ? SnapshotPeriod.Hour : SnapshotPeriod.Day,
+      first: periods * getContracts().collaterals.length,
+    });
+    return collateralSnapshots.map(subgraphCollateralSnapshotToCollateralSnapshot);
+  };
+
+  if (DEMO_MODE) {
+    queryFn = async () => [];
+  }
+
+  return useQuery<CollateralSnapshot[]>({
+    queryKey: ["CollateralSnapshots", period, periods],
+    queryFn,
+    ...prepareOptions(options),
+  });
+}
+
 export function useLoansByAccount(
   account?: Address | null,
   options?: Options,
@@ -185,6 +225,35 @@ export function useLoanById(
   });
 }
 
+// History of a loan, most recent first
+export function useLoanEvents(
+  id?: null | PrefixedTroveId,
+  options?: Options,
+) {
+  let queryFn = async () => {
+    if (!isPrefixedtroveId(id)) return [];
+    const { troveEvents } = await graphQuery(TroveEventsQuery, { troveId: id });
+    // the subgraph can only order by one field: order the events of a block by log index
+    return [...troveEvents]
+      .sort((a, b) => (
+        a.blockNumber === b.blockNumber
+          ? Number(b.logIndex - a.logIndex)
+          : Number(b.blockNumber - a.blockNumber)
+      ))
+      .map(subgraphTroveEventToLoanEvent);
+  };
+
+  if (DEMO_MODE) {
+    queryFn = async () => [];
+  }
+
+  return useQuery<LoanEvent[]>({
+    queryKey: ["TroveEvents", id],
+    queryFn,
+    ...prepareOptions(options),
+  });
+}
+
 export function useStabilityPoolDeposits(
   account: null | Address,
   options?: Options,
@@ -435,6 +504,52 @@ function subgraphTroveToLoan(
   };
 }
 
+function subgraphCollateralSnapshotToCollateralSnapshot(
+  snapshot: CollateralSnapshotsQueryType["collateralSnapshots"][number],
+): CollateralSnapshot {
+  const collIndex = snapshot.collateral.collIndex;
+  if (!isCollIndex(collIndex)) {
+    throw new Error(`Invalid collateral index: ${collIndex}`);
+  }
+
+  return {
+    collIndex,
+    avgInterestRate: dnum18(snapshot.avgInterestRate),
+    price: dnum18(snapshot.price),
+    redemptionsVolume: dnum18(snapshot.redemptionsVolume),
+    spDeposits: dnum18(snapshot.spDeposits),
+    startTime: Number(snapshot.startTimestamp) * 1000,
+    tcr: snapshot.tcr === null || snapshot.tcr === undefined ? null : dnum18(snapshot.tcr),
+    totalColl: dnum18(snapshot.totalColl),
+    totalDebt: dnum18(snapshot.totalDebt),
+    troveCount: snapshot.troveCount,
+  };
+}
+
+function subgraphTroveEventToLoanEvent(
+  troveEvent: TroveEventsQueryType["troveEvents"][number],
+): LoanEvent {
+  return {
+    id: troveEvent.id,
+    operation: troveEvent.operation,
+    batchManager: isAddress(troveEvent.batchManager)
+      ? troveEvent.batchManager
+      : null,
+    blockNumber: troveEvent.blockNumber,
+    collChange: dnum18(troveEvent.collChangeFromOperation),
+    collIncreaseFromRedist: dnum18(troveEvent.collIncreaseFromRedist),
+    debtChange: dnum18(troveEvent.debtChangeFromOperation),
+    debtIncreaseFromRedist: dnum18(troveEvent.debtIncreaseFromRedist),
+    interestRate: dnum18(troveEvent.annualInterestRate),
+    leveraged: troveEvent.leverageUpdate === "unchanged"
+      ? null
+      : troveEvent.leverageUpdate === "yes",
+    time: Number(troveEvent.timestamp) * 1000,
+    transactionHash: troveEvent.transactionHash as `0x${string}`,
+    upfrontFee: dnum18(troveEvent.debtIncreaseFromUpfrontFee),
+  };
+}
+
 function subgraphStabilityPoolDepositToEarnPosition(
   spDeposit: NonNullable<
     StabilityPoolDepositQueryType["stabilityPoolDeposit"]
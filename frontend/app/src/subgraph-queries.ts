@@ -38,6 +38,31 @@ export const TotalDepositedQuery = graphql(`
   }
 `);
 
+export const CollateralSnapshotsQuery = graphql(`
+  query CollateralSnapshots($period: SnapshotPeriod!, $first: Int!) {
+    collateralSnapshots(
+      where: { period: $period }
+      orderBy: startTimestamp
+      orderDirection: desc
+      first: $first
+    ) {
+      id
+      startTimestamp
+      totalDebt
+      totalColl
+      price
+      tcr
+      spDeposits
+      avgInterestRate
+      troveCount
+      redemptionsVolume
+      collateral {
+        collIndex
+      }
+    }
+  }
+`);
+
 export const TrovesCountQuery = graphql(`
   query TrovesCount($id: ID!) {
     borrowerInfo(id: $id) {
@@ -154,6 +179,32 @@ export const TroveByIdQuery = graphql(`
   }
 `);
 
+export const TroveEventsQuery = graphql(`
+  query TroveEvents($troveId: String!) {
+    troveEvents(
+      where: { trove: $troveId }
+      orderBy: blockNumber
+      orderDirection: desc
+      first: 1000
+    ) {
+      id
+      operation
+      annualInterestRate
+      debtChangeFromOperation
+      collChangeFromOperation
+      debtIncreaseFromUpfrontFee
+      debtIncreaseFromRedist
+      collIncreaseFromRedist
+      batchManager
+      leverageUpdate
+      transactionHash
+      logIndex
+      blockNumber
+      timestamp
+    }
+  }
+`);
+
 export const StabilityPoolQuery = graphql(`
   query StabilityPool($id: ID!) {
     stabilityPool(id: $id) {
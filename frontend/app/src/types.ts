@@ -83,6 +83,33 @@ export function isPositionLoanUncommitted(
   return isPositionLoan(position) && position.troveId === null;
 }
 
+// A step in the history of a loan (TroveEvent entity of the subgraph)
+export type LoanEvent = {
+  id: string;
+  operation:
+    | "openTrove"
+    | "closeTrove"
+    | "adjustTrove"
+    | "adjustTroveInterestRate"
+    | "applyPendingDebt"
+    | "liquidate"
+    | "redeemCollateral"
+    | "openTroveAndJoinBatch"
+    | "setInterestBatchManager"
+    | "removeFromBatch";
+  batchManager: null | Address; // batch of the loan before the operation
+  blockNumber: bigint;
+  collChange: Dnum; // signed
+  collIncreaseFromRedist: Dnum;
+  debtChange: Dnum; // signed
+  debtIncreaseFromRedist: Dnum;
+  interestRate: Dnum;
+  leveraged: null | boolean; // null when the operation can't be leveraged
+  time: number;
+  transactionHash: `0x${string}`;
+  upfrontFee: Dnum;
+};
+
 export type PositionEarn = {
   type: "earn";
   owner: Address;
@@ -108,6 +135,20 @@ export type PositionStake = {
 
 export type Position = PositionLoan | PositionEarn | PositionStake;
 
+// State of a branch at the end of an hour or a day (CollateralSnapshot entity of the subgraph)
+export type CollateralSnapshot = {
+  collIndex: CollIndex;
+  avgInterestRate: Dnum;
+  price: Dnum;
+  redemptionsVolume: Dnum; // BOLD redeemed during the period
+  spDeposits: Dnum;
+  startTime: number;
+  tcr: Dnum | null;
+  totalColl: Dnum;
+  totalDebt: Dnum;
+  troveCount: number;
+};
+
 export type Delegate = {
   address: Address;
   boldAmount: Dnum;
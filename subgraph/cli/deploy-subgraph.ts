@@ -1,6 +1,7 @@
 import { $, echo, fs, minimist, path, question } from "zx";
 
-const LATEST_DEPLOYMENT_CONTEXT_PATH = path.join(__dirname, "../../contracts/deployment-context-latest.json");
+const CONTRACTS_PATH = path.join(__dirname, "../../contracts");
+const DEPLOYMENT_MANIFEST_PATH = path.join(CONTRACTS_PATH, "deployment-manifest.json");
 const NETWORKS_JSON_PATH = path.join(__dirname, "../networks.json");
 const GENERATED_NETWORKS_JSON_PATH = path.join(__dirname, "../networks-generated.json");
 
@@ -137,7 +138,7 @@ export async function main() {
   graphDeployCommand.push(options.name);
 
   if (isLocal) {
-    await updateNetworksWithLocalBoldToken();
+    await updateNetworksWithLocalDeployment();
   }
 
   await generateNetworksJson(isLocal);
@@ -188,12 +189,19 @@ async function generateNetworksJson(isLocal = false) {
   );
 }
 
-async function updateNetworksWithLocalBoldToken() {
+// The local network of networks.json can follow the latest local deployment of the contracts,
+// exported from its manifest like the app env (see contracts/utils/export-deployment.ts).
+async function updateNetworksWithLocalDeployment() {
+  if (!await fs.pathExists(DEPLOYMENT_MANIFEST_PATH)) {
+    echo(`\nNo local deployment found (${DEPLOYMENT_MANIFEST_PATH}), using networks.json as is.`);
+    return;
+  }
+
   const networksJson = JSON.parse(await fs.readFile(NETWORKS_JSON_PATH, "utf8"));
-  const latestDeploymentContext = getLatestDeploymentContext();
+  const deployedAddress: string | undefined = JSON.parse(await fs.readFile(DEPLOYMENT_MANIFEST_PATH, "utf8")).boldToken;
+  const currentAddress: string | undefined = networksJson.local?.BoldToken?.address;
 
-  const deployedAddress = latestDeploymentContext?.protocolContracts.BoldToken;
-  if (!deployedAddress || (networksJson.local.BoldToken.address === deployedAddress)) {
+  if (!deployedAddress || deployedAddress.toLowerCase() === currentAddress?.toLowerCase()) {
     return;
   }
 
@@ -207,17 +215,13 @@ async function updateNetworksWithLocalBoldToken() {
     return;
   }
 
-  networksJson.local.BoldToken.address = deployedAddress;
-  await fs.writeFile(NETWORKS_JSON_PATH, JSON.stringify(networksJson, null, 2));
-
-  console.log("");
-  console.log("networks.json updated with local BoldToken:", deployedAddress);
-}
-
-function getLatestDeploymentContext() {
-  try {
-    return JSON.parse(fs.readFileSync(LATEST_DEPLOYMENT_CONTEXT_PATH, "utf8"));
-  } catch (_) {
-    return null;
-  }
+  await $({ cwd: CONTRACTS_PATH })`pnpm tsx utils/export-deployment.ts ${[
+    DEPLOYMENT_MANIFEST_PATH,
+    "--target",
+    "subgraph",
+    "--subgraph-network",
+    "local",
+    "--networks-json",
+    NETWORKS_JSON_PATH,
+  ]}`;
 }
@@ -0,0 +1,16 @@
+import { dataSource } from "@graphprotocol/graph-ts";
+import { Collateral } from "../generated/schema";
+import { ShutDown as ShutDownEvent } from "../generated/templates/BorrowerOperations/BorrowerOperations";
+
+// Shutdowns from an oracle failure don't go through this event, see handleBlock() in SUSDToken.mapping.ts
+export function handleShutDown(event: ShutDownEvent): void {
+  let collId = dataSource.context().getString("collId");
+  let collateral = Collateral.load(collId);
+  if (!collateral) {
+    throw new Error("Collateral not found: " + collId);
+  }
+
+  collateral.shutdownAt = event.block.timestamp;
+  collateral.shutdownReason = "tcrBelowScr";
+  collateral.save();
+}
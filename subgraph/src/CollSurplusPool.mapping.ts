@@ -0,0 +1,46 @@
+import { Address, BigInt, dataSource } from "@graphprotocol/graph-ts";
+import { CollSurplus } from "../generated/schema";
+import {
+  CollBalanceUpdated as CollBalanceUpdatedEvent,
+  CollSent as CollSentEvent,
+} from "../generated/templates/CollSurplusPool/CollSurplusPool";
+
+export function handleCollBalanceUpdated(event: CollBalanceUpdatedEvent): void {
+  let collId = dataSource.context().getString("collId");
+  updateCollSurplus(collId, event.params._account, event.params._newBalance, event.block.timestamp);
+}
+
+// Sent to the account when claiming, right after its balance got set to 0
+export function handleCollSent(event: CollSentEvent): void {
+  let collId = dataSource.context().getString("collId");
+  let collSurplus = loadOrCreateCollSurplus(collId, event.params._to);
+
+  collSurplus.totalClaimed = collSurplus.totalClaimed.plus(event.params._amount);
+  collSurplus.updatedAt = event.block.timestamp;
+  collSurplus.save();
+}
+
+// Also used by the TroveManager mapping, for the surpluses of the liquidation revealing the pool
+export function updateCollSurplus(collId: string, account: Address, newBalance: BigInt, timestamp: BigInt): void {
+  let collSurplus = loadOrCreateCollSurplus(collId, account);
+
+  collSurplus.amount = newBalance;
+  collSurplus.updatedAt = timestamp;
+  collSurplus.save();
+}
+
+function loadOrCreateCollSurplus(collId: string, account: Address): CollSurplus {
+  let id = collId + ":" + account.toHexString().toLowerCase();
+  let collSurplus = CollSurplus.load(id);
+
+  if (!collSurplus) {
+    collSurplus = new CollSurplus(id);
+    collSurplus.collateral = collId;
+    collSurplus.account = account;
+    collSurplus.amount = BigInt.fromI32(0);
+    collSurplus.totalClaimed = BigInt.fromI32(0);
+    collSurplus.updatedAt = BigInt.fromI32(0);
+  }
+
+  return collSurplus;
+}
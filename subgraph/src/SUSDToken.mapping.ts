@@ -1,13 +1,25 @@
-import { Address, BigInt, DataSourceContext } from "@graphprotocol/graph-ts";
+import { Address, BigInt, dataSource, DataSourceContext, ethereum } from "@graphprotocol/graph-ts";
 import {
+  BoldToken as BoldTokenContract,
   CollateralRegistryAddressChanged as CollateralRegistryAddressChangedEvent,
 } from "../generated/BoldToken/BoldToken";
 import { BorrowerOperations as BorrowerOperationsContract } from "../generated/BoldToken/BorrowerOperations";
 import { CollateralRegistry as CollateralRegistryContract } from "../generated/BoldToken/CollateralRegistry";
 import { ERC20 as ERC20Contract } from "../generated/BoldToken/ERC20";
 import { TroveManager as TroveManagerContract } from "../generated/BoldToken/TroveManager";
-import { Collateral, CollateralAddresses, StabilityPoolEpochScale, Token } from "../generated/schema";
-import { StabilityPool as StabilityPoolTemplate, TroveManager as TroveManagerTemplate } from "../generated/templates";
+import {
+  Collateral,
+  CollateralAddresses,
+  CollateralPriceSnapshot,
+  StabilityPoolEpochScale,
+  Token,
+} from "../generated/schema";
+import {
+  BorrowerOperations as BorrowerOperationsTemplate,
+  StabilityPool as StabilityPoolTemplate,
+  TroveManager as TroveManagerTemplate,
+} from "../generated/templates";
+import { updateCollateralSnapshots, updateProtocolSnapshots } from "./snapshots";
 
 function addCollateral(
   collIndex: i32,
@@ -69,6 +81,7 @@ function addCollateral(
 
   TroveManagerTemplate.createWithContext(troveManagerAddress, context);
   StabilityPoolTemplate.createWithContext(Address.fromBytes(addresses.stabilityPool), context);
+  BorrowerOperationsTemplate.createWithContext(Address.fromBytes(addresses.borrowerOperations), context);
 }
 
 export function handleCollateralRegistryAddressChanged(event: CollateralRegistryAddressChangedEvent): void {
@@ -94,3 +107,71 @@ export function handleCollateralRegistryAddressChanged(event: CollateralRegistry
     }
   }
 }
+
+// The prices get polled (see the block handler of subgraph.yaml), as no contract exposes the price
+// feed of its branch. The hourly & daily snapshots get updated at the same time. The price is the
+// one the branch gets from its price feed at that block, which is the last good price once the
+// price feed has switched to it.
+export function handleBlock(block: ethereum.Block): void {
+  for (let collIndex = 0;; collIndex++) {
+    let collId = collIndex.toString();
+    let collateral = Collateral.load(collId);
+    if (!collateral) {
+      break;
+    }
+    let addresses = CollateralAddresses.load(collId);
+    if (!addresses) {
+      break;
+    }
+    updateCollateralPrice(collateral, Address.fromBytes(addresses.troveManager), block);
+  }
+
+  updateProtocolSnapshots(BoldTokenContract.bind(dataSource.address()).totalSupply(), block.timestamp);
+}
+
+function updateCollateralPrice(collateral: Collateral, troveManagerAddress: Address, block: ethereum.Block): void {
+  let troveManagerContract = TroveManagerContract.bind(troveManagerAddress);
+
+  let priceResult = troveManagerContract.try_getUnbackedPortionPriceAndRedeemability();
+  if (priceResult.reverted) {
+    return;
+  }
+
+  let price = priceResult.value.value1;
+  let systemColl = troveManagerContract.getEntireSystemColl();
+  let systemDebt = troveManagerContract.getEntireSystemDebt();
+  let shutdownTime = troveManagerContract.shutdownTime();
+
+  collateral.price = price;
+
+  // shutdowns from a TCR below the SCR have been indexed already (BorrowerOperations.mapping.ts),
+  // as block handlers run after the event handlers of the block
+  if (shutdownTime.gt(BigInt.fromI32(0)) && collateral.shutdownAt === null) {
+    collateral.shutdownAt = shutdownTime;
+    collateral.shutdownReason = "oracleFailure";
+  }
+  collateral.save();
+
+  let snapshot = new CollateralPriceSnapshot(collateral.id + ":" + block.number.toString());
+  snapshot.collateral = collateral.id;
+  snapshot.price = price;
+  snapshot.systemColl = systemColl;
+  snapshot.systemDebt = systemDebt;
+  if (systemDebt.gt(BigInt.fromI32(0))) {
+    snapshot.tcr = systemColl.times(price).div(systemDebt);
+  }
+  snapshot.isShutdown = shutdownTime.gt(BigInt.fromI32(0));
+  snapshot.blockNumber = block.number;
+  snapshot.timestamp = block.timestamp;
+  snapshot.save();
+
+  updateCollateralSnapshots(
+    collateral,
+    troveManagerAddress,
+    price,
+    systemColl,
+    systemDebt,
+    BigInt.fromI32(0),
+    block.timestamp,
+  );
+}
@@ -1,11 +1,35 @@
-import { Address, BigInt, ByteArray, crypto, dataSource } from "@graphprotocol/graph-ts";
-import { BorrowerInfo, Collateral, InterestBatch, InterestRateBracket, Trove } from "../generated/schema";
+import {
+  Address,
+  BigInt,
+  ByteArray,
+  Bytes,
+  crypto,
+  dataSource,
+  DataSourceContext,
+  ethereum,
+} from "@graphprotocol/graph-ts";
+import {
+  BorrowerInfo,
+  Collateral,
+  InterestBatch,
+  InterestRateBracket,
+  Liquidation,
+  Redemption,
+  Trove,
+  TroveEvent,
+} from "../generated/schema";
+import { CollSurplusPool as CollSurplusPoolTemplate } from "../generated/templates";
+import { CollSurplusPool as CollSurplusPoolContract } from "../generated/templates/TroveManager/CollSurplusPool";
 import {
   BatchUpdated as BatchUpdatedEvent,
+  Liquidation as LiquidationEvent,
+  Redemption as RedemptionEvent,
   TroveManager as TroveManagerContract,
   TroveOperation as TroveOperationEvent,
 } from "../generated/templates/TroveManager/TroveManager";
 import { TroveNFT as TroveNFTContract } from "../generated/templates/TroveManager/TroveNFT";
+import { updateCollSurplus } from "./CollSurplusPool.mapping";
+import { updateCollateralSnapshots } from "./snapshots";
 
 enum LeverageUpdate {
   yes = 0,
@@ -27,10 +51,29 @@ let OP_OPEN_TROVE_AND_JOIN_BATCH = 7;
 let OP_SET_INTEREST_BATCH_MANAGER = 8;
 let OP_REMOVE_FROM_BATCH = 9;
 
+// TroveOperation & LeverageUpdate enums of schema.graphql, by value
+let TROVE_OPERATIONS = [
+  "openTrove",
+  "closeTrove",
+  "adjustTrove",
+  "adjustTroveInterestRate",
+  "applyPendingDebt",
+  "liquidate",
+  "redeemCollateral",
+  "openTroveAndJoinBatch",
+  "setInterestBatchManager",
+  "removeFromBatch",
+];
+let LEVERAGE_UPDATES = ["yes", "no", "unchanged"];
+
 let FLASH_LOAN_TOPIC_HASH = crypto.keccak256(
   ByteArray.fromUTF8("FlashLoan(address,address,uint256,uint256)"),
 ).toHexString();
 
+let COLL_BALANCE_UPDATED_TOPIC_HASH = crypto.keccak256(
+  ByteArray.fromUTF8("CollBalanceUpdated(address,uint256)"),
+).toHexString();
+
 export function handleTroveOperation(event: TroveOperationEvent): void {
   let timestamp = event.block.timestamp;
   let troveId = event.params._troveId;
@@ -41,6 +84,7 @@ export function handleTroveOperation(event: TroveOperationEvent): void {
   let tm = TroveManagerContract.bind(event.address);
   let leverageUpdate = getLeverageUpdate(event);
   let trove = Trove.load(troveFullId);
+  let batchManager = getBatchManager(trove);
 
   switch (operation) {
     case OP_OPEN_TROVE:
@@ -71,6 +115,8 @@ export function handleTroveOperation(event: TroveOperationEvent): void {
       }
       trove.status = "redeemed";
       trove.save();
+
+      addRedeemedTrove(event, collId, troveFullId);
       break;
 
     case OP_CLOSE_TROVE:
@@ -106,11 +152,71 @@ export function handleTroveOperation(event: TroveOperationEvent): void {
       trove.closedAt = timestamp;
       trove.status = "liquidated";
       trove.save();
+
+      addLiquidatedTrove(event, collId, troveFullId);
+
+      discoverCollSurplusPool(event, collId);
       break;
 
     default:
       throw new Error("Unsupported operation: " + operation.toString());
   }
+
+  createTroveEvent(event, collId, troveFullId, batchManager, leverageUpdate);
+}
+
+// Batch manager of the trove, if any. Read before the operation gets applied, as it can make the
+// trove enter or leave a batch: the events of a trove all refer to the batch it was in before
+// the operation (none for openTroveAndJoinBatch, the one left for removeFromBatch).
+function getBatchManager(trove: Trove | null): Bytes | null {
+  if (!trove) {
+    return null;
+  }
+  let batchId = trove.interestBatch;
+  if (batchId === null) {
+    return null;
+  }
+  let batch = InterestBatch.load(batchId);
+  if (batch === null) {
+    throw new Error("Batch not found: " + batchId);
+  }
+  return batch.batchManager;
+}
+
+// Records the operation in the history of the trove, once the trove got updated
+function createTroveEvent(
+  event: TroveOperationEvent,
+  collId: string,
+  troveFullId: string,
+  batchManager: Bytes | null,
+  leverageUpdate: LeverageUpdate,
+): void {
+  let troveEvent = new TroveEvent(event.transaction.hash.toHexString() + ":" + event.logIndex.toString());
+  troveEvent.trove = troveFullId;
+  troveEvent.collateral = collId;
+  troveEvent.operation = TROVE_OPERATIONS[event.params._operation];
+  troveEvent.annualInterestRate = event.params._annualInterestRate;
+  troveEvent.debtChangeFromOperation = event.params._debtChangeFromOperation;
+  troveEvent.collChangeFromOperation = event.params._collChangeFromOperation;
+  troveEvent.debtIncreaseFromUpfrontFee = event.params._debtIncreaseFromUpfrontFee;
+  troveEvent.debtIncreaseFromRedist = event.params._debtIncreaseFromRedist;
+  troveEvent.collIncreaseFromRedist = event.params._collIncreaseFromRedist;
+  troveEvent.batchManager = batchManager;
+  troveEvent.leverageUpdate = LEVERAGE_UPDATES[leverageUpdate];
+
+  let operation = event.params._operation;
+  if (operation === OP_REDEEM_COLLATERAL) {
+    troveEvent.redemption = collId + ":" + event.transaction.hash.toHexString();
+  }
+  if (operation === OP_LIQUIDATE) {
+    troveEvent.liquidation = collId + ":" + event.transaction.hash.toHexString();
+  }
+
+  troveEvent.transactionHash = event.transaction.hash;
+  troveEvent.logIndex = event.logIndex;
+  troveEvent.blockNumber = event.block.number;
+  troveEvent.timestamp = event.block.timestamp;
+  troveEvent.save();
 }
 
 function getLeverageUpdate(event: TroveOperationEvent): LeverageUpdate {
@@ -137,6 +243,172 @@ function getLeverageUpdate(event: TroveOperationEvent): LeverageUpdate {
   return LeverageUpdate.unchanged;
 }
 
+// None of the contracts the subgraph knows about exposes the CollSurplusPool of their branch,
+// so it gets found in the logs of the first liquidation leaving a surplus (liquidations being the
+// only way to credit it), then indexed from there. The surpluses of that liquidation are applied
+// here too, in case the new data source misses them (setting a balance twice is harmless).
+function discoverCollSurplusPool(event: TroveOperationEvent, collId: string): void {
+  let collateral = Collateral.load(collId);
+  if (!collateral) {
+    throw new Error("Collateral not found: " + collId);
+  }
+  if (collateral.collSurplusPool !== null) {
+    return;
+  }
+
+  let receipt = event.receipt;
+  let logs = receipt ? receipt.logs : [];
+  for (let i = 0; i < logs.length; i++) {
+    let log = logs[i];
+    if (log.topics[0].toHexString() !== COLL_BALANCE_UPDATED_TOPIC_HASH) {
+      continue;
+    }
+
+    // the transaction may liquidate troves of other branches too
+    let troveManager = CollSurplusPoolContract.bind(log.address).try_troveManagerAddress();
+    if (troveManager.reverted || !troveManager.value.equals(event.address)) {
+      continue;
+    }
+
+    if (collateral.collSurplusPool === null) {
+      collateral.collSurplusPool = log.address;
+      collateral.save();
+
+      let context = new DataSourceContext();
+      context.setString("collId", collId);
+      context.setI32("collIndex", dataSource.context().getI32("collIndex"));
+      CollSurplusPoolTemplate.createWithContext(log.address, context);
+    }
+
+    let account = ethereum.decode("address", log.topics[1])!.toAddress();
+    let newBalance = ethereum.decode("uint256", log.data)!.toBigInt();
+    updateCollSurplus(collId, account, newBalance, event.block.timestamp);
+  }
+}
+
+// Redemption & Liquidation are emitted once per call, after the TroveOperation of each affected
+// trove: these add the troves, then handleRedemption() & handleLiquidation() add the totals.
+// Several calls in the same transaction get merged.
+
+function loadOrCreateRedemption(event: ethereum.Event, collId: string): Redemption {
+  let id = collId + ":" + event.transaction.hash.toHexString();
+  let redemption = Redemption.load(id);
+
+  if (!redemption) {
+    redemption = new Redemption(id);
+    redemption.collateral = collId;
+    redemption.attemptedBoldAmount = BigInt.fromI32(0);
+    redemption.boldRedeemed = BigInt.fromI32(0);
+    redemption.collSent = BigInt.fromI32(0);
+    redemption.collFee = BigInt.fromI32(0);
+    redemption.price = BigInt.fromI32(0);
+    redemption.troves = new Array<string>(0);
+    redemption.transactionHash = event.transaction.hash;
+    redemption.blockNumber = event.block.number;
+    redemption.timestamp = event.block.timestamp;
+  }
+
+  return redemption;
+}
+
+function addRedeemedTrove(event: ethereum.Event, collId: string, troveFullId: string): void {
+  let redemption = loadOrCreateRedemption(event, collId);
+
+  let troves = redemption.troves;
+  if (!troves.includes(troveFullId)) {
+    troves.push(troveFullId);
+    redemption.troves = troves;
+    redemption.save();
+  }
+}
+
+export function handleRedemption(event: RedemptionEvent): void {
+  let collId = dataSource.context().getString("collId");
+  let redemption = loadOrCreateRedemption(event, collId);
+
+  redemption.attemptedBoldAmount = redemption.attemptedBoldAmount.plus(event.params._attemptedBoldAmount);
+  redemption.boldRedeemed = redemption.boldRedeemed.plus(event.params._actualBoldAmount);
+  redemption.collSent = redemption.collSent.plus(event.params._ETHSent);
+  redemption.collFee = redemption.collFee.plus(event.params._ETHFee);
+  redemption.price = event.params._price;
+  redemption.save();
+
+  let collateral = Collateral.load(collId);
+  if (!collateral) {
+    throw new Error("Collateral not found: " + collId);
+  }
+  let troveManagerContract = TroveManagerContract.bind(event.address);
+  updateCollateralSnapshots(
+    collateral,
+    event.address,
+    event.params._price,
+    troveManagerContract.getEntireSystemColl(),
+    troveManagerContract.getEntireSystemDebt(),
+    event.params._actualBoldAmount,
+    event.block.timestamp,
+  );
+}
+
+function loadOrCreateLiquidation(event: ethereum.Event, collId: string): Liquidation {
+  let id = collId + ":" + event.transaction.hash.toHexString();
+  let liquidation = Liquidation.load(id);
+
+  if (!liquidation) {
+    liquidation = new Liquidation(id);
+    liquidation.collateral = collId;
+    liquidation.absorbedBy = "stabilityPool";
+    liquidation.debtOffsetBySP = BigInt.fromI32(0);
+    liquidation.debtRedistributed = BigInt.fromI32(0);
+    liquidation.collSentToSP = BigInt.fromI32(0);
+    liquidation.collRedistributed = BigInt.fromI32(0);
+    liquidation.collSurplus = BigInt.fromI32(0);
+    liquidation.boldGasCompensation = BigInt.fromI32(0);
+    liquidation.collGasCompensation = BigInt.fromI32(0);
+    liquidation.price = BigInt.fromI32(0);
+    liquidation.troves = new Array<string>(0);
+    liquidation.transactionHash = event.transaction.hash;
+    liquidation.blockNumber = event.block.number;
+    liquidation.timestamp = event.block.timestamp;
+  }
+
+  return liquidation;
+}
+
+function addLiquidatedTrove(event: ethereum.Event, collId: string, troveFullId: string): void {
+  let liquidation = loadOrCreateLiquidation(event, collId);
+
+  let troves = liquidation.troves;
+  if (!troves.includes(troveFullId)) {
+    troves.push(troveFullId);
+    liquidation.troves = troves;
+    liquidation.save();
+  }
+}
+
+export function handleLiquidation(event: LiquidationEvent): void {
+  let collId = dataSource.context().getString("collId");
+  let liquidation = loadOrCreateLiquidation(event, collId);
+
+  liquidation.debtOffsetBySP = liquidation.debtOffsetBySP.plus(event.params._debtOffsetBySP);
+  liquidation.debtRedistributed = liquidation.debtRedistributed.plus(event.params._debtRedistributed);
+  liquidation.collSentToSP = liquidation.collSentToSP.plus(event.params._collSentToSP);
+  liquidation.collRedistributed = liquidation.collRedistributed.plus(event.params._collRedistributed);
+  liquidation.collSurplus = liquidation.collSurplus.plus(event.params._collSurplus);
+  liquidation.boldGasCompensation = liquidation.boldGasCompensation.plus(event.params._boldGasCompensation);
+  liquidation.collGasCompensation = liquidation.collGasCompensation.plus(event.params._collGasCompensation);
+  liquidation.price = event.params._price;
+
+  if (liquidation.debtRedistributed.isZero()) {
+    liquidation.absorbedBy = "stabilityPool";
+  } else if (liquidation.debtOffsetBySP.isZero()) {
+    liquidation.absorbedBy = "redistribution";
+  } else {
+    liquidation.absorbedBy = "both";
+  }
+
+  liquidation.save();
+}
+
 function floorToDecimals(value: BigInt, decimals: u8): BigInt {
   let factor = BigInt.fromI32(10).pow(18 - decimals);
   return value.div(factor).times(factor);
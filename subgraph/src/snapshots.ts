@@ -0,0 +1,88 @@
+import { Address, BigInt } from "@graphprotocol/graph-ts";
+import { Collateral, CollateralSnapshot, ProtocolSnapshot, StabilityPool } from "../generated/schema";
+import { ActivePool as ActivePoolContract } from "../generated/templates/TroveManager/ActivePool";
+import { TroveManager as TroveManagerContract } from "../generated/templates/TroveManager/TroveManager";
+
+// Hourly & daily snapshots, updated by the price polling of the BoldToken data source
+// (SUSDToken.mapping.ts) and by redemptions (TroveManager.mapping.ts). Each snapshot
+// gets overwritten until its period ends, so it holds the last values of the period.
+
+let PERIODS = ["hour", "day"];
+let PERIOD_DURATIONS = [3600, 86400];
+
+function getPeriodStart(timestamp: BigInt, duration: i32): BigInt {
+  let factor = BigInt.fromI32(duration);
+  return timestamp.div(factor).times(factor);
+}
+
+// totalColl & totalDebt are the entire system coll & debt of the branch, which the callers
+// read from its TroveManager already
+export function updateCollateralSnapshots(
+  collateral: Collateral,
+  troveManagerAddress: Address,
+  price: BigInt,
+  totalColl: BigInt,
+  totalDebt: BigInt,
+  redeemedBold: BigInt,
+  timestamp: BigInt,
+): void {
+  let troveManagerContract = TroveManagerContract.bind(troveManagerAddress);
+  let troveCount = troveManagerContract.getTroveIdsCount().toI32();
+
+  // average weighted by the recorded debt of the troves & batches
+  let activePoolContract = ActivePoolContract.bind(troveManagerContract.activePool());
+  let aggRecordedDebt = activePoolContract.aggRecordedDebt();
+  let avgInterestRate = aggRecordedDebt.gt(BigInt.fromI32(0))
+    ? activePoolContract.aggWeightedDebtSum().div(aggRecordedDebt)
+    : BigInt.fromI32(0);
+
+  let stabilityPool = StabilityPool.load(collateral.id);
+  let spDeposits = stabilityPool ? stabilityPool.totalDeposited : BigInt.fromI32(0);
+
+  for (let i = 0; i < PERIODS.length; i++) {
+    let startTimestamp = getPeriodStart(timestamp, PERIOD_DURATIONS[i]);
+    let snapshotId = collateral.id + ":" + PERIODS[i] + ":" + startTimestamp.toString();
+    let snapshot = CollateralSnapshot.load(snapshotId);
+
+    if (!snapshot) {
+      snapshot = new CollateralSnapshot(snapshotId);
+      snapshot.collateral = collateral.id;
+      snapshot.period = PERIODS[i];
+      snapshot.startTimestamp = startTimestamp;
+      snapshot.redemptionsVolume = BigInt.fromI32(0);
+    }
+
+    snapshot.totalDebt = totalDebt;
+    snapshot.totalColl = totalColl;
+    snapshot.price = price;
+    if (totalDebt.gt(BigInt.fromI32(0))) {
+      snapshot.tcr = totalColl.times(price).div(totalDebt);
+    } else {
+      snapshot.tcr = null;
+    }
+    snapshot.spDeposits = spDeposits;
+    snapshot.avgInterestRate = avgInterestRate;
+    snapshot.troveCount = troveCount;
+    snapshot.redemptionsVolume = snapshot.redemptionsVolume.plus(redeemedBold);
+    snapshot.updatedAt = timestamp;
+    snapshot.save();
+  }
+}
+
+export function updateProtocolSnapshots(boldSupply: BigInt, timestamp: BigInt): void {
+  for (let i = 0; i < PERIODS.length; i++) {
+    let startTimestamp = getPeriodStart(timestamp, PERIOD_DURATIONS[i]);
+    let snapshotId = PERIODS[i] + ":" + startTimestamp.toString();
+    let snapshot = ProtocolSnapshot.load(snapshotId);
+
+    if (!snapshot) {
+      snapshot = new ProtocolSnapshot(snapshotId);
+      snapshot.period = PERIODS[i];
+      snapshot.startTimestamp = startTimestamp;
+    }
+
+    snapshot.boldSupply = boldSupply;
+    snapshot.updatedAt = timestamp;
+    snapshot.save();
+  }
+}